@@ -0,0 +1,37 @@
+// Settings shared by the Stripe handlers, read when a handler is created so the
+// Express server sees values dotenv loaded after startup
+
+// Paid tiers and their Stripe prices (the VITE_ names are the ones the client build uses)
+function paidTiers(env = process.env) {
+  return {
+    pro: {
+      priceId: env.STRIPE_PRO_PRICE_ID || env.VITE_STRIPE_PRO_PRICE_ID,
+      tier: 'pro',
+    },
+    enterprise: {
+      priceId: env.STRIPE_ENTERPRISE_PRICE_ID || env.VITE_STRIPE_ENTERPRISE_PRICE_ID,
+      tier: 'enterprise',
+    },
+  };
+}
+
+// Tier for a Stripe price ID, free for unknown prices
+function tierForPrice(priceId, env = process.env) {
+  const match = Object.values(paidTiers(env)).find((tier) => tier.priceId && tier.priceId === priceId);
+  return match ? match.tier : 'free';
+}
+
+// Stripe client; STRIPE_API_BASE points it at stripe-mock (e.g. http://localhost:12111)
+function createStripeClient(env = process.env) {
+  const Stripe = require('stripe');
+  const options = {};
+  if (env.STRIPE_API_BASE) {
+    const url = new URL(env.STRIPE_API_BASE);
+    options.host = url.hostname;
+    options.port = url.port;
+    options.protocol = url.protocol.replace(':', '');
+  }
+  return Stripe(env.STRIPE_SECRET_KEY, options);
+}
+
+module.exports = { paidTiers, tierForPrice, createStripeClient };
@@ -1,113 +1,121 @@
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { paidTiers, createStripeClient } = require('./config');
+const { createSubscriptionStore } = require('./subscriptionStore');
 
-const SUBSCRIPTION_TIERS = {
-  pro: {
-    priceId: process.env.STRIPE_PRO_PRICE_ID,
-    tier: 'pro',
-  },
-  enterprise: {
-    priceId: process.env.STRIPE_ENTERPRISE_PRICE_ID,
-    tier: 'enterprise',
-  },
-};
-
-exports.handler = async (event) => {
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type,Authorization',
-    'Content-Type': 'application/json',
-  };
-
-  // Handle preflight
-  if (event.httpMethod === 'OPTIONS') {
-    return {
-      statusCode: 200,
-      headers,
-      body: '',
+// Handler with its dependencies passed in; exports.handler builds one from the environment
+function createHandler({
+  stripe,
+  store,
+  tiers = paidTiers(),
+  frontendUrl = process.env.FRONTEND_URL,
+}) {
+  return async (event) => {
+    const headers = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+      'Content-Type': 'application/json',
     };
-  }
 
-  try {
-    // Extract user ID from JWT token (simplified for example)
-    const token = event.headers.authorization?.replace('Bearer ', '');
-    if (!token) {
+    // Handle preflight
+    if (event.httpMethod === 'OPTIONS') {
       return {
-        statusCode: 401,
+        statusCode: 200,
         headers,
-        body: JSON.stringify({ error: 'Unauthorized' }),
+        body: '',
       };
     }
 
-    // Parse request body
-    const { priceId, tier } = JSON.parse(event.body);
-    
-    if (!SUBSCRIPTION_TIERS[tier] || SUBSCRIPTION_TIERS[tier].priceId !== priceId) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ error: 'Invalid subscription tier' }),
-      };
-    }
+    try {
+      // Claims of the verified token: the API Gateway Cognito authorizer, or the Express adapter
+      const claims = event.requestContext?.authorizer?.claims;
+      if (!claims?.sub) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: 'Unauthorized' }),
+        };
+      }
+
+      // Parse request body
+      const { priceId, tier } = JSON.parse(event.body || '{}');
 
-    // Get or create Stripe customer
-    // In production, you'd look up the customer ID from your database
-    const userEmail = 'user@example.com'; // Get from JWT token
-    const userId = 'user-id-from-jwt'; // Get from JWT token
+      if (!tiers[tier] || tiers[tier].priceId !== priceId) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Invalid subscription tier' }),
+        };
+      }
 
-    // Check if customer exists
-    const customers = await stripe.customers.list({
-      email: userEmail,
-      limit: 1,
-    });
+      const userId = claims.sub;
+      const userEmail = claims.email;
 
-    let customer;
-    if (customers.data.length > 0) {
-      customer = customers.data[0];
-    } else {
-      customer = await stripe.customers.create({
-        email: userEmail,
+      // Reuse the user's Stripe customer, creating and recording it on their first checkout
+      const existing = await store.get(userId);
+      let customerId = existing?.customerId;
+      if (!customerId) {
+        const customer = await stripe.customers.create({
+          email: userEmail,
+          metadata: {
+            userId: userId,
+          },
+        });
+        customerId = customer.id;
+        await store.update(userId, { customerId });
+      }
+
+      // Create checkout session
+      const session = await stripe.checkout.sessions.create({
+        customer: customerId,
+        client_reference_id: userId,
+        payment_method_types: ['card'],
+        line_items: [
+          {
+            price: priceId,
+            quantity: 1,
+          },
+        ],
+        mode: 'subscription',
+        success_url: `${frontendUrl}?session_id={CHECKOUT_SESSION_ID}&success=true`,
+        cancel_url: `${frontendUrl}?canceled=true`,
         metadata: {
           userId: userId,
+          tier: tier,
+        },
+        // Subscription events then name the user without a customer lookup
+        subscription_data: {
+          metadata: {
+            userId: userId,
+          },
         },
       });
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          sessionId: session.id,
+          url: session.url,
+        }),
+      };
+    } catch (error) {
+      console.error('Stripe error:', error);
+      return {
+        statusCode: 500,
+        headers,
+        body: JSON.stringify({
+          error: 'Failed to create checkout session',
+          message: error.message,
+        }),
+      };
     }
+  };
+}
 
-    // Create checkout session
-    const session = await stripe.checkout.sessions.create({
-      customer: customer.id,
-      payment_method_types: ['card'],
-      line_items: [
-        {
-          price: priceId,
-          quantity: 1,
-        },
-      ],
-      mode: 'subscription',
-      success_url: `${process.env.FRONTEND_URL}?session_id={CHECKOUT_SESSION_ID}&success=true`,
-      cancel_url: `${process.env.FRONTEND_URL}?canceled=true`,
-      metadata: {
-        userId: userId,
-        tier: tier,
-      },
-    });
+let handler = null;
 
-    return {
-      statusCode: 200,
-      headers,
-      body: JSON.stringify({
-        sessionId: session.id,
-        url: session.url,
-      }),
-    };
-  } catch (error) {
-    console.error('Stripe error:', error);
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({
-        error: 'Failed to create checkout session',
-        message: error.message,
-      }),
-    };
-  }
-};
\ No newline at end of file
+exports.handler = async (event, context) => {
+  handler = handler || createHandler({ stripe: createStripeClient(), store: createSubscriptionStore() });
+  return handler(event, context);
+};
+
+exports.createHandler = createHandler;
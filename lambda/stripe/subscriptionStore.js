@@ -0,0 +1,218 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Subscription records are keyed by user:
+// { userId, customerId, subscriptionId, tier, status, currentPeriodStart, currentPeriodEnd,
+//   createdAt, updatedAt, canceledAt }
+// Stores also remember processed webhook event IDs so redelivered events are skipped.
+//
+// Interface shared by both stores:
+//   get(userId), findByCustomer(customerId), update(userId, fields) -> merged record,
+//   claimEvent(eventId) -> false when already claimed, releaseEvent(eventId)
+
+// Statuses that keep the paid tier; anything else falls back to free
+const ENTITLED_STATUSES = ['active', 'trialing', 'past_due'];
+
+const EVENT_RETENTION_MS = 30 * 24 * 60 * 60 * 1000; // Stripe retries for up to 3 days
+
+function entitledTier(record) {
+  return record && ENTITLED_STATUSES.includes(record.status) ? record.tier : null;
+}
+
+// Drop undefined values so updates never erase fields by accident
+function definedFields(fields) {
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+}
+
+// DynamoDB table keyed by userId. Events share the table under event#<id> keys with an
+// expiresAt attribute for TTL. customerIndex is an optional GSI on customerId.
+class DynamoSubscriptionStore {
+  constructor({ tableName, customerIndex = null, documentClient = null }) {
+    if (!tableName) {
+      throw new Error('DynamoSubscriptionStore needs a table name (SUBSCRIPTIONS_TABLE)');
+    }
+    this.tableName = tableName;
+    this.customerIndex = customerIndex;
+    this.client = documentClient;
+  }
+
+  // aws-sdk is only loaded when the store is used, so the file store works without it
+  db() {
+    if (!this.client) {
+      const AWS = require('aws-sdk');
+      this.client = new AWS.DynamoDB.DocumentClient();
+    }
+    return this.client;
+  }
+
+  async get(userId) {
+    const { Item } = await this.db().get({ TableName: this.tableName, Key: { userId } }).promise();
+    return Item || null;
+  }
+
+  async findByCustomer(customerId) {
+    if (!this.customerIndex || !customerId) {
+      return null;
+    }
+    const { Items } = await this.db().query({
+      TableName: this.tableName,
+      IndexName: this.customerIndex,
+      KeyConditionExpression: '#customerId = :customerId',
+      ExpressionAttributeNames: { '#customerId': 'customerId' },
+      ExpressionAttributeValues: { ':customerId': customerId },
+      Limit: 1,
+    }).promise();
+    return Items[0] || null;
+  }
+
+  async update(userId, fields) {
+    const now = new Date().toISOString();
+    const names = { '#createdAt': 'createdAt' };
+    const values = { ':createdAt': now };
+    const assignments = ['#createdAt = if_not_exists(#createdAt, :createdAt)'];
+
+    Object.entries({ ...definedFields(fields), updatedAt: now }).forEach(([key, value], index) => {
+      names[`#f${index}`] = key;
+      values[`:f${index}`] = value;
+      assignments.push(`#f${index} = :f${index}`);
+    });
+
+    const { Attributes } = await this.db().update({
+      TableName: this.tableName,
+      Key: { userId },
+      UpdateExpression: `SET ${assignments.join(', ')}`,
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values,
+      ReturnValues: 'ALL_NEW',
+    }).promise();
+    return Attributes;
+  }
+
+  async claimEvent(eventId) {
+    try {
+      await this.db().put({
+        TableName: this.tableName,
+        Item: {
+          userId: `event#${eventId}`,
+          processedAt: new Date().toISOString(),
+          expiresAt: Math.floor((Date.now() + EVENT_RETENTION_MS) / 1000),
+        },
+        ConditionExpression: 'attribute_not_exists(userId)',
+      }).promise();
+      return true;
+    } catch (error) {
+      if (error.code === 'ConditionalCheckFailedException') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async releaseEvent(eventId) {
+    await this.db().delete({ TableName: this.tableName, Key: { userId: `event#${eventId}` } }).promise();
+  }
+}
+
+// JSON file for local development: { subscriptions: { userId: record }, events: { eventId: processedAt } }
+class FileSubscriptionStore {
+  constructor({ filePath, eventRetentionMs = EVENT_RETENTION_MS }) {
+    this.filePath = filePath;
+    this.eventRetentionMs = eventRetentionMs;
+    this.state = null;
+    this.loading = null;
+    this.writing = Promise.resolve();
+  }
+
+  load() {
+    if (!this.loading) {
+      this.loading = fs.readFile(this.filePath, 'utf8')
+        .then((text) => JSON.parse(text))
+        .catch((error) => {
+          if (error.code !== 'ENOENT') {
+            throw error;
+          }
+          return {};
+        })
+        .then(({ subscriptions = {}, events = {} }) => {
+          this.state = { subscriptions, events };
+          return this.state;
+        });
+    }
+    return this.loading;
+  }
+
+  // Writes are serialised and go through a temporary file so a crash never leaves half a file
+  save() {
+    const text = JSON.stringify(this.state, null, 2);
+    const tempPath = `${this.filePath}.tmp`;
+    this.writing = this.writing.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tempPath, text);
+      await fs.rename(tempPath, this.filePath);
+    });
+    return this.writing;
+  }
+
+  async get(userId) {
+    const { subscriptions } = await this.load();
+    return subscriptions[userId] || null;
+  }
+
+  async findByCustomer(customerId) {
+    const { subscriptions } = await this.load();
+    return Object.values(subscriptions).find((record) => customerId && record.customerId === customerId) || null;
+  }
+
+  async update(userId, fields) {
+    const { subscriptions } = await this.load();
+    const now = new Date().toISOString();
+    const record = { createdAt: now, ...subscriptions[userId], ...definedFields(fields), userId, updatedAt: now };
+    subscriptions[userId] = record;
+    await this.save();
+    return record;
+  }
+
+  async claimEvent(eventId) {
+    const { events } = await this.load();
+    if (events[eventId]) {
+      return false;
+    }
+
+    const cutoff = Date.now() - this.eventRetentionMs;
+    Object.entries(events).forEach(([id, processedAt]) => {
+      if (Date.parse(processedAt) < cutoff) delete events[id];
+    });
+    events[eventId] = new Date().toISOString();
+    await this.save();
+    return true;
+  }
+
+  async releaseEvent(eventId) {
+    const { events } = await this.load();
+    delete events[eventId];
+    await this.save();
+  }
+}
+
+// SUBSCRIPTION_STORE picks the store; without it, DynamoDB when SUBSCRIPTIONS_TABLE is set
+function createSubscriptionStore(env = process.env) {
+  const kind = env.SUBSCRIPTION_STORE || (env.SUBSCRIPTIONS_TABLE ? 'dynamodb' : 'file');
+  if (kind === 'dynamodb') {
+    return new DynamoSubscriptionStore({
+      tableName: env.SUBSCRIPTIONS_TABLE,
+      customerIndex: env.SUBSCRIPTIONS_CUSTOMER_INDEX || null,
+    });
+  }
+  if (kind === 'file') {
+    return new FileSubscriptionStore({ filePath: env.SUBSCRIPTION_STORE_FILE || path.join('data', 'subscriptions.json') });
+  }
+  throw new Error(`Unknown SUBSCRIPTION_STORE: ${kind} (use dynamodb or file)`);
+}
+
+module.exports = {
+  ENTITLED_STATUSES,
+  entitledTier,
+  DynamoSubscriptionStore,
+  FileSubscriptionStore,
+  createSubscriptionStore,
+};
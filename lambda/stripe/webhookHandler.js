@@ -1,27 +1,105 @@
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-const AWS = require('aws-sdk');
+const { tierForPrice, createStripeClient } = require('./config');
+const { createSubscriptionStore } = require('./subscriptionStore');
+
+const toIso = (seconds) => (seconds ? new Date(seconds * 1000).toISOString() : undefined);
+
+// Handler with its dependencies passed in; exports.handler builds one from the environment
+function createHandler({
+  stripe,
+  store,
+  webhookSecret = process.env.STRIPE_WEBHOOK_SECRET,
+  priceTier = (priceId) => tierForPrice(priceId),
+}) {
+  // The user a Stripe object belongs to: our metadata, the store, then the customer's metadata
+  async function resolveUserId(object) {
+    if (object.metadata?.userId) {
+      return object.metadata.userId;
+    }
+    const record = await store.findByCustomer(object.customer);
+    if (record) {
+      return record.userId;
+    }
+    const customer = await stripe.customers.retrieve(object.customer);
+    return customer.metadata?.userId || null;
+  }
 
-const dynamodb = new AWS.DynamoDB.DocumentClient();
-const TABLE_NAME = process.env.SUBSCRIPTIONS_TABLE;
+  async function handleCheckoutComplete(session) {
+    const userId = session.metadata.userId || session.client_reference_id;
+    const tier = session.metadata.tier;
 
-exports.handler = async (event) => {
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Content-Type': 'application/json',
-  };
+    await store.update(userId, {
+      customerId: session.customer,
+      subscriptionId: session.subscription,
+      tier,
+      status: 'active',
+    });
+
+    console.log(`Subscription created for user ${userId}: ${tier}`);
+  }
+
+  async function handleSubscriptionUpdate(subscription) {
+    const userId = await resolveUserId(subscription);
+    if (!userId) {
+      console.error('No userId found for customer:', subscription.customer);
+      return;
+    }
+
+    // Determine tier from price ID
+    const item = subscription.items.data[0];
+    const tier = priceTier(item?.price.id);
+
+    await store.update(userId, {
+      customerId: subscription.customer,
+      subscriptionId: subscription.id,
+      tier,
+      status: subscription.status,
+      currentPeriodStart: toIso(subscription.current_period_start ?? item?.current_period_start),
+      currentPeriodEnd: toIso(subscription.current_period_end ?? item?.current_period_end),
+    });
+
+    console.log(`Subscription updated for user ${userId}: ${tier} (${subscription.status})`);
+  }
+
+  async function handleSubscriptionDeleted(subscription) {
+    const userId = await resolveUserId(subscription);
+    if (!userId) {
+      console.error('No userId found for customer:', subscription.customer);
+      return;
+    }
+
+    await store.update(userId, {
+      status: 'canceled',
+      tier: 'free',
+      canceledAt: new Date().toISOString(),
+    });
+
+    console.log(`Subscription canceled for user ${userId}`);
+  }
+
+  async function handlePaymentFailed(invoice) {
+    const userId = await resolveUserId(invoice);
+    if (!userId) {
+      console.error('No userId found for customer:', invoice.customer);
+      return;
+    }
+
+    // Log payment failure; the subscription moves to past_due in its own update event
+    console.error(`Payment failed for user ${userId}, subscription ${invoice.subscription}`);
+  }
+
+  return async (event) => {
+    const headers = {
+      'Access-Control-Allow-Origin': '*',
+      'Content-Type': 'application/json',
+    };
 
-  try {
     // Verify webhook signature
-    const sig = event.headers['stripe-signature'];
-    const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
-    
+    const sig = event.headers['stripe-signature'] || event.headers['Stripe-Signature'];
+    const payload = event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+
     let stripeEvent;
     try {
-      stripeEvent = stripe.webhooks.constructEvent(
-        event.body,
-        sig,
-        webhookSecret
-      );
+      stripeEvent = stripe.webhooks.constructEvent(payload, sig, webhookSecret);
     } catch (err) {
       console.error('Webhook signature verification failed:', err.message);
       return {
@@ -31,154 +109,74 @@ exports.handler = async (event) => {
       };
     }
 
-    // Handle the event
-    switch (stripeEvent.type) {
-      case 'checkout.session.completed':
-        await handleCheckoutComplete(stripeEvent.data.object);
-        break;
-        
-      case 'customer.subscription.created':
-      case 'customer.subscription.updated':
-        await handleSubscriptionUpdate(stripeEvent.data.object);
-        break;
-        
-      case 'customer.subscription.deleted':
-        await handleSubscriptionDeleted(stripeEvent.data.object);
-        break;
-        
-      case 'invoice.payment_failed':
-        await handlePaymentFailed(stripeEvent.data.object);
-        break;
-        
-      default:
-        console.log(`Unhandled event type ${stripeEvent.type}`);
+    // Stripe delivers at least once; an event ID is processed once
+    try {
+      if (!(await store.claimEvent(stripeEvent.id))) {
+        console.log(`Skipping already processed event ${stripeEvent.id}`);
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ received: true, duplicate: true }),
+        };
+      }
+    } catch (error) {
+      console.error('Webhook error:', error);
+      return {
+        statusCode: 500,
+        headers,
+        body: JSON.stringify({ error: 'Webhook handler failed' }),
+      };
     }
 
-    return {
-      statusCode: 200,
-      headers,
-      body: JSON.stringify({ received: true }),
-    };
-  } catch (error) {
-    console.error('Webhook error:', error);
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({ error: 'Webhook handler failed' }),
-    };
-  }
-};
+    try {
+      // Handle the event
+      switch (stripeEvent.type) {
+        case 'checkout.session.completed':
+          await handleCheckoutComplete(stripeEvent.data.object);
+          break;
 
-async function handleCheckoutComplete(session) {
-  const userId = session.metadata.userId;
-  const tier = session.metadata.tier;
-  const customerId = session.customer;
-  const subscriptionId = session.subscription;
-
-  // Update user subscription in DynamoDB
-  await dynamodb.put({
-    TableName: TABLE_NAME,
-    Item: {
-      userId,
-      customerId,
-      subscriptionId,
-      tier,
-      status: 'active',
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-    },
-  }).promise();
+        case 'customer.subscription.created':
+        case 'customer.subscription.updated':
+          await handleSubscriptionUpdate(stripeEvent.data.object);
+          break;
 
-  console.log(`Subscription created for user ${userId}: ${tier}`);
-}
+        case 'customer.subscription.deleted':
+          await handleSubscriptionDeleted(stripeEvent.data.object);
+          break;
 
-async function handleSubscriptionUpdate(subscription) {
-  const customerId = subscription.customer;
-  
-  // Get user ID from customer metadata
-  const customer = await stripe.customers.retrieve(customerId);
-  const userId = customer.metadata.userId;
-  
-  if (!userId) {
-    console.error('No userId found for customer:', customerId);
-    return;
-  }
+        case 'invoice.payment_failed':
+          await handlePaymentFailed(stripeEvent.data.object);
+          break;
 
-  // Determine tier from price ID
-  let tier = 'free';
-  const priceId = subscription.items.data[0]?.price.id;
-  
-  if (priceId === process.env.STRIPE_PRO_PRICE_ID) {
-    tier = 'pro';
-  } else if (priceId === process.env.STRIPE_ENTERPRISE_PRICE_ID) {
-    tier = 'enterprise';
-  }
+        default:
+          console.log(`Unhandled event type ${stripeEvent.type}`);
+      }
 
-  // Update subscription in DynamoDB
-  await dynamodb.update({
-    TableName: TABLE_NAME,
-    Key: { userId },
-    UpdateExpression: 'SET #status = :status, tier = :tier, updatedAt = :updatedAt',
-    ExpressionAttributeNames: {
-      '#status': 'status',
-    },
-    ExpressionAttributeValues: {
-      ':status': subscription.status,
-      ':tier': tier,
-      ':updatedAt': new Date().toISOString(),
-    },
-  }).promise();
-
-  console.log(`Subscription updated for user ${userId}: ${tier} (${subscription.status})`);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ received: true }),
+      };
+    } catch (error) {
+      console.error('Webhook error:', error);
+      // Let Stripe's retry process the event again
+      await store.releaseEvent(stripeEvent.id).catch((releaseError) => {
+        console.error(`Could not release event ${stripeEvent.id}:`, releaseError);
+      });
+      return {
+        statusCode: 500,
+        headers,
+        body: JSON.stringify({ error: 'Webhook handler failed' }),
+      };
+    }
+  };
 }
 
-async function handleSubscriptionDeleted(subscription) {
-  const customerId = subscription.customer;
-  
-  // Get user ID from customer metadata
-  const customer = await stripe.customers.retrieve(customerId);
-  const userId = customer.metadata.userId;
-  
-  if (!userId) {
-    console.error('No userId found for customer:', customerId);
-    return;
-  }
-
-  // Update subscription to canceled in DynamoDB
-  await dynamodb.update({
-    TableName: TABLE_NAME,
-    Key: { userId },
-    UpdateExpression: 'SET #status = :status, tier = :tier, canceledAt = :canceledAt, updatedAt = :updatedAt',
-    ExpressionAttributeNames: {
-      '#status': 'status',
-    },
-    ExpressionAttributeValues: {
-      ':status': 'canceled',
-      ':tier': 'free',
-      ':canceledAt': new Date().toISOString(),
-      ':updatedAt': new Date().toISOString(),
-    },
-  }).promise();
-
-  console.log(`Subscription canceled for user ${userId}`);
-}
+let handler = null;
 
-async function handlePaymentFailed(invoice) {
-  const customerId = invoice.customer;
-  const subscriptionId = invoice.subscription;
-  
-  // Get user ID from customer metadata
-  const customer = await stripe.customers.retrieve(customerId);
-  const userId = customer.metadata.userId;
-  
-  if (!userId) {
-    console.error('No userId found for customer:', customerId);
-    return;
-  }
+exports.handler = async (event, context) => {
+  handler = handler || createHandler({ stripe: createStripeClient(), store: createSubscriptionStore() });
+  return handler(event, context);
+};
 
-  // Log payment failure
-  console.error(`Payment failed for user ${userId}, subscription ${subscriptionId}`);
-  
-  // You might want to send an email notification here
-  // Or update the subscription status to 'past_due'
-}
\ No newline at end of file
+exports.createHandler = createHandler;
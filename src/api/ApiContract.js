@@ -0,0 +1,472 @@
+/**
+ * API contract - one set of route definitions (see routes.js) drives both the
+ * OpenAPI 3 document and request validation, so the two cannot drift apart.
+ *
+ * Schemas are a JSON Schema subset (type, enum, required, properties,
+ * additionalProperties, items, min/max, minLength/maxLength, pattern, anyOf)
+ * plus OpenAPI's nullable. Path and query values arrive as strings and are
+ * coerced before validation; handlers still read the raw req.query.
+ */
+
+const JSON_CONTENT_TYPE = 'application/json';
+
+const describeType = (schema) => (Array.isArray(schema.type) ? schema.type : [schema.type])
+	.map(type => (/^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`))
+	.join(' or ');
+
+const typeOf = (value) => {
+	if (value === null) return 'null';
+	if (Array.isArray(value)) return 'array';
+	if (Number.isInteger(value)) return 'integer';
+	return typeof value;
+};
+
+const matchesType = (type, value) => {
+	const actual = typeOf(value);
+	return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Convert a query string or path value to the type its schema expects
+ * ("25" -> 25, "true" -> true, "a,b" -> ["a", "b"]); values that do not convert
+ * are returned unchanged and fail validation
+ */
+export function coerceValue(schema, value) {
+	const types = Array.isArray(schema?.type) ? schema.type : [schema?.type];
+	if (typeof value !== 'string' || types.includes('string')) {
+		return value;
+	}
+	if (types.includes('integer') && /^-?\d+$/.test(value)) {
+		return Number(value);
+	}
+	if (types.includes('number') && value.trim() !== '' && !Number.isNaN(Number(value))) {
+		return Number(value);
+	}
+	if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+		return value === 'true';
+	}
+	if (types.includes('array')) {
+		return value.split(',').map(item => coerceValue(schema.items, item.trim()));
+	}
+	return value;
+}
+
+/**
+ * Validate a value against a schema
+ * @returns {Array<{path: string, message: string}>} empty when the value is valid
+ */
+export function validateSchema(schema, value, path = '') {
+	if (!schema) {
+		return [];
+	}
+	if (value === null && schema.nullable) {
+		return [];
+	}
+
+	if (schema.anyOf) {
+		const attempts = schema.anyOf.map(option => validateSchema(option, value, path));
+		return attempts.some(errors => errors.length === 0) ? [] : attempts[0];
+	}
+
+	const error = (message) => [{ path, message }];
+
+	if (schema.type) {
+		const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+		if (!types.some(type => matchesType(type, value))) {
+			return error(`must be ${describeType(schema)}`);
+		}
+	}
+
+	if (schema.enum && !schema.enum.includes(value)) {
+		return error(`must be one of: ${schema.enum.join(', ')}`);
+	}
+
+	if (typeof value === 'string') {
+		if (schema.minLength !== undefined && value.length < schema.minLength) {
+			return error(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+		}
+		if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+			return error(`must be at most ${schema.maxLength} characters`);
+		}
+		if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+			return error(`must match ${schema.pattern}`);
+		}
+	}
+
+	if (typeof value === 'number') {
+		if (schema.minimum !== undefined && value < schema.minimum) {
+			return error(`must be >= ${schema.minimum}`);
+		}
+		if (schema.maximum !== undefined && value > schema.maximum) {
+			return error(`must be <= ${schema.maximum}`);
+		}
+	}
+
+	const join = (key) => (path ? `${path}.${key}` : key);
+
+	if (Array.isArray(value)) {
+		if (schema.minItems !== undefined && value.length < schema.minItems) {
+			return error(`must have at least ${schema.minItems} item(s)`);
+		}
+		if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+			return error(`must have at most ${schema.maxItems} item(s)`);
+		}
+		return value.flatMap((item, index) => validateSchema(schema.items, item, `${path}[${index}]`));
+	}
+
+	if (typeOf(value) === 'object') {
+		const errors = [];
+		for (const key of schema.required || []) {
+			if (value[key] === undefined) {
+				errors.push({ path: join(key), message: 'is required' });
+			}
+		}
+		for (const [key, item] of Object.entries(value)) {
+			const propertySchema = schema.properties?.[key];
+			if (propertySchema) {
+				errors.push(...validateSchema(propertySchema, item, join(key)));
+			} else if (schema.additionalProperties === false) {
+				errors.push({ path: join(key), message: 'is not allowed' });
+			} else if (typeof schema.additionalProperties === 'object') {
+				errors.push(...validateSchema(schema.additionalProperties, item, join(key)));
+			}
+		}
+		return errors;
+	}
+
+	return [];
+}
+
+// "post /api/backup/:name/restore" -> "postBackupByNameRestore"
+const toOperationId = (method, path) => method + path
+	.replace(/^\/api/, '')
+	.split(/[/.-]/)
+	.filter(Boolean)
+	.map(segment => (segment.startsWith(':') ? `By${segment.slice(1)[0].toUpperCase()}${segment.slice(2)}` : segment[0].toUpperCase() + segment.slice(1)))
+	.join('');
+
+// Express "/api/backup/:name/verify" -> OpenAPI "/api/backup/{name}/verify"
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+// Result and Error schemas of the enveloped (v2) document
+const envelopeSchemas = (errorCodes) => ({
+	ErrorCode: {
+		type: 'string',
+		enum: Object.keys(errorCodes),
+		description: Object.entries(errorCodes)
+			.map(([code, { status, description }]) => `- \`${code}\` (${status}): ${description}`)
+			.join('\n')
+	},
+	Meta: {
+		type: 'object',
+		required: ['apiVersion', 'timestamp'],
+		properties: {
+			apiVersion: { type: 'string' },
+			timestamp: { type: 'string', format: 'date-time' },
+			message: { type: 'string' }
+		},
+		additionalProperties: true
+	},
+	Result: {
+		type: 'object',
+		required: ['data', 'error', 'meta'],
+		properties: {
+			data: { nullable: true },
+			error: { type: 'object', nullable: true, enum: [null] },
+			meta: { $ref: '#/components/schemas/Meta' }
+		}
+	},
+	Error: {
+		type: 'object',
+		required: ['data', 'error', 'meta'],
+		properties: {
+			data: { type: 'object', nullable: true, enum: [null] },
+			error: {
+				type: 'object',
+				required: ['code', 'message'],
+				properties: {
+					code: { $ref: '#/components/schemas/ErrorCode' },
+					message: { type: 'string' },
+					details: { nullable: true, description: 'Validation problems ([{ location, path, message }]) or code-specific context' }
+				}
+			},
+			meta: { $ref: '#/components/schemas/Meta' }
+		}
+	}
+});
+
+const toPattern = (path) => new RegExp(`^${path
+	.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+	.replace(/:(\w+)/g, '(?<$1>[^/]+)')}/?$`);
+
+export class ApiContract {
+	/**
+	 * @param {Array<Object>} routes - route definitions:
+	 *   { method, path (Express syntax), summary, description, tags, session,
+	 *     params, query, body (object schemas), bodyContentType, responseContentType,
+	 *     responses: { status: description } }
+	 * @param {Object} info - OpenAPI info object
+	 */
+	constructor(routes, info) {
+		this.routes = routes.map(route => ({
+			...route,
+			method: route.method.toLowerCase(),
+			operationId: route.operationId || toOperationId(route.method.toLowerCase(), route.path),
+			pattern: toPattern(route.path),
+			paramCount: (route.path.match(/:\w+/g) || []).length
+		}));
+		// Literal segments win over parameters, as /api/backup/policy over /api/backup/:name
+		this.lookupOrder = [...this.routes].sort((a, b) => a.paramCount - b.paramCount);
+		this.info = info;
+	}
+
+	match(method, path) {
+		const lowerMethod = method.toLowerCase();
+		for (const route of this.lookupOrder) {
+			if (route.method !== lowerMethod) continue;
+			const match = path.match(route.pattern);
+			if (match) {
+				const params = {};
+				for (const [name, value] of Object.entries(match.groups || {})) {
+					try {
+						params[name] = decodeURIComponent(value);
+					} catch {
+						params[name] = value;
+					}
+				}
+				return { route, params };
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Validate path parameters, query string and JSON body of a request
+	 * @returns {Array<{location: string, path: string, message: string}>}
+	 */
+	validate(route, { params = {}, query = {}, body, contentType = '' }) {
+		const coerced = (schema, values) => Object.fromEntries(Object.entries(values)
+			.map(([key, value]) => [key, coerceValue(schema?.properties?.[key], value)]));
+		const tag = (location) => (errors) => errors.map(error => ({ location, ...error }));
+
+		const errors = [
+			...tag('path')(validateSchema(route.params, coerced(route.params, params))),
+			...tag('query')(validateSchema(route.query, coerced(route.query, query)))
+		];
+
+		// Multipart uploads and other non-JSON bodies are left to their handlers
+		const isJson = !route.bodyContentType || route.bodyContentType === JSON_CONTENT_TYPE;
+		if (route.body && isJson && (contentType.includes(JSON_CONTENT_TYPE) || route.body.required?.length)) {
+			errors.push(...tag('body')(validateSchema(route.body, body ?? {})));
+		}
+		return errors;
+	}
+
+	/**
+	 * Middleware rejecting malformed requests to known routes with 400 VALIDATION_ERROR;
+	 * requests to routes outside the contract pass through untouched
+	 */
+	middleware() {
+		return (req, res, next) => {
+			const matched = this.match(req.method, req.path);
+			if (!matched) {
+				return next();
+			}
+
+			const errors = this.validate(matched.route, {
+				params: matched.params,
+				query: req.query,
+				body: req.body,
+				contentType: req.get('Content-Type') || ''
+			});
+			if (errors.length === 0) {
+				return next();
+			}
+
+			const describe = ({ location, path, message }) => `${location}${path ? `.${path}` : ''} ${message}`;
+			res.status(400).json({
+				success: false,
+				error: {
+					message: `Invalid request: ${errors.map(describe).join('; ')}`,
+					code: 'VALIDATION_ERROR',
+					details: errors
+				}
+			});
+		};
+	}
+
+	/**
+	 * Routes registered on the app but missing from the contract ("GET /api/foo")
+	 */
+	findUndocumented(app, prefix = '/api') {
+		const registered = (app._router?.stack || [])
+			.filter(layer => layer.route && typeof layer.route.path === 'string' && layer.route.path.startsWith(prefix))
+			.flatMap(layer => Object.keys(layer.route.methods).map(method => ({ method, path: layer.route.path })));
+		return registered
+			.filter(({ method, path }) => !this.routes.some(route => route.method === method && route.path === path))
+			.map(({ method, path }) => `${method.toUpperCase()} ${path}`);
+	}
+
+	toParameters(location, schema) {
+		return Object.entries(schema?.properties || {}).map(([name, property]) => {
+			const { description, ...propertySchema } = property;
+			return {
+				name,
+				in: location,
+				required: location === 'path' || (schema.required || []).includes(name),
+				...(description ? { description } : {}),
+				schema: propertySchema
+			};
+		});
+	}
+
+	toOperation(route, { envelope = false } = {}) {
+		const parameters = [
+			...this.toParameters('path', route.params),
+			...this.toParameters('query', route.query),
+			...(route.session ? [{ $ref: '#/components/parameters/SessionId' }] : [])
+		];
+
+		const responses = {};
+		for (const [status, description] of Object.entries(route.responses || { 200: 'OK' })) {
+			const isError = Number(status) >= 400;
+			const contentType = isError ? JSON_CONTENT_TYPE : (route.responseContentType || JSON_CONTENT_TYPE);
+			responses[status] = {
+				description,
+				content: {
+					[contentType]: {
+						schema: isError
+							? { $ref: '#/components/schemas/Error' }
+							: contentType === JSON_CONTENT_TYPE ? { $ref: '#/components/schemas/Result' } : { type: 'string' }
+					}
+				}
+			};
+		}
+		if (route.params || route.query || route.body) {
+			responses[400] = responses[400] || {
+				description: 'Validation failed',
+				content: { [JSON_CONTENT_TYPE]: { schema: { $ref: '#/components/schemas/Error' } } }
+			};
+		}
+		if (route.feature || route.admin) {
+			responses[401] = responses[401] || {
+				description: 'No valid bearer token',
+				content: { [JSON_CONTENT_TYPE]: { schema: { $ref: '#/components/schemas/Error' } } }
+			};
+		}
+		const refusals = [
+			route.feature && `The subscription tier does not include ${route.feature} (code UPGRADE_REQUIRED)`,
+			route.admin && 'The signed-in user is not an administrator (code FORBIDDEN)',
+			route.usage && `A quota of ${route.usage.join(', ')} is used up for the billing period (code QUOTA_EXCEEDED)`
+		].filter(Boolean);
+		if (refusals.length > 0) {
+			responses[403] = responses[403] || {
+				description: refusals.join('; '),
+				content: { [JSON_CONTENT_TYPE]: { schema: { $ref: '#/components/schemas/Error' } } }
+			};
+		}
+		if (route.rateLimit) {
+			responses[429] = {
+				description: `Rate limit "${route.rateLimit}" exceeded; see GET /api/rate-limits`,
+				headers: {
+					'Retry-After': { description: 'Seconds until a token is available', schema: { type: 'integer' } }
+				},
+				content: { [JSON_CONTENT_TYPE]: { schema: { $ref: '#/components/schemas/Error' } } }
+			};
+		}
+		if (envelope && !route.raw) {
+			responses.default = {
+				description: 'Any other failure; the status follows error.code',
+				content: { [JSON_CONTENT_TYPE]: { schema: { $ref: '#/components/schemas/Error' } } }
+			};
+		}
+
+		return {
+			operationId: route.operationId,
+			summary: route.summary,
+			...(route.description ? { description: route.description } : {}),
+			tags: route.tags,
+			...(parameters.length > 0 ? { parameters } : {}),
+			...(route.feature || route.admin ? { security: [{ BearerAuth: [] }] } : {}),
+			...(route.body ? {
+				requestBody: {
+					required: (route.body.required || []).length > 0,
+					content: { [route.bodyContentType || JSON_CONTENT_TYPE]: { schema: route.body } }
+				}
+			} : {}),
+			responses
+		};
+	}
+
+	/**
+	 * OpenAPI 3.0 document for every route in the contract
+	 * @param {Object} [options]
+	 * @param {string} [options.basePath='/api'] - prefix that replaces /api in the documented paths
+	 * @param {string} [options.version] - info.version override
+	 * @param {Object} [options.errorCodes] - documented error codes ({ CODE: { status, description } });
+	 *   when given, responses are described with the { data, error, meta } envelope
+	 */
+	toOpenApi({ basePath = '/api', version, errorCodes } = {}) {
+		const envelope = Boolean(errorCodes);
+		const paths = {};
+		for (const route of this.routes) {
+			const path = toOpenApiPath(route.path).replace(/^\/api(?=\/|$)/, basePath);
+			paths[path] = { ...paths[path], [route.method]: this.toOperation(route, { envelope }) };
+		}
+
+		return {
+			openapi: '3.0.3',
+			info: { ...this.info, ...(version ? { version } : {}) },
+			paths,
+			components: {
+				securitySchemes: {
+					BearerAuth: {
+						type: 'http',
+						scheme: 'bearer',
+						bearerFormat: 'JWT',
+						description: 'Cognito ID or access token. Optional except on routes that need a subscription feature or an administrator.'
+					}
+				},
+				parameters: {
+					SessionId: {
+						name: 'X-Session-Id',
+						in: 'header',
+						required: false,
+						description: 'Database session from POST /api/connect; the default session is used when omitted. ' +
+							'/api/sessions/{id}/<route> is an equivalent path form.',
+						schema: { type: 'string' }
+					}
+				},
+				schemas: envelope ? envelopeSchemas(errorCodes) : {
+					Result: {
+						type: 'object',
+						properties: { success: { type: 'boolean' } },
+						additionalProperties: true
+					},
+					Error: {
+						type: 'object',
+						required: ['success', 'error'],
+						properties: {
+							success: { type: 'boolean', enum: [false] },
+							error: {
+								anyOf: [
+									{
+										type: 'object',
+										required: ['message'],
+										properties: {
+											message: { type: 'string' },
+											code: { type: 'string' },
+											details: { type: 'array', items: { type: 'object', additionalProperties: true } }
+										}
+									},
+									{ type: 'string', description: 'Backup routes: the message, with code alongside error' }
+								]
+							},
+							code: { type: 'string' }
+						}
+					}
+				}
+			}
+		};
+	}
+}
@@ -0,0 +1,315 @@
+/**
+ * Bearer-token authentication and subscription-tier gating
+ *
+ * Tokens are JWTs (Cognito ID or access tokens, or any issuer with a JWKS) verified
+ * with node:crypto against keys from a JWKS URL or a local JWKS file. Verified
+ * requests carry req.user ({ id, email, username, tier, claims }) and req.subscription
+ * (the tier's SUBSCRIPTION_TIERS entry). Routes name the tier feature they need in
+ * src/api/routes.js (feature: 'voiceCommands'); admin: true routes need a user in an
+ * admin Cognito group or admin tier.
+ */
+
+import { createPublicKey, verify } from 'crypto';
+import { readFile } from 'fs/promises';
+
+// Supported signature algorithms: digest, key type and signature encoding
+const ALGORITHMS = {
+	RS256: { digest: 'sha256', kty: 'RSA' },
+	RS384: { digest: 'sha384', kty: 'RSA' },
+	RS512: { digest: 'sha512', kty: 'RSA' },
+	ES256: { digest: 'sha256', kty: 'EC', dsaEncoding: 'ieee-p1363' },
+	ES384: { digest: 'sha384', kty: 'EC', dsaEncoding: 'ieee-p1363' }
+};
+
+function authError(message, code = 'UNAUTHORIZED') {
+	const error = new Error(message);
+	error.code = code;
+	return error;
+}
+
+const decodeSegment = (segment, name) => {
+	try {
+		return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+	} catch {
+		throw authError(`Malformed token ${name}`);
+	}
+};
+
+/**
+ * Signing keys from a JWKS URL (https://...) or file, cached by kid. An unknown kid
+ * reloads the set (at most once per minRefreshMs) so rotated keys are picked up.
+ */
+export class JwksKeyStore {
+	constructor({ source, cacheTtlMs = 10 * 60 * 1000, minRefreshMs = 30 * 1000 }) {
+		this.source = source;
+		this.cacheTtlMs = cacheTtlMs;
+		this.minRefreshMs = minRefreshMs;
+		this.keys = new Map(); // kid -> { jwk, key }
+		this.loadedAt = 0;
+		this.loading = null;
+	}
+
+	async fetchKeySet() {
+		if (/^https?:\/\//.test(this.source)) {
+			const response = await fetch(this.source, { signal: AbortSignal.timeout(5000) });
+			if (!response.ok) {
+				throw new Error(`JWKS request failed with HTTP ${response.status}`);
+			}
+			return response.json();
+		}
+		return JSON.parse(await readFile(this.source, 'utf8'));
+	}
+
+	// Concurrent callers share one load
+	load() {
+		if (!this.loading) {
+			this.loading = this.fetchKeySet()
+				.then(({ keys = [] }) => {
+					this.keys = new Map(keys
+						.filter(jwk => jwk.kid && (!jwk.use || jwk.use === 'sig'))
+						.map(jwk => [jwk.kid, { jwk, key: createPublicKey({ key: jwk, format: 'jwk' }) }]));
+					this.loadedAt = Date.now();
+				})
+				.catch(error => {
+					throw authError(`Could not load signing keys from ${this.source}: ${error.message}`, 'SERVICE_UNAVAILABLE');
+				})
+				.finally(() => {
+					this.loading = null;
+				});
+		}
+		return this.loading;
+	}
+
+	async getKey(kid) {
+		const age = Date.now() - this.loadedAt;
+		if (age > this.cacheTtlMs || (!this.keys.has(kid) && age > this.minRefreshMs)) {
+			await this.load();
+		}
+		const entry = this.keys.get(kid);
+		if (!entry) {
+			throw authError(`Unknown signing key: ${kid}`);
+		}
+		return entry;
+	}
+}
+
+/**
+ * Verify a compact JWS and its registered claims
+ * @param {string} token
+ * @param {JwksKeyStore} keyStore
+ * @param {Object} [options] - { issuer, audience: string[], clockToleranceSec, now }
+ * @returns {Promise<Object>} the token's claims
+ */
+export async function verifyJwt(token, keyStore, { issuer = null, audience = [], clockToleranceSec = 60, now = Date.now() } = {}) {
+	const segments = String(token).split('.');
+	if (segments.length !== 3) {
+		throw authError('Malformed token');
+	}
+
+	const [encodedHeader, encodedPayload, encodedSignature] = segments;
+	const header = decodeSegment(encodedHeader, 'header');
+	const algorithm = ALGORITHMS[header.alg];
+	if (!algorithm) {
+		throw authError(`Unsupported token algorithm: ${header.alg}`);
+	}
+
+	const { jwk, key } = await keyStore.getKey(header.kid);
+	if (jwk.kty !== algorithm.kty || (jwk.alg && jwk.alg !== header.alg)) {
+		throw authError(`Signing key ${header.kid} does not match algorithm ${header.alg}`);
+	}
+
+	const valid = verify(
+		algorithm.digest,
+		Buffer.from(`${encodedHeader}.${encodedPayload}`),
+		algorithm.dsaEncoding ? { key, dsaEncoding: algorithm.dsaEncoding } : key,
+		Buffer.from(encodedSignature, 'base64url')
+	);
+	if (!valid) {
+		throw authError('Invalid token signature');
+	}
+
+	const claims = decodeSegment(encodedPayload, 'payload');
+	const seconds = Math.floor(now / 1000);
+	if (typeof claims.exp !== 'number' || claims.exp + clockToleranceSec <= seconds) {
+		throw authError('Token expired');
+	}
+	if (typeof claims.nbf === 'number' && claims.nbf - clockToleranceSec > seconds) {
+		throw authError('Token not yet valid');
+	}
+	if (issuer && claims.iss !== issuer) {
+		throw authError(`Unexpected token issuer: ${claims.iss}`);
+	}
+	if (audience.length > 0) {
+		// Cognito access tokens carry the app client in client_id rather than aud
+		const audiences = [].concat(claims.aud ?? [], claims.client_id ?? []);
+		if (!audiences.some(aud => audience.includes(aud))) {
+			throw authError('Token was issued for a different audience');
+		}
+	}
+	if (!claims.sub) {
+		throw authError('Token has no subject');
+	}
+
+	return claims;
+}
+
+/**
+ * Whether a tier includes a feature (true, or -1 for unlimited)
+ */
+export function hasFeature(tier, feature) {
+	const value = tier?.features?.[feature];
+	return value === true || value === -1;
+}
+
+/**
+ * Authenticates requests and gates routes by subscription feature
+ */
+export class Authenticator {
+	/**
+	 * @param {Object} options
+	 * @param {JwksKeyStore|null} options.keyStore - null turns authentication off
+	 * @param {Object} options.tiers - SUBSCRIPTION_TIERS
+	 * @param {Object} [options.verifyOptions] - issuer, audience, clockToleranceSec (see verifyJwt)
+	 * @param {string} [options.tierClaim] - claim naming the tier; cognito:groups named after a tier also count
+	 * @param {Function} [options.resolveTier] - async (user) => tier id, replacing the claim lookup
+	 * @param {string[]} [options.adminGroups] - cognito:groups whose members are administrators
+	 * @param {string[]} [options.adminTiers] - tiers whose users are administrators
+	 */
+	constructor({ keyStore, tiers, verifyOptions = {}, tierClaim = 'custom:tier', resolveTier = null, adminGroups = ['admin'], adminTiers = [] }) {
+		this.keyStore = keyStore;
+		this.tiers = tiers;
+		this.verifyOptions = verifyOptions;
+		this.tierClaim = tierClaim;
+		this.resolveTier = resolveTier || ((user) => this.tierFromClaims(user.claims));
+		this.adminGroups = adminGroups;
+		this.adminTiers = adminTiers;
+	}
+
+	get enabled() {
+		return Boolean(this.keyStore);
+	}
+
+	// Tier ids in ascending order, as declared in SUBSCRIPTION_TIERS
+	get tierOrder() {
+		return Object.keys(this.tiers);
+	}
+
+	tierFromClaims(claims) {
+		if (this.tiers[claims[this.tierClaim]]) {
+			return claims[this.tierClaim];
+		}
+		const groups = [].concat(claims['cognito:groups'] || []);
+		return [...this.tierOrder].reverse().find(id => groups.includes(id)) || this.tierOrder[0];
+	}
+
+	/**
+	 * Verify a bearer token and build the request user
+	 */
+	async authenticate(token) {
+		const claims = await verifyJwt(token, this.keyStore, this.verifyOptions);
+		const user = {
+			id: claims.sub,
+			email: claims.email ?? null,
+			username: claims['cognito:username'] ?? claims.username ?? null,
+			claims
+		};
+		const tierId = await this.resolveTier(user);
+		user.tier = this.tiers[tierId] ? tierId : this.tierOrder[0];
+		return user;
+	}
+
+	isAdmin(user) {
+		const groups = [].concat(user?.claims?.['cognito:groups'] || []);
+		return Boolean(user) && (this.adminTiers.includes(user.tier) || groups.some(group => this.adminGroups.includes(group)));
+	}
+
+	// Tiers that include a feature, for upgrade prompts
+	tiersWith(feature) {
+		return this.tierOrder.filter(id => hasFeature(this.tiers[id], feature));
+	}
+
+	/**
+	 * Express middleware
+	 * @param {Function} resolveFeature - (req) => feature the route needs, or null
+	 * @param {Function} [requiresAdmin] - (req) => whether the route is for administrators only
+	 */
+	middleware(resolveFeature, requiresAdmin = () => false) {
+		return async (req, res, next) => {
+			if (!this.enabled) {
+				return next();
+			}
+
+			const authorization = req.get('Authorization') || '';
+			const [scheme, token] = authorization.split(' ');
+			if (authorization && (scheme.toLowerCase() !== 'bearer' || !token)) {
+				return this.reject(res, authError('Authorization header must be "Bearer <token>"'));
+			}
+
+			// Present tokens are always checked; a bad token is never treated as anonymous
+			if (token) {
+				try {
+					req.user = await this.authenticate(token);
+					req.subscription = this.tiers[req.user.tier];
+				} catch (error) {
+					return this.reject(res, error);
+				}
+			}
+
+			if (requiresAdmin(req)) {
+				if (!req.user) {
+					return this.reject(res, authError('Sign in as an administrator'), { anonymous: true });
+				}
+				if (!this.isAdmin(req.user)) {
+					return res.status(403).json({
+						success: false,
+						error: { message: 'Only administrators can do this', code: 'FORBIDDEN' }
+					});
+				}
+			}
+
+			const feature = resolveFeature(req);
+			if (!feature) {
+				return next();
+			}
+			if (!req.user) {
+				return this.reject(res, authError(`Sign in to use ${feature}`), { anonymous: true });
+			}
+			if (!hasFeature(req.subscription, feature)) {
+				const requiredTiers = this.tiersWith(feature);
+				return res.status(403).json({
+					success: false,
+					error: {
+						message: `${feature} is not included in the ${req.subscription.name} plan`,
+						code: 'UPGRADE_REQUIRED',
+						details: {
+							feature,
+							currentTier: req.user.tier,
+							requiredTiers,
+							upgradeTo: requiredTiers[0] || null
+						}
+					}
+				});
+			}
+			next();
+		};
+	}
+
+	reject(res, error, { anonymous = false } = {}) {
+		if (error.code === 'SERVICE_UNAVAILABLE') {
+			console.error('❌ Token verification unavailable:', error.message);
+			return res.status(503).json({
+				success: false,
+				error: { message: 'Token verification is unavailable', code: 'SERVICE_UNAVAILABLE' }
+			});
+		}
+
+		// RFC 6750: requests without a token get a bare challenge
+		res.set('WWW-Authenticate', anonymous
+			? 'Bearer'
+			: `Bearer error="invalid_token", error_description="${error.message.replace(/"/g, '\'')}"`);
+		res.status(401).json({
+			success: false,
+			error: { message: error.message, code: 'UNAUTHORIZED' }
+		});
+	}
+}
@@ -0,0 +1,80 @@
+/**
+ * AWS Lambda proxy handlers as Express routes
+ *
+ * The Stripe handlers in lambda/stripe run on Lambda behind API Gateway in production;
+ * locally the server mounts the same code. Requests become API Gateway proxy events,
+ * with the verified token's claims where the Cognito authorizer would put them, and
+ * proxy results ({ statusCode, headers, body }) become responses.
+ */
+
+import { randomUUID } from 'crypto';
+
+// The server's CORS middleware owns these; handlers answer with '*' for API Gateway
+const CORS_HEADER = /^access-control-/i;
+
+/**
+ * Build an API Gateway proxy event from an Express request
+ * @param {Object} [options] - { claims }: verified token claims, or null for anonymous requests
+ */
+export function toLambdaEvent(req, { claims = null } = {}) {
+	// Signed payloads (Stripe webhooks) need the exact bytes, kept by express.json as rawBody
+	const body = req.rawBody
+		? req.rawBody.toString('utf8')
+		: (req.body && Object.keys(req.body).length > 0 ? JSON.stringify(req.body) : null);
+
+	return {
+		httpMethod: req.method,
+		path: req.originalUrl.split('?')[0],
+		headers: { ...req.headers },
+		queryStringParameters: Object.keys(req.query).length > 0 ? { ...req.query } : null,
+		body,
+		isBase64Encoded: false,
+		requestContext: {
+			requestId: randomUUID(),
+			identity: { sourceIp: req.ip },
+			authorizer: claims ? { claims } : null
+		}
+	};
+}
+
+/**
+ * Send a proxy result. JSON bodies go through res.json so the v2 envelope applies.
+ */
+export function sendLambdaResult(res, { statusCode = 200, headers = {}, body = '' }) {
+	Object.entries(headers)
+		.filter(([name]) => !CORS_HEADER.test(name))
+		.forEach(([name, value]) => res.set(name, String(value)));
+	res.status(statusCode);
+
+	if (/json/.test(res.get('Content-Type') || '') && body) {
+		try {
+			return res.json(JSON.parse(body));
+		} catch {
+			// Not JSON after all; sent as is
+		}
+	}
+	return res.send(body);
+}
+
+/**
+ * Express handler running a Lambda proxy handler
+ * @param {Function} handler - async (event, context) => proxy result
+ * @param {Object} [options]
+ * @param {string} [options.name] - function name in the Lambda context
+ * @param {Function} [options.claims] - (req) => verified token claims or null
+ */
+export function lambdaRoute(handler, { name = 'local', claims = () => null } = {}) {
+	return async (req, res, next) => {
+		try {
+			const event = toLambdaEvent(req, { claims: claims(req) });
+			const result = await handler(event, {
+				functionName: name,
+				awsRequestId: event.requestContext.requestId,
+				getRemainingTimeInMillis: () => req.timeoutMs ?? 30000
+			});
+			sendLambdaResult(res, result);
+		} catch (error) {
+			next(error);
+		}
+	};
+}
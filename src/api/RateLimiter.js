@@ -0,0 +1,324 @@
+/**
+ * Token-bucket rate limiting for expensive routes
+ *
+ * Routes name a policy in src/api/routes.js (rateLimit: 'openai'). A policy holds one
+ * bucket per client IP and, for authenticated requests, one per user; a request goes
+ * through only if every bucket it draws from has a token left. Buckets live in a
+ * pluggable store: in memory, or in memory with a JSON file so limits survive restarts.
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import path from 'path';
+
+/**
+ * Default policies. capacity is the burst size, refillPerMinute the sustained rate;
+ * a slow refill turns a bucket into a rolling quota.
+ */
+export const DEFAULT_RATE_LIMIT_POLICIES = {
+	// Paid OpenAI calls (Whisper, chat completions)
+	openai: {
+		ip: { capacity: 10, refillPerMinute: 5 },
+		user: { capacity: 30, refillPerMinute: 2 }
+	},
+	// Cypher execution and streaming
+	query: {
+		ip: { capacity: 60, refillPerMinute: 120 },
+		user: { capacity: 120, refillPerMinute: 240 }
+	}
+};
+
+export const RATE_LIMIT_SCOPES = ['ip', 'user'];
+
+/**
+ * Merge policy overrides ({ openai: { ip: { capacity: 3 } } }) into the defaults;
+ * a scope set to null is switched off
+ */
+export function mergePolicies(base, overrides = {}) {
+	const merged = {};
+	for (const name of new Set([...Object.keys(base), ...Object.keys(overrides)])) {
+		merged[name] = {};
+		for (const scope of RATE_LIMIT_SCOPES) {
+			const override = overrides[name]?.[scope];
+			const limit = override === null ? null : { ...base[name]?.[scope], ...override };
+			if (limit && Object.keys(limit).length > 0) {
+				if (!(limit.capacity > 0) || !(limit.refillPerMinute > 0)) {
+					throw new Error(`Rate limit ${name}.${scope} needs a positive capacity and refillPerMinute`);
+				}
+				merged[name][scope] = limit;
+			}
+		}
+	}
+	return merged;
+}
+
+/**
+ * Buckets in a Map, oldest-used first so the least recently seen clients are dropped
+ * once maxBuckets is reached
+ */
+export class MemoryRateLimitStore {
+	constructor({ maxBuckets = 100000 } = {}) {
+		this.maxBuckets = maxBuckets;
+		this.buckets = new Map(); // key -> { tokens, updatedAt }
+	}
+
+	// Tokens in a bucket at `now`, refilled since its last update
+	level(key, { capacity, refillPerMinute }, now) {
+		const bucket = this.buckets.get(key);
+		if (!bucket) {
+			return capacity;
+		}
+		const refilled = ((now - bucket.updatedAt) / 60000) * refillPerMinute;
+		// Rounded so a client retrying exactly at Retry-After is not refused over float error
+		return Math.min(capacity, Math.round((bucket.tokens + refilled) * 1e6) / 1e6);
+	}
+
+	/**
+	 * Take `cost` tokens from every bucket, or from none when one of them is short
+	 * @param {Array<{ key: string, limit: Object }>} draws
+	 * @returns {Promise<Array<{ key, allowed, remaining, retryAfterMs }>>} one entry per draw
+	 */
+	async take(draws, cost = 1, now = Date.now()) {
+		const results = draws.map(({ key, limit }) => {
+			const tokens = this.level(key, limit, now);
+			const allowed = tokens >= cost;
+			return {
+				key,
+				limit,
+				tokens,
+				allowed,
+				retryAfterMs: allowed ? 0 : Math.ceil(((cost - tokens) / limit.refillPerMinute) * 60000)
+			};
+		});
+
+		const allowed = results.every(result => result.allowed);
+		for (const result of results) {
+			const tokens = allowed ? result.tokens - cost : result.tokens;
+			this.buckets.delete(result.key);
+			this.buckets.set(result.key, { tokens, updatedAt: now });
+			result.remaining = Math.floor(tokens);
+		}
+		this.evict();
+
+		return results.map(({ key, allowed: ok, remaining, retryAfterMs }) => ({ key, allowed: ok, remaining, retryAfterMs }));
+	}
+
+	/**
+	 * Current level of a bucket without taking from it
+	 */
+	async peek(key, limit, now = Date.now()) {
+		return Math.floor(this.level(key, limit, now));
+	}
+
+	evict() {
+		while (this.buckets.size > this.maxBuckets) {
+			this.buckets.delete(this.buckets.keys().next().value);
+		}
+	}
+
+	async reset() {
+		this.buckets.clear();
+	}
+
+	async close() {}
+}
+
+/**
+ * Memory store written to a JSON file every flushIntervalMs (and on close) and read
+ * back at construction, so restarting the server does not hand out fresh buckets
+ */
+export class FileRateLimitStore extends MemoryRateLimitStore {
+	constructor({ filePath, flushIntervalMs = 5000, ...options }) {
+		super(options);
+		this.filePath = filePath;
+		this.flushIntervalMs = flushIntervalMs;
+		this.dirty = false;
+		this.writing = Promise.resolve();
+		this.timer = null;
+		this.ready = this.load();
+	}
+
+	async load() {
+		try {
+			const { buckets = {} } = JSON.parse(await readFile(this.filePath, 'utf8'));
+			Object.entries(buckets)
+				.sort(([, a], [, b]) => a.updatedAt - b.updatedAt)
+				.forEach(([key, bucket]) => this.buckets.set(key, bucket));
+			this.evict();
+		} catch (error) {
+			if (error.code !== 'ENOENT') {
+				console.warn(`⚠️ Could not read rate-limit state from ${this.filePath}: ${error.message}`);
+			}
+		}
+
+		this.timer = setInterval(() => this.flush(), this.flushIntervalMs);
+		this.timer.unref();
+	}
+
+	async take(draws, cost, now) {
+		await this.ready;
+		const results = await super.take(draws, cost, now);
+		this.dirty = true;
+		return results;
+	}
+
+	async peek(key, limit, now) {
+		await this.ready;
+		return super.peek(key, limit, now);
+	}
+
+	async reset() {
+		await this.ready;
+		await super.reset();
+		this.dirty = true;
+		await this.flush();
+	}
+
+	// Writes are serialised and go through a temporary file so a crash never leaves half a file
+	flush() {
+		if (!this.dirty) {
+			return this.writing;
+		}
+		this.dirty = false;
+		const state = JSON.stringify({ savedAt: new Date().toISOString(), buckets: Object.fromEntries(this.buckets) });
+		const tempPath = `${this.filePath}.tmp`;
+		this.writing = this.writing
+			.then(async () => {
+				await mkdir(path.dirname(this.filePath), { recursive: true });
+				await writeFile(tempPath, state);
+				await rename(tempPath, this.filePath);
+			})
+			.catch(error => console.warn(`⚠️ Could not save rate-limit state: ${error.message}`));
+		return this.writing;
+	}
+
+	async close() {
+		await this.ready;
+		clearInterval(this.timer);
+		await this.flush();
+	}
+}
+
+/**
+ * Applies named policies to requests
+ */
+export class RateLimiter {
+	/**
+	 * @param {Object} options
+	 * @param {Object} options.store - MemoryRateLimitStore or FileRateLimitStore
+	 * @param {Object} [options.policies] - see DEFAULT_RATE_LIMIT_POLICIES
+	 * @param {Function} [options.identify] - (req) => ({ ip, user }); user is null for anonymous requests
+	 * @param {Function} [options.onDecision] - ({ policy, scope, limited }) for metrics; scope is the bucket that ran out
+	 */
+	constructor({
+		store,
+		policies = DEFAULT_RATE_LIMIT_POLICIES,
+		identify = (req) => ({ ip: req.ip, user: req.user?.id ?? null }),
+		onDecision = () => {}
+	}) {
+		this.store = store;
+		this.policies = policies;
+		this.identify = identify;
+		this.onDecision = onDecision;
+	}
+
+	// Buckets a client draws from under a policy
+	draws(policyName, identity) {
+		const policy = this.policies[policyName];
+		if (!policy) {
+			throw new Error(`Unknown rate limit policy: ${policyName}`);
+		}
+		return RATE_LIMIT_SCOPES
+			.filter(scope => policy[scope] && identity[scope] !== null && identity[scope] !== undefined)
+			.map(scope => ({ scope, key: `${policyName}:${scope}:${identity[scope]}`, limit: policy[scope] }));
+	}
+
+	/**
+	 * Take a token for a request
+	 * @returns {Promise<{ allowed, policy, scope, limit, remaining, retryAfterSeconds }>} scope and limit
+	 *   describe the bucket that refused the request, or the one closest to running out
+	 */
+	async check(policyName, identity) {
+		const draws = this.draws(policyName, identity);
+		const results = await this.store.take(draws);
+
+		const decisive = results
+			.map((result, index) => ({ ...result, ...draws[index] }))
+			.sort((a, b) => (a.allowed - b.allowed) || (a.remaining - b.remaining))[0];
+		const allowed = results.every(result => result.allowed);
+
+		this.onDecision({ policy: policyName, scope: allowed ? null : decisive.scope, limited: !allowed });
+		return {
+			allowed,
+			policy: policyName,
+			scope: decisive?.scope ?? null,
+			limit: decisive?.limit ?? null,
+			remaining: decisive?.remaining ?? null,
+			retryAfterSeconds: allowed ? 0 : Math.max(1, Math.ceil(decisive.retryAfterMs / 1000))
+		};
+	}
+
+	/**
+	 * Remaining tokens per policy and scope for a client, without taking any
+	 */
+	async describe(identity) {
+		const now = Date.now();
+		const policies = {};
+		for (const name of Object.keys(this.policies)) {
+			policies[name] = {};
+			for (const { scope, key, limit } of this.draws(name, identity)) {
+				policies[name][scope] = { ...limit, remaining: await this.store.peek(key, limit, now) };
+			}
+		}
+		return policies;
+	}
+
+	/**
+	 * Express middleware
+	 * @param {Function} resolvePolicy - (req) => policy name, or null for unlimited routes
+	 */
+	middleware(resolvePolicy) {
+		return async (req, res, next) => {
+			const policyName = resolvePolicy(req);
+			if (!policyName) {
+				return next();
+			}
+
+			let decision;
+			try {
+				decision = await this.check(policyName, this.identify(req));
+			} catch (error) {
+				// A broken store must not take the API down with it
+				console.error('❌ Rate limit check failed:', error.message);
+				return next();
+			}
+
+			if (decision.limit) {
+				res.set({
+					'RateLimit-Limit': String(decision.limit.capacity),
+					'RateLimit-Remaining': String(Math.max(0, decision.remaining)),
+					'RateLimit-Policy': `${decision.limit.capacity};w=${Math.round((decision.limit.capacity / decision.limit.refillPerMinute) * 60)}`
+				});
+			}
+			if (decision.allowed) {
+				return next();
+			}
+
+			res.set('Retry-After', String(decision.retryAfterSeconds));
+			res.status(429).json({
+				success: false,
+				error: {
+					message: `Rate limit exceeded (${decision.policy}, per ${decision.scope === 'ip' ? 'IP address' : 'user'}); ` +
+						`retry in ${decision.retryAfterSeconds}s`,
+					code: 'RATE_LIMITED',
+					details: {
+						policy: decision.policy,
+						scope: decision.scope,
+						capacity: decision.limit.capacity,
+						refillPerMinute: decision.limit.refillPerMinute,
+						retryAfter: decision.retryAfterSeconds
+					}
+				}
+			});
+		};
+	}
+}
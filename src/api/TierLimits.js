@@ -0,0 +1,138 @@
+/**
+ * Numeric subscription limits enforced on the server: maxNodes and maxGraphs from a
+ * tier's features, and the per-period quotas the usage meter checks (src/api/UsageMeter.js)
+ *
+ * Limits apply only while authentication is on: signed-in users get their tier's
+ * limits and anonymous callers the lowest tier's. -1 means unlimited. Requests over
+ * a limit are either cut down (result sizes, reported as tierLimit) or refused with
+ * UPGRADE_REQUIRED (opening more graphs); both carry the same details so clients
+ * can show one upgrade prompt.
+ */
+
+// Wording of each limit in upgrade messages
+const LIMIT_UNITS = {
+	maxNodes: 'results per request',
+	maxGraphs: 'open graphs',
+	nodesRendered: 'nodes rendered per billing period',
+	cypherQueries: 'Cypher queries per billing period',
+	audioSeconds: 'seconds of voice audio per billing period',
+	nlConversions: 'natural-language queries per billing period',
+	aiLayouts: 'AI layouts per billing period'
+};
+
+export class TierLimits {
+	/**
+	 * @param {Object} options
+	 * @param {Object} options.tiers - SUBSCRIPTION_TIERS, lowest tier first
+	 * @param {Function} options.isEnforced - () => whether limits apply (authentication is on)
+	 */
+	constructor({ tiers, isEnforced }) {
+		this.tiers = tiers;
+		this.isEnforced = isEnforced;
+	}
+
+	get tierOrder() {
+		return Object.keys(this.tiers);
+	}
+
+	// A tier's value for a limit: a numeric feature, or a quota
+	limitOf(tierId, name) {
+		const tier = this.tiers[tierId];
+		return typeof tier.features[name] === 'number' ? tier.features[name] : tier.quotas?.[name];
+	}
+
+	// Key that graphs are counted under: the user, or the client IP for anonymous callers
+	ownerOf(req) {
+		return req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+	}
+
+	// Tier id of the caller, or null when limits are not enforced
+	tierOf(req) {
+		if (!this.isEnforced()) {
+			return null;
+		}
+		return req.user?.tier && this.tiers[req.user.tier] ? req.user.tier : this.tierOrder[0];
+	}
+
+	/**
+	 * The caller's limit, Infinity when unlimited or not enforced
+	 */
+	max(req, name) {
+		const tierId = this.tierOf(req);
+		const value = tierId ? this.limitOf(tierId, name) : -1;
+		return typeof value === 'number' && value >= 0 ? value : Infinity;
+	}
+
+	/**
+	 * Upgrade details for a request over a limit
+	 * @returns {Object} { limit, max, requested, currentTier, requiredTiers, upgradeTo, message }
+	 */
+	upgrade(req, name, requested) {
+		const currentTier = this.tierOf(req);
+		const max = this.max(req, name);
+		const requiredTiers = this.tierOrder.filter(id => {
+			const value = this.limitOf(id, name);
+			return value === -1 || value >= requested;
+		});
+		const upgradeTo = requiredTiers.find(id => this.tierOrder.indexOf(id) > this.tierOrder.indexOf(currentTier)) || null;
+		const target = upgradeTo && this.tiers[upgradeTo];
+		const allowance = target && (this.limitOf(upgradeTo, name) === -1 ? 'no limit' : `up to ${this.limitOf(upgradeTo, name)}`);
+
+		return {
+			limit: name,
+			max,
+			requested,
+			currentTier,
+			requiredTiers,
+			upgradeTo,
+			message: `The ${this.tiers[currentTier].name} plan allows ${max} ${LIMIT_UNITS[name] || name}` +
+				(target ? `; upgrade to ${target.name} for ${allowance}` : '')
+		};
+	}
+
+	/**
+	 * Cut a requested size down to the caller's limit
+	 * @returns {{ value: number, tierLimit: Object|null }} tierLimit is set when the request was cut
+	 */
+	clamp(req, name, requested) {
+		const max = this.max(req, name);
+		return requested > max
+			? { value: max, tierLimit: this.upgrade(req, name, requested) }
+			: { value: requested, tierLimit: null };
+	}
+
+	/**
+	 * Keep the first maxNodes nodes of a VR-formatted result and the edges between them
+	 * (or the first maxNodes rows of a raw result)
+	 * @returns {{ data: Object, tierLimit: Object|null }}
+	 */
+	capGraph(req, data) {
+		if (Array.isArray(data?.raw)) {
+			const { value: max, tierLimit } = this.clamp(req, 'maxNodes', data.raw.length);
+			return { data: tierLimit ? { ...data, raw: data.raw.slice(0, max) } : data, tierLimit };
+		}
+
+		const nodes = data?.nodes || [];
+		const { value: max, tierLimit } = this.clamp(req, 'maxNodes', nodes.length);
+		if (!tierLimit) {
+			return { data, tierLimit: null };
+		}
+
+		const kept = nodes.slice(0, max);
+		const ids = new Set(kept.map(node => node.id));
+		return {
+			data: { ...data, nodes: kept, edges: (data.edges || []).filter(edge => ids.has(edge.source) && ids.has(edge.target)) },
+			tierLimit
+		};
+	}
+
+	/**
+	 * v1 body for a request refused over a limit
+	 */
+	static upgradeRequired(details) {
+		return {
+			success: false,
+			error: { message: details.message, code: 'UPGRADE_REQUIRED', details }
+		};
+	}
+}
@@ -0,0 +1,243 @@
+/**
+ * Per-user usage metering by billing period
+ *
+ * Handlers record what a caller consumed (nodes rendered, Cypher queries, seconds of
+ * transcribed audio, natural-language conversions, AI layouts) under the caller's
+ * current billing period: the Stripe subscription's period, or the calendar month.
+ * Routes list the metrics they consume in src/api/routes.js (usage: ['cypherQueries']);
+ * while tier limits are enforced, a request is refused once one of them is used up.
+ * Usage is checked before a request and recorded after it, so concurrent requests can
+ * go slightly over a quota.
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import path from 'path';
+
+export const USAGE_METRICS = ['nodesRendered', 'cypherQueries', 'audioSeconds', 'nlConversions', 'aiLayouts'];
+
+// Periods are kept this long after they end
+const RETENTION_MS = 400 * 24 * 60 * 60 * 1000;
+
+/**
+ * Calendar month (UTC) containing `now`
+ * @returns {{ start: string, end: string }} ISO timestamps, end exclusive
+ */
+export function calendarMonth(now = Date.now()) {
+	const date = new Date(now);
+	return {
+		start: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)).toISOString(),
+		end: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)).toISOString()
+	};
+}
+
+/**
+ * Billing period of a subscription record, or the calendar month when it has none
+ * that covers `now` (no subscription, or a renewal the webhook has not reported yet)
+ */
+export function billingPeriod(record, now = Date.now()) {
+	const start = Date.parse(record?.currentPeriodStart);
+	const end = Date.parse(record?.currentPeriodEnd);
+	return start <= now && now < end
+		? { start: record.currentPeriodStart, end: record.currentPeriodEnd }
+		: calendarMonth(now);
+}
+
+/**
+ * Usage in a Map keyed by owner and period start
+ */
+export class MemoryUsageStore {
+	constructor() {
+		this.periods = new Map(); // `${owner}@${start}` -> { owner, start, end, used: { metric: amount } }
+	}
+
+	async add(owner, period, metric, amount) {
+		const key = `${owner}@${period.start}`;
+		const entry = this.periods.get(key) || { owner, start: period.start, end: period.end, used: {} };
+		entry.used[metric] = (entry.used[metric] || 0) + amount;
+		this.periods.set(key, entry);
+	}
+
+	async get(owner, period) {
+		return { ...this.periods.get(`${owner}@${period.start}`)?.used };
+	}
+
+	prune(now = Date.now()) {
+		for (const [key, entry] of this.periods) {
+			if (Date.parse(entry.end) < now - RETENTION_MS) {
+				this.periods.delete(key);
+			}
+		}
+	}
+
+	async close() {}
+}
+
+/**
+ * Memory store written to a JSON file every flushIntervalMs (and on close) and read
+ * back at construction, so usage survives restarts
+ */
+export class FileUsageStore extends MemoryUsageStore {
+	constructor({ filePath, flushIntervalMs = 5000 }) {
+		super();
+		this.filePath = filePath;
+		this.flushIntervalMs = flushIntervalMs;
+		this.dirty = false;
+		this.writing = Promise.resolve();
+		this.timer = null;
+		this.ready = this.load();
+	}
+
+	async load() {
+		try {
+			const { periods = [] } = JSON.parse(await readFile(this.filePath, 'utf8'));
+			periods.forEach(entry => this.periods.set(`${entry.owner}@${entry.start}`, entry));
+			this.prune();
+		} catch (error) {
+			if (error.code !== 'ENOENT') {
+				console.warn(`⚠️ Could not read usage from ${this.filePath}: ${error.message}`);
+			}
+		}
+
+		this.timer = setInterval(() => this.flush(), this.flushIntervalMs);
+		this.timer.unref();
+	}
+
+	async add(owner, period, metric, amount) {
+		await this.ready;
+		await super.add(owner, period, metric, amount);
+		this.dirty = true;
+	}
+
+	async get(owner, period) {
+		await this.ready;
+		return super.get(owner, period);
+	}
+
+	// Writes are serialised and go through a temporary file so a crash never leaves half a file
+	flush() {
+		if (!this.dirty) {
+			return this.writing;
+		}
+		this.dirty = false;
+		this.prune();
+		const state = JSON.stringify({ savedAt: new Date().toISOString(), periods: Array.from(this.periods.values()) });
+		const tempPath = `${this.filePath}.tmp`;
+		this.writing = this.writing
+			.then(async () => {
+				await mkdir(path.dirname(this.filePath), { recursive: true });
+				await writeFile(tempPath, state);
+				await rename(tempPath, this.filePath);
+			})
+			.catch(error => console.warn(`⚠️ Could not save usage: ${error.message}`));
+		return this.writing;
+	}
+
+	async close() {
+		await this.ready;
+		clearInterval(this.timer);
+		await this.flush();
+	}
+}
+
+/**
+ * Records usage and checks it against the caller's tier quotas
+ */
+export class UsageMeter {
+	/**
+	 * @param {Object} options
+	 * @param {Object} options.store - MemoryUsageStore or FileUsageStore
+	 * @param {TierLimits} options.tierLimits - resolves owners, tiers and quotas
+	 * @param {Function} [options.periodOf] - async (req) => { start, end } of the caller's billing period
+	 */
+	constructor({ store, tierLimits, periodOf = async () => calendarMonth() }) {
+		this.store = store;
+		this.tierLimits = tierLimits;
+		this.periodOf = periodOf;
+	}
+
+	async record(req, metric, amount = 1) {
+		if (!(amount > 0)) {
+			return;
+		}
+		await this.store.add(this.tierLimits.ownerOf(req), await this.periodOf(req), metric, amount);
+	}
+
+	// Recording never fails a request that already did its work
+	recordQuietly(req, metric, amount) {
+		this.record(req, metric, amount).catch(error => console.error(`❌ Could not record ${metric} usage:`, error.message));
+	}
+
+	/**
+	 * Usage, quota and remaining amount of every metric in the caller's current period
+	 * @returns {Promise<Object>} { tier, period, metrics: { name: { used, limit, remaining } } }; null means unlimited
+	 */
+	async usage(req) {
+		const period = await this.periodOf(req);
+		const used = await this.store.get(this.tierLimits.ownerOf(req), period);
+		const metrics = {};
+		for (const metric of USAGE_METRICS) {
+			const limit = this.tierLimits.max(req, metric);
+			const amount = Math.round((used[metric] || 0) * 100) / 100;
+			metrics[metric] = {
+				used: amount,
+				limit: Number.isFinite(limit) ? limit : null,
+				remaining: Number.isFinite(limit) ? Math.max(0, limit - amount) : null
+			};
+		}
+		return { tier: this.tierLimits.tierOf(req), period, metrics };
+	}
+
+	/**
+	 * The first of `metrics` the caller has used up, as upgrade details, or null
+	 */
+	async check(req, metrics) {
+		const limited = metrics.filter(metric => Number.isFinite(this.tierLimits.max(req, metric)));
+		if (limited.length === 0) {
+			return null;
+		}
+
+		const period = await this.periodOf(req);
+		const used = await this.store.get(this.tierLimits.ownerOf(req), period);
+		const exhausted = limited.find(metric => (used[metric] || 0) >= this.tierLimits.max(req, metric));
+		return exhausted
+			? { ...this.tierLimits.upgrade(req, exhausted, (used[exhausted] || 0) + 1), used: used[exhausted] || 0, resetsAt: period.end }
+			: null;
+	}
+
+	/**
+	 * Express middleware
+	 * @param {Function} resolveMetrics - (req) => metrics the route consumes, or null
+	 */
+	middleware(resolveMetrics) {
+		return async (req, res, next) => {
+			const metrics = resolveMetrics(req);
+			if (!metrics || metrics.length === 0) {
+				return next();
+			}
+
+			let exhausted;
+			try {
+				exhausted = await this.check(req, metrics);
+			} catch (error) {
+				// A broken store must not take the API down with it
+				console.error('❌ Usage check failed:', error.message);
+				return next();
+			}
+
+			if (!exhausted) {
+				return next();
+			}
+			res.status(403).json(UsageMeter.quotaExceeded(exhausted));
+		};
+	}
+
+	/**
+	 * v1 body for a request refused over a quota
+	 */
+	static quotaExceeded(details) {
+		return {
+			success: false,
+			error: { message: details.message, code: 'QUOTA_EXCEEDED', details }
+		};
+	}
+}
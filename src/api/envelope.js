@@ -0,0 +1,145 @@
+/**
+ * API v2 response envelope
+ *
+ * v2 routes share the v1 handlers. The envelope middleware rewrites each JSON body
+ * into { data, error, meta } on the way out and gives failures a proper status:
+ * v1 answers some failures with 200 and success false, so handlers record the
+ * error code in res.locals.errorCode, leaving the v1 body untouched. The code's
+ * documented status wins over the status the v1 handler chose.
+ */
+
+/**
+ * Documented error codes and their HTTP status
+ */
+export const ERROR_CODES = {
+	VALIDATION_ERROR: { status: 400, description: 'Path parameters, query string or body do not match the route definition' },
+	INVALID_JSON: { status: 400, description: 'The request body is not valid JSON' },
+	INVALID_REQUEST: { status: 400, description: 'A value is well-formed but unusable, e.g. a stale cursor or a bad node ID' },
+	QUERY_ERROR: { status: 400, description: 'Kùzu rejected the query (parser, binder or runtime error)' },
+	INVALID_BACKUP_NAME: { status: 400, description: 'Backup names are plain file names' },
+	INVALID_BACKUP_FORMAT: { status: 400, description: 'Unknown backup format, or a file backup where a logical one is needed' },
+	INVALID_BACKUP_POLICY: { status: 400, description: 'The backup policy change is invalid; details lists each problem' },
+	UNAUTHORIZED: { status: 401, description: 'Missing, malformed or expired bearer token' },
+	FORBIDDEN: { status: 403, description: 'The request is not allowed' },
+	UPGRADE_REQUIRED: { status: 403, description: 'The subscription tier does not include this feature or allow this many open graphs; details name the tiers that do' },
+	QUOTA_EXCEEDED: { status: 403, description: 'A usage quota of the subscription tier is used up for this billing period; details say when it resets' },
+	READ_ONLY: { status: 403, description: 'The session is read-only; unlock editing first' },
+	TARGET_NOT_ALLOWED: { status: 403, description: 'The import target is outside the session database directory and the backup directory' },
+	EDIT_LOCKED: { status: 403, description: 'Editing could not be unlocked (wrong or missing token)' },
+	NOT_FOUND: { status: 404, description: 'No route matches the method and path' },
+	SESSION_NOT_FOUND: { status: 404, description: 'Unknown database session' },
+	UNKNOWN_TABLE: { status: 404, description: 'A node or relationship table named in the request does not exist' },
+	NODE_NOT_FOUND: { status: 404, description: 'No node with this ID' },
+	QUERY_NOT_FOUND: { status: 404, description: 'No running query with this ID' },
+	BACKUP_NOT_FOUND: { status: 404, description: 'No backup with this name on any storage target' },
+	TIMEOUT: { status: 408, description: 'The request ran past its deadline' },
+	CONFLICT: { status: 409, description: 'The request conflicts with the current state' },
+	SESSION_LIMIT: { status: 409, description: 'Too many open sessions' },
+	DUPLICATE_QUERY_ID: { status: 409, description: 'A running query already uses this ID' },
+	QUERY_CANCELLED: { status: 409, description: 'The query was cancelled before it completed' },
+	BACKUP_BUSY: { status: 409, description: 'A backup or restore is already running' },
+	BACKUP_CORRUPT: { status: 409, description: 'The backup does not match its manifest' },
+	BACKUP_UNVERIFIED: { status: 409, description: 'The backup has no manifest; pass force to restore it anyway' },
+	BACKUP_OTHER_DATABASE: { status: 409, description: 'The backup was taken from another database; pass allowOtherDatabase to restore it anyway' },
+	TARGET_EXISTS: { status: 409, description: 'The import target directory already exists' },
+	CONNECT_FAILED: { status: 422, description: 'The database at dbPath could not be opened' },
+	RATE_LIMITED: { status: 429, description: 'A rate limit for this route ran out; retry after Retry-After seconds' },
+	INTERNAL_ERROR: { status: 500, description: 'Unexpected server error' },
+	IMPORT_FAILED: { status: 500, description: 'Replaying a logical backup failed' },
+	REOPEN_FAILED: { status: 500, description: 'The restored database could not be opened; the previous one was put back' },
+	STORAGE_ERROR: { status: 502, description: 'A remote backup target or the subscription store failed' },
+	UPSTREAM_ERROR: { status: 502, description: 'The speech or language model service failed' },
+	NOT_CONNECTED: { status: 503, description: 'The session has no open database; call POST /api/v2/connect' },
+	DATABASE_OFFLINE: { status: 503, description: 'The database is briefly offline for a restore' },
+	SNAPSHOT_FAILED: { status: 503, description: 'The pre-mutation snapshot failed, so the write did not run' },
+	SERVICE_UNAVAILABLE: { status: 503, description: 'A required service is not configured' },
+	QUERY_TIMEOUT: { status: 504, description: 'The query ran past its timeout and was stopped' }
+};
+
+// Code for failures that carry only a status
+const STATUS_CODES = {
+	400: 'INVALID_REQUEST',
+	401: 'UNAUTHORIZED',
+	403: 'FORBIDDEN',
+	404: 'NOT_FOUND',
+	408: 'TIMEOUT',
+	409: 'CONFLICT',
+	429: 'RATE_LIMITED',
+	503: 'SERVICE_UNAVAILABLE'
+};
+
+/**
+ * HTTP status for an error code
+ */
+export function errorStatus(code, fallback = 500) {
+	return ERROR_CODES[code]?.status ?? fallback;
+}
+
+// Response fields that become meta rather than data
+const META_FIELDS = ['success', 'error', 'timestamp', 'message', 'metadata'];
+
+/**
+ * Translate a v1 response into the v2 envelope
+ * @param {number} status - status the v1 handler set
+ * @param {*} body - v1 JSON body
+ * @param {string|null} errorCode - code the handler recorded in res.locals.errorCode
+ * @returns {{ status: number, envelope: { data, error, meta } }}
+ */
+export function toEnvelope(status, body, errorCode = null) {
+	const isObject = body !== null && typeof body === 'object' && !Array.isArray(body);
+	const failed = status >= 400 || Boolean(errorCode) || (isObject && body.success === false);
+	const meta = { apiVersion: 'v2', timestamp: (isObject && body.timestamp) || new Date().toISOString() };
+
+	if (!isObject) {
+		return failed
+			? { status: status >= 400 ? status : 500, envelope: { data: null, error: { code: STATUS_CODES[status] || 'INTERNAL_ERROR', message: String(body), details: null }, meta } }
+			: { status, envelope: { data: body, error: null, meta } };
+	}
+
+	if (failed) {
+		const nested = body.error && typeof body.error === 'object' ? body.error : {};
+		const code = errorCode || nested.code || body.code || STATUS_CODES[status] || 'INTERNAL_ERROR';
+		const extra = Object.fromEntries(Object.entries(nested).filter(([key]) => !['message', 'code', 'details'].includes(key)));
+		const message = nested.message ||
+			(typeof body.error === 'string' ? body.error : null) ||
+			body.message ||
+			body.errors?.[0]?.message ||
+			'Request failed';
+		const details = nested.details ?? body.details ?? body.verification ?? (Object.keys(extra).length > 0 ? extra : null);
+		// A code recorded by the handler decides the status; otherwise keep the v1 error status
+		const fallback = status >= 400 ? status : 500;
+		return {
+			status: errorCode || status < 400 ? errorStatus(code, fallback) : status,
+			envelope: { data: null, error: { code, message, details }, meta }
+		};
+	}
+
+	const rest = Object.fromEntries(Object.entries(body).filter(([key]) => !META_FIELDS.includes(key)));
+	if (body.message) meta.message = body.message;
+	if (body.metadata) Object.assign(meta, body.metadata);
+
+	// Bodies that already wrap their payload ({ success, data, metadata }) are not wrapped twice
+	const keys = Object.keys(rest);
+	const data = keys.length === 1 && keys[0] === 'data' ? rest.data : rest;
+	return { status, envelope: { data, error: null, meta } };
+}
+
+/**
+ * Middleware that envelopes JSON responses of v2 requests
+ * @param {Function} isRaw - (req) => true for responses sent as is (e.g. the OpenAPI document)
+ */
+export function createEnvelopeMiddleware(isRaw = () => false) {
+	return (req, res, next) => {
+		if (req.apiVersion !== 'v2' || isRaw(req)) {
+			return next();
+		}
+
+		const json = res.json.bind(res);
+		res.json = (body) => {
+			const { status, envelope } = toEnvelope(res.statusCode, body, res.locals.errorCode);
+			res.status(status);
+			return json(envelope);
+		};
+		next();
+	};
+}
@@ -0,0 +1,502 @@
+/**
+ * Route definitions for the HTTP API
+ * The single source for the OpenAPI document (/api/openapi.json) and for request
+ * validation; see ApiContract. Handlers stay in server.js and are matched to these
+ * entries by method and path, so adding a route means adding its entry here.
+ * /api/v2/<path> serves the same entries; raw routes skip the v2 envelope,
+ * rateLimit names the policy in src/api/RateLimiter.js that throttles the route, and
+ * feature the SUBSCRIPTION_TIERS feature a signed-in user needs (src/api/Authenticator.js),
+ * admin marks routes only administrators may call, and usage the metered quotas the
+ * route consumes (src/api/UsageMeter.js).
+ */
+
+const string = (extra = {}) => ({ type: 'string', ...extra });
+const integer = (extra = {}) => ({ type: 'integer', ...extra });
+const boolean = (extra = {}) => ({ type: 'boolean', ...extra });
+const object = (properties = {}, required = [], extra = {}) => ({
+	type: 'object',
+	properties,
+	...(required.length > 0 ? { required } : {}),
+	...extra
+});
+
+// Comma-separated in query strings, or a JSON array in bodies
+const nameList = (description) => ({
+	anyOf: [string(), { type: 'array', items: string() }],
+	description
+});
+
+const notConnected = 'Returned with success false when the session has no open database';
+
+/**
+ * @param {Object} options
+ * @param {string[]} options.backupFormats - accepted backup formats
+ * @param {string[]} options.querySortKeys - sort keys of /api/metrics/queries
+ * @returns {Array<Object>} route definitions for ApiContract
+ */
+export function createApiRoutes({ backupFormats, querySortKeys }) {
+	const cypherOptions = object({
+		limit: integer({ minimum: 1, description: 'Row limit appended when the query has none (default 1000)' }),
+		timeout: integer({ minimum: 1, description: 'Query timeout in ms, capped by the request timeout' }),
+		format: string({ description: '"vr" for graph nodes and edges, anything else for raw rows' }),
+		chunkSize: integer({ minimum: 1, description: 'Rows per streamed chunk (stream only)' }),
+		queryId: string(),
+		parameterTypes: object({}, [], { additionalProperties: string() })
+	});
+
+	const cypherBody = object({
+		query: string({ minLength: 1 }),
+		parameters: object({}, [], { additionalProperties: true, description: 'Bound through a prepared statement' }),
+		parameterTypes: object({}, [], { additionalProperties: string(), description: 'Kùzu types for parameters, e.g. { "age": "INT64" }' }),
+		options: cypherOptions,
+		queryId: string({ description: 'Caller-chosen ID, usable with DELETE /api/cypher/queries/{id}' })
+	}, ['query']);
+
+	const edgeFilters = {
+		types: nameList('Relationship tables to read'),
+		nodeIds: nameList('Only edges whose endpoints are both in this set'),
+		where: {
+			anyOf: [
+				string(),
+				{ type: 'array', items: { anyOf: [string(), object()] } },
+				object()
+			],
+			description: 'Property predicates such as since>=2018, or { property, op, value } objects'
+		},
+		limit: integer({ minimum: 1, description: 'Maximum edges per relationship type (at most 10000)' })
+	};
+
+	const backupName = object({ name: string({ pattern: '^[A-Za-z0-9._-]+$' }) });
+
+	return [
+		// Sessions
+		{
+			method: 'post',
+			path: '/api/connect',
+			tags: ['Sessions'],
+			session: true,
+			summary: 'Open a database session',
+			description: 'Opens a new session on dbPath. With the X-Session-Id of an open session, points that session at dbPath instead. ' +
+				'Each distinct database the caller has open counts against their tier\'s maxGraphs.',
+			body: object({
+				dbPath: string({ minLength: 1 }),
+				name: string(),
+				readOnly: boolean()
+			}, ['dbPath']),
+			responses: {
+				200: 'Connected, or success false when the database could not be opened',
+				403: 'The tier\'s maxGraphs is reached (UPGRADE_REQUIRED)',
+				409: 'Session limit reached'
+			}
+		},
+		{
+			method: 'get',
+			path: '/api/sessions',
+			tags: ['Sessions'],
+			summary: 'List the caller\'s open sessions',
+			description: 'Sessions belong to the signed-in user, or to the client IP for anonymous callers; other callers\' sessions are not listed.'
+		},
+		{
+			method: 'get',
+			path: '/api/sessions/:id',
+			tags: ['Sessions'],
+			summary: 'Describe a session',
+			params: object({ id: string() }),
+			responses: { 200: 'Session', 404: 'Unknown session, or another caller\'s' }
+		},
+		{
+			method: 'delete',
+			path: '/api/sessions/:id',
+			tags: ['Sessions'],
+			summary: 'Close a session',
+			description: 'The database closes with its last session.',
+			params: object({ id: string() }),
+			responses: { 200: 'Session closed', 404: 'Unknown session, or another caller\'s' }
+		},
+		{ method: 'get', path: '/api/edit-mode', tags: ['Sessions'], session: true, summary: 'Edit mode of the session', responses: { 200: notConnected } },
+		{
+			method: 'post',
+			path: '/api/edit-mode',
+			tags: ['Sessions'],
+			session: true,
+			summary: 'Unlock writes for the session',
+			description: 'Without an EDIT_UNLOCK_TOKEN, a session opened with readOnly only unlocks for the caller that opened it.',
+			body: object({ token: string({ description: 'EDIT_UNLOCK_TOKEN, when the server sets one' }) }),
+			responses: { 200: 'Editing unlocked', 403: 'Wrong or missing unlock token, or not the session owner' }
+		},
+		{ method: 'delete', path: '/api/edit-mode', tags: ['Sessions'], session: true, summary: 'Return the session to read-only' },
+
+		// Graph data
+		{
+			method: 'get',
+			path: '/api/nodes',
+			tags: ['Graph'],
+			session: true,
+			summary: 'Sample nodes of every node table',
+			usage: ['nodesRendered'],
+			description: 'limit and perType are cut down to the tier\'s maxNodes; the response then carries tierLimit.',
+			query: object({
+				limit: integer({ minimum: 1, description: 'Total nodes per page (default 500)' }),
+				table: nameList('Node tables to read (default all)'),
+				perType: integer({ minimum: 1, description: 'Nodes per table (default limit / tables)' }),
+				cursor: string({ description: 'nextCursor of the previous page' })
+			}),
+			responses: { 200: `Nodes and nextCursor. ${notConnected}` }
+		},
+		{
+			method: 'get',
+			path: '/api/nodes/:id/neighbors',
+			tags: ['Graph'],
+			session: true,
+			summary: 'Expand the neighbourhood of a node',
+			usage: ['nodesRendered'],
+			description: 'maxNodes is cut down to the tier\'s maxNodes; a truncated response then carries tierLimit.',
+			params: object({ id: string({ description: 'Client node ID, e.g. Person_0' }) }),
+			query: object({
+				depth: integer({ description: 'Hops, clamped to 1-3 (default 1)' }),
+				limit: integer({ description: 'Neighbours per node, clamped to 1-500 (default 25)' }),
+				maxNodes: integer({ description: 'Total node cap, clamped to 1-5000 (default 500)' }),
+				direction: string({ enum: ['out', 'in', 'both'] }),
+				types: nameList('Relationship tables to follow (default all)')
+			})
+		},
+		{
+			method: 'get',
+			path: '/api/edges',
+			tags: ['Graph'],
+			session: true,
+			summary: 'Read relationships',
+			description: 'limit is cut down to the tier\'s maxNodes; the response then carries tierLimit.',
+			query: object(edgeFilters)
+		},
+		{
+			method: 'post',
+			path: '/api/edges',
+			tags: ['Graph'],
+			session: true,
+			summary: 'Read relationships (filters in the body, for long node lists)',
+			body: object(edgeFilters)
+		},
+		{
+			method: 'get',
+			path: '/api/schema',
+			tags: ['Graph'],
+			session: true,
+			summary: 'Node and relationship tables with typed properties and row counts'
+		},
+
+		// Cypher
+		{
+			method: 'post',
+			path: '/api/cypher/execute',
+			tags: ['Cypher'],
+			session: true,
+			summary: 'Run a Cypher query',
+			description: 'Results over the tier\'s maxNodes keep the first maxNodes nodes and the edges between them; metadata.tierLimit says so.',
+			rateLimit: 'query',
+			usage: ['cypherQueries', 'nodesRendered'],
+			body: cypherBody,
+			responses: {
+				200: 'Query results, or success false with the Kùzu error',
+				403: 'Write refused by a read-only session, or a usage quota is used up (QUOTA_EXCEEDED)',
+				503: 'Pre-mutation snapshot failed, the write did not run'
+			}
+		},
+		{
+			method: 'post',
+			path: '/api/cypher/stream',
+			tags: ['Cypher'],
+			session: true,
+			summary: 'Stream query results as NDJSON or Server-Sent Events',
+			rateLimit: 'query',
+			usage: ['cypherQueries', 'nodesRendered'],
+			query: object({ format: string({ enum: ['ndjson', 'sse'] }) }),
+			body: cypherBody,
+			responseContentType: 'application/x-ndjson',
+			responses: { 200: 'One JSON record per line: chunk records of nodes and edges, then metadata or error', 403: 'Write refused by a read-only session, or a usage quota is used up (QUOTA_EXCEEDED)', 503: 'Not connected' }
+		},
+		{
+			method: 'get',
+			path: '/api/cypher/stream',
+			tags: ['Cypher'],
+			session: true,
+			summary: 'Stream query results (EventSource form)',
+			rateLimit: 'query',
+			usage: ['cypherQueries', 'nodesRendered'],
+			query: object({
+				query: string({ minLength: 1 }),
+				parameters: string({ description: 'Query parameters as JSON' }),
+				chunkSize: integer({ minimum: 1 }),
+				limit: integer({ minimum: 1 }),
+				queryId: string(),
+				format: string({ enum: ['ndjson', 'sse'] })
+			}, ['query']),
+			responseContentType: 'text/event-stream',
+			responses: { 200: 'Event stream', 403: 'Write refused by a read-only session, or a usage quota is used up (QUOTA_EXCEEDED)', 503: 'Not connected' }
+		},
+		{ method: 'get', path: '/api/cypher/queries', tags: ['Cypher'], session: true, summary: 'Running queries of the session' },
+		{
+			method: 'delete',
+			path: '/api/cypher/queries/:id',
+			tags: ['Cypher'],
+			session: true,
+			summary: 'Cancel a running query',
+			description: 'Releases the caller and stops reading rows. Kùzu cannot interrupt a statement that is already executing, so it runs until its query timeout; runsUntil says when.',
+			params: object({ id: string() }),
+			responses: { 200: 'Query cancelled; runsUntil is set while the statement still executes', 404: 'No running query with this ID' }
+		},
+		{
+			method: 'post',
+			path: '/api/cypher/validate',
+			tags: ['Cypher'],
+			session: true,
+			summary: 'Check a query without running it',
+			body: object({ query: string({ minLength: 1 }) }, ['query'])
+		},
+		{ method: 'get', path: '/api/cypher/templates', tags: ['Cypher'], session: true, summary: 'Example queries' },
+		{ method: 'get', path: '/api/cypher/cache', tags: ['Cypher'], session: true, summary: 'Result cache statistics' },
+		{ method: 'delete', path: '/api/cypher/cache', tags: ['Cypher'], session: true, summary: 'Clear the result cache' },
+		{ method: 'get', path: '/api/cypher/history', tags: ['Cypher'], session: true, summary: 'Recent queries of the session' },
+		{
+			method: 'post',
+			path: '/api/cypher/fromText',
+			tags: ['Cypher'],
+			summary: 'Translate natural language into Cypher',
+			rateLimit: 'openai',
+			feature: 'aiLayouts',
+			body: object({
+				text: string({ minLength: 1 }),
+				context: object({}, [], { additionalProperties: true })
+			}, ['text']),
+			responses: {
+				200: 'Generated query, or isLayoutCommand for layout phrases',
+				403: 'aiLayouts not in the tier (UPGRADE_REQUIRED), or the nlConversions or aiLayouts quota is used up (QUOTA_EXCEEDED)',
+				503: 'OPENAI_API_KEY is not set'
+			}
+		},
+
+		// Voice
+		{ method: 'get', path: '/api/voice/debug', tags: ['Voice'], summary: 'Speech-to-text configuration' },
+		{ method: 'get', path: '/api/voice/test', tags: ['Voice'], summary: 'Check the OpenAI connection', rateLimit: 'openai', feature: 'voiceCommands' },
+		{
+			method: 'post',
+			path: '/api/voice/transcribe',
+			tags: ['Voice'],
+			summary: 'Transcribe recorded audio',
+			rateLimit: 'openai',
+			feature: 'voiceCommands',
+			usage: ['audioSeconds'],
+			bodyContentType: 'multipart/form-data',
+			body: object({ audio: string({ format: 'binary', description: 'Audio file, up to 25 MB' }) }, ['audio']),
+			responses: { 200: 'Transcript', 400: 'No audio file', 503: 'OPENAI_API_KEY is not set' }
+		},
+
+		// Operations
+		{
+			method: 'post',
+			path: '/api/log',
+			tags: ['Operations'],
+			summary: 'Forward a client log line to the server console',
+			body: object({
+				level: string({ description: 'info, warn, error or debug' }),
+				message: {},
+				data: {}
+			})
+		},
+		{ method: 'get', path: '/api/health', tags: ['Operations'], session: true, summary: 'Liveness and database status', responses: { 200: 'Healthy', 503: 'Unhealthy' } },
+		{ method: 'get', path: '/api/health/detailed', tags: ['Operations'], session: true, summary: 'Health with memory, pool and service details', responses: { 200: 'Healthy', 503: 'Unhealthy' } },
+		{ method: 'get', path: '/api/info', tags: ['Operations'], summary: 'API name, versions and features' },
+		{
+			method: 'get',
+			path: '/api/openapi.json',
+			tags: ['Operations'],
+			summary: 'This document',
+			description: '/api/v2/openapi.json describes the v2 paths and their { data, error, meta } envelope.',
+			raw: true
+		},
+		{
+			method: 'get',
+			path: '/api/me',
+			tags: ['Operations'],
+			summary: 'The signed-in user and the features of their subscription tier',
+			responses: { 200: 'User, tier, and limits with the number of graphs open, or authenticated false', 401: 'Invalid or expired bearer token' }
+		},
+		{
+			method: 'get',
+			path: '/api/rate-limits',
+			tags: ['Operations'],
+			summary: 'Rate-limit policies, the routes they cover and the caller\'s remaining tokens'
+		},
+
+		{
+			method: 'get',
+			path: '/api/usage',
+			tags: ['Billing'],
+			summary: 'The caller\'s usage this billing period against their tier\'s quotas',
+			description: 'Metrics: nodesRendered, cypherQueries, audioSeconds, nlConversions, aiLayouts. ' +
+				'The period is the Stripe subscription\'s, or the calendar month (UTC). limit and remaining are null when unlimited.'
+		},
+
+		// Billing (the Stripe handlers in lambda/stripe)
+		{
+			method: 'post',
+			path: '/api/create-checkout-session',
+			tags: ['Billing'],
+			summary: 'Start a Stripe Checkout session for a paid tier',
+			description: 'Needs a signed-in user. priceId must be the tier\'s Stripe price.',
+			body: object({
+				priceId: string({ minLength: 1 }),
+				tier: string({ enum: ['pro', 'enterprise'] })
+			}, ['priceId', 'tier']),
+			responses: {
+				200: '{ sessionId, url } of the Checkout session',
+				400: 'Unknown tier or a price that does not belong to it',
+				401: 'Not signed in',
+				503: 'Billing is not configured'
+			}
+		},
+		{
+			method: 'post',
+			path: '/api/stripe-webhook',
+			tags: ['Billing'],
+			summary: 'Stripe webhook endpoint',
+			description: 'Verified with the Stripe-Signature header and STRIPE_WEBHOOK_SECRET. Each event ID is processed once; ' +
+				'redeliveries are acknowledged with duplicate true.',
+			raw: true,
+			responses: { 200: '{ received: true }', 400: 'Invalid signature', 500: 'Processing failed; Stripe retries the event' }
+		},
+		{
+			method: 'get',
+			path: '/api/subscription',
+			tags: ['Billing'],
+			summary: 'The caller\'s subscription: enforced tier, Stripe status and billing period',
+			responses: { 200: 'Subscription, status inactive when there is none', 401: 'Not signed in' }
+		},
+		{
+			method: 'get',
+			path: '/api/subscription-status',
+			tags: ['Billing'],
+			summary: 'Alias of /api/subscription',
+			responses: { 200: 'Subscription, status inactive when there is none', 401: 'Not signed in' }
+		},
+		{ method: 'get', path: '/api/metrics', tags: ['Metrics'], session: true, summary: 'Request, query and system metrics' },
+		{ method: 'get', path: '/api/metrics/summary', tags: ['Metrics'], session: true, summary: 'Metrics summary for dashboards' },
+		{
+			method: 'get',
+			path: '/api/metrics/queries',
+			tags: ['Metrics'],
+			summary: 'Query shapes ranked by cost, from the slow-query log',
+			query: object({
+				sort: string({ enum: querySortKeys }),
+				limit: integer({ minimum: 1 }),
+				slow: boolean({ description: 'Only shapes that were slow at least once' })
+			})
+		},
+		{ method: 'post', path: '/api/metrics/reset', tags: ['Metrics'], admin: true, summary: 'Reset in-memory metrics' },
+		{
+			method: 'get',
+			path: '/metrics',
+			operationId: 'getPrometheusMetrics',
+			tags: ['Metrics'],
+			summary: 'Prometheus scrape endpoint',
+			responseContentType: 'text/plain'
+		},
+
+		// Backups
+		{ method: 'get', path: '/api/backup/status', tags: ['Backups'], summary: 'Backup, schedule and restore status' },
+		{ method: 'get', path: '/api/backup/list', tags: ['Backups'], summary: 'Backups on every storage target' },
+		{
+			method: 'post',
+			path: '/api/backup/create',
+			tags: ['Backups'],
+			admin: true,
+			session: true,
+			summary: 'Back up the session database',
+			body: object({
+				description: string(),
+				format: string({ enum: backupFormats, description: 'files copies the database directory; csv and parquet are logical exports' })
+			}),
+			responses: { 200: 'Backup metadata and locations', 409: 'A backup or restore is already running' }
+		},
+		{
+			method: 'get',
+			path: '/api/backup/:name/verify',
+			tags: ['Backups'],
+			summary: 'Check a backup against its manifest',
+			params: backupName,
+			responses: { 200: 'Verification result', 404: 'Unknown backup' }
+		},
+		{
+			method: 'post',
+			path: '/api/backup/:name/restore',
+			tags: ['Backups'],
+			admin: true,
+			session: true,
+			summary: 'Restore a backup over the session database',
+			params: backupName,
+			body: object({
+				force: boolean({ description: 'Allow a backup without a manifest; never one that fails verification' }),
+				keepPrevious: boolean({ description: 'Keep the replaced database directory' }),
+				allowOtherDatabase: boolean({ description: 'Restore over the session database even though the backup was taken from another one' })
+			}),
+			responses: { 200: 'Restored', 403: 'Not an administrator, or a read-only server or session', 404: 'Unknown backup', 409: 'A backup or restore is already running, or the backup belongs to another database', 503: 'Not connected, for callers other than administrators' }
+		},
+		{
+			method: 'post',
+			path: '/api/backup/:name/import',
+			tags: ['Backups'],
+			admin: true,
+			session: true,
+			summary: 'Import a CSV or Parquet backup into a new database',
+			params: backupName,
+			body: object({ dbPath: string({ pattern: '\\S', description: 'Directory for the new database, inside the session database\'s directory or the backup directory; must not exist' }) }, ['dbPath']),
+			responses: { 200: 'Imported', 403: 'Not an administrator, a read-only server or session, or a target outside the allowed directories', 404: 'Unknown backup', 409: 'Target exists', 503: 'Not connected' }
+		},
+		{ method: 'get', path: '/api/backup/policy', tags: ['Backups'], summary: 'Schedules, retention and pre-mutation snapshot policy' },
+		{
+			method: 'put',
+			path: '/api/backup/policy',
+			tags: ['Backups'],
+			admin: true,
+			session: true,
+			summary: 'Change the backup policy',
+			description: 'Omitted sections keep their current values.',
+			body: object({
+				schedules: {
+					type: 'array',
+					items: object({
+						id: string({ pattern: '^[A-Za-z0-9._-]+$' }),
+						cron: string({ description: 'Five-field cron expression or @daily-style shorthand' }),
+						format: string({ enum: backupFormats }),
+						enabled: boolean(),
+						description: string(),
+						dbPath: string()
+					}, ['cron'])
+				},
+				retention: object({
+					keepLast: integer({ minimum: 1 }),
+					daily: integer({ minimum: 0 }),
+					weekly: integer({ minimum: 0 }),
+					monthly: integer({ minimum: 0 })
+				}),
+				preMutation: object({
+					enabled: boolean(),
+					triggers: { type: 'array', minItems: 1, items: string({ minLength: 1 }) },
+					minIntervalMinutes: { type: 'number', minimum: 0 },
+					format: string({ enum: backupFormats })
+				})
+			}),
+			responses: { 200: 'Updated policy', 403: 'Not an administrator, or a read-only server or session' }
+		},
+		{
+			method: 'post',
+			path: '/api/backup/prune',
+			tags: ['Backups'],
+			admin: true,
+			session: true,
+			summary: 'Apply the retention policy now',
+			description: 'Retention counts apply to each database\'s backups separately.',
+			responses: { 200: 'Pruned backups', 403: 'Not an administrator, or a read-only server or session' }
+		}
+	];
+}
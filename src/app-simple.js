@@ -4,8 +4,10 @@ import * as THREE from 'three';
 import { DataService } from './services/DataService.js';
 import { DebugPanel } from './components/DebugPanel.js';
 import { EdgeManager } from './managers/EdgeManager.js';
+import { ErrorHandler } from './utils/ErrorHandler.js';
 import { NodeManager } from './managers/NodeManager.js';
 import { SceneManager } from './managers/SceneManager.js';
+import { SchemaGraphLayout } from './layouts/SchemaGraphLayout.js';
 import { UIManagerBasic } from './managers/UIManagerBasic.js';
 import { UI_CONFIG } from './constants/index.js';
 import { VoiceInput } from './components/VoiceInput.js';
@@ -13,7 +15,6 @@ import { debugManager } from './utils/DebugManager.js';
 import { init } from './init.js';
 import { logger } from './utils/Logger.js';
 import { remoteLogger } from './utils/RemoteLogger.js';
-import { ErrorHandler } from './utils/ErrorHandler.js';
 
 class KuzuVRApp {
 	constructor() {
@@ -61,6 +62,7 @@ class KuzuVRApp {
 		// Initialize UI Manager only for VR/AR mode
 		if (!isDesktopMode) {
 			this.uiManager = new UIManagerBasic(scene, camera, renderer, handTracking);
+			this.uiManager.onNodeSelected = (node) => this.handleNodeSelected(node);
 		} else {
 			// Create a minimal UI manager for desktop mode
 			this.uiManager = {
@@ -452,13 +454,19 @@ class KuzuVRApp {
 				return;
 			}
 			
+			if (this.isCancelCommand(transcript)) {
+				await this.cancelActiveQuery();
+				return;
+			}
+			
+			if (await this.handleSchemaCommand(transcript)) {
+				return;
+			}
+			
 			try {
 				// Get schema for better query generation
 				const schemaResult = await this.dataService.getSchema();
-				const schema = schemaResult.success ? {
-					nodeTypes: schemaResult.schema.nodeTypes?.map(nt => nt.name) || [],
-					relationshipTypes: schemaResult.schema.relationshipTypes?.map(rt => rt.name) || []
-				} : null;
+				const schema = schemaResult.success ? schemaResult.schema : null;
 				
 				// Use OpenAI API key from voice backend if available
 				const nlService = new NaturalLanguageService(null); // API key handled by backend
@@ -474,17 +482,10 @@ class KuzuVRApp {
 				const cypherQuery = await nlService.convertToCypher(transcript, schema);
 				logger.info('Generated Cypher query:', cypherQuery);
 				
-				// Execute the query
-				const queryResult = await this.dataService.executeCypherQuery(cypherQuery);
-				
-				if (queryResult.success) {
-					// Update visualization with query results
-					await this.updateVisualizationFromQuery(queryResult, transcript);
-				} else {
-					logger.error('Query execution failed:', queryResult.error);
-					if (this.voiceInput) {
-						this.voiceInput.showTranscriptText(`Query failed: ${queryResult.error.message}`);
-					}
+				// Stream the results into the scene
+				const queryResult = await this.streamCypherQuery(cypherQuery);
+				if (!queryResult?.success) {
+					logger.error('Query execution failed:', queryResult?.error);
 				}
 				
 			} catch (error) {
@@ -641,8 +642,10 @@ class KuzuVRApp {
 				label: node.label
 			}));
 			
-			// Load edges
-			const edgesResult = await this.dataService.getEdges();
+			// Load only edges between the loaded nodes
+			const edgesResult = await this.dataService.getEdges({
+				nodeIds: nodes.map(node => node.id)
+			});
 			
 			// Store data for later if scene isn't ready
 			if (!this.nodeManager || !this.edgeManager) {
@@ -697,9 +700,18 @@ class KuzuVRApp {
 	async processVoiceCommand(transcript) {
 		logger.info('Processing voice command:', transcript);
 		
+		if (this.isCancelCommand(transcript)) {
+			await this.cancelActiveQuery();
+			return;
+		}
+		
+		if (await this.handleSchemaCommand(transcript)) {
+			return;
+		}
+		
 		try {
 			// First, convert natural language to Cypher
-			const response = await fetch('/api/cypher/fromText', {
+			const response = await fetch(`${this.dataService.apiUrl}/cypher/fromText`, {
 				method: 'POST',
 				headers: { 'Content-Type': 'application/json' },
 				body: JSON.stringify({ text: transcript })
@@ -730,8 +742,8 @@ class KuzuVRApp {
 			const { cypher } = result;
 			logger.info('Converted to Cypher:', cypher);
 			
-			// Execute the Cypher query
-			await this.executeCypherQuery(cypher);
+			// Stream the Cypher query results into the scene
+			await this.streamCypherQuery(cypher);
 			
 		} catch (error) {
 			logger.error('Failed to process voice command:', error);
@@ -1061,80 +1073,6 @@ class KuzuVRApp {
 		}
 	}
 	
-	/**
-	 * Update the 3D visualization with results from a Cypher query
-	 */
-	async updateVisualizationFromQuery(queryResult, originalTranscript) {
-		logger.info('Updating visualization from query result');
-		
-		if (!queryResult.nodes || queryResult.nodes.length === 0) {
-			logger.warn('No nodes in query result');
-			if (this.voiceInput) {
-				this.voiceInput.showTranscriptText('No results found');
-			}
-			return;
-		}
-		
-		try {
-			// Clear existing visualization
-			if (this.nodeManager) {
-				this.nodeManager.clearNodes();
-			}
-			if (this.edgeManager) {
-				this.edgeManager.clearEdges();
-			}
-			
-			// Transform query result nodes to visualization format
-			const nodes = queryResult.nodes.map((node, index) => ({
-				id: node.id || node.properties?.id || index,
-				data: node.properties || {},
-				label: node.properties?.name || node.properties?.label || node.label || `Node ${index}`,
-				type: node.type || 'Unknown'
-			}));
-			
-			logger.info(`Creating visualization with ${nodes.length} nodes`);
-			
-			// Create nodes in 3D space
-			if (this.nodeManager) {
-				this.nodeManager.createNodes(nodes);
-			}
-			
-			// Update legend
-			if (this.uiManager && this.uiManager.legend && !this.isDesktopMode) {
-				this.uiManager.legend.updateNodeTypes(nodes);
-			} else if (this.isDesktopMode && window.updateDesktopLegend) {
-				window.updateDesktopLegend(nodes);
-			}
-			
-			// Create edges if available in query result
-			if (queryResult.relationships && queryResult.relationships.length > 0 && this.edgeManager) {
-				// Transform relationships to edge format
-				const edges = queryResult.relationships.map(rel => ({
-					from: rel.startNode || rel.src,
-					to: rel.endNode || rel.dst,
-					type: rel.type,
-					properties: rel.properties || {}
-				}));
-				
-				logger.info(`Creating ${edges.length} edges`);
-				this.edgeManager.createEdges(edges, this.nodeManager);
-			}
-			
-			// Show success message
-			if (this.voiceInput) {
-				this.voiceInput.showTranscriptText(`Found ${nodes.length} results for: "${originalTranscript}"`);
-			}
-			
-			logger.info('Query visualization update complete');
-			
-		} catch (error) {
-			logger.error('Failed to update visualization from query:', error);
-			if (this.voiceInput) {
-				this.voiceInput.showTranscriptText(`Error updating visualization: ${error.message}`);
-			}
-		}
-	}
-	
 	async start() {
 		remoteLogger.info('🎯 App.start() called');
 		try {
@@ -1152,27 +1090,38 @@ class KuzuVRApp {
 		}
 	}
 	
+	/**
+	 * Reconnect to the database path in the connect form when the session was lost
+	 * @returns {boolean} true when connected
+	 */
+	async ensureConnected() {
+		if (this.dataService.connected) {
+			return true;
+		}
+		
+		const dbPathInput = document.getElementById('db-path');
+		if (dbPathInput && dbPathInput.value) {
+			const connectResult = await this.dataService.connect(dbPathInput.value);
+			
+			if (!connectResult.success) {
+				if (this.voiceInput) {
+					this.voiceInput.showTranscriptText(`Connection failed: ${connectResult.message}`);
+				}
+				return false;
+			}
+			return true;
+		}
+		
+		if (this.voiceInput) {
+			this.voiceInput.showTranscriptText('Not connected to database');
+		}
+		return false;
+	}
+	
 	async executeCypherQuery(query) {
 		try {
-			// Check if connected to database
-			if (!this.dataService.connected) {
-				// Try to reconnect using the current database path
-				const dbPathInput = document.getElementById('db-path');
-				if (dbPathInput && dbPathInput.value) {
-					const connectResult = await this.dataService.connect(dbPathInput.value);
-					
-					if (!connectResult.success) {
-						if (this.voiceInput) {
-							this.voiceInput.showTranscriptText(`Connection failed: ${connectResult.message}`);
-						}
-						return;
-					}
-				} else {
-					if (this.voiceInput) {
-						this.voiceInput.showTranscriptText('Not connected to database');
-					}
-					return;
-				}
+			if (!(await this.ensureConnected())) {
+				return;
 			}
 			
 			const result = await this.dataService.executeCypherQuery(query);
@@ -1226,7 +1175,7 @@ class KuzuVRApp {
 					}
 					
 					// Query for relationships
-					fetch('/api/edges', {
+					fetch(`${this.dataService.apiUrl}/edges`, {
 						method: 'GET'
 					})
 					.then(r => r.json())
@@ -1273,6 +1222,210 @@ class KuzuVRApp {
 		}
 	}
 	
+	/**
+	 * Voice commands for the schema view: "show schema" and "open <table>" / "drill into <table>"
+	 * @returns {boolean} true when the transcript was a schema command
+	 */
+	async handleSchemaCommand(transcript) {
+		const text = transcript.trim().replace(/[.!?]$/, '');
+		
+		if (/^(show|view|open)( the)?( database)? schema( graph| view)?$|^schema (graph|view|mode)$/i.test(text)) {
+			await this.showSchemaGraph();
+			return true;
+		}
+		
+		const drill = /^(?:drill (?:into|down into)|open|explore) (?:the )?(\w+)(?: table)?$/i.exec(text);
+		if (drill && this.isSchemaView()) {
+			await this.drillIntoTable(drill[1]);
+			return true;
+		}
+		
+		return false;
+	}
+	
+	/**
+	 * Render the database structure: node tables as nodes sized by row count,
+	 * REL tables as edges between their FROM/TO tables
+	 */
+	async showSchemaGraph() {
+		if (!this.nodeManager || !this.edgeManager) {
+			return { success: false, message: 'Scene not ready' };
+		}
+		
+		const schemaResult = await this.dataService.getSchema();
+		if (!schemaResult.success || !schemaResult.schema?.nodeTables) {
+			const message = schemaResult.message || 'Schema unavailable';
+			logger.warn('Could not load schema graph:', message);
+			if (this.voiceInput) {
+				this.voiceInput.showTranscriptText(message);
+			}
+			return { success: false, message };
+		}
+		
+		this.schema = schemaResult.schema;
+		const { nodes, edges, relationshipTypes } = new SchemaGraphLayout().build(this.schema);
+		
+		this.edgeManager.generateColorsFromSchema(relationshipTypes);
+		this.nodeManager.createNodes(nodes);
+		// createNodes batches across frames; all schema nodes fit in the first batch
+		this.edgeManager.createEdges(edges, this.nodeManager);
+		
+		if (this.uiManager && this.uiManager.legend && !this.isDesktopMode) {
+			this.uiManager.legend.updateNodeTypes(nodes);
+		} else if (this.isDesktopMode && window.updateDesktopLegend) {
+			window.updateDesktopLegend(nodes);
+		}
+		
+		const message = `Schema: ${nodes.length} node tables, ${edges.length} relationships`;
+		logger.info(message);
+		if (this.voiceInput) {
+			this.voiceInput.showTranscriptText(`${message}. Select a table to explore it.`);
+		}
+		return { success: true, nodes: nodes.length, edges: edges.length };
+	}
+	
+	/**
+	 * Leave the schema view and load the rows of one node table
+	 */
+	async drillIntoTable(tableName, limit = 500) {
+		const table = this.schema?.nodeTables?.find(t => t.name.toLowerCase() === String(tableName).toLowerCase());
+		if (!table) {
+			const message = `Unknown table: ${tableName}`;
+			if (this.voiceInput) {
+				this.voiceInput.showTranscriptText(message);
+			}
+			return { success: false, message };
+		}
+		
+		const nodesResult = await this.dataService.getNodes(table.name, limit);
+		if (!nodesResult.success) {
+			logger.warn(`Failed to load ${table.name}:`, nodesResult.message);
+			return nodesResult;
+		}
+		
+		const nodes = nodesResult.nodes.map((node, index) => ({
+			id: node.id || index,
+			data: node.data || node.properties,
+			label: node.label,
+			type: node.type
+		}));
+		const edgesResult = await this.dataService.getEdges({ nodeIds: nodes.map(node => node.id) });
+		
+		this.nodeManager.createNodes(nodes);
+		this.edgeManager.createEdges(edgesResult.success ? edgesResult.edges : [], this.nodeManager);
+		
+		if (this.uiManager && this.uiManager.legend && !this.isDesktopMode) {
+			this.uiManager.legend.updateNodeTypes(nodes);
+		} else if (this.isDesktopMode && window.updateDesktopLegend) {
+			window.updateDesktopLegend(nodes);
+		}
+		
+		if (this.voiceInput) {
+			this.voiceInput.showTranscriptText(`${table.name}: showing ${nodes.length} of ${table.rowCount} rows`);
+		}
+		return { success: true, table: table.name, nodes: nodes.length };
+	}
+	
+	/**
+	 * Whether the scene currently shows the schema graph rather than data
+	 */
+	isSchemaView() {
+		const nodes = this.nodeManager ? this.nodeManager.getNodes() : [];
+		return nodes.length > 0 && !!nodes[0].userData.data?.isSchemaTable;
+	}
+	
+	/**
+	 * Selecting a table in the schema view drills into it; selecting a data node
+	 * expands its neighborhood
+	 */
+	async handleNodeSelected(node) {
+		const tableName = node?.userData?.data?.isSchemaTable ? node.userData.data.table : null;
+		if (tableName) {
+			await this.drillIntoTable(tableName);
+		} else if (node?.userData?.id !== undefined) {
+			await this.expandNode(String(node.userData.id));
+		}
+	}
+	
+	/**
+	 * Execute a query over the streaming endpoint, rendering each chunk as it arrives
+	 * so large exploratory queries show results before the whole result set is read
+	 */
+	async streamCypherQuery(query, options = {}) {
+		if (!this.nodeManager || !this.edgeManager) {
+			return this.executeCypherQuery(query);
+		}
+		
+		if (!(await this.ensureConnected())) {
+			return { success: false, error: { message: 'Not connected to database' } };
+		}
+		
+		let firstChunk = true;
+		
+		const result = await this.dataService.streamCypherQuery(query, {}, options, (chunk) => {
+			const nodes = chunk.nodes.map((node, index) => ({
+				id: node.id || index,
+				data: node.properties || {},
+				label: node.properties?.name || node.label || `Node ${index}`,
+				type: node.type || 'Unknown'
+			}));
+			
+			if (firstChunk) {
+				this.nodeManager.clearNodes();
+				this.edgeManager.clearEdges();
+				firstChunk = false;
+			}
+			
+			this.nodeManager.addNodes(nodes);
+			this.edgeManager.addEdges(chunk.edges.map(edge => ({
+				from: edge.source,
+				to: edge.target,
+				type: edge.type,
+				properties: edge.properties
+			})), this.nodeManager);
+			
+			const allNodes = this.nodeManager.getNodes().map(node => node.userData);
+			if (this.uiManager && this.uiManager.legend && !this.isDesktopMode) {
+				this.uiManager.legend.updateNodeTypes(allNodes);
+			} else if (this.isDesktopMode && window.updateDesktopLegend) {
+				window.updateDesktopLegend(allNodes);
+			}
+			
+			if (this.voiceInput) {
+				this.voiceInput.showTranscriptText(`Loading... ${allNodes.length} nodes`);
+			}
+		});
+		
+		if (this.voiceInput) {
+			this.voiceInput.showTranscriptText(result.success
+				? `Loaded ${result.nodeCount} nodes!`
+				: `Query failed: ${result.error?.message || 'Unknown error'}`);
+		}
+		
+		return result;
+	}
+	
+	/**
+	 * Whether a voice transcript asks to stop the running query
+	 * ("cancel", "stop", "stop that query" and similar)
+	 */
+	isCancelCommand(transcript) {
+		return /^(cancel|stop)( (the|that|this))?( query)?[.!]?$/i.test(transcript.trim());
+	}
+	
+	/**
+	 * Cancel the query the data service is waiting on and report the outcome
+	 */
+	async cancelActiveQuery() {
+		const result = await this.dataService.cancelCypherQuery();
+		const message = result.success ? (result.message || 'Query cancelled') : (result.message || result.error?.message);
+		logger.info(message);
+		if (this.voiceInput) {
+			this.voiceInput.showTranscriptText(message);
+		}
+		return result;
+	}
+	
 	loadNodesByTable() {
 		const queries = [
 			'MATCH (p:Person) RETURN p',
@@ -1287,7 +1440,7 @@ class KuzuVRApp {
 		
 		// Execute all queries and combine results
 		Promise.all(queries.map(query => 
-			fetch('/api/cypher/execute', {
+			fetch(`${this.dataService.apiUrl}/cypher/execute`, {
 				method: 'POST',
 				headers: { 'Content-Type': 'application/json' },
 				body: JSON.stringify({ query, parameters: {}, options: {} })
@@ -1329,7 +1482,7 @@ class KuzuVRApp {
 				}
 				
 				// Load edges from server
-				fetch('/api/edges', {
+				fetch(`${this.dataService.apiUrl}/edges`, {
 					method: 'GET'
 				})
 				.then(r => r.json())
@@ -1359,6 +1512,39 @@ class KuzuVRApp {
 			}
 		});
 	}
+	
+	/**
+	 * Grow the graph around a node on demand instead of loading every edge up front
+	 */
+	async expandNode(nodeId, options = {}) {
+		if (!this.nodeManager || !this.edgeManager) {
+			return { success: false, message: 'Scene not ready' };
+		}
+		
+		const result = await this.dataService.getNeighbors(nodeId, options);
+		if (!result.success) {
+			logger.warn('Neighborhood expansion failed:', result.message);
+			return result;
+		}
+		
+		const anchorNode = this.nodeManager.getNodeById(nodeId);
+		const added = this.nodeManager.addNodes(result.nodes, anchorNode);
+		this.edgeManager.addEdges(result.edges, this.nodeManager);
+		
+		// Update legend with any new node types
+		const allNodes = this.nodeManager.getNodes().map(node => node.userData);
+		if (this.uiManager && this.uiManager.legend && !this.isDesktopMode) {
+			this.uiManager.legend.updateNodeTypes(allNodes);
+		} else if (this.isDesktopMode && window.updateDesktopLegend) {
+			window.updateDesktopLegend(allNodes);
+		}
+		
+		if (this.voiceInput) {
+			this.voiceInput.showTranscriptText(`Expanded ${nodeId}: ${added.length} new nodes`);
+		}
+		
+		return { ...result, added: added.length };
+	}
 }
 
 // Create the application but don't start it yet
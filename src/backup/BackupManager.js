@@ -0,0 +1,965 @@
+/**
+ * Automated backups
+ *
+ * Backups are written to BACKUP_DIR and copied to the other storage targets. Each has
+ * a SHA-256 manifest that verification and restores check. Cron schedules, grandfather-
+ * father-son retention and pre-mutation snapshots follow a policy saved beside the
+ * backups. Restores swap the database directory while every session on it is offline.
+ */
+
+import { Transform, pipeline } from 'stream';
+import fs, { createReadStream, createWriteStream } from 'fs';
+import { mkdir, readdir, rename, rm, stat } from 'fs/promises';
+import { CronSchedule } from './CronSchedule.js';
+import { LocalBackupStorage } from './BackupStorage.js';
+import { Worker } from 'worker_threads';
+import { createHash } from 'crypto';
+import kuzu from 'kuzu';
+import path from 'path';
+import { planRetention } from './retention.js';
+import { promisify } from 'util';
+
+const pipelineAsync = promisify(pipeline);
+
+// Backup formats: 'files' is a raw copy of the database directory; the others are
+// logical EXPORT DATABASE backups written under LOGICAL_EXPORT_DIR in the backup
+export const BACKUP_FORMATS = ['files', 'csv', 'parquet'];
+const LOGICAL_EXPORT_DIR = 'export';
+const BACKUP_POLICY_FILE = 'backup-policy.json';
+
+// setTimeout fires immediately past ~24.8 days, so far-off schedule runs re-arm on the way
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+/**
+ * Backup policy used until one is saved: BACKUP_SCHEDULE (cron) or BACKUP_INTERVAL_HOURS for
+ * the schedule, which is only enabled by default in production or when BACKUP_SCHEDULE
+ * is set; MAX_BACKUPS for keepLast; PRE_MUTATION_SNAPSHOTS=true for snapshot hooks
+ */
+export function defaultBackupPolicy(env = process.env) {
+	const hours = parseInt(env.BACKUP_INTERVAL_HOURS) || 24;
+	const intervalCron = hours < 24
+		? `0 */${hours} * * *`
+		: hours % 24 === 0 && hours > 24 ? `0 0 */${hours / 24} * *` : '0 0 * * *';
+
+	return {
+		schedules: [{
+			id: 'default',
+			cron: env.BACKUP_SCHEDULE || intervalCron,
+			format: 'files',
+			enabled: Boolean(env.BACKUP_SCHEDULE) || env.NODE_ENV === 'production',
+			description: 'Scheduled backup'
+		}],
+		retention: {
+			keepLast: parseInt(env.MAX_BACKUPS) || 10,
+			daily: 7,
+			weekly: 4,
+			monthly: 12
+		},
+		preMutation: {
+			enabled: env.PRE_MUTATION_SNAPSHOTS === 'true',
+			triggers: ['COPY', 'schema'],
+			minIntervalMinutes: 15,
+			format: 'files'
+		}
+	};
+}
+
+export class BackupManager {
+	/**
+	 * @param {Object} options
+	 * @param {SessionRegistry} options.registry - Open databases, for scheduled backups and restores
+	 * @param {string} options.backupDir - Local backup directory; backups are written here first
+	 * @param {Array} options.targets - Further storage targets that hold copies (createBackupTargets)
+	 * @param {Object} options.defaultPolicy - Policy used until one is saved (defaultBackupPolicy)
+	 * @param {number} options.importBufferPoolMb - Buffer pool of the database a logical import builds
+	 */
+	constructor({ registry, backupDir = './backups', targets = [], defaultPolicy = defaultBackupPolicy({}), importBufferPoolMb = 256 } = {}) {
+		this.registry = registry;
+		this.backupDir = backupDir;
+		this.storage = new LocalBackupStorage('local', this.backupDir);
+		this.targets = [this.storage, ...targets];
+		this.defaults = defaultPolicy;
+		this.importBufferPoolMb = importBufferPoolMb;
+		this.isBackupRunning = false;
+		this.isRestoreRunning = false;
+		this.activeBackup = null; // Settles when the running backup finishes
+		this.lastBackupTime = null;
+		this.lastRestore = null;
+		this.backupHistory = [];
+		this.lastBackupAt = new Map(); // resolved database path -> time of its newest backup
+		this.pendingSnapshots = new Map(); // resolved database path -> pre-mutation snapshot in progress
+		this.policy = this.defaults;
+		this.scheduleTimers = new Map(); // schedule id -> { timer, nextRun }
+		this.scheduleRuns = new Map(); // schedule id -> { at, backupName, error }
+		this.scheduleGeneration = 0;
+
+		this.ready = this.initialize();
+	}
+
+	/**
+	 * Load the saved policy, rebuild history from the metadata on disk (so retention
+	 * also covers backups from earlier runs), prune, then arm the schedules
+	 */
+	async initialize() {
+		try {
+			await this.ensureBackupDirectory();
+			await this.loadPolicy();
+
+			this.backupHistory = await this.listBackups();
+			this.lastBackupTime = this.backupHistory[0]?.timestamp || null;
+			for (const backup of [...this.backupHistory].reverse()) {
+				this.recordBackupTime(backup.databasePath, backup.timestamp);
+			}
+
+			await this.applyRetention();
+			this.startSchedules();
+		} catch (error) {
+			console.error('❌ Failed to initialize backups:', error);
+		}
+	}
+
+	async ensureBackupDirectory() {
+		try {
+			await mkdir(this.backupDir, { recursive: true });
+			console.log(`📁 Backup directory ready: ${this.backupDir}`);
+		} catch (error) {
+			console.error('❌ Failed to create backup directory:', error);
+		}
+	}
+
+	/**
+	 * Merge changes into a policy and check it
+	 * schedules is replaced as a whole; retention and preMutation are merged field by field
+	 * @returns {{ policy: Object, errors: string[] }}
+	 */
+	normalizePolicy(changes = {}, base = this.policy) {
+		const errors = [];
+		const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+		const schedules = (changes.schedules ?? base.schedules);
+		if (!Array.isArray(schedules)) {
+			errors.push('schedules must be an array');
+		}
+		const normalizedSchedules = (Array.isArray(schedules) ? schedules : []).map((schedule, i) => {
+			const normalized = {
+				id: schedule?.id ?? `schedule-${i + 1}`,
+				cron: schedule?.cron,
+				format: schedule?.format ?? 'files',
+				enabled: schedule?.enabled ?? true,
+				description: schedule?.description ?? ''
+			};
+			if (schedule?.dbPath) {
+				normalized.dbPath = schedule.dbPath;
+			}
+			if (typeof normalized.id !== 'string' || !/^[A-Za-z0-9._-]+$/.test(normalized.id)) {
+				errors.push(`schedules[${i}].id must be a plain name`);
+			}
+			try {
+				new CronSchedule(normalized.cron);
+			} catch (error) {
+				errors.push(`schedules[${i}].cron: ${error.message}`);
+			}
+			if (!BACKUP_FORMATS.includes(normalized.format)) {
+				errors.push(`schedules[${i}].format must be one of ${BACKUP_FORMATS.join(', ')}`);
+			}
+			if (typeof normalized.enabled !== 'boolean') {
+				errors.push(`schedules[${i}].enabled must be a boolean`);
+			}
+			return normalized;
+		});
+		if (new Set(normalizedSchedules.map(schedule => schedule.id)).size !== normalizedSchedules.length) {
+			errors.push('schedule ids must be unique');
+		}
+
+		const retention = { ...base.retention, ...changes.retention };
+		for (const key of ['keepLast', 'daily', 'weekly', 'monthly']) {
+			if (!isCount(retention[key])) {
+				errors.push(`retention.${key} must be a non-negative integer`);
+			}
+		}
+		if (retention.keepLast < 1) {
+			errors.push('retention.keepLast must keep at least one backup');
+		}
+
+		const preMutation = { ...base.preMutation, ...changes.preMutation };
+		if (typeof preMutation.enabled !== 'boolean') {
+			errors.push('preMutation.enabled must be a boolean');
+		}
+		if (!Array.isArray(preMutation.triggers) || preMutation.triggers.length === 0 ||
+			!preMutation.triggers.every(trigger => typeof trigger === 'string' && trigger.trim())) {
+			errors.push('preMutation.triggers must list query kinds (write, schema) or statements (e.g. COPY)');
+		} else {
+			preMutation.triggers = preMutation.triggers.map(trigger => ['write', 'schema'].includes(trigger) ? trigger : trigger.toUpperCase());
+		}
+		if (typeof preMutation.minIntervalMinutes !== 'number' || !(preMutation.minIntervalMinutes >= 0)) {
+			errors.push('preMutation.minIntervalMinutes must be a non-negative number');
+		}
+		if (!BACKUP_FORMATS.includes(preMutation.format)) {
+			errors.push(`preMutation.format must be one of ${BACKUP_FORMATS.join(', ')}`);
+		}
+
+		return {
+			policy: { schedules: normalizedSchedules, retention, preMutation },
+			errors
+		};
+	}
+
+	async loadPolicy() {
+		const policyPath = path.join(this.backupDir, BACKUP_POLICY_FILE);
+		if (!fs.existsSync(policyPath)) {
+			return this.policy;
+		}
+
+		try {
+			const saved = JSON.parse(await fs.promises.readFile(policyPath, 'utf8'));
+			const { policy, errors } = this.normalizePolicy(saved, this.defaults);
+			if (errors.length > 0) {
+				console.warn(`⚠️ Ignoring invalid backup policy in ${policyPath}: ${errors.join('; ')}`);
+				return this.policy;
+			}
+			this.policy = { ...policy, updatedAt: saved.updatedAt || null };
+		} catch (error) {
+			console.warn(`⚠️ Could not read backup policy ${policyPath}:`, error.message);
+		}
+		return this.policy;
+	}
+
+	/**
+	 * Validate, save and apply policy changes; schedules are re-armed straight away,
+	 * retention applies from the next backup or prune
+	 * @throws {Error} code INVALID_BACKUP_POLICY with the problems in `details`
+	 */
+	async updatePolicy(changes) {
+		if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+			throw this.createError('Policy must be an object', 'INVALID_BACKUP_POLICY', { details: [] });
+		}
+
+		const { policy, errors } = this.normalizePolicy(changes);
+		if (errors.length > 0) {
+			throw this.createError('Invalid backup policy', 'INVALID_BACKUP_POLICY', { details: errors });
+		}
+
+		const updated = { ...policy, updatedAt: new Date().toISOString() };
+		const policyPath = path.join(this.backupDir, BACKUP_POLICY_FILE);
+		await fs.promises.writeFile(`${policyPath}.tmp`, JSON.stringify(updated, null, 2));
+		await rename(`${policyPath}.tmp`, policyPath);
+
+		this.policy = updated;
+		this.startSchedules();
+		console.log('📝 Backup policy updated');
+		return this.policy;
+	}
+
+	startSchedules() {
+		this.stopSchedules();
+		const enabled = this.policy.schedules.filter(schedule => schedule.enabled);
+		enabled.forEach(schedule => this.armSchedule(schedule, this.scheduleGeneration));
+		if (enabled.length > 0) {
+			console.log(`🔄 Backup schedules: ${enabled.map(schedule => `${schedule.id} (${schedule.cron})`).join(', ')}`);
+		}
+	}
+
+	stopSchedules() {
+		this.scheduleGeneration++;
+		this.scheduleTimers.forEach(({ timer }) => clearTimeout(timer));
+		this.scheduleTimers.clear();
+	}
+
+	armSchedule(schedule, generation, nextRun = new CronSchedule(schedule.cron).next()) {
+		if (!nextRun || generation !== this.scheduleGeneration) {
+			return;
+		}
+
+		const timer = setTimeout(async () => {
+			if (Date.now() < nextRun.getTime()) {
+				return this.armSchedule(schedule, generation, nextRun);
+			}
+			await this.runSchedule(schedule);
+			this.armSchedule(schedule, generation);
+		}, Math.min(Math.max(nextRun.getTime() - Date.now(), 0), MAX_TIMER_DELAY_MS));
+
+		this.scheduleTimers.set(schedule.id, { timer, nextRun });
+	}
+
+	async runSchedule(schedule) {
+		const dbManager = schedule.dbPath
+			? this.registry.managers.get(path.resolve(schedule.dbPath))?.manager
+			: this.registry.getDefault()?.dbManager;
+
+		try {
+			if (!dbManager?.isConnected()) {
+				throw new Error(`${schedule.dbPath || 'The default database'} is not open`);
+			}
+			const backup = await this.createBackup('scheduled', schedule.description, dbManager, { format: schedule.format });
+			this.scheduleRuns.set(schedule.id, { at: new Date().toISOString(), backupName: backup.backupName, error: null });
+		} catch (error) {
+			console.error(`❌ Scheduled backup ${schedule.id} failed:`, error.message);
+			this.scheduleRuns.set(schedule.id, { at: new Date().toISOString(), backupName: null, error: error.message });
+		}
+	}
+
+	getSchedules() {
+		return this.policy.schedules.map(schedule => ({
+			...schedule,
+			nextRun: this.scheduleTimers.get(schedule.id)?.nextRun.toISOString() || null,
+			lastRun: this.scheduleRuns.get(schedule.id) || null
+		}));
+	}
+
+	recordBackupTime(dbPath, timestamp) {
+		const time = new Date(timestamp).getTime();
+		if (!dbPath || Number.isNaN(time)) {
+			return;
+		}
+		const key = path.resolve(dbPath);
+		this.lastBackupAt.set(key, Math.max(time, this.lastBackupAt.get(key) || 0));
+	}
+
+	/**
+	 * Pre-mutation hook (CypherQueryService beforeWrite): snapshot the database before a
+	 * write the policy's triggers name, unless it was backed up within minIntervalMinutes,
+	 * so a load made of several statements gets one snapshot. Concurrent writers share the
+	 * snapshot, and a snapshot that fails fails the write.
+	 * @returns {Object|null} The snapshot's metadata, or null when none was needed
+	 */
+	async beforeMutation(dbManager, classification) {
+		const { enabled, triggers, minIntervalMinutes, format } = this.policy.preMutation;
+		if (!enabled || !dbManager?.dbPath ||
+			!triggers.some(trigger => trigger === classification.kind || trigger === classification.statement)) {
+			return null;
+		}
+
+		const key = path.resolve(dbManager.dbPath);
+		const isFresh = () => Date.now() - (this.lastBackupAt.get(key) || 0) < minIntervalMinutes * 60 * 1000;
+		if (isFresh()) {
+			return null;
+		}
+
+		if (!this.pendingSnapshots.has(key)) {
+			const snapshot = (async () => {
+				// A backup of this database that is already running counts once it finishes
+				while (this.activeBackup) {
+					await this.activeBackup;
+				}
+				if (isFresh()) {
+					return null;
+				}
+				return this.createBackup('pre-mutation', `Before ${classification.statement} (${classification.kind})`, dbManager, { format });
+			})().finally(() => this.pendingSnapshots.delete(key));
+			this.pendingSnapshots.set(key, snapshot);
+		}
+		return this.pendingSnapshots.get(key);
+	}
+
+	/**
+	 * @param {Object} options - { format }: 'files' copies the database directory as is;
+	 *   'csv' and 'parquet' write a logical backup with EXPORT DATABASE (schema and
+	 *   data scripts that any Kùzu version can import, and that can be diffed)
+	 */
+	async createBackup(type = 'manual', description = '', dbManager = this.registry.getDefault()?.dbManager, { format = 'files' } = {}) {
+		if (!BACKUP_FORMATS.includes(format)) {
+			throw this.createError(`Unknown backup format: ${format} (expected one of ${BACKUP_FORMATS.join(', ')})`, 'INVALID_BACKUP_FORMAT');
+		}
+
+		if (this.isBackupRunning || this.isRestoreRunning) {
+			throw this.createError(this.isBackupRunning ? 'Backup already in progress' : 'Restore in progress', 'BACKUP_BUSY');
+		}
+
+		if (!dbManager?.isConnected() || !dbManager.dbPath) {
+			throw new Error('No database connected to backup');
+		}
+
+		this.isBackupRunning = true;
+		let settle;
+		this.activeBackup = new Promise(resolve => { settle = resolve; });
+		const startTime = Date.now();
+
+		try {
+			const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+			const backupName = `kuzu-backup-${timestamp}`;
+			const backupPath = path.join(this.backupDir, backupName);
+
+			console.log(`📦 Creating ${type} ${format} backup: ${backupName}`);
+
+			// Create backup directory
+			await mkdir(backupPath, { recursive: true });
+
+			// Flush the WAL into the data files before copying. Other queries keep
+			// running, so a write that commits mid-copy can leave files from different
+			// moments; writers are not blocked. The manifest hashes what was actually
+			// copied and restores are verified against it, which catches a damaged
+			// backup but not a torn one - prefer a logical format (one EXPORT DATABASE
+			// query) or a quiet period when concurrent writes matter
+			await dbManager.executeQuery(conn => conn.query('CHECKPOINT'), 'Backup checkpoint');
+
+			const dbFiles = [];
+			const manifestFiles = [];
+
+			if (this.isLogicalFormat(format)) {
+				// EXPORT DATABASE refuses an existing directory, so export into a fresh one
+				const exportPath = path.join(backupPath, LOGICAL_EXPORT_DIR);
+				await dbManager.executeQuery(
+					conn => conn.query(`EXPORT DATABASE '${exportPath.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}' (format="${format}")`),
+					'Backup export'
+				);
+				for (const file of await this.getDatabaseFiles(backupPath)) {
+					const { size } = await stat(path.join(backupPath, file));
+					dbFiles.push(file);
+					manifestFiles.push({ path: file, size, sha256: await this.hashFile(path.join(backupPath, file)) });
+				}
+			} else {
+				// Copy every file in the database directory, hashing as we go
+				for (const file of await this.getDatabaseFiles(dbManager.dbPath)) {
+					const { size, sha256 } = await this.copyWithChecksum(
+						path.join(dbManager.dbPath, file),
+						path.join(backupPath, file)
+					);
+					dbFiles.push(file);
+					manifestFiles.push({ path: file, size, sha256 });
+				}
+			}
+
+			// Create backup metadata
+			const metadata = {
+				backupName,
+				type,
+				format,
+				kuzuVersion: kuzu.VERSION,
+				description,
+				timestamp: new Date().toISOString(),
+				databasePath: dbManager.dbPath,
+				files: dbFiles,
+				manifest: { algorithm: 'sha256', files: manifestFiles },
+				size: await this.getDirectorySize(backupPath),
+				duration: Date.now() - startTime
+			};
+
+			// Save metadata
+			const metadataPath = path.join(backupPath, 'backup-metadata.json');
+			await fs.promises.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+
+			// Update backup history
+			this.backupHistory.unshift(metadata);
+			this.lastBackupTime = metadata.timestamp;
+			this.recordBackupTime(metadata.databasePath, metadata.timestamp);
+
+			console.log(`✅ Backup completed: ${backupName} (${metadata.duration}ms)`);
+
+			const locations = [
+				{ target: this.storage.name, type: this.storage.type, location: this.storage.location(backupName) },
+				...await this.replicate(backupName)
+			];
+
+			await this.applyRetention();
+			return { ...metadata, locations };
+
+		} catch (error) {
+			console.error('❌ Backup failed:', error);
+			throw error;
+		} finally {
+			this.isBackupRunning = false;
+			this.activeBackup = null;
+			settle();
+		}
+	}
+
+	/**
+	 * Every regular file under the directory (WAL, shadow and index files included),
+	 * as sorted paths relative to it
+	 */
+	async getDatabaseFiles(dbPath) {
+		const entries = await readdir(dbPath, { recursive: true, withFileTypes: true });
+		return entries
+			.filter(entry => entry.isFile())
+			.map(entry => path.relative(dbPath, path.join(entry.parentPath ?? entry.path, entry.name)))
+			.sort();
+	}
+
+	/**
+	 * Copy a finished backup from BACKUP_DIR to the other storage targets. A failed upload
+	 * is reported in the result rather than failing the backup, which exists locally.
+	 */
+	async replicate(backupName) {
+		const results = [];
+		for (const target of this.targets.slice(1)) {
+			const result = { target: target.name, type: target.type, location: target.location(backupName) };
+			try {
+				await target.upload(backupName, this.storage.location(backupName));
+				console.log(`☁️ Uploaded ${backupName} to ${result.location}`);
+			} catch (error) {
+				console.error(`❌ Upload of ${backupName} to ${target.name} failed:`, error.message);
+				result.error = error.message;
+			}
+			results.push(result);
+		}
+		return results;
+	}
+
+	/**
+	 * Make sure a backup is in BACKUP_DIR, downloading it from another target when it is not
+	 * @returns {string} The local backup directory
+	 */
+	async ensureLocalCopy(backupName) {
+		const localPath = this.getBackupPath(backupName);
+		if (await this.storage.has(backupName)) {
+			return localPath;
+		}
+
+		for (const target of this.targets.slice(1)) {
+			if (!await target.has(backupName).catch(() => false)) {
+				continue;
+			}
+
+			// Download beside the backups, where a partial copy never lists as a backup
+			const partialPath = path.join(this.backupDir, '.downloads', backupName);
+			await rm(partialPath, { recursive: true, force: true });
+			try {
+				await target.download(backupName, partialPath);
+				await rename(partialPath, localPath);
+			} catch (error) {
+				await rm(partialPath, { recursive: true, force: true }).catch(() => {});
+				throw error;
+			}
+			console.log(`⬇️ Downloaded ${backupName} from ${target.location(backupName)}`);
+			return localPath;
+		}
+
+		throw this.createError(`Backup not found: ${backupName}`, 'BACKUP_NOT_FOUND');
+	}
+
+	isLogicalFormat(format) {
+		return format === 'csv' || format === 'parquet';
+	}
+
+	/**
+	 * Rebuild a database from a logical backup into a directory that does not exist yet
+	 * The import runs in src/workers/importWorker.js; the worker has exited (and its
+	 * database handle is gone) by the time this resolves
+	 * @param {string} targetPath - Directory for the new database
+	 * @param {Object} options
+	 * @param {string[]} options.roots - Directories the target must be inside; any when omitted
+	 * @returns {Object} { backupName, databasePath, format, statements, duration }
+	 */
+	async importLogicalBackup(backupName, targetPath, { roots = null } = {}) {
+		const resolvedTarget = await this.resolveImportTarget(targetPath, roots);
+
+		await this.ensureLocalCopy(backupName);
+		const metadata = await this.readMetadata(backupName);
+		if (!this.isLogicalFormat(metadata.format)) {
+			throw this.createError(`${backupName} is not a logical backup`, 'INVALID_BACKUP_FORMAT');
+		}
+
+		if (fs.existsSync(resolvedTarget)) {
+			throw this.createError(`Import target already exists: ${resolvedTarget}`, 'TARGET_EXISTS');
+		}
+
+		const startTime = Date.now();
+		const exportPath = path.resolve(this.getBackupPath(backupName), LOGICAL_EXPORT_DIR);
+
+		// Kùzu reserves address space for the largest database a handle may grow to
+		// (8 TB by default), which caps how many handles the process can hold at once.
+		// Size it from the export instead.
+		const exportSize = await this.getDirectorySize(exportPath);
+		const maxDbSize = 2 ** Math.max(30, Math.ceil(Math.log2(Math.max(exportSize, 1) * 16)));
+
+		const worker = new Worker(new URL('../workers/importWorker.js', import.meta.url), {
+			workerData: {
+				exportPath,
+				targetPath: resolvedTarget,
+				bufferPoolSize: this.importBufferPoolMb * 1024 * 1024,
+				maxDbSize
+			}
+		});
+		const exited = new Promise(resolve => worker.once('exit', resolve));
+
+		let message;
+		try {
+			message = await new Promise((resolve, reject) => {
+				worker.once('message', resolve);
+				worker.once('error', reject);
+				worker.once('exit', () => reject(new Error('Import worker exited before finishing')));
+			});
+		} catch (error) {
+			message = { type: 'error', error: { message: error.message } };
+		} finally {
+			// The worker is idle once it has answered, so terminating it is safe
+			await worker.terminate();
+			await exited;
+		}
+
+		if (message.type === 'error') {
+			await rm(resolvedTarget, { recursive: true, force: true }).catch(() => {});
+			throw this.createError(`Import of ${backupName} failed: ${message.error.message}`, 'IMPORT_FAILED');
+		}
+
+		console.log(`📥 Imported ${backupName} into ${resolvedTarget} (${message.statements} statements)`);
+		return {
+			backupName,
+			databasePath: resolvedTarget,
+			format: metadata.format,
+			statements: message.statements,
+			duration: Date.now() - startTime
+		};
+	}
+
+	async getDirectorySize(dirPath) {
+		let totalSize = 0;
+		try {
+			for (const file of await this.getDatabaseFiles(dirPath)) {
+				const stats = await stat(path.join(dirPath, file));
+				totalSize += stats.size;
+			}
+		} catch (error) {
+			console.warn('Could not calculate directory size:', error);
+		}
+		return totalSize;
+	}
+
+	async copyWithChecksum(sourcePath, targetPath) {
+		const hash = createHash('sha256');
+		let size = 0;
+		await mkdir(path.dirname(targetPath), { recursive: true });
+		await pipelineAsync(
+			createReadStream(sourcePath),
+			new Transform({
+				transform(chunk, _encoding, callback) {
+					hash.update(chunk);
+					size += chunk.length;
+					callback(null, chunk);
+				}
+			}),
+			createWriteStream(targetPath)
+		);
+		return { size, sha256: hash.digest('hex') };
+	}
+
+	async hashFile(filePath) {
+		const hash = createHash('sha256');
+		await pipelineAsync(createReadStream(filePath), hash);
+		return hash.digest('hex');
+	}
+
+	createError(message, code, extra = {}) {
+		const error = new Error(message);
+		error.code = code;
+		Object.assign(error, extra);
+		return error;
+	}
+
+	/**
+	 * Absolute import target, refused unless it lies strictly inside one of roots.
+	 * Symlinks in the existing part of the path are followed before comparing.
+	 */
+	async resolveImportTarget(targetPath, roots) {
+		if (typeof targetPath !== 'string' || !targetPath.trim()) {
+			throw this.createError('An import target directory is required', 'TARGET_NOT_ALLOWED');
+		}
+
+		const realPath = async (target) => {
+			const resolved = path.resolve(target);
+			const parent = path.dirname(resolved);
+			if (parent === resolved) {
+				return resolved;
+			}
+			try {
+				return path.join(await fs.promises.realpath(parent), path.basename(resolved));
+			} catch {
+				return path.join(await realPath(parent), path.basename(resolved));
+			}
+		};
+
+		const resolvedTarget = path.resolve(targetPath);
+		if (!roots) {
+			return resolvedTarget;
+		}
+
+		const realTarget = await realPath(resolvedTarget);
+		for (const root of roots) {
+			const realRoot = await fs.promises.realpath(root).catch(() => path.resolve(root));
+			const relative = path.relative(realRoot, realTarget);
+			if (relative && relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative)) {
+				return resolvedTarget;
+			}
+		}
+		throw this.createError(`Import target must be inside ${roots.map(root => path.resolve(root)).join(' or ')}`, 'TARGET_NOT_ALLOWED');
+	}
+
+	getBackupPath(backupName) {
+		if (typeof backupName !== 'string' || !/^[A-Za-z0-9._-]+$/.test(backupName) || /^\.+$/.test(backupName)) {
+			throw this.createError(`Invalid backup name: ${backupName}`, 'INVALID_BACKUP_NAME');
+		}
+		return path.join(this.backupDir, backupName);
+	}
+
+	async readMetadata(backupName) {
+		const backupPath = this.getBackupPath(backupName);
+		try {
+			return JSON.parse(await fs.promises.readFile(path.join(backupPath, 'backup-metadata.json'), 'utf8'));
+		} catch {
+			throw this.createError(`Backup not found: ${backupName}`, 'BACKUP_NOT_FOUND');
+		}
+	}
+
+	/**
+	 * Check every file of a backup against its SHA-256 manifest
+	 * @returns {Object} { valid, missing, mismatched, unexpected, ... } - valid is false
+	 *   for corrupted backups and for backups made before manifests existed
+	 */
+	async verifyBackup(backupName) {
+		await this.ensureLocalCopy(backupName);
+		const metadata = await this.readMetadata(backupName);
+		const backupPath = this.getBackupPath(backupName);
+		const startTime = Date.now();
+
+		if (!metadata.manifest?.files) {
+			return {
+				backupName,
+				valid: false,
+				hasManifest: false,
+				reason: 'Backup has no checksum manifest',
+				verifiedAt: new Date().toISOString()
+			};
+		}
+
+		const actualFiles = new Set((await this.getDatabaseFiles(backupPath)).filter(file => file !== 'backup-metadata.json'));
+		const missing = [];
+		const mismatched = [];
+
+		for (const entry of metadata.manifest.files) {
+			if (!actualFiles.has(entry.path)) {
+				missing.push(entry.path);
+				continue;
+			}
+			actualFiles.delete(entry.path);
+
+			const filePath = path.join(backupPath, entry.path);
+			const { size } = await stat(filePath);
+			const sha256 = size === entry.size ? await this.hashFile(filePath) : null;
+			if (sha256 !== entry.sha256) {
+				mismatched.push({ path: entry.path, expectedSize: entry.size, actualSize: size, expected: entry.sha256, actual: sha256 });
+			}
+		}
+
+		const unexpected = Array.from(actualFiles);
+		const valid = missing.length === 0 && mismatched.length === 0 && unexpected.length === 0;
+
+		return {
+			backupName,
+			valid,
+			hasManifest: true,
+			reason: valid ? null : 'Backup files do not match the checksum manifest',
+			checkedFiles: metadata.manifest.files.length,
+			missing,
+			mismatched,
+			unexpected,
+			duration: Date.now() - startTime,
+			verifiedAt: new Date().toISOString()
+		};
+	}
+
+	/**
+	 * Replace a database with a verified backup
+	 * The backup is copied (and re-hashed) next to the database first, or rebuilt
+	 * there from a logical backup, then the directories are swapped with renames
+	 * while every session on that database is offline. If the restored copy fails to open, the previous directory is put back.
+	 * @param {Object} options - { dbPath, force, keepPrevious, allowOtherDatabase }; force allows
+	 *   backups without a manifest, never ones that fail verification; allowOtherDatabase allows
+	 *   restoring over a database other than the one the backup was taken from
+	 */
+	async restoreBackup(backupName, { dbPath = null, force = false, keepPrevious = false, allowOtherDatabase = false } = {}) {
+		if (this.isBackupRunning || this.isRestoreRunning) {
+			throw this.createError(this.isRestoreRunning ? 'Restore already in progress' : 'Backup in progress', 'BACKUP_BUSY');
+		}
+
+		this.isRestoreRunning = true;
+		const startTime = Date.now();
+		const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+		let stagingPath = null;
+
+		try {
+			const verification = await this.verifyBackup(backupName);
+			const metadata = await this.readMetadata(backupName);
+			if (!verification.valid && !(force && !verification.hasManifest)) {
+				throw this.createError(
+					`Refusing to restore ${backupName}: ${verification.reason}`,
+					verification.hasManifest ? 'BACKUP_CORRUPT' : 'BACKUP_UNVERIFIED',
+					{ verification }
+				);
+			}
+
+			const targetPath = path.resolve(dbPath || metadata.databasePath);
+			if (!allowOtherDatabase && (!metadata.databasePath || path.resolve(metadata.databasePath) !== targetPath)) {
+				throw this.createError(
+					`Refusing to restore ${backupName}: it was taken from ${metadata.databasePath || 'an unknown database'}, not ${targetPath}`,
+					'BACKUP_OTHER_DATABASE'
+				);
+			}
+			const backupPath = this.getBackupPath(backupName);
+			const files = metadata.manifest?.files.map(entry => entry.path) || metadata.files;
+			const expected = new Map((metadata.manifest?.files || []).map(entry => [entry.path, entry.sha256]));
+
+			console.log(`♻️ Restoring ${backupName} into ${targetPath}`);
+
+			// Stage the copy beside the database so the swap is a same-filesystem rename
+			stagingPath = `${targetPath}.restore-${timestamp}`;
+			if (this.isLogicalFormat(metadata.format)) {
+				await this.importLogicalBackup(backupName, stagingPath);
+			} else {
+				await mkdir(stagingPath, { recursive: true });
+				for (const file of files) {
+					const { sha256 } = await this.copyWithChecksum(path.join(backupPath, file), path.join(stagingPath, file));
+					if (expected.size > 0 && expected.get(file) !== sha256) {
+						throw this.createError(`Checksum mismatch while staging ${file}`, 'BACKUP_CORRUPT');
+					}
+				}
+			}
+
+			const previousPath = `${targetPath}.pre-restore-${timestamp}`;
+			const swap = async (from, to, aside) => {
+				const hadCurrent = fs.existsSync(targetPath);
+				if (hadCurrent) {
+					await rename(targetPath, aside);
+				}
+				try {
+					await rename(from, to);
+				} catch (error) {
+					if (hadCurrent) {
+						await rename(aside, targetPath);
+					}
+					throw error;
+				}
+			};
+
+			try {
+				await this.registry.withDatabaseOffline(targetPath, `restoring ${backupName}`, () => swap(stagingPath, targetPath, previousPath));
+				stagingPath = null;
+			} catch (error) {
+				if (error.code !== 'REOPEN_FAILED') {
+					throw error;
+				}
+				// The restored copy would not open: put the previous database back
+				console.error(`❌ Restored database failed to open, rolling back: ${error.message}`);
+				const failedPath = `${targetPath}.failed-restore-${timestamp}`;
+				await this.registry.withDatabaseOffline(targetPath, `rolling back ${backupName}`, () => swap(previousPath, targetPath, failedPath));
+				stagingPath = failedPath;
+				throw error;
+			}
+
+			if (!keepPrevious) {
+				await rm(previousPath, { recursive: true, force: true });
+			}
+
+			this.lastRestore = {
+				backupName,
+				databasePath: targetPath,
+				format: metadata.format || 'files',
+				restoredFiles: files.length,
+				verified: verification.valid,
+				previousPath: keepPrevious ? previousPath : null,
+				timestamp: new Date().toISOString(),
+				duration: Date.now() - startTime
+			};
+			console.log(`✅ Restore completed: ${backupName} (${this.lastRestore.duration}ms)`);
+			return this.lastRestore;
+
+		} catch (error) {
+			console.error('❌ Restore failed:', error.message);
+			throw error;
+		} finally {
+			if (stagingPath) {
+				await rm(stagingPath, { recursive: true, force: true }).catch(() => {});
+			}
+			this.isRestoreRunning = false;
+		}
+	}
+
+	/**
+	 * What the retention policy keeps and prunes of these backups (see planRetention)
+	 */
+	planRetention(backups, retention = this.policy.retention) {
+		return planRetention(backups, retention);
+	}
+
+	/**
+	 * Delete the backups the retention policy no longer keeps, working from the
+	 * metadata on disk rather than this run's history
+	 */
+	async applyRetention() {
+		const backups = await this.listBackups();
+		const { keep, prune } = this.planRetention(backups);
+		const pruned = [];
+
+		for (const backupName of prune) {
+			const { locations } = backups.find(backup => backup.backupName === backupName);
+			try {
+				for (const { target } of locations) {
+					await this.targets.find(candidate => candidate.name === target).remove(backupName);
+				}
+				pruned.push(backupName);
+				console.log(`🗑️ Pruned backup: ${backupName} (${locations.map(({ target }) => target).join(', ')})`);
+			} catch (error) {
+				console.warn(`Failed to prune backup ${backupName}:`, error.message);
+			}
+		}
+
+		this.backupHistory = backups.filter(backup => !pruned.includes(backup.backupName));
+		return { kept: keep, pruned };
+	}
+
+	/**
+	 * Backups on every storage target, newest first, each with the `locations` holding it
+	 */
+	async listBackups() {
+		const backups = new Map();
+
+		for (const target of this.targets) {
+			let stored;
+			try {
+				stored = await target.list();
+			} catch (error) {
+				console.warn(`⚠️ Could not list backups on ${target.name}:`, error.message);
+				continue;
+			}
+
+			for (const metadata of stored) {
+				if (typeof metadata?.backupName !== 'string' || !/^[A-Za-z0-9._-]+$/.test(metadata.backupName)) {
+					continue;
+				}
+				if (!backups.has(metadata.backupName)) {
+					backups.set(metadata.backupName, { ...metadata, locations: [] });
+				}
+				backups.get(metadata.backupName).locations.push({
+					target: target.name,
+					type: target.type,
+					location: target.location(metadata.backupName)
+				});
+			}
+		}
+
+		return Array.from(backups.values()).sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+	}
+
+	getTargets() {
+		return this.targets.map(target => ({
+			name: target.name,
+			type: target.type,
+			location: target.type === 's3' ? `s3://${target.bucket}/${target.prefix}` : target.rootDir
+		}));
+	}
+
+	getBackupStatus() {
+		return {
+			isRunning: this.isBackupRunning,
+			isRestoreRunning: this.isRestoreRunning,
+			lastBackupTime: this.lastBackupTime,
+			lastRestore: this.lastRestore,
+			backupCount: this.backupHistory.length,
+			backupDir: this.backupDir,
+			targets: this.getTargets(),
+			automatedBackupsEnabled: this.policy.schedules.some(schedule => schedule.enabled),
+			schedules: this.getSchedules(),
+			retention: this.policy.retention,
+			preMutationSnapshots: this.policy.preMutation.enabled
+		};
+	}
+}
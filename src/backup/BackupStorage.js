@@ -0,0 +1,301 @@
+/**
+ * Backup storage targets
+ *
+ * Backups are always written to the local BACKUP_DIR first; other targets hold copies.
+ * Every target stores a backup as a directory of files named after the backup, with
+ * backup-metadata.json alongside the data.
+ */
+
+import { createHash, createHmac } from 'crypto';
+import fs, { createReadStream, createWriteStream } from 'fs';
+import { mkdir, readdir, rm, stat } from 'fs/promises';
+import http from 'http';
+import https from 'https';
+import path from 'path';
+import { pipeline } from 'stream';
+import { promisify } from 'util';
+
+const pipelineAsync = promisify(pipeline);
+
+export class LocalBackupStorage {
+	constructor(name, rootDir) {
+		this.name = name;
+		this.type = 'local';
+		this.rootDir = path.resolve(rootDir);
+	}
+
+	location(backupName) {
+		return path.join(this.rootDir, backupName);
+	}
+
+	async has(backupName) {
+		return fs.existsSync(path.join(this.location(backupName), 'backup-metadata.json'));
+	}
+
+	async list() {
+		const backups = [];
+		const entries = await readdir(this.rootDir).catch(() => []);
+		for (const entry of entries) {
+			try {
+				backups.push(JSON.parse(await fs.promises.readFile(path.join(this.rootDir, entry, 'backup-metadata.json'), 'utf8')));
+			} catch (error) {
+				// Skip directories without valid metadata
+				continue;
+			}
+		}
+		return backups;
+	}
+
+	async upload(backupName, localPath) {
+		if (path.resolve(localPath) !== this.location(backupName)) {
+			await fs.promises.cp(localPath, this.location(backupName), { recursive: true });
+		}
+	}
+
+	async download(backupName, localPath) {
+		if (path.resolve(localPath) !== this.location(backupName)) {
+			await fs.promises.cp(this.location(backupName), localPath, { recursive: true });
+		}
+	}
+
+	async remove(backupName) {
+		await rm(this.location(backupName), { recursive: true, force: true });
+	}
+}
+
+// S3-compatible object storage (AWS S3, MinIO and the like) over plain HTTP(S) with
+// SigV4 signing. Bodies are streamed with UNSIGNED-PAYLOAD, and objects go up in a
+// single PUT, which S3 caps at 5 GB per file.
+export class S3BackupStorage {
+	constructor(name, { bucket, prefix = '', region = 'us-east-1', endpoint = null, forcePathStyle = Boolean(endpoint), accessKeyId, secretAccessKey, sessionToken = null }) {
+		if (!bucket || !accessKeyId || !secretAccessKey) {
+			throw new Error(`Backup target ${name} needs a bucket and credentials`);
+		}
+		this.name = name;
+		this.type = 's3';
+		this.bucket = bucket;
+		this.prefix = prefix && !prefix.endsWith('/') ? `${prefix}/` : prefix;
+		this.region = region;
+		this.endpoint = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+		this.forcePathStyle = forcePathStyle;
+		this.credentials = { accessKeyId, secretAccessKey, sessionToken };
+	}
+
+	location(backupName) {
+		return `s3://${this.bucket}/${this.prefix}${backupName}`;
+	}
+
+	static encodeRfc3986(value) {
+		return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+	}
+
+	objectUrl(key, query = {}) {
+		const encodedKey = key.split('/').map(S3BackupStorage.encodeRfc3986).join('/');
+		const url = new URL(this.endpoint);
+		if (this.forcePathStyle) {
+			url.pathname = `/${this.bucket}/${encodedKey}`;
+		} else {
+			url.hostname = `${this.bucket}.${url.hostname}`;
+			url.pathname = `/${encodedKey}`;
+		}
+		url.search = Object.keys(query).sort()
+			.map(name => `${S3BackupStorage.encodeRfc3986(name)}=${S3BackupStorage.encodeRfc3986(query[name])}`)
+			.join('&');
+		return url;
+	}
+
+	/**
+	 * AWS Signature Version 4 headers for a request; streamed bodies stay UNSIGNED-PAYLOAD
+	 */
+	sign(method, url, headers, now = new Date(), payloadHash = 'UNSIGNED-PAYLOAD') {
+		const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+		const date = amzDate.slice(0, 8);
+		const signed = {
+			...headers,
+			host: url.host,
+			'x-amz-date': amzDate,
+			'x-amz-content-sha256': payloadHash
+		};
+		if (this.credentials.sessionToken) {
+			signed['x-amz-security-token'] = this.credentials.sessionToken;
+		}
+
+		const names = Object.keys(signed).map(name => name.toLowerCase()).sort();
+		const lowered = Object.fromEntries(Object.entries(signed).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+		const canonicalRequest = [
+			method,
+			url.pathname,
+			url.search.slice(1),
+			names.map(name => `${name}:${lowered[name]}\n`).join(''),
+			names.join(';'),
+			payloadHash
+		].join('\n');
+
+		const scope = `${date}/${this.region}/s3/aws4_request`;
+		const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, createHash('sha256').update(canonicalRequest).digest('hex')].join('\n');
+		const hmac = (key, value) => createHmac('sha256', key).update(value).digest();
+		const signingKey = [date, this.region, 's3', 'aws4_request'].reduce(hmac, `AWS4${this.credentials.secretAccessKey}`);
+		const signature = createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+		return {
+			...signed,
+			authorization: `AWS4-HMAC-SHA256 Credential=${this.credentials.accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+		};
+	}
+
+	/**
+	 * Send a signed request; `body` may be a readable stream (Content-Length required)
+	 * @returns {Promise<http.IncomingMessage>} 2xx responses only, unless allowStatus lists others
+	 */
+	request(method, key, { query = {}, headers = {}, body = null, allowStatus = [] } = {}) {
+		const url = this.objectUrl(key, query);
+		const transport = url.protocol === 'https:' ? https : http;
+
+		return new Promise((resolve, reject) => {
+			const req = transport.request(url, { method, headers: this.sign(method, url, headers) }, (res) => {
+				if ((res.statusCode >= 200 && res.statusCode < 300) || allowStatus.includes(res.statusCode)) {
+					return resolve(res);
+				}
+				let text = '';
+				res.setEncoding('utf8');
+				res.on('data', chunk => { text += chunk; });
+				res.on('end', () => {
+					const code = text.match(/<Code>([^<]+)<\/Code>/)?.[1] || `HTTP ${res.statusCode}`;
+					const error = new Error(`${this.name}: ${method} ${key || this.bucket} failed: ${code}`);
+					error.code = 'STORAGE_ERROR';
+					error.statusCode = res.statusCode;
+					reject(error);
+				});
+			});
+			req.on('error', reject);
+			if (body && typeof body.pipe === 'function') {
+				body.on('error', reject);
+				body.pipe(req);
+			} else {
+				req.end(body);
+			}
+		});
+	}
+
+	async readBody(res) {
+		const chunks = [];
+		for await (const chunk of res) {
+			chunks.push(chunk);
+		}
+		return Buffer.concat(chunks).toString('utf8');
+	}
+
+	/**
+	 * Every key under a prefix; with a delimiter, the common prefixes ("directories") instead
+	 */
+	async listKeys(prefix, delimiter = null) {
+		const results = [];
+		let continuationToken = null;
+		const decode = (value) => value.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+
+		do {
+			const query = { 'list-type': '2', prefix };
+			if (delimiter) query.delimiter = delimiter;
+			if (continuationToken) query['continuation-token'] = continuationToken;
+
+			const xml = await this.readBody(await this.request('GET', '', { query }));
+			const pattern = delimiter
+				? /<CommonPrefixes>\s*<Prefix>([^<]*)<\/Prefix>/g
+				: /<Contents>[\s\S]*?<Key>([^<]*)<\/Key>[\s\S]*?<\/Contents>/g;
+			for (const match of xml.matchAll(pattern)) {
+				results.push(decode(match[1]));
+			}
+			continuationToken = /<IsTruncated>true<\/IsTruncated>/.test(xml)
+				? decode(xml.match(/<NextContinuationToken>([^<]*)<\/NextContinuationToken>/)?.[1] || '') || null
+				: null;
+		} while (continuationToken);
+
+		return results;
+	}
+
+	async has(backupName) {
+		const res = await this.request('HEAD', `${this.prefix}${backupName}/backup-metadata.json`, { allowStatus: [404] });
+		res.resume();
+		return res.statusCode !== 404;
+	}
+
+	async list() {
+		const backups = [];
+		for (const backupPrefix of await this.listKeys(this.prefix, '/')) {
+			try {
+				const res = await this.request('GET', `${backupPrefix}backup-metadata.json`);
+				backups.push(JSON.parse(await this.readBody(res)));
+			} catch (error) {
+				// Skip prefixes without valid metadata (e.g. an upload that never finished)
+				continue;
+			}
+		}
+		return backups;
+	}
+
+	async upload(backupName, localPath) {
+		const files = (await readdir(localPath, { recursive: true, withFileTypes: true }))
+			.filter(entry => entry.isFile())
+			.map(entry => path.relative(localPath, path.join(entry.parentPath ?? entry.path, entry.name)).split(path.sep).join('/'));
+
+		// Metadata goes last, so a backup only lists once all of its files are there
+		files.sort((a, b) => (a === 'backup-metadata.json') - (b === 'backup-metadata.json') || a.localeCompare(b));
+		for (const file of files) {
+			const filePath = path.join(localPath, file);
+			const res = await this.request('PUT', `${this.prefix}${backupName}/${file}`, {
+				headers: { 'content-length': (await stat(filePath)).size },
+				body: createReadStream(filePath)
+			});
+			res.resume();
+		}
+	}
+
+	async download(backupName, localPath) {
+		const prefix = `${this.prefix}${backupName}/`;
+		for (const key of await this.listKeys(prefix)) {
+			const target = path.join(localPath, ...key.slice(prefix.length).split('/'));
+			if (!target.startsWith(path.resolve(localPath) + path.sep)) {
+				throw new Error(`${this.name}: refusing to download ${key} outside the backup directory`);
+			}
+			await mkdir(path.dirname(target), { recursive: true });
+			await pipelineAsync(await this.request('GET', key), createWriteStream(target));
+		}
+	}
+
+	async remove(backupName) {
+		// Metadata goes first, so a half-deleted backup no longer lists
+		const keys = await this.listKeys(`${this.prefix}${backupName}/`);
+		keys.sort((a, b) => b.endsWith('/backup-metadata.json') - a.endsWith('/backup-metadata.json'));
+		for (const key of keys) {
+			(await this.request('DELETE', key)).resume();
+		}
+	}
+}
+
+/**
+ * Extra backup targets from BACKUP_TARGETS, a comma-separated list of `s3` (configured
+ * by the BACKUP_S3_* variables) and `dir:<path>`; defaults to `s3` when BACKUP_S3_BUCKET is set
+ */
+export function createBackupTargets(env = process.env) {
+	const specs = (env.BACKUP_TARGETS ?? (env.BACKUP_S3_BUCKET ? 's3' : ''))
+		.split(',').map(spec => spec.trim()).filter(Boolean);
+
+	return specs.map(spec => {
+		if (spec === 's3') {
+			return new S3BackupStorage('s3', {
+				bucket: env.BACKUP_S3_BUCKET,
+				prefix: env.BACKUP_S3_PREFIX || '',
+				region: env.BACKUP_S3_REGION || env.AWS_REGION || env.VITE_AWS_REGION || 'us-east-1',
+				endpoint: env.BACKUP_S3_ENDPOINT || null,
+				forcePathStyle: env.BACKUP_S3_FORCE_PATH_STYLE ? env.BACKUP_S3_FORCE_PATH_STYLE === 'true' : Boolean(env.BACKUP_S3_ENDPOINT),
+				accessKeyId: env.BACKUP_S3_ACCESS_KEY_ID || env.AWS_ACCESS_KEY_ID,
+				secretAccessKey: env.BACKUP_S3_SECRET_ACCESS_KEY || env.AWS_SECRET_ACCESS_KEY,
+				sessionToken: env.AWS_SESSION_TOKEN || null
+			});
+		}
+		if (spec.startsWith('dir:')) {
+			return new LocalBackupStorage(spec, spec.slice('dir:'.length));
+		}
+		throw new Error(`Unknown backup target: ${spec}`);
+	});
+}
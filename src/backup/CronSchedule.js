@@ -0,0 +1,98 @@
+/**
+ * Cron expressions for backup schedules
+ *
+ * Five fields (minute hour day-of-month month day-of-week), evaluated in server local
+ * time. Supports lists, ranges, steps and the @daily-style shorthands; as in cron, a day
+ * matches either field when both day-of-month and day-of-week are restricted.
+ */
+
+const CRON_FIELDS = [
+	{ name: 'minute', min: 0, max: 59 },
+	{ name: 'hour', min: 0, max: 23 },
+	{ name: 'day of month', min: 1, max: 31 },
+	{ name: 'month', min: 1, max: 12 },
+	{ name: 'day of week', min: 0, max: 7 }
+];
+
+const CRON_SHORTHANDS = {
+	'@hourly': '0 * * * *',
+	'@daily': '0 0 * * *',
+	'@midnight': '0 0 * * *',
+	'@weekly': '0 0 * * 0',
+	'@monthly': '0 0 1 * *'
+};
+
+export class CronSchedule {
+	constructor(expression) {
+		this.expression = String(expression ?? '').trim();
+		const fields = (CRON_SHORTHANDS[this.expression] || this.expression).split(/\s+/);
+		if (fields.length !== 5) {
+			throw new Error(`Cron expression needs 5 fields: "${this.expression}"`);
+		}
+
+		[this.minutes, this.hours, this.days, this.months, this.weekdays] = fields.map((field, i) => this.parseField(field, CRON_FIELDS[i]));
+		if (this.weekdays.has(7)) {
+			this.weekdays.add(0); // 7 is Sunday as well
+		}
+		this.anyDay = fields[2] === '*';
+		this.anyWeekday = fields[4] === '*';
+	}
+
+	parseField(field, { name, min, max }) {
+		const values = new Set();
+		for (const part of field.split(',')) {
+			const match = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+			if (!match) {
+				throw new Error(`Invalid ${name} field: "${field}"`);
+			}
+			const [, start, end, step] = match;
+			const from = start === '*' ? min : parseInt(start);
+			const to = start === '*' ? max : end !== undefined ? parseInt(end) : step ? max : from;
+			const by = step ? parseInt(step) : 1;
+			if (from < min || to > max || from > to || by < 1) {
+				throw new Error(`Invalid ${name} field: "${field}"`);
+			}
+			for (let value = from; value <= to; value += by) {
+				values.add(value);
+			}
+		}
+		return values;
+	}
+
+	matchesDay(date) {
+		const dayOfMonth = this.days.has(date.getDate());
+		const dayOfWeek = this.weekdays.has(date.getDay());
+		if (this.anyDay || this.anyWeekday) {
+			return dayOfMonth && dayOfWeek;
+		}
+		return dayOfMonth || dayOfWeek;
+	}
+
+	/**
+	 * First matching minute after `from`, or null when nothing matches within five years
+	 * (e.g. "0 0 30 2 *")
+	 */
+	next(from = new Date()) {
+		const date = new Date(from);
+		date.setSeconds(0, 0);
+		date.setMinutes(date.getMinutes() + 1);
+		const limit = from.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+
+		while (date.getTime() <= limit) {
+			if (!this.months.has(date.getMonth() + 1)) {
+				date.setMonth(date.getMonth() + 1, 1);
+				date.setHours(0, 0, 0, 0);
+			} else if (!this.matchesDay(date)) {
+				date.setDate(date.getDate() + 1);
+				date.setHours(0, 0, 0, 0);
+			} else if (!this.hours.has(date.getHours())) {
+				date.setHours(date.getHours() + 1, 0, 0, 0);
+			} else if (!this.minutes.has(date.getMinutes())) {
+				date.setMinutes(date.getMinutes() + 1, 0, 0);
+			} else {
+				return date;
+			}
+		}
+		return null;
+	}
+}
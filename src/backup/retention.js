@@ -0,0 +1,87 @@
+/**
+ * Grandfather-father-son retention for backups
+ */
+
+import path from 'path';
+
+/**
+ * Calendar buckets for grandfather-father-son retention, in server local time
+ */
+export function retentionPeriods(date) {
+	const pad = (value) => String(value).padStart(2, '0');
+	const month = `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+
+	// ISO week: the week belongs to the year of its Thursday
+	const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 3 - ((date.getDay() + 6) % 7));
+	const january4 = new Date(thursday.getFullYear(), 0, 4);
+	const firstThursday = new Date(thursday.getFullYear(), 0, 7 - ((january4.getDay() + 6) % 7));
+	const week = 1 + Math.round((thursday - firstThursday) / (7 * 24 * 60 * 60 * 1000));
+
+	return {
+		daily: `${month}-${pad(date.getDate())}`,
+		weekly: `${thursday.getFullYear()}-W${pad(week)}`,
+		monthly: month
+	};
+}
+
+/**
+ * Grandfather-father-son selection, applied to each database's backups on its own so one
+ * busy database cannot age another's backups out: keep the keepLast newest backups, plus
+ * the newest backup of each of the `daily` most recent days, `weekly` weeks and `monthly`
+ * months that have one. Backups without a readable timestamp are always kept.
+ * @returns {{ keep: Array<{ backupName, databasePath, reasons }>, prune: string[] }}
+ */
+export function planRetention(backups, retention) {
+	const groups = new Map();
+	for (const backup of backups) {
+		const databasePath = typeof backup.databasePath === 'string' ? path.resolve(backup.databasePath) : null;
+		if (!groups.has(databasePath)) {
+			groups.set(databasePath, []);
+		}
+		groups.get(databasePath).push(backup);
+	}
+
+	const keep = [];
+	const prune = [];
+	groups.forEach((group, databasePath) => {
+		const plan = planDatabaseRetention(group, retention);
+		keep.push(...plan.keep.map(entry => ({ ...entry, databasePath })));
+		prune.push(...plan.prune);
+	});
+	return { keep, prune };
+}
+
+// Retention over the backups of a single database
+function planDatabaseRetention(backups, retention) {
+	const dated = backups
+		.filter(backup => !Number.isNaN(new Date(backup.timestamp).getTime()))
+		.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+	const reasons = new Map(backups.map(backup => [backup.backupName, dated.includes(backup) ? [] : ['undated']]));
+
+	dated.slice(0, retention.keepLast).forEach(backup => reasons.get(backup.backupName).push('last'));
+
+	for (const tier of ['daily', 'weekly', 'monthly']) {
+		const periods = new Set();
+		for (const backup of dated) {
+			if (periods.size >= retention[tier]) {
+				break;
+			}
+			const period = retentionPeriods(new Date(backup.timestamp))[tier];
+			if (!periods.has(period)) {
+				periods.add(period);
+				reasons.get(backup.backupName).push(tier);
+			}
+		}
+	}
+
+	const keep = [];
+	const prune = [];
+	reasons.forEach((why, backupName) => {
+		if (why.length > 0) {
+			keep.push({ backupName, reasons: why });
+		} else {
+			prune.push(backupName);
+		}
+	});
+	return { keep, prune };
+}
@@ -26,6 +26,9 @@ export class GraphNode extends THREE.Group {
 		this.sphere = new THREE.Mesh(geometry, material);
 		this.sphere.userData.isNode = true; // Mark for raycasting
 		this.sphere.userData.id = nodeData.id;
+		if (nodeData.scale) {
+			this.sphere.scale.setScalar(nodeData.scale);
+		}
 		this.add(this.sphere);
 		
 		// Create text label
@@ -40,8 +43,13 @@ export class GraphNode extends THREE.Group {
 		// Also mark the group as a node
 		this.userData.isNode = true;
 		
-		// Set initial position
-		this.setPosition(index, totalNodes);
+		// Set initial position - layouts may supply one relative to the graph origin
+		if (nodeData.position) {
+			const { offsetY, offsetZ } = VISUAL_CONFIG.grid;
+			this.position.set(nodeData.position.x, nodeData.position.y + offsetY, nodeData.position.z + offsetZ);
+		} else {
+			this.setPosition(index, totalNodes);
+		}
 		
 		// State
 		this.isHovered = false;
@@ -1,7 +1,7 @@
 import * as THREE from 'three';
-import ThreeMeshUI from 'three-mesh-ui';
-import PaymentService from '../services/PaymentService.js';
 import AuthService from '../services/AuthService.js';
+import PaymentService from '../services/PaymentService.js';
+import ThreeMeshUI from 'three-mesh-ui';
 
 export default class SubscriptionPanel extends THREE.Group {
   constructor() {
@@ -15,7 +15,7 @@ export default class SubscriptionPanel extends THREE.Group {
     // Main container
     this.container = new ThreeMeshUI.Block({
       width: 1.2,
-      height: 0.8,
+      height: 0.95,
       padding: 0.05,
       fontSize: 0.025,
       fontFamily: '/src/assets/SpaceMono-Bold.ttf',
@@ -62,6 +62,28 @@ export default class SubscriptionPanel extends THREE.Group {
     this.currentPlanBlock.add(this.currentPlanText);
     this.container.add(this.currentPlanBlock);
 
+    // Remaining quota this billing period
+    this.usageBlock = new ThreeMeshUI.Block({
+      width: 1.1,
+      height: 0.13,
+      margin: 0.01,
+      padding: 0.01,
+      backgroundColor: new THREE.Color(0x1a1a1a),
+      backgroundOpacity: 0.8,
+      borderRadius: 0.01,
+      justifyContent: 'center',
+    });
+
+    this.usageText = new ThreeMeshUI.Text({
+      content: '',
+      fontSize: 0.018,
+      fontColor: new THREE.Color(0xcccccc),
+    });
+
+    this.usageBlock.add(this.usageText);
+    this.usageBlock.visible = false;
+    this.container.add(this.usageBlock);
+
     // Subscription tiers
     this.tiersContainer = new ThreeMeshUI.Block({
       width: 1.1,
@@ -107,6 +129,9 @@ export default class SubscriptionPanel extends THREE.Group {
     
     // Update panel with current subscription
     this.updateCurrentPlan();
+
+    // Limits the server applied (see DataService.notifyTierLimit) open the panel
+    window.addEventListener('upgradeRequired', (event) => this.showUpgradeRequired(event.detail));
   }
 
   createTierCard(tier) {
@@ -264,6 +289,14 @@ export default class SubscriptionPanel extends THREE.Group {
     }
   }
 
+  async updateUsage() {
+    const usage = await PaymentService.getUsageStats();
+    const lines = usage?.success ? PaymentService.formatUsage(usage) : [];
+
+    this.usageText.set({ content: lines.join('\n') });
+    this.usageBlock.visible = lines.length > 0;
+  }
+
   async handleUpgrade() {
     if (!this.selectedTier) {
       console.warn('No tier selected');
@@ -289,6 +322,21 @@ export default class SubscriptionPanel extends THREE.Group {
   show() {
     this.visible = true;
     this.updateCurrentPlan();
+    this.updateUsage();
+  }
+
+  // Explain which limit was hit and preselect the plan that lifts it
+  showUpgradeRequired(details) {
+    this.visible = true;
+    this.currentPlanText.set({
+      content: details.message || `${details.feature || details.limit} is not included in your plan`,
+    });
+
+    this.selectedTier = details.upgradeTo || null;
+    Object.entries(this.tierCards).forEach(([tierId, card]) => {
+      card.setState(tierId === this.selectedTier ? 'selected' : 'idle');
+    });
+    this.updateUsage();
   }
 
   hide() {
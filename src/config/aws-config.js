@@ -46,6 +46,7 @@ const awsConfig = {
 };
 
 // Subscription tiers configuration
+// quotas are per billing period and enforced by the server's usage meter (-1 = unlimited)
 export const SUBSCRIPTION_TIERS = {
   free: {
     id: 'free',
@@ -60,6 +61,13 @@ export const SUBSCRIPTION_TIERS = {
       collaboration: false,
       customDomains: false,
     },
+    quotas: {
+      nodesRendered: 10000,
+      cypherQueries: 1000,
+      audioSeconds: 0,
+      nlConversions: 0,
+      aiLayouts: 0,
+    },
   },
   pro: {
     id: 'pro',
@@ -74,6 +82,13 @@ export const SUBSCRIPTION_TIERS = {
       collaboration: false,
       customDomains: false,
     },
+    quotas: {
+      nodesRendered: 2000000,
+      cypherQueries: 50000,
+      audioSeconds: 36000, // 10 hours
+      nlConversions: 5000,
+      aiLayouts: 1000,
+    },
   },
   enterprise: {
     id: 'enterprise',
@@ -88,6 +103,13 @@ export const SUBSCRIPTION_TIERS = {
       collaboration: true,
       customDomains: true,
     },
+    quotas: {
+      nodesRendered: -1,
+      cypherQueries: -1,
+      audioSeconds: -1,
+      nlConversions: -1,
+      aiLayouts: -1,
+    },
   },
 };
 
@@ -0,0 +1,161 @@
+/**
+ * Fixed-size pool of connections to one database
+ *
+ * Kùzu runs one query at a time per connection, so routes borrow a connection instead
+ * of queueing on a shared one. Query results that outlive their database crash the
+ * binding when they are garbage collected, so the pool keeps weak references to the
+ * results its connections return and closes the ones still reachable in close().
+ */
+
+import kuzu from 'kuzu';
+
+// Dead result references are swept once this many are tracked
+const RESULT_SWEEP_SIZE = 256;
+
+export class ConnectionPool {
+	constructor(db, { size = 4, acquireTimeoutMs = 10000, queryTimeoutMs = 60000 } = {}) {
+		this.db = db;
+		this.size = size;
+		this.acquireTimeoutMs = acquireTimeoutMs;
+		this.queryTimeoutMs = queryTimeoutMs;
+		this.idle = [];
+		this.inUse = new Set();
+		this.waiters = [];
+		this.closed = false;
+		this.drained = null; // Resolves close() once the last borrowed connection is back
+		this.results = new Set(); // WeakRefs to results returned by the pooled connections
+		this.nextResultSweep = RESULT_SWEEP_SIZE;
+		this.stats = { acquired: 0, waited: 0, totalWaitMs: 0, maxWaitMs: 0, timeouts: 0 };
+
+		for (let i = 0; i < size; i++) {
+			const conn = new kuzu.Connection(db);
+			conn.setQueryTimeout(queryTimeoutMs);
+			this.trackResults(conn);
+			this.idle.push(conn);
+		}
+	}
+
+	trackResults(conn) {
+		for (const method of ['query', 'execute']) {
+			const run = conn[method].bind(conn);
+			conn[method] = async (...args) => {
+				const result = await run(...args);
+				// Multi-statement scripts return one result per statement
+				for (const each of [].concat(result)) {
+					this.results.add(new WeakRef(each));
+				}
+				if (this.results.size >= this.nextResultSweep) {
+					this.results.forEach(ref => ref.deref() || this.results.delete(ref));
+					this.nextResultSweep = Math.max(RESULT_SWEEP_SIZE, this.results.size * 2);
+				}
+				return result;
+			};
+		}
+	}
+
+	acquire() {
+		if (this.closed) {
+			return Promise.reject(new Error('Connection pool is closed'));
+		}
+
+		if (this.idle.length > 0) {
+			const conn = this.idle.pop();
+			this.inUse.add(conn);
+			this.stats.acquired++;
+			return Promise.resolve(conn);
+		}
+
+		return new Promise((resolve, reject) => {
+			const waiter = { resolve, reject, queuedAt: Date.now() };
+			waiter.timer = setTimeout(() => {
+				this.waiters.splice(this.waiters.indexOf(waiter), 1);
+				this.stats.timeouts++;
+				const error = new Error(`All ${this.size} database connections busy for ${this.acquireTimeoutMs}ms`);
+				error.code = 'POOL_EXHAUSTED';
+				reject(error);
+			}, this.acquireTimeoutMs);
+			this.waiters.push(waiter);
+		});
+	}
+
+	release(conn) {
+		if (!this.inUse.delete(conn)) {
+			return;
+		}
+		// A closing pool collects its connections back to close them
+		if (this.closed) {
+			this.idle.push(conn);
+			if (this.inUse.size === 0) {
+				this.drained?.();
+			}
+			return;
+		}
+
+		// Queries may have shortened the timeout for themselves
+		conn.setQueryTimeout(this.queryTimeoutMs);
+
+		const waiter = this.waiters.shift();
+		if (waiter) {
+			clearTimeout(waiter.timer);
+			const waitMs = Date.now() - waiter.queuedAt;
+			this.stats.waited++;
+			this.stats.totalWaitMs += waitMs;
+			this.stats.maxWaitMs = Math.max(this.stats.maxWaitMs, waitMs);
+			this.stats.acquired++;
+			this.inUse.add(conn);
+			waiter.resolve(conn);
+		} else {
+			this.idle.push(conn);
+		}
+	}
+
+	async use(fn) {
+		const conn = await this.acquire();
+		try {
+			return await fn(conn);
+		} finally {
+			this.release(conn);
+		}
+	}
+
+	/**
+	 * Refuse new callers, wait for borrowed connections to come back (a statement keeps
+	 * its connection until it finishes), then close the results still reachable and the
+	 * connections. The database can be closed once this resolves.
+	 */
+	async close() {
+		this.closed = true;
+		this.waiters.forEach(({ reject, timer }) => {
+			clearTimeout(timer);
+			reject(new Error('Connection pool is closed'));
+		});
+		this.waiters = [];
+
+		if (this.inUse.size > 0) {
+			await new Promise(resolve => { this.drained = resolve; });
+		}
+
+		this.results.forEach(ref => ref.deref()?.close());
+		this.results.clear();
+		const connections = this.idle;
+		this.idle = [];
+		for (const conn of connections) {
+			await conn.close();
+		}
+	}
+
+	getStats() {
+		return {
+			size: this.size,
+			inUse: this.inUse.size,
+			idle: this.idle.length,
+			waiting: this.waiters.length,
+			acquired: this.stats.acquired,
+			waited: this.stats.waited,
+			averageWaitMs: this.stats.waited > 0 ? Math.round(this.stats.totalWaitMs / this.stats.waited) : 0,
+			maxWaitMs: this.stats.maxWaitMs,
+			timeouts: this.stats.timeouts,
+			queryTimeoutMs: this.queryTimeoutMs
+		};
+	}
+}
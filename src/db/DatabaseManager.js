@@ -0,0 +1,256 @@
+/**
+ * Connection management for one open database
+ *
+ * Owns the database handle, its ConnectionPool and (optionally) a QueryWorkerPool for
+ * reads. Queries reconnect with backoff after connection errors, and suspend()/resume()
+ * take the database offline for maintenance such as a restore.
+ */
+
+import { ConnectionPool } from './ConnectionPool.js';
+import { QueryWorkerPool } from './QueryWorkerPool.js';
+import kuzu from 'kuzu';
+
+export class DatabaseManager {
+	/**
+	 * @param {Object} options
+	 * @param {Object} options.poolOptions - ConnectionPool options (size, acquireTimeoutMs, queryTimeoutMs)
+	 * @param {Object} options.workerOptions - QueryWorkerPool options; a size of 0 runs every query on the pool
+	 * @param {Function} options.onQuery - Called as onQuery(queryTime, description, isError) for each executeQuery call
+	 */
+	constructor({ poolOptions = {}, workerOptions = {}, onQuery = null } = {}) {
+		this.db = null;
+		this.pool = null;
+		this.closingPools = new Set(); // Pools waiting in disconnect() for borrowed connections
+		this.workers = null;
+		this.poolOptions = poolOptions;
+		this.workerOptions = { size: 0, ...workerOptions };
+		this.onQuery = onQuery;
+		this.dbPath = null;
+		this.suspended = null; // Reason the database is offline, e.g. a restore in progress
+		this.isConnecting = false;
+		this.connectionQueue = [];
+		this.reconnectAttempts = 0;
+		this.maxReconnectAttempts = 3;
+		this.reconnectDelay = 1000; // Start with 1 second
+	}
+
+	async connect(dbPath) {
+		if (this.isConnecting) {
+			// Return a promise that resolves when current connection attempt finishes
+			return new Promise((resolve, reject) => {
+				this.connectionQueue.push({ resolve, reject });
+			});
+		}
+
+		this.isConnecting = true;
+		this.dbPath = dbPath;
+
+		try {
+			// Close existing connections
+			await this.disconnect();
+
+			console.log('🔌 Connecting to Kùzu database:', dbPath);
+			
+			this.db = new kuzu.Database(dbPath);
+			this.pool = new ConnectionPool(this.db, this.poolOptions);
+
+			// Test connection
+			await this.pool.use(conn => conn.query('RETURN 1'));
+
+			if (this.workerOptions.size > 0) {
+				this.workers = new QueryWorkerPool(dbPath, this.workerOptions);
+				this.workers.start();
+			}
+			
+			this.reconnectAttempts = 0;
+			this.reconnectDelay = 1000;
+			
+			console.log(`✅ Database connected successfully (${this.pool.size} pooled connections)`);
+
+			// Resolve any queued connection attempts
+			this.connectionQueue.forEach(({ resolve }) => resolve({ success: true }));
+			this.connectionQueue = [];
+
+			return { success: true, message: 'Connected to database' };
+
+		} catch (error) {
+			console.error('❌ Database connection failed:', error.message);
+			
+			// Reject queued attempts
+			this.connectionQueue.forEach(({ reject }) => reject(error));
+			this.connectionQueue = [];
+
+			return { success: false, message: error.message };
+		} finally {
+			this.isConnecting = false;
+		}
+	}
+
+	/**
+	 * Take the database offline for maintenance (restore). Queries fail with
+	 * DATABASE_OFFLINE instead of triggering a reconnect until resume() is called.
+	 * Resolves once in-flight statements have finished and the handle is closed, so
+	 * the directory can then be replaced.
+	 */
+	async suspend(reason) {
+		this.suspended = reason;
+		await this.disconnect();
+		console.log(`⏸️ Database ${this.dbPath} offline: ${reason}`);
+	}
+
+	async resume() {
+		this.suspended = null;
+		const result = await this.connect(this.dbPath);
+		console.log(`▶️ Database ${this.dbPath} back online`);
+		return result;
+	}
+
+	createOfflineError() {
+		const error = new Error(`Database is offline: ${this.suspended}`);
+		error.code = 'DATABASE_OFFLINE';
+		return error;
+	}
+
+	/**
+	 * Close the workers, the pool and the database handle, in that order. Waits for
+	 * borrowed connections to come back first; closing the handle under a running
+	 * statement or an open result crashes the binding.
+	 */
+	async disconnect() {
+		const { db, pool, workers } = this;
+		this.db = null;
+		this.pool = null;
+		this.workers = null;
+
+		try {
+			await workers?.close();
+			if (pool) {
+				this.closingPools.add(pool);
+				await pool.close();
+				this.closingPools.delete(pool);
+				console.log('🔌 Database connections closed');
+			}
+			if (db) {
+				await db.close();
+				console.log('🗄️ Database closed');
+			}
+		} catch (error) {
+			console.warn('⚠️ Error during disconnect:', error.message);
+		}
+	}
+
+	async executeQuery(queryFn, queryDescription = 'Unknown query') {
+		if (this.suspended) {
+			throw this.createOfflineError();
+		}
+		if (!this.pool) {
+			throw new Error('No database connection');
+		}
+
+		const startTime = Date.now();
+
+		try {
+			const result = await this.pool.use(queryFn);
+			const queryTime = Date.now() - startTime;
+			
+			// Record successful query metrics
+			this.onQuery?.(queryTime, queryDescription, false);
+			
+			return result;
+		} catch (error) {
+			const queryTime = Date.now() - startTime;
+			
+			// Record error metrics
+			this.onQuery?.(queryTime, queryDescription, true);
+			
+			// Check if it's a connection error
+			if (this.isConnectionError(error)) {
+				console.warn('🔄 Connection error detected, attempting reconnect...');
+				
+				if (this.reconnectAttempts < this.maxReconnectAttempts) {
+					await this.attemptReconnect();
+					// Retry the query with new connection - this will record new metrics
+					return await this.executeQuery(queryFn, queryDescription);
+				}
+			}
+			throw error;
+		}
+	}
+
+	async attemptReconnect() {
+		if (!this.dbPath) {
+			throw new Error('No database path stored for reconnection');
+		}
+		if (this.suspended) {
+			throw this.createOfflineError();
+		}
+
+		this.reconnectAttempts++;
+		
+		console.log(`🔄 Reconnect attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts}`);
+		
+		// Exponential backoff
+		await new Promise(resolve => setTimeout(resolve, this.reconnectDelay));
+		this.reconnectDelay *= 2;
+
+		const result = await this.connect(this.dbPath);
+		if (!result.success) {
+			throw new Error(`Reconnection failed: ${result.message}`);
+		}
+	}
+
+	isConnectionError(error) {
+		// A busy pool is load and an offline database is intentional, not a broken connection
+		if (error.code === 'POOL_EXHAUSTED' || error.code === 'DATABASE_OFFLINE') {
+			return false;
+		}
+		// A statement stopped by setQueryTimeout ("Interrupted.") left its connection intact
+		if (error.code === 'QUERY_TIMEOUT' || error.code === 'QUERY_CANCELLED' || /interrupted|query timeout/i.test(error.message)) {
+			return false;
+		}
+
+		const connectionErrorPatterns = [
+			'connection',
+			'disconnected',
+			'network',
+			'timeout',
+			'broken pipe',
+			'socket'
+		];
+		
+		const errorMessage = error.message.toLowerCase();
+		return connectionErrorPatterns.some(pattern => errorMessage.includes(pattern));
+	}
+
+	isConnected() {
+		return !!this.pool;
+	}
+
+	// Connection source for CypherQueryService; delegating keeps it valid across reconnects
+	acquire() {
+		if (this.suspended) {
+			return Promise.reject(this.createOfflineError());
+		}
+		if (!this.pool) {
+			return Promise.reject(new Error('No database connection'));
+		}
+		return this.pool.acquire();
+	}
+
+	release(conn) {
+		// Pools ignore connections they did not hand out
+		this.pool?.release(conn);
+		this.closingPools.forEach(pool => pool.release(conn));
+	}
+
+	getPoolStats() {
+		return {
+			connections: this.pool?.getStats() || null,
+			workers: this.workers?.getStats() || null
+		};
+	}
+
+	getDatabase() {
+		return this.db;
+	}
+}
@@ -0,0 +1,169 @@
+/**
+ * Worker threads for read queries
+ *
+ * Each worker runs read queries on its own read-only database handle
+ * (src/workers/queryWorker.js), keeping execution and result conversion off the event
+ * loop. A handle only sees data committed before it was opened, so writes call
+ * invalidate() and stale workers are replaced once idle. Busy workers are never
+ * terminated: stopping a worker inside a native query call takes the process down.
+ */
+
+import { Worker } from 'worker_threads';
+
+export class QueryWorkerPool {
+	constructor(dbPath, { size = 2, bufferPoolMb = 256 } = {}) {
+		this.dbPath = dbPath;
+		this.size = size;
+		this.bufferPoolSize = bufferPoolMb * 1024 * 1024;
+		this.workers = new Set();
+		this.queue = [];
+		this.generation = 0;
+		this.nextTaskId = 1;
+		this.closed = false;
+		this.exited = null; // Resolves close() once the last worker has exited
+		this.failed = false;
+		this.stats = { completed: 0, failed: 0, recycled: 0 };
+	}
+
+	start() {
+		for (let i = 0; i < this.size; i++) {
+			this.spawn();
+		}
+		console.log(`🧵 Started ${this.size} query worker threads`);
+	}
+
+	spawn() {
+		const worker = new Worker(new URL('../workers/queryWorker.js', import.meta.url), {
+			workerData: { dbPath: this.dbPath, bufferPoolSize: this.bufferPoolSize }
+		});
+		const slot = { worker, ready: false, task: null, generation: this.generation, retired: false };
+
+		worker.on('message', (message) => this.handleMessage(slot, message));
+		worker.on('error', (error) => {
+			console.error('❌ Query worker error:', error.message);
+			this.failTask(slot, error);
+		});
+		worker.on('exit', () => {
+			this.workers.delete(slot);
+			this.failTask(slot, new Error('Query worker exited'));
+			if (this.closed && this.workers.size === 0) {
+				this.exited?.();
+			}
+			if (!slot.retired && !this.closed && !this.failed) {
+				this.spawn();
+			}
+		});
+
+		this.workers.add(slot);
+		return slot;
+	}
+
+	handleMessage(slot, message) {
+		if (message.type === 'ready') {
+			slot.ready = true;
+		} else if (message.type === 'fatal') {
+			// Without a handle there is nothing to run on; fall back to pooled connections
+			console.warn(`⚠️ Query workers disabled: ${message.error.message}`);
+			this.failed = true;
+			this.retire(slot);
+		} else if (message.type === 'result' && slot.task?.id === message.id) {
+			const { task } = slot;
+			slot.task = null;
+			if (message.error) {
+				this.stats.failed++;
+				task.reject(new Error(message.error.message));
+			} else {
+				this.stats.completed++;
+				task.resolve(message.rows);
+			}
+		}
+
+		if (slot.generation !== this.generation && !slot.task) {
+			this.retire(slot);
+		}
+		this.dispatch();
+	}
+
+	failTask(slot, error) {
+		if (slot.task) {
+			this.stats.failed++;
+			slot.task.reject(error);
+			slot.task = null;
+		}
+	}
+
+	isAvailable() {
+		return !this.closed && !this.failed && this.workers.size > 0;
+	}
+
+	execute(query, params = {}, { timeout = 0 } = {}) {
+		return new Promise((resolve, reject) => {
+			this.queue.push({ id: this.nextTaskId++, query, params, timeout, resolve, reject });
+			this.dispatch();
+		});
+	}
+
+	dispatch() {
+		for (const slot of this.workers) {
+			if (this.queue.length === 0) break;
+			if (!slot.ready || slot.task || slot.retired) continue;
+
+			const task = this.queue.shift();
+			slot.task = task;
+			slot.worker.postMessage({ id: task.id, query: task.query, params: task.params, timeout: task.timeout });
+		}
+	}
+
+	// Called after writes: replace idle workers now, and busy or still-starting ones
+	// once they report back (handleMessage checks the generation)
+	invalidate() {
+		this.generation++;
+		for (const slot of this.workers) {
+			if (slot.ready && !slot.task) {
+				this.retire(slot);
+			}
+		}
+	}
+
+	retire(slot) {
+		if (slot.retired) return;
+		slot.retired = true;
+		this.stats.recycled++;
+		slot.worker.terminate();
+		if (!this.closed && !this.failed) {
+			this.spawn();
+		}
+	}
+
+	/**
+	 * Stop taking queries and retire every worker; resolves once all have exited
+	 */
+	close() {
+		this.closed = true;
+		this.queue.forEach(({ reject }) => reject(new Error('Query worker pool is closed')));
+		this.queue = [];
+		for (const slot of this.workers) {
+			if (slot.ready && !slot.task) {
+				slot.retired = true;
+				slot.worker.terminate();
+			} else {
+				// Let the running query or startup finish; the worker is retired when it reports back
+				slot.generation = -1;
+			}
+		}
+		return this.workers.size === 0 ? Promise.resolve() : new Promise(resolve => { this.exited = resolve; });
+	}
+
+	getStats() {
+		const slots = Array.from(this.workers).filter(slot => !slot.retired);
+		return {
+			size: this.size,
+			available: this.isAvailable(),
+			busy: slots.filter(slot => slot.task).length,
+			idle: slots.filter(slot => slot.ready && !slot.task).length,
+			starting: slots.filter(slot => !slot.ready).length,
+			queued: this.queue.length,
+			...this.stats
+		};
+	}
+}
@@ -0,0 +1,356 @@
+/**
+ * Named database sessions
+ *
+ * Each session has its own CypherQueryService (history, result cache, running queries)
+ * so viewers of different databases stay independent. Sessions on the same path share
+ * one DatabaseManager, because Kùzu allows a single read-write handle per database;
+ * writes in one session invalidate its siblings' caches.
+ *
+ * Sessions can be read-only: the server-wide READ_ONLY switch makes every new session
+ * read-only, and a session can also ask for it at connect time. Editing is unlocked per
+ * session with the EDIT_UNLOCK_TOKEN and relocks after editUnlockTtlMs.
+ *
+ * Sessions belong to the caller that opened them (TierLimits.ownerOf). Lookups that
+ * pass an owner only see that owner's sessions, and an owner's oldest session is their
+ * default; lookups without one (health checks, scheduled backups) see every session.
+ */
+
+import { randomUUID, timingSafeEqual } from 'crypto';
+import CypherQueryService from '../services/CypherQueryService.js';
+import { DatabaseManager } from './DatabaseManager.js';
+import path from 'path';
+
+export class SessionRegistry {
+	/**
+	 * @param {Object} options
+	 * @param {number} options.maxSessions - Open sessions across all callers
+	 * @param {Object} options.cypherOptions - CypherQueryService cache options for every session
+	 * @param {Object} options.databaseOptions - DatabaseManager options for every database opened
+	 * @param {boolean} options.readOnly - Make every new session read-only
+	 * @param {string} options.unlockToken - Token that unlocks editing (EDIT_UNLOCK_TOKEN)
+	 * @param {number} options.editUnlockTtlMs - Relock an unlocked session after this long; 0 never relocks
+	 * @param {Function} options.beforeWrite - beforeWrite(session, classification), awaited before each write
+	 * @param {Function} options.onQueryComplete - onQueryComplete(session, details) for each query a session ran
+	 */
+	constructor({ maxSessions = 10, cypherOptions = {}, databaseOptions = {}, readOnly = false, unlockToken = null, editUnlockTtlMs = 0, beforeWrite = null, onQueryComplete = null } = {}) {
+		this.sessions = new Map();
+		this.managers = new Map(); // resolved path -> { ready, manager, refs }
+		this.defaultSessionId = null;
+		this.maxSessions = maxSessions;
+		this.cypherOptions = cypherOptions;
+		this.databaseOptions = databaseOptions;
+		this.beforeWrite = beforeWrite;
+		this.onQueryComplete = onQueryComplete;
+		this.readOnly = readOnly;
+		this.unlockToken = unlockToken;
+		this.editUnlockTtlMs = editUnlockTtlMs;
+	}
+
+	async open(dbPath, { name, readOnly = false, owner = null } = {}) {
+		if (this.sessions.size >= this.maxSessions) {
+			const error = new Error(`Session limit reached (${this.maxSessions}); close a session first`);
+			error.code = 'SESSION_LIMIT';
+			throw error;
+		}
+
+		const dbManager = await this.acquireManager(dbPath);
+		const now = new Date().toISOString();
+		const session = {
+			id: randomUUID(),
+			name: name || path.basename(path.resolve(dbPath)),
+			dbPath,
+			dbManager,
+			cypherService: null,
+			readOnly: this.readOnly || readOnly,
+			requestedReadOnly: readOnly, // asked for at connect time, not just imposed by the server
+			relockAt: null,
+			owner, // counts the session against its opener's maxGraphs
+			createdAt: now,
+			lastUsedAt: now
+		};
+		session.cypherService = this.createCypherService(session);
+
+		this.sessions.set(session.id, session);
+		if (!this.defaultSessionId) {
+			this.defaultSessionId = session.id;
+		}
+
+		console.log(`🗂️ Opened session ${session.id} (${session.name}) on ${dbPath}`);
+		return session;
+	}
+
+	/**
+	 * Databases an owner has open, by resolved path
+	 * @param {Object} [excludeSession] - session about to be pointed elsewhere
+	 */
+	graphsOf(owner, excludeSession = null) {
+		return new Set(Array.from(this.sessions.values())
+			.filter(session => session.owner === owner && session !== excludeSession)
+			.map(session => path.resolve(session.dbPath)));
+	}
+
+	// Point an existing session at another database, starting a fresh query service
+	async reconnect(session, dbPath) {
+		const dbManager = await this.acquireManager(dbPath);
+		await this.releaseManager(session.dbPath);
+
+		session.dbPath = dbPath;
+		session.dbManager = dbManager;
+		session.cypherService = this.createCypherService(session);
+		console.log(`🔄 Session ${session.id} reconnected to ${dbPath}`);
+		return session;
+	}
+
+	createCypherService(session) {
+		return new CypherQueryService(session.dbManager, {
+			...this.cypherOptions,
+			onWrite: (classification) => this.invalidateSiblings(session, classification),
+			isReadOnly: () => this.isReadOnly(session),
+			beforeWrite: this.beforeWrite && ((classification) => this.beforeWrite(session, classification)),
+			onQueryComplete: this.onQueryComplete && ((details) => this.onQueryComplete(session, details))
+		});
+	}
+
+	isReadOnly(session) {
+		if (!session.readOnly && session.relockAt && Date.now() >= session.relockAt) {
+			session.readOnly = true;
+			session.relockAt = null;
+			console.log(`🔒 Edit unlock expired for session ${session.id}`);
+		}
+		return session.readOnly;
+	}
+
+	/**
+	 * Allow writes on a read-only session. A session opened read-only on request also
+	 * needs the unlock token or its owner, so holding its ID is not enough.
+	 * @param {string} owner - Caller asking to unlock (TierLimits.ownerOf)
+	 * @returns {Object} { unlocked, reason } - reason explains a refusal
+	 */
+	unlock(session, token, owner) {
+		if (!this.isReadOnly(session)) {
+			return { unlocked: true };
+		}
+
+		// A read-only server without a token cannot be unlocked at all
+		if (this.readOnly && !this.unlockToken) {
+			return { unlocked: false, reason: 'Server is in read-only mode' };
+		}
+		if (this.unlockToken && !this.tokenMatches(token)) {
+			return { unlocked: false, reason: 'Invalid edit unlock token' };
+		}
+		if (!this.unlockToken && session.requestedReadOnly && owner !== session.owner) {
+			return { unlocked: false, reason: 'Only the session owner can unlock this session' };
+		}
+
+		session.readOnly = false;
+		session.relockAt = this.editUnlockTtlMs > 0 ? Date.now() + this.editUnlockTtlMs : null;
+		console.log(`🔓 Editing unlocked for session ${session.id}`);
+		return { unlocked: true };
+	}
+
+	lock(session) {
+		session.readOnly = true;
+		session.relockAt = null;
+		console.log(`🔒 Editing locked for session ${session.id}`);
+	}
+
+	tokenMatches(token) {
+		const expected = Buffer.from(this.unlockToken);
+		const actual = Buffer.from(String(token || ''));
+		return actual.length === expected.length && timingSafeEqual(actual, expected);
+	}
+
+	getEditMode(session) {
+		const readOnly = this.isReadOnly(session);
+		return {
+			readOnly,
+			serverReadOnly: this.readOnly,
+			unlockable: readOnly && !(this.readOnly && !this.unlockToken),
+			tokenRequired: !!this.unlockToken,
+			relockAt: session.relockAt ? new Date(session.relockAt).toISOString() : null
+		};
+	}
+
+	invalidateSiblings(session, classification) {
+		for (const other of this.sessions.values()) {
+			if (other !== session && other.dbManager === session.dbManager) {
+				other.cypherService.invalidateCache(classification);
+				// Siblings prepared statements on the same connections against the old catalog
+				if (classification.kind === 'schema') {
+					other.cypherService.clearStatementCache();
+				}
+			}
+		}
+	}
+
+	async acquireManager(dbPath) {
+		const key = path.resolve(dbPath);
+		let entry = this.managers.get(key);
+
+		if (!entry) {
+			const manager = new DatabaseManager(this.databaseOptions);
+			entry = {
+				manager,
+				refs: 0,
+				ready: manager.connect(dbPath).then(result => {
+					if (!result.success) {
+						throw new Error(result.message);
+					}
+				})
+			};
+			this.managers.set(key, entry);
+		}
+
+		try {
+			await entry.ready;
+		} catch (error) {
+			if (this.managers.get(key) === entry) {
+				this.managers.delete(key);
+			}
+			throw error;
+		}
+
+		entry.refs++;
+		return entry.manager;
+	}
+
+	async releaseManager(dbPath) {
+		const key = path.resolve(dbPath);
+		const entry = this.managers.get(key);
+		if (!entry) return;
+
+		entry.refs--;
+		if (entry.refs <= 0) {
+			this.managers.delete(key);
+			await entry.manager.disconnect();
+		}
+	}
+
+	/**
+	 * Run fn while the database at dbPath is closed in every session that uses it,
+	 * then reopen it and give those sessions fresh query services (empty caches)
+	 */
+	async withDatabaseOffline(dbPath, reason, fn) {
+		const entry = this.managers.get(path.resolve(dbPath));
+		if (!entry) {
+			return fn();
+		}
+
+		const sessions = Array.from(this.sessions.values()).filter(session => session.dbManager === entry.manager);
+		for (const session of sessions) {
+			for (const { id } of session.cypherService.getRunningQueries()) {
+				session.cypherService.cancelQuery(id, reason);
+			}
+		}
+
+		await entry.manager.suspend(reason);
+		let outcome;
+		let failure = null;
+		try {
+			outcome = await fn();
+		} catch (error) {
+			failure = error;
+		}
+
+		const result = await entry.manager.resume();
+		sessions.forEach(session => {
+			session.cypherService = this.createCypherService(session);
+		});
+		const reopenError = result.success ? null : new Error(`Failed to reopen database after ${reason}: ${result.message}`);
+		if (reopenError) {
+			reopenError.code = 'REOPEN_FAILED';
+		}
+
+		// The restore or import error matters more than the reopen failure it may have caused
+		if (failure) {
+			if (reopenError && failure.cause === undefined) {
+				failure.cause = reopenError;
+			}
+			throw failure;
+		}
+		if (reopenError) {
+			throw reopenError;
+		}
+		return outcome;
+	}
+
+	/**
+	 * Find the session for a request: an explicit ID, or the owner's default session when
+	 * none is given. Another owner's session is treated as unknown.
+	 */
+	resolve(sessionId, owner) {
+		const session = sessionId ? this.get(sessionId, owner) : this.getDefault(owner);
+		if (session) {
+			session.lastUsedAt = new Date().toISOString();
+		}
+		return session;
+	}
+
+	get(sessionId, owner) {
+		const session = this.sessions.get(sessionId);
+		return session && this.isOwnedBy(session, owner) ? session : null;
+	}
+
+	isOwnedBy(session, owner) {
+		return owner === undefined || session.owner === owner;
+	}
+
+	// The oldest session (of the owner, when given) takes requests that carry no session ID
+	getDefault(owner) {
+		if (owner === undefined) {
+			return this.sessions.get(this.defaultSessionId) || null;
+		}
+		return Array.from(this.sessions.values()).find(session => session.owner === owner) || null;
+	}
+
+	async close(sessionId, owner) {
+		const session = this.get(sessionId, owner);
+		if (!session) {
+			return false;
+		}
+
+		for (const { id } of session.cypherService.getRunningQueries()) {
+			session.cypherService.cancelQuery(id, 'Session closed');
+		}
+		this.sessions.delete(sessionId);
+		await this.releaseManager(session.dbPath);
+
+		if (this.defaultSessionId === sessionId) {
+			this.defaultSessionId = this.sessions.keys().next().value ?? null;
+		}
+
+		console.log(`🗂️ Closed session ${sessionId} (${session.name})`);
+		return true;
+	}
+
+	async closeAll() {
+		for (const sessionId of Array.from(this.sessions.keys())) {
+			await this.close(sessionId);
+		}
+	}
+
+	describe(session) {
+		return {
+			id: session.id,
+			name: session.name,
+			dbPath: session.dbPath,
+			isDefault: this.getDefault(session.owner) === session,
+			connected: session.dbManager.isConnected(),
+			readOnly: this.isReadOnly(session),
+			// Other owners' session IDs are not shown
+			sharedWith: Array.from(this.sessions.values())
+				.filter(other => other !== session && other.dbManager === session.dbManager && other.owner === session.owner)
+				.map(other => other.id),
+			runningQueries: session.cypherService.getRunningQueries().length,
+			cache: session.cypherService.getCacheStats(),
+			createdAt: session.createdAt,
+			lastUsedAt: session.lastUsedAt
+		};
+	}
+
+	list(owner) {
+		return Array.from(this.sessions.values())
+			.filter(session => this.isOwnedBy(session, owner))
+			.map(session => this.describe(session));
+	}
+}
@@ -198,6 +198,24 @@ export async function initDesktop(setupScene = () => {}, onFrame = () => {}) {
 		}
 	}
 
+	// Double-click a table in the schema graph to load its rows, or a node to expand its neighbors
+	function onDoubleClick() {
+		if (!window.kuzuApp) return;
+		
+		raycaster.setFromCamera(mouse, camera);
+		const nodeMeshes = [];
+		scene.traverse((child) => {
+			if (child.userData && child.userData.isNode && child.isMesh) {
+				nodeMeshes.push(child);
+			}
+		});
+		
+		const intersects = raycaster.intersectObjects(nodeMeshes);
+		if (intersects.length > 0) {
+			window.kuzuApp.handleNodeSelected(intersects[0].object.parent);
+		}
+	}
+
 	// Keyboard shortcuts
 	function onKeyDown(event) {
 		// Prevent default for space bar to avoid page scroll
@@ -267,6 +285,12 @@ export async function initDesktop(setupScene = () => {}, onFrame = () => {}) {
 					}
 				}
 				break;
+			case 'g':
+				// Show the database schema as a graph
+				if (window.kuzuApp && window.kuzuApp.dataService.connected) {
+					window.kuzuApp.showSchemaGraph();
+				}
+				break;
 			case 'v':
 				// Voice command
 				if (window.desktopVoiceInput) {
@@ -280,6 +304,7 @@ export async function initDesktop(setupScene = () => {}, onFrame = () => {}) {
 	renderer.domElement.addEventListener('mousemove', onMouseMove, { passive: false });
 	renderer.domElement.addEventListener('mousedown', onMouseDown, { passive: false });
 	renderer.domElement.addEventListener('mouseup', onMouseUp, { passive: false });
+	renderer.domElement.addEventListener('dblclick', onDoubleClick);
 	window.addEventListener('keydown', onKeyDown, { passive: false });
 	
 	// Handle WebGL context loss (Safari issue)
@@ -445,10 +470,12 @@ function createDesktopUI() {
 				<div><kbd>Click + Drag</kbd> - Move nodes</div>
 				<div><kbd>Scroll</kbd> - Zoom in/out</div>
 				<div><kbd>F</kbd> - Fit all nodes in view</div>
+				<div><kbd>Double-click</kbd> - Expand a node's neighbors</div>
 				<div><kbd>R</kbd> - Reset camera</div>
 				<div><kbd>L</kbd> - Toggle legend</div>
 				<div><kbd>Space</kbd> - Toggle drift</div>
 				<div><kbd>S</kbd> - Spread nodes</div>
+				<div><kbd>G</kbd> - Schema graph (double-click a table to explore it)</div>
 				<div><kbd>V</kbd> - Voice command</div>
 			</div>
 			<button id="voice-button" style="
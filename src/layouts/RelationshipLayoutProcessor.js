@@ -13,12 +13,24 @@ export class RelationshipLayoutProcessor {
 
     /**
      * Set the current graph schema
+     * Takes the /api/schema shape: nodeTypes/relationshipTypes name lists, plus
+     * relTables with FROM/TO connections when available
      */
     setSchema(schema) {
         this.schema = schema;
         logger.info('Schema set:', schema);
     }
 
+    /**
+     * Relationship tables that connect the two node types, in either direction
+     */
+    findRelationshipsBetween(typeA, typeB) {
+        return (this.schema?.relTables || [])
+            .filter(table => (table.connections || []).some(c =>
+                (c.from === typeA && c.to === typeB) || (c.from === typeB && c.to === typeA)))
+            .map(table => table.name);
+    }
+
     /**
      * Set the current graph data
      */
@@ -189,6 +201,14 @@ export class RelationshipLayoutProcessor {
             }
         }
         
+        // Without an explicit relationship, use the only table linking the two types
+        if (!relationship && sourceType && targetType) {
+            const candidates = this.findRelationshipsBetween(sourceType, targetType);
+            if (candidates.length === 1) {
+                relationship = candidates[0];
+            }
+        }
+        
         logger.info(`Extracted intent: ${sourceType} -> ${targetType} via ${relationship}`);
         return { sourceType, targetType, relationship };
     }
@@ -0,0 +1,134 @@
+import { Logger } from '../utils/Logger.js';
+
+const logger = new Logger('SchemaGraphLayout');
+
+// Prefix that keeps schema node IDs apart from data node IDs ("Person_0")
+export const SCHEMA_NODE_PREFIX = 'schema:';
+
+/**
+ * Schema Graph Layout - turns the typed /api/schema response into graph data
+ *
+ * Node tables become nodes sized by row count, REL tables become one edge per
+ * FROM/TO pair labelled with the relationship name and its properties. The
+ * output uses the same {id, type, label, data} / {from, to, type} shapes as
+ * database nodes and edges so NodeManager, EdgeManager and the Legend render it.
+ */
+export class SchemaGraphLayout {
+    constructor(options = {}) {
+        this.minScale = options.minScale ?? 1;
+        this.maxScale = options.maxScale ?? 3;
+        this.nodeSpacing = options.nodeSpacing ?? 0.35;
+        this.minRadius = options.minRadius ?? 0.6;
+    }
+
+    static nodeId(tableName) {
+        return `${SCHEMA_NODE_PREFIX}${tableName}`;
+    }
+
+    static tableName(nodeId) {
+        return String(nodeId).startsWith(SCHEMA_NODE_PREFIX) ? String(nodeId).slice(SCHEMA_NODE_PREFIX.length) : null;
+    }
+
+    /**
+     * Sphere scale grows with the order of magnitude of the row count,
+     * so a million-row table is visibly larger without dwarfing the rest
+     */
+    scaleForRowCount(rowCount, maxRowCount) {
+        if (!Number.isFinite(rowCount) || rowCount <= 0 || maxRowCount <= 0) {
+            return this.minScale;
+        }
+        const ratio = Math.log10(rowCount + 1) / Math.log10(maxRowCount + 1);
+        return this.minScale + ratio * (this.maxScale - this.minScale);
+    }
+
+    formatProperties(properties = []) {
+        return properties
+            .map(p => `${p.name}: ${p.type}${p.primaryKey ? ' (PK)' : ''}`)
+            .join(', ');
+    }
+
+    /**
+     * Place tables on a ring facing the viewer, largest first
+     * Positions are relative to the graph origin, like GraphNode's grid
+     */
+    positionsFor(tables) {
+        const radius = Math.max(this.minRadius, (tables.length * this.nodeSpacing) / (2 * Math.PI));
+        const positions = new Map();
+        tables.forEach((table, index) => {
+            const angle = (index / tables.length) * Math.PI * 2;
+            positions.set(table.name, {
+                x: Math.cos(angle) * radius,
+                y: Math.sin(angle) * radius,
+                z: 0
+            });
+        });
+        return positions;
+    }
+
+    /**
+     * @param {Object} schema - schema from /api/schema (nodeTables/relTables)
+     * @returns {{ nodes: Array, edges: Array, relationshipTypes: string[] }}
+     */
+    build(schema) {
+        const nodeTables = [...(schema?.nodeTables || [])].sort((a, b) => (b.rowCount || 0) - (a.rowCount || 0));
+        const relTables = schema?.relTables || [];
+        const maxRowCount = Math.max(0, ...nodeTables.map(t => t.rowCount || 0));
+        const positions = this.positionsFor(nodeTables);
+
+        const nodes = nodeTables.map(table => ({
+            id: SchemaGraphLayout.nodeId(table.name),
+            type: table.name,
+            label: Number.isFinite(table.rowCount) ? `${table.name} (${table.rowCount.toLocaleString()})` : table.name,
+            scale: this.scaleForRowCount(table.rowCount, maxRowCount),
+            position: positions.get(table.name),
+            data: {
+                isSchemaTable: true,
+                table: table.name,
+                primaryKey: table.primaryKey,
+                rowCount: table.rowCount,
+                properties: table.properties || []
+            }
+        }));
+
+        const known = new Set(nodeTables.map(t => t.name));
+        const pairCounts = new Map();
+        const edges = [];
+
+        relTables.forEach(table => {
+            (table.connections || []).forEach(({ from, to }) => {
+                if (!known.has(from) || !known.has(to)) {
+                    logger.warn(`Skipping ${table.name}: ${from} -> ${to} references an unknown table`);
+                    return;
+                }
+
+                // Stack labels of relationships that share the same pair of tables
+                const pairKey = [from, to].sort().join('|');
+                const labelIndex = pairCounts.get(pairKey) || 0;
+                pairCounts.set(pairKey, labelIndex + 1);
+
+                edges.push({
+                    from: SchemaGraphLayout.nodeId(from),
+                    to: SchemaGraphLayout.nodeId(to),
+                    type: table.name,
+                    detail: this.formatProperties(table.properties),
+                    labelIndex,
+                    data: {
+                        isSchemaRelationship: true,
+                        table: table.name,
+                        from,
+                        to,
+                        rowCount: table.rowCount,
+                        properties: table.properties || []
+                    }
+                });
+            });
+        });
+
+        logger.info(`Schema graph: ${nodes.length} node tables, ${edges.length} relationships`);
+        return {
+            nodes,
+            edges,
+            relationshipTypes: relTables.map(t => t.name)
+        };
+    }
+}
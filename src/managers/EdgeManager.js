@@ -16,7 +16,13 @@ export class EdgeManager {
 	createEdges(edgeDataArray, nodeManager) {
 		// Clear existing edges
 		this.clearEdges();
-		
+		this.addEdges(edgeDataArray, nodeManager);
+	}
+	
+	/**
+	 * Add edges without clearing existing ones. Edges already shown are skipped.
+	 */
+	addEdges(edgeDataArray, nodeManager) {
 		const nodes = nodeManager.getNodes();
 		const nodeMap = new Map();
 		
@@ -34,14 +40,16 @@ export class EdgeManager {
 			const fromNode = nodeMap.get(fromId);
 			const toNode = nodeMap.get(toId);
 			
-			if (fromNode && toNode) {
+			const key = `${fromId}-${toId}`;
+			
+			if (fromNode && toNode && !this.edgeMap.has(`${key}-${edgeData.type}`)) {
 				const edge = this.createEdge(fromNode, toNode, edgeData);
 				this.edges.push(edge);
 				this.edgeGroup.add(edge);
 				
 				// Store in map for quick lookup
-				const key = `${fromId}-${toId}`;
 				this.edgeMap.set(key, edge);
+				this.edgeMap.set(`${key}-${edgeData.type}`, edge);
 			}
 		});
 		
@@ -89,7 +97,7 @@ export class EdgeManager {
 		edgeGroup.add(cylinder);
 		
 		// Create label for relationship type (using mesh instead of sprite for alignment)
-		const label = this.createEdgeLabel(edgeData.type);
+		const label = this.createEdgeLabel(edgeData.type, edgeData.detail);
 		edgeGroup.add(label);
 		
 		// Store references
@@ -102,7 +110,11 @@ export class EdgeManager {
 		return edgeGroup;
 	}
 	
-	createEdgeLabel(text) {
+	/**
+	 * @param {string} text - Relationship type
+	 * @param {string} [detail] - Optional second line, e.g. the schema view's property list
+	 */
+	createEdgeLabel(text, detail = null) {
 		const canvas = document.createElement('canvas');
 		const context = canvas.getContext('2d');
 		canvas.width = 512;
@@ -122,7 +134,14 @@ export class EdgeManager {
 		context.font = 'bold 32px Arial';
 		context.textAlign = 'center';
 		context.textBaseline = 'middle';
-		context.fillText(text, canvas.width / 2, canvas.height / 2);
+		if (detail) {
+			context.fillText(text, canvas.width / 2, canvas.height * 0.32);
+			const detailText = detail.length > 48 ? detail.substring(0, 45) + '...' : detail;
+			context.font = '22px Arial';
+			context.fillText(detailText, canvas.width / 2, canvas.height * 0.72);
+		} else {
+			context.fillText(text, canvas.width / 2, canvas.height / 2);
+		}
 		
 		const texture = new THREE.CanvasTexture(canvas);
 		const spriteMaterial = new THREE.SpriteMaterial({
@@ -180,15 +199,16 @@ export class EdgeManager {
 				edge.cylinder.rotateX(Math.PI / 2); // Cylinders are oriented along Y by default
 			}
 			
-			// Position label at midpoint of the line
-			if (edge.label) {
-				edge.label.position.copy(midPoint);
-			}
-			
 			// Get the graph scale from node's parent (the nodeGroup)
 			const nodeGroup = edge.fromNode.parent;
 			const graphScale = nodeGroup ? nodeGroup.scale.x : 1;
 			
+			// Position label at midpoint of the line, stacking labels of parallel edges
+			if (edge.label) {
+				edge.label.position.copy(midPoint);
+				edge.label.position.y += (edge.userData.labelIndex || 0) * 0.12 * graphScale;
+			}
+			
 			// Scale label with the graph
 			const baseScale = 1.0;
 			const labelScale = baseScale * graphScale;
@@ -61,6 +61,52 @@ export class NodeManager {
 		processBatch();
 	}
 	
+	/**
+	 * Add nodes to the current graph without clearing it (e.g. neighborhood expansion).
+	 * Nodes whose IDs are already present are skipped. New nodes are placed around
+	 * the anchor node when one is given.
+	 * @returns {Array} The GraphNodes that were created
+	 */
+	addNodes(nodeDataArray, anchorNode = null) {
+		const existingIds = new Set(this.nodes.map(node => node.userData.id));
+		const newNodeData = nodeDataArray.filter(nodeData => !existingIds.has(nodeData.id));
+		
+		const available = this.maxNodes - this.nodes.length;
+		if (newNodeData.length > available) {
+			logger.warn(`Node limit reached, adding ${Math.max(available, 0)} of ${newNodeData.length} nodes`);
+			newNodeData.splice(Math.max(available, 0));
+		}
+		
+		const created = newNodeData.map((nodeData, i) => {
+			const node = new GraphNode(nodeData, this.nodes.length + i, this.nodes.length + newNodeData.length);
+			
+			if (anchorNode) {
+				// Spread new nodes on a ring around the anchor
+				const angle = (i / newNodeData.length) * Math.PI * 2;
+				const radius = 0.3 + 0.05 * (nodeData.hop || 1);
+				node.position.set(
+					anchorNode.position.x + Math.cos(angle) * radius,
+					anchorNode.position.y + (Math.random() - 0.5) * 0.1,
+					anchorNode.position.z + Math.sin(angle) * radius
+				);
+			}
+			
+			MemoryManager.register(node, 'graphNode');
+			MemoryManager.optimize(node);
+			
+			this.nodes.push(node);
+			this.nodeGroup.add(node);
+			return node;
+		});
+		
+		logger.info(`Added ${created.length} nodes (${this.nodes.length} total)`);
+		return created;
+	}
+	
+	getNodeById(nodeId) {
+		return this.nodes.find(node => node.userData.id === nodeId) || null;
+	}
+	
 	clearNodes() {
 		this.nodes.forEach(node => {
 			this.nodeGroup.remove(node);
@@ -209,6 +209,9 @@ export class UIManagerBasic {
 		if (node) {
 			this.selectedNode = node;
 			logger.info('Selected node:', node.userData);
+			if (this.onNodeSelected) {
+				this.onNodeSelected(node);
+			}
 		}
 		return node;
 	}
@@ -0,0 +1,324 @@
+/**
+ * Request and query metrics
+ *
+ * Latencies go into bucketed histograms (seconds) and events into labelled counters.
+ * Both render the Prometheus text format for /metrics; the histograms also back the
+ * averages and percentiles of the JSON /api/metrics report.
+ */
+
+// Latency buckets in seconds, from fast cached reads up to the 5 minute stream timeout
+export const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300];
+
+// Label values escaped for the Prometheus text format
+export function formatLabels(labels) {
+	const pairs = Object.entries(labels)
+		.map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+	return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Cumulative-bucket histogram with one series per label combination
+export class Histogram {
+	constructor(name, help, buckets = LATENCY_BUCKETS) {
+		this.name = name;
+		this.help = help;
+		this.buckets = buckets;
+		this.series = new Map(); // label key -> { labels, counts, sum, count, max }
+	}
+
+	get(labels) {
+		return this.series.get(JSON.stringify(labels));
+	}
+
+	remove(labels) {
+		this.series.delete(JSON.stringify(labels));
+	}
+
+	observe(labels, value) {
+		const key = JSON.stringify(labels);
+		let series = this.series.get(key);
+		if (!series) {
+			series = { labels, counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0, max: 0 };
+			this.series.set(key, series);
+		}
+		const index = this.buckets.findIndex(bound => value <= bound);
+		if (index !== -1) {
+			series.counts[index]++;
+		}
+		series.sum += value;
+		series.count++;
+		series.max = Math.max(series.max, value);
+	}
+
+	/**
+	 * Count, sum, max and interpolated quantiles, over one series or all of them
+	 */
+	summarize(series = Array.from(this.series.values())) {
+		const counts = new Array(this.buckets.length).fill(0);
+		let sum = 0;
+		let count = 0;
+		let max = 0;
+		for (const entry of series) {
+			entry.counts.forEach((n, i) => { counts[i] += n; });
+			sum += entry.sum;
+			count += entry.count;
+			max = Math.max(max, entry.max);
+		}
+
+		const quantile = (q) => {
+			if (count === 0) return 0;
+			const rank = q * count;
+			let seen = 0;
+			for (let i = 0; i < counts.length; i++) {
+				if (seen + counts[i] >= rank) {
+					const lower = i === 0 ? 0 : this.buckets[i - 1];
+					return Math.min(lower + (this.buckets[i] - lower) * ((rank - seen) / counts[i]), max);
+				}
+				seen += counts[i];
+			}
+			return max; // Above the highest bucket
+		};
+
+		return { count, sum, max, average: count > 0 ? sum / count : 0, p50: quantile(0.5), p95: quantile(0.95), p99: quantile(0.99) };
+	}
+
+	render() {
+		const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+		for (const { labels, counts, sum, count } of this.series.values()) {
+			let cumulative = 0;
+			this.buckets.forEach((bound, i) => {
+				cumulative += counts[i];
+				lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${cumulative}`);
+			});
+			lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+			lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+			lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+		}
+		return lines.join('\n');
+	}
+}
+
+// Monotonic counter with one value per label combination
+export class Counter {
+	constructor(name, help) {
+		this.name = name;
+		this.help = help;
+		this.values = new Map(); // label key -> { labels, value }
+	}
+
+	inc(labels, amount = 1) {
+		const key = JSON.stringify(labels);
+		const entry = this.values.get(key) || { labels, value: 0 };
+		entry.value += amount;
+		this.values.set(key, entry);
+	}
+
+	total(filter = () => true) {
+		let sum = 0;
+		this.values.forEach(({ labels, value }) => {
+			if (filter(labels)) sum += value;
+		});
+		return sum;
+	}
+
+	render() {
+		const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+		this.values.forEach(({ labels, value }) => lines.push(`${this.name}${formatLabels(labels)} ${value}`));
+		return lines.join('\n');
+	}
+}
+
+// Point-in-time samples in the gauge format
+export function renderGauge(name, help, samples) {
+	const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+	samples.forEach(({ labels = {}, value }) => lines.push(`${name}${formatLabels(labels)} ${value}`));
+	return lines.join('\n');
+}
+
+// Performance metrics collection: HTTP requests, database queries and rate-limit decisions
+export class PerformanceMetrics {
+	constructor(queryLog) {
+		this.queryLog = queryLog;
+		this.resetMetrics();
+		
+		// Track peak memory usage; the timer does not keep the process alive
+		setInterval(() => {
+			const memUsage = process.memoryUsage();
+			if (memUsage.heapUsed > this.system.peakMemoryUsage) {
+				this.system.peakMemoryUsage = memUsage.heapUsed;
+			}
+		}, 10000).unref(); // Check every 10 seconds
+	}
+
+	resetMetrics() {
+		this.requestDuration = new Histogram('kuzu_http_request_duration_seconds', 'HTTP request latency by route');
+		this.requestsTotal = new Counter('kuzu_http_requests_total', 'HTTP requests by route and status code');
+		this.queryDuration = new Histogram('kuzu_db_query_duration_seconds', 'Kùzu query execution time by query class');
+		this.queryErrors = new Counter('kuzu_db_query_errors_total', 'Kùzu queries that failed, by query class');
+		this.slowQueries = new Counter('kuzu_db_slow_queries_total', 'Kùzu queries over the slow-query threshold, by query class');
+		this.rateLimitChecks = new Counter('kuzu_rate_limit_checks_total', 'Requests checked against a rate-limit policy');
+		this.rateLimited = new Counter('kuzu_rate_limited_total', 'Requests refused with 429, by policy and the scope that ran out');
+		this.system = {
+			startTime: Date.now(),
+			peakMemoryUsage: 0,
+			currentConnections: 0
+		};
+	}
+
+	/**
+	 * Route label: the matched route pattern, so /api/backup/:name/verify is one series
+	 * rather than one per backup; requests no route matched share a single label
+	 */
+	routeLabel(req) {
+		return req.route ? `${req.baseUrl || ''}${req.route.path}` : 'unmatched';
+	}
+
+	recordRequest(req, res, responseTime) {
+		const method = req.method;
+		const route = this.routeLabel(req);
+		this.requestDuration.observe({ method, route }, responseTime / 1000);
+		this.requestsTotal.inc({ method, route, status: res.statusCode });
+	}
+
+	/**
+	 * @param {number} queryTime - milliseconds
+	 * @param {string} queryClass - read, write or schema for Cypher; internal for server housekeeping
+	 * @param {Object} details - { rowCount, errorCode, database } for the slow-query log
+	 *
+	 * Internal queries are timed but kept out of the slow-query log: their query is a
+	 * description such as 'Backup checkpoint', not Cypher worth fingerprinting.
+	 */
+	recordDatabaseQuery(queryTime, query, isError = false, queryClass = 'internal', details = {}) {
+		this.queryDuration.observe({ class: queryClass }, queryTime / 1000);
+		if (isError) {
+			this.queryErrors.inc({ class: queryClass });
+		}
+		if (queryClass !== 'internal' && this.queryLog?.record({ ...details, query, queryClass, queryTime, success: !isError })) {
+			this.slowQueries.inc({ class: queryClass });
+		}
+	}
+
+	recordRateLimit({ policy, scope, limited }) {
+		this.rateLimitChecks.inc({ policy });
+		if (limited) {
+			this.rateLimited.inc({ policy, scope });
+		}
+	}
+
+	getMetrics() {
+		const toMs = (seconds) => Math.round(seconds * 1000 * 100) / 100;
+		const requests = this.requestDuration.summarize();
+		const queries = this.queryDuration.summarize();
+
+		const byEndpoint = {};
+		for (const series of this.requestDuration.series.values()) {
+			const summary = this.requestDuration.summarize([series]);
+			byEndpoint[`${series.labels.method} ${series.labels.route}`] = {
+				count: summary.count,
+				totalTime: toMs(summary.sum),
+				averageTime: toMs(summary.average),
+				p95Time: toMs(summary.p95),
+				slowestTime: toMs(summary.max)
+			};
+		}
+
+		const byStatus = {};
+		this.requestsTotal.values.forEach(({ labels, value }) => {
+			byStatus[labels.status] = (byStatus[labels.status] || 0) + value;
+		});
+
+		const rateLimits = {};
+		this.rateLimitChecks.values.forEach(({ labels, value }) => {
+			rateLimits[labels.policy] = { checked: value, limited: this.rateLimited.total(l => l.policy === labels.policy) };
+		});
+
+		return {
+			requests: {
+				total: requests.count,
+				byEndpoint,
+				byStatus,
+				errors: this.requestsTotal.total(labels => labels.status >= 400)
+			},
+			timing: {
+				averageResponseTime: toMs(requests.average),
+				p50ResponseTime: toMs(requests.p50),
+				p95ResponseTime: toMs(requests.p95),
+				p99ResponseTime: toMs(requests.p99),
+				slowestEndpoints: Object.entries(byEndpoint)
+					.map(([endpoint, { slowestTime, averageTime, count }]) => ({ endpoint, slowestTime, averageTime, callCount: count }))
+					.sort((a, b) => b.slowestTime - a.slowestTime)
+					.slice(0, 10)
+			},
+			database: {
+				queryCount: queries.count,
+				averageQueryTime: toMs(queries.average),
+				p95QueryTime: toMs(queries.p95),
+				slowQueries: this.queryLog?.recent || [],
+				connectionErrors: this.queryErrors.total()
+			},
+			rateLimits: {
+				checked: this.rateLimitChecks.total(),
+				limited: this.rateLimited.total(),
+				byPolicy: rateLimits
+			},
+			system: {
+				...this.system,
+				uptime: Date.now() - this.system.startTime,
+				currentMemoryUsage: process.memoryUsage()
+			}
+		};
+	}
+
+	/**
+	 * Prometheus text exposition (format 0.0.4)
+	 * @param {Object} gauges - point-in-time values gathered by the caller
+	 *   ({ pools: [{ database, connections, workers }], sessions, backup })
+	 */
+	toPrometheus({ pools = [], sessions = 0, backup = null } = {}) {
+		const memory = process.memoryUsage();
+		const now = Date.now();
+		const sections = [
+			this.requestDuration.render(),
+			this.requestsTotal.render(),
+			this.queryDuration.render(),
+			this.queryErrors.render(),
+			this.slowQueries.render(),
+			this.rateLimitChecks.render(),
+			this.rateLimited.render(),
+			renderGauge('kuzu_http_requests_in_flight', 'HTTP requests being served', [{ value: this.system.currentConnections }]),
+			renderGauge('kuzu_db_sessions', 'Open database sessions', [{ value: sessions }]),
+			renderGauge('kuzu_db_pool_connections', 'Pooled Kùzu connections by state', pools.flatMap(({ database, connections }) => connections ? [
+				{ labels: { database, state: 'in_use' }, value: connections.inUse },
+				{ labels: { database, state: 'idle' }, value: connections.idle }
+			] : [])),
+			renderGauge('kuzu_db_pool_waiting', 'Requests waiting for a pooled connection', pools
+				.filter(({ connections }) => connections)
+				.map(({ database, connections }) => ({ labels: { database }, value: connections.waiting }))),
+			renderGauge('kuzu_db_query_workers', 'Query worker threads by state', pools.flatMap(({ database, workers }) => workers ? [
+				{ labels: { database, state: 'busy' }, value: workers.busy },
+				{ labels: { database, state: 'idle' }, value: workers.idle }
+			] : [])),
+			renderGauge('process_resident_memory_bytes', 'Resident memory size in bytes', [{ value: memory.rss }]),
+			renderGauge('nodejs_heap_size_used_bytes', 'V8 heap in use in bytes', [{ value: memory.heapUsed }]),
+			renderGauge('nodejs_heap_size_total_bytes', 'V8 heap size in bytes', [{ value: memory.heapTotal }]),
+			renderGauge('nodejs_external_memory_bytes', 'Memory held by C++ objects bound to JavaScript, in bytes', [{ value: memory.external }]),
+			renderGauge('process_start_time_seconds', 'Process start time since the Unix epoch in seconds', [{ value: Math.floor(this.system.startTime / 1000) }])
+		];
+
+		if (backup) {
+			const lastBackup = backup.lastBackupTime ? new Date(backup.lastBackupTime).getTime() : null;
+			sections.push(
+				renderGauge('kuzu_backup_count', 'Backups kept under the retention policy', [{ value: backup.backupCount }]),
+				renderGauge('kuzu_backup_running', 'Whether a backup or restore is in progress', [{ value: backup.isRunning || backup.isRestoreRunning ? 1 : 0 }])
+			);
+			// Left out until there is a backup, so alerts on absent() can tell "never backed up"
+			if (lastBackup) {
+				sections.push(
+					renderGauge('kuzu_backup_last_success_timestamp_seconds', 'Time of the newest backup since the Unix epoch in seconds', [{ value: Math.floor(lastBackup / 1000) }]),
+					renderGauge('kuzu_backup_age_seconds', 'Seconds since the newest backup', [{ value: Math.max(0, Math.round((now - lastBackup) / 1000)) }])
+				);
+			}
+		}
+
+		return `${sections.join('\n')}\n`;
+	}
+}
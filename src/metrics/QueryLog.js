@@ -0,0 +1,222 @@
+/**
+ * Persistent slow-query log with query fingerprinting
+ *
+ * Every query is aggregated under its fingerprint (the query shape with literals
+ * replaced, see CypherClassifier.fingerprint). Executions slower than the threshold are
+ * also appended as JSON lines to slow-queries.log, rotated by size, and replayed at
+ * startup so the slow-query history survives restarts.
+ */
+
+import { appendFile, mkdir, rename, stat } from 'fs/promises';
+import fs, { createReadStream } from 'fs';
+import { CypherClassifier } from '../utils/CypherClassifier.js';
+import { Histogram } from './Metrics.js';
+import { createHash } from 'crypto';
+import path from 'path';
+import readline from 'readline';
+
+// Longest query text kept in the slow-query log and in fingerprint samples
+const MAX_LOGGED_QUERY_LENGTH = 4000;
+
+export const QUERY_SORT_KEYS = ['totalTime', 'p95', 'max', 'count', 'slowCount', 'errors', 'lastSeen'];
+
+// Slow-query log with fingerprinting
+export class QueryLog {
+	/**
+	 * @param {Object} options - logDir, thresholdMs, maxBytes per log file, maxFiles (rotated
+	 *   files kept) and maxFingerprints (least recently seen ones are dropped beyond it)
+	 */
+	constructor({ logDir = './logs', thresholdMs = 1000, maxBytes = 10 * 1024 * 1024, maxFiles = 5, maxFingerprints = 1000 } = {}) {
+		this.logDir = logDir;
+		this.logFile = path.join(this.logDir, 'slow-queries.log');
+		this.thresholdMs = thresholdMs;
+		this.maxBytes = maxBytes;
+		this.maxFiles = maxFiles;
+		this.maxFingerprints = maxFingerprints;
+		this.logSize = 0;
+		this.writes = Promise.resolve();
+		this.reset();
+		this.ready = this.load();
+	}
+
+	/**
+	 * Forget in-memory aggregates; the on-disk log is kept
+	 */
+	reset() {
+		this.fingerprints = new Map(); // id -> stats, least recently seen first
+		this.latency = new Histogram('kuzu_query_fingerprint_duration_seconds', 'Query time per fingerprint');
+		this.recent = []; // Last 50 slow executions
+	}
+
+	static fingerprintId(fingerprint) {
+		return createHash('sha256').update(fingerprint).digest('hex').slice(0, 16);
+	}
+
+	static truncate(query) {
+		const text = String(query ?? '');
+		return text.length > MAX_LOGGED_QUERY_LENGTH ? `${text.slice(0, MAX_LOGGED_QUERY_LENGTH)}...` : text;
+	}
+
+	/**
+	 * @param {Object} execution - { query, queryClass, queryTime (ms), success, errorCode, rowCount, database }
+	 */
+	record({ query, queryClass = 'internal', queryTime, success = true, errorCode = null, rowCount = null, database = null }) {
+		const fingerprint = CypherClassifier.fingerprint(query);
+		const entry = {
+			timestamp: new Date().toISOString(),
+			fingerprintId: QueryLog.fingerprintId(fingerprint),
+			fingerprint,
+			queryClass,
+			queryTime,
+			rowCount,
+			success,
+			errorCode,
+			database,
+			query: QueryLog.truncate(query)
+		};
+		const slow = queryTime > this.thresholdMs;
+		this.aggregate(entry, slow);
+
+		if (slow) {
+			this.recent.push(entry);
+			if (this.recent.length > 50) {
+				this.recent.shift();
+			}
+			this.append(entry);
+		}
+		return slow;
+	}
+
+	aggregate(entry, slow) {
+		let stats = this.fingerprints.get(entry.fingerprintId);
+		if (stats) {
+			this.fingerprints.delete(entry.fingerprintId); // Re-inserted below as the most recently seen
+		} else {
+			stats = {
+				id: entry.fingerprintId,
+				fingerprint: entry.fingerprint,
+				queryClass: entry.queryClass,
+				count: 0,
+				errors: 0,
+				slowCount: 0,
+				firstSeen: entry.timestamp,
+				lastSeen: entry.timestamp,
+				sample: entry.query
+			};
+		}
+
+		stats.count++;
+		stats.errors += entry.success ? 0 : 1;
+		stats.slowCount += slow ? 1 : 0;
+		if (entry.timestamp >= stats.lastSeen) {
+			stats.lastSeen = entry.timestamp;
+			stats.sample = entry.query;
+		}
+		this.latency.observe({ fingerprint: stats.id }, entry.queryTime / 1000);
+		this.fingerprints.set(stats.id, stats);
+
+		if (this.fingerprints.size > this.maxFingerprints) {
+			const [leastRecent] = this.fingerprints.keys();
+			this.fingerprints.delete(leastRecent);
+			this.latency.remove({ fingerprint: leastRecent });
+		}
+	}
+
+	append(entry) {
+		const line = `${JSON.stringify(entry)}\n`;
+		const bytes = Buffer.byteLength(line);
+		this.writes = this.writes
+			.then(async () => {
+				await this.ready;
+				if (this.logSize > 0 && this.logSize + bytes > this.maxBytes) {
+					await this.rotate();
+				}
+				await appendFile(this.logFile, line);
+				this.logSize += bytes;
+			})
+			.catch(error => console.warn(`⚠️ Could not write slow-query log: ${error.message}`));
+	}
+
+	/**
+	 * slow-queries.log -> .1 -> .2 ... the oldest file beyond maxFiles is overwritten
+	 */
+	async rotate() {
+		for (let i = this.maxFiles - 1; i >= 1; i--) {
+			await rename(`${this.logFile}.${i}`, `${this.logFile}.${i + 1}`).catch(() => {});
+		}
+		await rename(this.logFile, `${this.logFile}.1`);
+		this.logSize = 0;
+	}
+
+	logFiles() {
+		const rotated = Array.from({ length: this.maxFiles }, (_, i) => `${this.logFile}.${this.maxFiles - i}`);
+		return [...rotated, this.logFile]; // Oldest first
+	}
+
+	/**
+	 * Rebuild fingerprint aggregates from the slow executions still on disk
+	 */
+	async load() {
+		try {
+			await mkdir(this.logDir, { recursive: true });
+			const replayed = [];
+			for (const file of this.logFiles()) {
+				if (!fs.existsSync(file)) {
+					continue;
+				}
+				const lines = readline.createInterface({ input: createReadStream(file), crlfDelay: Infinity });
+				for await (const line of lines) {
+					try {
+						const entry = JSON.parse(line);
+						this.aggregate(entry, true);
+						replayed.push(entry);
+					} catch {
+						// A line cut short by a crash; skip it
+					}
+				}
+			}
+			this.recent = [...replayed.slice(-50), ...this.recent].slice(-50);
+			this.logSize = (await stat(this.logFile).catch(() => null))?.size || 0;
+			if (replayed.length > 0) {
+				console.log(`🐢 Loaded ${replayed.length} slow queries from ${this.logFile}`);
+			}
+		} catch (error) {
+			console.warn(`⚠️ Could not load slow-query log: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Per-fingerprint aggregates, times in milliseconds
+	 * @param {Object} options - { sort: one of QUERY_SORT_KEYS (descending), limit, slowOnly }
+	 */
+	getQueries({ sort = 'totalTime', limit = 50, slowOnly = false } = {}) {
+		const toMs = (seconds) => Math.round(seconds * 1000 * 100) / 100;
+		return Array.from(this.fingerprints.values())
+			.filter(stats => !slowOnly || stats.slowCount > 0)
+			.map(stats => {
+				const series = this.latency.get({ fingerprint: stats.id });
+				const latency = this.latency.summarize(series ? [series] : []);
+				return {
+					...stats,
+					totalTime: toMs(latency.sum),
+					averageTime: toMs(latency.average),
+					p50: toMs(latency.p50),
+					p95: toMs(latency.p95),
+					max: toMs(latency.max)
+				};
+			})
+			.sort((a, b) => (a[sort] < b[sort] ? 1 : a[sort] > b[sort] ? -1 : 0))
+			.slice(0, limit);
+	}
+
+	getStatus() {
+		return {
+			file: this.logFile,
+			thresholdMs: this.thresholdMs,
+			maxBytes: this.maxBytes,
+			maxFiles: this.maxFiles,
+			sizeBytes: this.logSize,
+			fingerprints: this.fingerprints.size
+		};
+	}
+}
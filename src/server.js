@@ -1,20 +1,33 @@
-import express from 'express';
-import cors from 'cors';
-import compression from 'compression';
-import kuzu from 'kuzu';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
-import CypherQueryService from './services/CypherQueryService.js';
+import { Authenticator, JwksKeyStore } from './api/Authenticator.js';
+import { BACKUP_FORMATS, BackupManager, defaultBackupPolicy } from './backup/BackupManager.js';
+import { DEFAULT_RATE_LIMIT_POLICIES, FileRateLimitStore, MemoryRateLimitStore, RateLimiter, mergePolicies } from './api/RateLimiter.js';
+import { ERROR_CODES, createEnvelopeMiddleware, errorStatus } from './api/envelope.js';
+import { FileUsageStore, MemoryUsageStore, UsageMeter, billingPeriod } from './api/UsageMeter.js';
+import { QUERY_SORT_KEYS, QueryLog } from './metrics/QueryLog.js';
+import { createSubscriptionStore, entitledTier } from '../lambda/stripe/subscriptionStore.js';
+import { ApiContract } from './api/ApiContract.js';
 import { NaturalLanguageService } from './services/NaturalLanguageService.js';
-import dotenv from 'dotenv';
 import OpenAI from 'openai';
-import multer from 'multer';
+import { PerformanceMetrics } from './metrics/Metrics.js';
+import { SUBSCRIPTION_TIERS } from './config/aws-config.js';
+import { SessionRegistry } from './db/SessionRegistry.js';
+import { TierLimits } from './api/TierLimits.js';
+import compression from 'compression';
+import cors from 'cors';
+import { createApiRoutes } from './api/routes.js';
+import { createBackupTargets } from './backup/BackupStorage.js';
+import { createHandler as createCheckoutHandler } from '../lambda/stripe/createCheckoutSession.js';
+import { createStripeClient } from '../lambda/stripe/config.js';
+import { createHandler as createWebhookHandler } from '../lambda/stripe/webhookHandler.js';
+import { dirname } from 'path';
+import dotenv from 'dotenv';
+import express from 'express';
+import { fileURLToPath } from 'url';
 import fs from 'fs';
-import { pipeline } from 'stream';
-import { promisify } from 'util';
-import { createReadStream, createWriteStream } from 'fs';
-import { mkdir, copyFile, readdir, stat } from 'fs/promises';
+import { lambdaRoute } from './api/LambdaAdapter.js';
+import multer from 'multer';
 import path from 'path';
+import { randomUUID } from 'crypto';
 
 // Load environment variables
 dotenv.config({ path: '.env.local' });
@@ -29,6 +42,12 @@ const __dirname = dirname(__filename);
 
 const app = express();
 
+// Behind a reverse proxy, TRUST_PROXY (a hop count or an Express trust value such as
+// "loopback") makes req.ip the client address, which per-IP rate limits depend on
+if (process.env.TRUST_PROXY) {
+	app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 // Enable compression for all responses
 app.use(compression({
 	// Configure compression based on content type and size
@@ -48,11 +67,45 @@ app.use(compression({
 }));
 
 app.use(cors());
-app.use(express.json({ limit: '50mb' })); // Increased limit for large queries
+
+// /api/v2/<route> is served by the same routes as /api/<route>: strip the version
+// before anything else so routing, validation and the session path form see /api paths
+app.use((req, res, next) => {
+	const match = req.url.match(/^\/api\/(v\d+)(\/.*)?$/);
+	if (match) {
+		req.pathVersion = match[1];
+		req.url = `/api${match[2] || ''}`;
+	}
+	next();
+});
+
+app.use(express.json({
+	limit: '50mb', // Increased limit for large queries
+	// Stripe webhook signatures cover the exact bytes that were sent
+	verify: (req, res, buf) => { req.rawBody = buf; }
+}));
+
+// /api/sessions/:id/<route> is the path form of the X-Session-Id header; rewrite it
+// before routing so every route and per-route middleware sees the plain /api path
+app.use((req, res, next) => {
+	const match = req.url.match(/^\/api\/sessions\/([^/?]+)(\/[^?]+)(\?.*)?$/);
+	if (match) {
+		req.headers['x-session-id'] = decodeURIComponent(match[1]);
+		req.url = `/api${match[2]}${match[3] || ''}`;
+	}
+	next();
+});
 
 // Request timeout middleware
 const requestTimeout = (timeoutMs = 30000) => {
 	return (req, res, next) => {
+		// A route-specific timeout mounted earlier wins over the general /api default
+		if (req.timeoutMs !== undefined) {
+			return next();
+		}
+		// Handlers read this deadline so database work can stop with it
+		req.timeoutMs = timeoutMs;
+
 		// Set timeout for this request
 		const timeout = setTimeout(() => {
 			if (!res.headersSent) {
@@ -82,175 +135,27 @@ const requestTimeout = (timeoutMs = 30000) => {
 	};
 };
 
-// Performance metrics collection
-class PerformanceMetrics {
-	constructor() {
-		this.metrics = {
-			requests: {
-				total: 0,
-				byEndpoint: {},
-				byStatus: {},
-				errors: 0
-			},
-			timing: {
-				averageResponseTime: 0,
-				slowestEndpoints: [],
-				responseTimeHistory: []
-			},
-			database: {
-				queryCount: 0,
-				averageQueryTime: 0,
-				slowQueries: [],
-				connectionErrors: 0
-			},
-			system: {
-				startTime: Date.now(),
-				peakMemoryUsage: 0,
-				currentConnections: 0
-			}
-		};
-		
-		// Track peak memory usage
-		setInterval(() => {
-			const memUsage = process.memoryUsage();
-			if (memUsage.heapUsed > this.metrics.system.peakMemoryUsage) {
-				this.metrics.system.peakMemoryUsage = memUsage.heapUsed;
-			}
-		}, 10000); // Check every 10 seconds
-	}
-
-	recordRequest(req, res, responseTime) {
-		this.metrics.requests.total++;
-		
-		// Track by endpoint
-		const endpoint = `${req.method} ${req.route?.path || req.path}`;
-		if (!this.metrics.requests.byEndpoint[endpoint]) {
-			this.metrics.requests.byEndpoint[endpoint] = { count: 0, totalTime: 0 };
-		}
-		this.metrics.requests.byEndpoint[endpoint].count++;
-		this.metrics.requests.byEndpoint[endpoint].totalTime += responseTime;
-		
-		// Track by status code
-		const status = res.statusCode;
-		if (!this.metrics.requests.byStatus[status]) {
-			this.metrics.requests.byStatus[status] = 0;
-		}
-		this.metrics.requests.byStatus[status]++;
-		
-		// Track errors
-		if (status >= 400) {
-			this.metrics.requests.errors++;
-		}
-		
-		// Update average response time
-		const totalRequests = this.metrics.requests.total;
-		this.metrics.timing.averageResponseTime = 
-			(this.metrics.timing.averageResponseTime * (totalRequests - 1) + responseTime) / totalRequests;
-		
-		// Track response time history (keep last 1000)
-		this.metrics.timing.responseTimeHistory.push({
-			timestamp: Date.now(),
-			responseTime,
-			endpoint
-		});
-		if (this.metrics.timing.responseTimeHistory.length > 1000) {
-			this.metrics.timing.responseTimeHistory.shift();
-		}
-		
-		// Track slowest endpoints
-		this.updateSlowestEndpoints(endpoint, responseTime);
-	}
-
-	recordDatabaseQuery(queryTime, query, isError = false) {
-		this.metrics.database.queryCount++;
-		
-		if (isError) {
-			this.metrics.database.connectionErrors++;
-			return;
-		}
-		
-		// Update average query time
-		const totalQueries = this.metrics.database.queryCount - this.metrics.database.connectionErrors;
-		this.metrics.database.averageQueryTime = 
-			(this.metrics.database.averageQueryTime * (totalQueries - 1) + queryTime) / totalQueries;
-		
-		// Track slow queries (>1000ms)
-		if (queryTime > 1000) {
-			this.metrics.database.slowQueries.push({
-				timestamp: Date.now(),
-				queryTime,
-				query: query?.substring(0, 100) + (query?.length > 100 ? '...' : '') // Truncate for storage
-			});
-			
-			// Keep only last 50 slow queries
-			if (this.metrics.database.slowQueries.length > 50) {
-				this.metrics.database.slowQueries.shift();
-			}
-		}
-	}
-
-	updateSlowestEndpoints(endpoint, responseTime) {
-		// Find existing entry or create new one
-		let endpointEntry = this.metrics.timing.slowestEndpoints.find(e => e.endpoint === endpoint);
-		
-		if (!endpointEntry) {
-			endpointEntry = {
-				endpoint,
-				slowestTime: responseTime,
-				averageTime: responseTime,
-				callCount: 1
-			};
-			this.metrics.timing.slowestEndpoints.push(endpointEntry);
-		} else {
-			// Update existing entry
-			if (responseTime > endpointEntry.slowestTime) {
-				endpointEntry.slowestTime = responseTime;
-			}
-			endpointEntry.averageTime = 
-				(endpointEntry.averageTime * endpointEntry.callCount + responseTime) / (endpointEntry.callCount + 1);
-			endpointEntry.callCount++;
-		}
-		
-		// Sort by slowest time and keep top 10
-		this.metrics.timing.slowestEndpoints.sort((a, b) => b.slowestTime - a.slowestTime);
-		this.metrics.timing.slowestEndpoints = this.metrics.timing.slowestEndpoints.slice(0, 10);
-	}
-
-	getMetrics() {
-		return {
-			...this.metrics,
-			system: {
-				...this.metrics.system,
-				uptime: Date.now() - this.metrics.system.startTime,
-				currentMemoryUsage: process.memoryUsage()
-			}
-		};
-	}
-
-	resetMetrics() {
-		this.metrics = {
-			requests: { total: 0, byEndpoint: {}, byStatus: {}, errors: 0 },
-			timing: { averageResponseTime: 0, slowestEndpoints: [], responseTimeHistory: [] },
-			database: { queryCount: 0, averageQueryTime: 0, slowQueries: [], connectionErrors: 0 },
-			system: { startTime: Date.now(), peakMemoryUsage: 0, currentConnections: 0 }
-		};
-	}
-}
-
-const performanceMetrics = new PerformanceMetrics();
+const queryLog = new QueryLog({
+	logDir: process.env.SLOW_QUERY_LOG_DIR || './logs',
+	thresholdMs: parseInt(process.env.SLOW_QUERY_THRESHOLD_MS ?? '1000'),
+	maxBytes: parseFloat(process.env.SLOW_QUERY_LOG_MAX_MB ?? '10') * 1024 * 1024,
+	maxFiles: parseInt(process.env.SLOW_QUERY_LOG_FILES ?? '5'),
+	maxFingerprints: parseInt(process.env.QUERY_FINGERPRINT_LIMIT ?? '1000')
+});
+const performanceMetrics = new PerformanceMetrics(queryLog);
 
 // Performance tracking middleware
 const performanceTracker = (req, res, next) => {
 	const startTime = Date.now();
 	
-	performanceMetrics.metrics.system.currentConnections++;
+	performanceMetrics.system.currentConnections++;
 	
 	// Override res.end to capture response time
 	const originalEnd = res.end;
 	res.end = function(...args) {
 		const responseTime = Date.now() - startTime;
 		performanceMetrics.recordRequest(req, res, responseTime);
-		performanceMetrics.metrics.system.currentConnections--;
+		performanceMetrics.system.currentConnections--;
 		
 		originalEnd.apply(this, args);
 	};
@@ -264,13 +169,20 @@ app.use(performanceTracker);
 // API Versioning system
 class APIVersionManager {
 	constructor() {
-		this.supportedVersions = ['v1'];
-		this.defaultVersion = 'v1';
-		this.deprecatedVersions = []; // Future use for version deprecation
+		this.supportedVersions = ['v1', 'v2'];
+		this.defaultVersion = 'v1'; // Unversioned /api paths keep answering in v1
+		this.latestVersion = 'v2';
+		this.deprecatedVersions = ['v1'];
+		this.sunsets = { v1: process.env.API_V1_SUNSET || null }; // HTTP date announced in the Sunset header
 	}
 
 	getVersionFromRequest(req) {
-		// Check for version in header first (preferred for APIs)
+		// A version in the URL path (/api/v2/nodes, stripped before routing) is the most explicit
+		if (req.pathVersion) {
+			return req.pathVersion;
+		}
+
+		// Check for version in header next (preferred for APIs)
 		const headerVersion = req.headers['api-version'] || req.headers['x-api-version'];
 		if (headerVersion) {
 			return this.normalizeVersion(headerVersion);
@@ -282,12 +194,6 @@ class APIVersionManager {
 			return this.normalizeVersion(queryVersion);
 		}
 
-		// Check for version in URL path (e.g., /api/v1/nodes)
-		const pathMatch = req.path.match(/^\/api\/(v\d+)\//);
-		if (pathMatch) {
-			return pathMatch[1];
-		}
-
 		// Default version
 		return this.defaultVersion;
 	}
@@ -323,16 +229,24 @@ class APIVersionManager {
 		return this.deprecatedVersions.includes(version);
 	}
 
-	addVersionHeaders(res, requestedVersion, actualVersion) {
+	addVersionHeaders(res, requestedVersion, actualVersion, req) {
 		res.set({
 			'API-Version': actualVersion,
 			'API-Supported-Versions': this.supportedVersions.join(', '),
 			'API-Default-Version': this.defaultVersion
 		});
 
-		// Add deprecation warning if applicable
+		// Add deprecation warning if applicable, with the standard Deprecation/Sunset headers
+		// and a link to the same route in the latest version
 		if (this.isVersionDeprecated(actualVersion)) {
-			res.set('API-Deprecation-Warning', `Version ${actualVersion} is deprecated. Please upgrade to ${this.defaultVersion}.`);
+			res.set({
+				'API-Deprecation-Warning': `Version ${actualVersion} is deprecated. Please upgrade to ${this.latestVersion}.`,
+				'Deprecation': 'true',
+				'Link': `</api/${this.latestVersion}${req.path.replace(/^\/api/, '')}>; rel="successor-version"`
+			});
+			if (this.sunsets[actualVersion]) {
+				res.set('Sunset', this.sunsets[actualVersion]);
+			}
 		}
 
 		// Add notice if version was not what was requested
@@ -365,7 +279,7 @@ const apiVersioning = (req, res, next) => {
 	req.requestedApiVersion = requestedVersion;
 
 	// Add version headers to response
-	apiVersionManager.addVersionHeaders(res, requestedVersion, actualVersion);
+	apiVersionManager.addVersionHeaders(res, requestedVersion, actualVersion, req);
 
 	next();
 };
@@ -373,10 +287,34 @@ const apiVersioning = (req, res, next) => {
 // Apply API versioning to all routes
 app.use(apiVersioning);
 
+// v2 requests get the { data, error, meta } envelope; the OpenAPI document is sent as is
+const apiEnvelope = createEnvelopeMiddleware(req => Boolean(apiContract.match(req.method, req.path)?.route.raw));
+app.use(apiEnvelope);
+
+/**
+ * Record the documented error code of a failed response (see src/api/envelope.js).
+ * v1 bodies are unchanged; v2 uses the code and its status.
+ * @returns {Object} res, for chaining
+ */
+function failWith(res, code) {
+	res.locals.errorCode = code;
+	return res;
+}
+
+/**
+ * Error carrying a documented error code
+ */
+function createApiError(message, code) {
+	const error = new Error(message);
+	error.code = code;
+	return error;
+}
+
 // Apply different timeouts for different endpoints
 app.use('/api/voice/transcribe', requestTimeout(45000)); // 45s for audio processing
 app.use('/api/cypher/execute', requestTimeout(60000)); // 60s for complex queries
 app.use('/api/cypher/fromText', requestTimeout(30000)); // 30s for AI processing
+app.use('/api/cypher/stream', requestTimeout(300000)); // 5min for streamed exploratory queries
 app.use('/api', requestTimeout(20000)); // 20s for general API calls
 
 // Initialize OpenAI
@@ -396,513 +334,818 @@ const upload = multer({
 	limits: { fileSize: 25 * 1024 * 1024 } // 25MB limit
 });
 
-// Database connection management
-class DatabaseManager {
-	constructor() {
-		this.db = null;
-		this.conn = null;
-		this.dbPath = null;
-		this.isConnecting = false;
-		this.connectionQueue = [];
-		this.reconnectAttempts = 0;
-		this.maxReconnectAttempts = 3;
-		this.reconnectDelay = 1000; // Start with 1 second
-	}
-
-	async connect(dbPath) {
-		if (this.isConnecting) {
-			// Return a promise that resolves when current connection attempt finishes
-			return new Promise((resolve, reject) => {
-				this.connectionQueue.push({ resolve, reject });
-			});
-		}
-
-		this.isConnecting = true;
-		this.dbPath = dbPath;
+let nlService = null;
 
-		try {
-			// Close existing connections
-			await this.disconnect();
+// Connection pool and query worker settings for every open database
+const databaseOptions = {
+	poolOptions: {
+		size: parseInt(process.env.DB_POOL_SIZE) || 4,
+		acquireTimeoutMs: parseInt(process.env.DB_POOL_ACQUIRE_TIMEOUT_MS) || 10000,
+		queryTimeoutMs: parseInt(process.env.DB_QUERY_TIMEOUT_MS) || 60000
+	},
+	workerOptions: {
+		size: parseInt(process.env.DB_QUERY_WORKERS) || 0, // 0 runs every query on the pool
+		bufferPoolMb: parseInt(process.env.DB_WORKER_BUFFER_MB) || 256
+	},
+	onQuery: (queryTime, description, isError) => performanceMetrics.recordDatabaseQuery(queryTime, description, isError)
+};
 
-			console.log('🔌 Connecting to Kùzu database:', dbPath);
-			
-			this.db = new kuzu.Database(dbPath);
-			this.conn = new kuzu.Connection(this.db);
+// Query result cache limits (a TTL of 0 keeps entries until a write invalidates them)
+const queryCacheOptions = {
+	cacheMaxSize: parseInt(process.env.QUERY_CACHE_MAX_SIZE ?? '100'),
+	cacheTtlMs: parseInt(process.env.QUERY_CACHE_TTL_MS ?? String(5 * 60 * 1000))
+};
 
-			// Test connection
-			await this.conn.query('RETURN 1');
-			
-			this.reconnectAttempts = 0;
-			this.reconnectDelay = 1000;
-			
-			console.log('✅ Database connected successfully');
+const sessionRegistry = new SessionRegistry({
+	maxSessions: parseInt(process.env.MAX_DB_SESSIONS) || 10,
+	cypherOptions: queryCacheOptions,
+	databaseOptions,
+	readOnly: process.env.READ_ONLY === 'true',
+	unlockToken: process.env.EDIT_UNLOCK_TOKEN || null,
+	editUnlockTtlMs: parseInt(process.env.EDIT_UNLOCK_TTL_MS ?? String(30 * 60 * 1000)),
+	beforeWrite: (session, classification) => backupManager.beforeMutation(session.dbManager, classification),
+	onQueryComplete: (session, { query, queryClass, queryTime, success, rowCount, errorCode }) => performanceMetrics.recordDatabaseQuery(
+		queryTime, query, !success, queryClass, { rowCount, errorCode, database: session.dbManager.dbPath }
+	)
+});
 
-			// Resolve any queued connection attempts
-			this.connectionQueue.forEach(({ resolve }) => resolve({ success: true }));
-			this.connectionQueue = [];
+if (sessionRegistry.readOnly) {
+	console.log(`🔒 Read-only mode: writes and schema changes are rejected${sessionRegistry.unlockToken ? ' unless a session unlocks editing' : ''}`);
+}
 
-			return { success: true, message: 'Connected to database' };
+// Extra storage targets for backups (BACKUP_TARGETS, BACKUP_S3_*)
+let backupTargets = [];
+try {
+	backupTargets = createBackupTargets();
+} catch (error) {
+	console.error('❌ Backup targets misconfigured, keeping backups local only:', error.message);
+}
 
-		} catch (error) {
-			console.error('❌ Database connection failed:', error.message);
-			
-			// Reject queued attempts
-			this.connectionQueue.forEach(({ reject }) => reject(error));
-			this.connectionQueue = [];
+const backupManager = new BackupManager({
+	registry: sessionRegistry,
+	backupDir: process.env.BACKUP_DIR || './backups',
+	targets: backupTargets,
+	defaultPolicy: defaultBackupPolicy(),
+	importBufferPoolMb: parseInt(process.env.DB_WORKER_BUFFER_MB) || 256
+});
 
-			return { success: false, message: error.message };
-		} finally {
-			this.isConnecting = false;
-		}
+// Request contract: the OpenAPI document and request validation share src/api/routes.js
+const apiContract = new ApiContract(
+	createApiRoutes({ backupFormats: BACKUP_FORMATS, querySortKeys: QUERY_SORT_KEYS }),
+	{
+		title: 'Kùzu 3D VR API',
+		version: apiVersionManager.defaultVersion,
+		description: 'Graph exploration, Cypher execution, metrics and backups for Kùzu databases.'
 	}
-
-	async disconnect() {
+);
+
+// Subscriptions written by the Stripe webhook: DynamoDB (SUBSCRIPTIONS_TABLE) or a JSON file
+const subscriptionStore = createSubscriptionStore(process.env);
+
+// Bearer-token authentication. With AUTH_JWKS_URI set (a JWKS URL such as
+// https://cognito-idp.<region>.amazonaws.com/<userPoolId>/.well-known/jwks.json, or a
+// local file), tokens are verified and routes with a feature in their contract entry
+// need a signed-in user whose tier includes it. A paid subscription in the store
+// decides the tier; otherwise the token's tier claim does. Admin routes (backup
+// changes, metrics reset) need a user in an AUTH_ADMIN_GROUPS Cognito group
+// (default admin) or on an AUTH_ADMIN_TIERS tier
+const authenticator = new Authenticator({
+	keyStore: process.env.AUTH_JWKS_URI ? new JwksKeyStore({ source: process.env.AUTH_JWKS_URI }) : null,
+	tiers: SUBSCRIPTION_TIERS,
+	tierClaim: process.env.AUTH_TIER_CLAIM || 'custom:tier',
+	resolveTier: async (user) => {
 		try {
-			if (this.conn) {
-				this.conn = null;
-				console.log('🔌 Database connection closed');
-			}
-			if (this.db) {
-				this.db = null;
-				console.log('🗄️ Database closed');
+			const tier = entitledTier(await subscriptionStore.get(user.id));
+			if (tier) {
+				return tier;
 			}
 		} catch (error) {
-			console.warn('⚠️ Error during disconnect:', error.message);
-		}
-	}
-
-	async executeQuery(queryFn, queryDescription = 'Unknown query') {
-		if (!this.conn) {
-			throw new Error('No database connection');
+			console.warn(`⚠️ Could not read the subscription of ${user.id}: ${error.message}`);
 		}
+		return authenticator.tierFromClaims(user.claims);
+	},
+	verifyOptions: {
+		issuer: process.env.AUTH_ISSUER || null,
+		audience: (process.env.AUTH_AUDIENCE || '').split(',').map(aud => aud.trim()).filter(Boolean)
+	},
+	adminGroups: (process.env.AUTH_ADMIN_GROUPS ?? 'admin').split(',').map(group => group.trim()).filter(Boolean),
+	adminTiers: (process.env.AUTH_ADMIN_TIERS || '').split(',').map(tier => tier.trim()).filter(Boolean)
+});
 
-		const startTime = Date.now();
-		let isError = false;
+if (authenticator.enabled) {
+	console.log(`🔐 Bearer tokens verified against ${process.env.AUTH_JWKS_URI}`);
+} else {
+	console.warn('⚠️ Authentication disabled (AUTH_JWKS_URI not set): subscription features and admin routes are not enforced');
+}
+app.use(authenticator.middleware(
+	req => apiContract.match(req.method, req.path)?.route.feature,
+	req => Boolean(apiContract.match(req.method, req.path)?.route.admin)
+));
+
+// maxNodes caps result sizes and maxGraphs the databases a caller has open
+const tierLimits = new TierLimits({ tiers: SUBSCRIPTION_TIERS, isEnforced: () => authenticator.enabled });
+
+// Rate limits for expensive routes (the rateLimit policy of their contract entry).
+// RATE_LIMITS overrides policies as JSON, e.g. {"openai":{"ip":{"capacity":3,"refillPerMinute":1}}}
+const rateLimitStore = process.env.RATE_LIMIT_STORE === 'file'
+	? new FileRateLimitStore({ filePath: process.env.RATE_LIMIT_FILE || './data/rate-limits.json' })
+	: new MemoryRateLimitStore();
+
+const rateLimiter = new RateLimiter({
+	store: rateLimitStore,
+	policies: mergePolicies(DEFAULT_RATE_LIMIT_POLICIES, JSON.parse(process.env.RATE_LIMITS || '{}')),
+	onDecision: (decision) => performanceMetrics.recordRateLimit(decision)
+});
 
-		try {
-			const result = await queryFn(this.conn);
-			const queryTime = Date.now() - startTime;
-			
-			// Record successful query metrics
-			if (typeof performanceMetrics !== 'undefined') {
-				performanceMetrics.recordDatabaseQuery(queryTime, queryDescription, false);
-			}
-			
-			return result;
-		} catch (error) {
-			isError = true;
-			const queryTime = Date.now() - startTime;
-			
-			// Record error metrics
-			if (typeof performanceMetrics !== 'undefined') {
-				performanceMetrics.recordDatabaseQuery(queryTime, queryDescription, true);
-			}
-			
-			// Check if it's a connection error
-			if (this.isConnectionError(error)) {
-				console.warn('🔄 Connection error detected, attempting reconnect...');
-				
-				if (this.reconnectAttempts < this.maxReconnectAttempts) {
-					await this.attemptReconnect();
-					// Retry the query with new connection - this will record new metrics
-					return await this.executeQuery(queryFn, queryDescription);
-				}
-			}
-			throw error;
-		}
-	}
+if (process.env.RATE_LIMIT_ENABLED !== 'false') {
+	console.log(`🚦 Rate limits: ${Object.keys(rateLimiter.policies).join(', ')} (${process.env.RATE_LIMIT_STORE === 'file' ? rateLimitStore.filePath : 'in memory'})`);
+	app.use(rateLimiter.middleware(req => apiContract.match(req.method, req.path)?.route.rateLimit));
+} else {
+	console.warn('⚠️ Rate limiting disabled (RATE_LIMIT_ENABLED=false)');
+}
 
-	async attemptReconnect() {
-		if (!this.dbPath) {
-			throw new Error('No database path stored for reconnection');
-		}
+// Usage per user and billing period. Routes consuming a metric (the usage list of their
+// contract entry) are refused once the tier's quota for it is used up.
+const usageStore = process.env.USAGE_STORE === 'memory'
+	? new MemoryUsageStore()
+	: new FileUsageStore({ filePath: process.env.USAGE_FILE || './data/usage.json' });
 
-		this.reconnectAttempts++;
-		
-		console.log(`🔄 Reconnect attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts}`);
-		
-		// Exponential backoff
-		await new Promise(resolve => setTimeout(resolve, this.reconnectDelay));
-		this.reconnectDelay *= 2;
+const usageMeter = new UsageMeter({
+	store: usageStore,
+	tierLimits,
+	periodOf: async (req) => billingPeriod(req.user ? await subscriptionStore.get(req.user.id).catch(() => null) : null)
+});
+app.use(usageMeter.middleware(req => apiContract.match(req.method, req.path)?.route.usage));
 
-		const result = await this.connect(this.dbPath);
-		if (!result.success) {
-			throw new Error(`Reconnection failed: ${result.message}`);
-		}
-	}
+// Reject malformed path parameters, query strings and JSON bodies before any handler runs
+app.use(apiContract.middleware());
 
-	isConnectionError(error) {
-		const connectionErrorPatterns = [
-			'connection',
-			'disconnected',
-			'network',
-			'timeout',
-			'broken pipe',
-			'socket'
-		];
-		
-		const errorMessage = error.message.toLowerCase();
-		return connectionErrorPatterns.some(pattern => errorMessage.includes(pattern));
-	}
+// Attach the request's database session (X-Session-Id header, or the path form
+// rewritten above). Requests without an ID use the caller's default session; other
+// callers' sessions are unknown here.
+app.use('/api', (req, res, next) => {
+	const sessionId = req.get('X-Session-Id');
+	req.dbSession = sessionRegistry.resolve(sessionId, tierLimits.ownerOf(req));
 
-	isConnected() {
-		return !!this.conn;
+	// Session management and connect handle unknown IDs themselves
+	if (sessionId && !req.dbSession && !req.path.startsWith('/sessions') && req.path !== '/connect') {
+		return res.status(404).json({
+			success: false,
+			error: {
+				message: `Unknown database session: ${sessionId}`,
+				code: 'SESSION_NOT_FOUND'
+			}
+		});
 	}
 
-	getConnection() {
-		return this.conn;
+	if (req.dbSession) {
+		res.set('X-Session-Id', req.dbSession.id);
 	}
+	next();
+});
 
-	getDatabase() {
-		return this.db;
-	}
+// Initialize Natural Language Service
+if (process.env.OPENAI_API_KEY) {
+	nlService = new NaturalLanguageService(process.env.OPENAI_API_KEY);
+	console.log('✅ Natural Language Service initialized');
+} else {
+	console.warn('⚠️  No OpenAI API key found, natural language features disabled');
 }
 
-const dbManager = new DatabaseManager();
-
-// Automated backup system
-class BackupManager {
-	constructor() {
-		this.backupDir = process.env.BACKUP_DIR || './backups';
-		this.maxBackups = parseInt(process.env.MAX_BACKUPS) || 10;
-		this.backupInterval = parseInt(process.env.BACKUP_INTERVAL_HOURS) || 24; // hours
-		this.isBackupRunning = false;
-		this.lastBackupTime = null;
-		this.backupHistory = [];
-		
-		// Ensure backup directory exists
-		this.ensureBackupDirectory();
+// Endpoint to connect to database
+// Opens a new session and returns its ID. Calling it with the X-Session-Id of an
+// open session points that session at the new path instead.
+app.post('/api/connect', async (req, res) => {
+	const { dbPath, name, readOnly = false } = req.body;
+	
+	console.log('Connect request received for:', dbPath);
+	
+	try {
+		const existing = req.get('X-Session-Id') ? req.dbSession : null;
 		
-		// Start automated backup schedule (every 24 hours by default)
-		if (process.env.NODE_ENV === 'production') {
-			this.startAutomatedBackups();
+		// A database the caller does not have open yet counts against maxGraphs
+		const owner = tierLimits.ownerOf(req);
+		const graphs = sessionRegistry.graphsOf(owner, existing);
+		if (!graphs.has(path.resolve(dbPath)) && graphs.size >= tierLimits.max(req, 'maxGraphs')) {
+			return failWith(res, 'UPGRADE_REQUIRED').status(403).json(
+				TierLimits.upgradeRequired(tierLimits.upgrade(req, 'maxGraphs', graphs.size + 1))
+			);
 		}
+		
+		const session = existing
+			? await sessionRegistry.reconnect(existing, dbPath)
+			: await sessionRegistry.open(dbPath, { name, readOnly: readOnly === true, owner });
+		
+		res.set('X-Session-Id', session.id);
+		res.json({
+			success: true,
+			message: 'Connected to database',
+			sessionId: session.id,
+			session: sessionRegistry.describe(session)
+		});
+	} catch (error) {
+		console.error('Connection error:', error);
+		const sessionLimit = error.code === 'SESSION_LIMIT';
+		failWith(res, sessionLimit ? 'SESSION_LIMIT' : 'CONNECT_FAILED').status(sessionLimit ? 409 : 200).json({ 
+			success: false, 
+			message: `Failed to connect to database: ${error.message}` 
+		});
 	}
+});
 
-	async ensureBackupDirectory() {
-		try {
-			await mkdir(this.backupDir, { recursive: true });
-			console.log(`📁 Backup directory ready: ${this.backupDir}`);
-		} catch (error) {
-			console.error('❌ Failed to create backup directory:', error);
-		}
-	}
+// List the caller's open database sessions
+app.get('/api/sessions', (req, res) => {
+	const owner = tierLimits.ownerOf(req);
+	res.json({
+		success: true,
+		sessions: sessionRegistry.list(owner),
+		defaultSessionId: sessionRegistry.getDefault(owner)?.id ?? null
+	});
+});
 
-	startAutomatedBackups() {
-		console.log(`🔄 Starting automated backups every ${this.backupInterval} hours`);
-		
-		// Run backup every specified interval
-		setInterval(async () => {
-			try {
-				await this.createBackup('automated');
-			} catch (error) {
-				console.error('❌ Automated backup failed:', error);
-			}
-		}, this.backupInterval * 60 * 60 * 1000); // Convert hours to milliseconds
+// Get one of the caller's sessions
+app.get('/api/sessions/:id', (req, res) => {
+	const session = sessionRegistry.get(req.params.id, tierLimits.ownerOf(req));
+	if (!session) {
+		return res.status(404).json({
+			success: false,
+			error: { message: `Unknown database session: ${req.params.id}`, code: 'SESSION_NOT_FOUND' }
+		});
 	}
+	
+	res.json({
+		success: true,
+		session: sessionRegistry.describe(session)
+	});
+});
 
-	async createBackup(type = 'manual', description = '') {
-		if (this.isBackupRunning) {
-			throw new Error('Backup already in progress');
-		}
-
-		if (!dbManager.isConnected() || !dbManager.dbPath) {
-			throw new Error('No database connected to backup');
+// Close one of the caller's sessions; the database closes with its last session
+app.delete('/api/sessions/:id', async (req, res) => {
+	const owner = tierLimits.ownerOf(req);
+	try {
+		const closed = await sessionRegistry.close(req.params.id, owner);
+		if (!closed) {
+			return res.status(404).json({
+				success: false,
+				error: { message: `Unknown database session: ${req.params.id}`, code: 'SESSION_NOT_FOUND' }
+			});
 		}
+		
+		res.json({
+			success: true,
+			message: 'Session closed',
+			defaultSessionId: sessionRegistry.getDefault(owner)?.id ?? null
+		});
+	} catch (error) {
+		console.error('Failed to close session:', error);
+		res.status(500).json({
+			success: false,
+			error: { message: error.message }
+		});
+	}
+});
 
-		this.isBackupRunning = true;
-		const startTime = Date.now();
+// Edit mode of the request's session (also reachable as /api/sessions/:id/edit-mode)
+app.get('/api/edit-mode', (req, res) => {
+	if (!req.dbSession) {
+		return failWith(res, 'NOT_CONNECTED').json({
+			success: false,
+			message: 'Not connected to database'
+		});
+	}
+	
+	res.json({
+		success: true,
+		...sessionRegistry.getEditMode(req.dbSession)
+	});
+});
 
-		try {
-			const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-			const backupName = `kuzu-backup-${timestamp}`;
-			const backupPath = path.join(this.backupDir, backupName);
+// Unlock writes for the session
+app.post('/api/edit-mode', (req, res) => {
+	if (!req.dbSession) {
+		return failWith(res, 'NOT_CONNECTED').json({
+			success: false,
+			message: 'Not connected to database'
+		});
+	}
+	
+	const { unlocked, reason } = sessionRegistry.unlock(req.dbSession, req.body.token, tierLimits.ownerOf(req));
+	if (!unlocked) {
+		return res.status(403).json({
+			success: false,
+			error: { message: reason, code: 'EDIT_LOCKED' }
+		});
+	}
+	
+	res.json({
+		success: true,
+		message: 'Editing unlocked',
+		...sessionRegistry.getEditMode(req.dbSession)
+	});
+});
 
-			console.log(`📦 Creating ${type} backup: ${backupName}`);
+// Return the session to read-only
+app.delete('/api/edit-mode', (req, res) => {
+	if (!req.dbSession) {
+		return failWith(res, 'NOT_CONNECTED').json({
+			success: false,
+			message: 'Not connected to database'
+		});
+	}
+	
+	sessionRegistry.lock(req.dbSession);
+	res.json({
+		success: true,
+		message: 'Editing locked',
+		...sessionRegistry.getEditMode(req.dbSession)
+	});
+});
 
-			// Create backup directory
-			await mkdir(backupPath, { recursive: true });
+// Graph data helpers shared by the node/edge endpoints
 
-			// Copy all database files
-			const dbFiles = await this.getDatabaseFiles(dbManager.dbPath);
-			const copiedFiles = [];
+// Table and property names are interpolated into Cypher, so only plain identifiers are accepted
+const isValidIdentifier = (name) => typeof name === 'string' && /^[A-Za-z_][A-Za-z0-9_]*$/.test(name);
 
-			for (const file of dbFiles) {
-				const sourcePath = path.join(dbManager.dbPath, file);
-				const targetPath = path.join(backupPath, file);
-				
-				await copyFile(sourcePath, targetPath);
-				copiedFiles.push(file);
-			}
+// List table names of the given type ('NODE' or 'REL')
+const getTableNames = async (conn, type) => {
+	const tablesQuery = await conn.query('CALL show_tables() RETURN *');
+	const tables = await tablesQuery.getAll();
+	return tables.filter(t => t.type === type).map(t => t.name);
+};
 
-			// Create backup metadata
-			const metadata = {
-				backupName,
-				type,
-				description,
-				timestamp: new Date().toISOString(),
-				databasePath: dbManager.dbPath,
-				files: copiedFiles,
-				size: await this.getDirectorySize(backupPath),
-				duration: Date.now() - startTime
-			};
+// Quote a table name for use inside a procedure's string argument
+const quoteTableName = (name) => `'${String(name).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+/**
+ * Introspect the full catalog: every node and rel table with typed properties,
+ * primary keys, FROM/TO pairs and row counts
+ * nodeTypes/relationshipTypes keep the plain name lists older clients expect
+ */
+const getDatabaseSchema = async (conn) => {
+	const tablesQuery = await conn.query('CALL show_tables() RETURN *');
+	const tables = await tablesQuery.getAll();
+
+	const nodeTables = [];
+	const relTables = [];
+
+	for (const table of tables.filter(t => t.type === 'NODE' || t.type === 'REL')) {
+		const infoQuery = await conn.query(`CALL table_info(${quoteTableName(table.name)}) RETURN *`);
+		const properties = (await infoQuery.getAll()).map(column => ({
+			name: column.name,
+			type: column.type,
+			primaryKey: column['primary key'] === true,
+			defaultValue: column['default expression'] === 'NULL' ? null : column['default expression']
+		}));
+
+		const label = `\`${table.name.replace(/`/g, '``')}\``;
+		const entry = { name: table.name, comment: table.comment || '', properties };
+
+		if (table.type === 'NODE') {
+			const countQuery = await conn.query(`MATCH (n:${label}) RETURN count(n) AS count`);
+			const [{ count }] = await countQuery.getAll();
+			nodeTables.push({
+				...entry,
+				primaryKey: properties.find(p => p.primaryKey)?.name || null,
+				rowCount: Number(count)
+			});
+		} else {
+			const connectionQuery = await conn.query(`CALL show_connection(${quoteTableName(table.name)}) RETURN *`);
+			const connections = (await connectionQuery.getAll()).map(pair => ({
+				from: pair['source table name'],
+				to: pair['destination table name']
+			}));
+			const countQuery = await conn.query(`MATCH ()-[r:${label}]->() RETURN count(r) AS count`);
+			const [{ count }] = await countQuery.getAll();
+			relTables.push({ ...entry, connections, rowCount: Number(count) });
+		}
+	}
 
-			// Save metadata
-			const metadataPath = path.join(backupPath, 'backup-metadata.json');
-			await fs.promises.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+	const byName = (a, b) => a.name.localeCompare(b.name);
+	nodeTables.sort(byName);
+	relTables.sort(byName);
 
-			// Update backup history
-			this.backupHistory.unshift(metadata);
-			this.lastBackupTime = metadata.timestamp;
+	return {
+		nodeTables,
+		relTables,
+		nodeTypes: nodeTables.map(t => t.name),
+		relationshipTypes: relTables.map(t => t.name)
+	};
+};
 
-			// Clean up old backups
-			await this.cleanupOldBackups();
+// Create consistent node ID that matches edge format
+const formatNodeId = (node) => `${node._label}_${node._id.offset}`;
 
-			console.log(`✅ Backup completed: ${backupName} (${metadata.duration}ms)`);
-			return metadata;
+// Transform a Kùzu node into the client node format
+const formatNode = (node) => ({
+	id: formatNodeId(node),
+	data: node,
+	type: node._label, // Extract the node type for color coding
+	label: node.name || node.id || node.title || `${node._label} ${node._id.offset}`
+});
 
-		} catch (error) {
-			console.error('❌ Backup failed:', error);
-			throw error;
-		} finally {
-			this.isBackupRunning = false;
-		}
+// Pagination cursors are opaque to clients: base64url JSON mapping each
+// unfinished table to the last internal offset it returned
+const encodeNodeCursor = (positions) => {
+	if (Object.keys(positions).length === 0) {
+		return null;
 	}
+	return Buffer.from(JSON.stringify(positions)).toString('base64url');
+};
 
-	async getDatabaseFiles(dbPath) {
-		try {
-			const files = await readdir(dbPath);
-			// Filter for typical Kùzu database files
-			return files.filter(file => 
-				file.endsWith('.kz') || 
-				file.endsWith('.hindex') || 
-				file.includes('catalog') || 
-				file.includes('metadata') ||
-				file.includes('data')
-			);
-		} catch (error) {
-			console.error('Error reading database directory:', error);
-			return [];
+const decodeNodeCursor = (cursor) => {
+	try {
+		const positions = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+		const valid = positions && typeof positions === 'object' && !Array.isArray(positions) &&
+			Object.entries(positions).every(([table, offset]) => isValidIdentifier(table) && Number.isInteger(offset) && offset >= -1);
+		if (!valid) {
+			throw new Error('Malformed cursor');
 		}
+		return positions;
+	} catch {
+		throw createApiError('Invalid pagination cursor', 'INVALID_REQUEST');
 	}
+};
 
-	async getDirectorySize(dirPath) {
-		let totalSize = 0;
-		try {
-			const files = await readdir(dirPath);
-			for (const file of files) {
-				const filePath = path.join(dirPath, file);
-				const stats = await stat(filePath);
-				totalSize += stats.size;
-			}
-		} catch (error) {
-			console.warn('Could not calculate directory size:', error);
-		}
-		return totalSize;
+// Endpoint to get nodes
+// Samples every node table (or the comma-separated ?table= list) with a per-type
+// quota. Pages are keyed on internal node offsets so a cursor stays stable while
+// the graph grows.
+app.get('/api/nodes', async (req, res) => {
+	const dbManager = req.dbSession?.dbManager;
+	if (!dbManager?.isConnected()) {
+		return failWith(res, 'NOT_CONNECTED').json({ success: false, message: 'Not connected to database' });
 	}
-
-	async cleanupOldBackups() {
-		try {
-			// Keep only the most recent backups
-			while (this.backupHistory.length > this.maxBackups) {
-				const oldBackup = this.backupHistory.pop();
-				const backupPath = path.join(this.backupDir, oldBackup.backupName);
-				
-				try {
-					await fs.promises.rm(backupPath, { recursive: true, force: true });
-					console.log(`🗑️ Cleaned up old backup: ${oldBackup.backupName}`);
-				} catch (cleanupError) {
-					console.warn(`Failed to cleanup backup ${oldBackup.backupName}:`, cleanupError);
+	
+	try {
+		const maxNodes = tierLimits.max(req, 'maxNodes');
+		let { value: limit, tierLimit } = tierLimits.clamp(req, 'maxNodes', parseInt(req.query.limit) || 500);
+		
+		const result = await dbManager.executeQuery(async (conn) => {
+			const requestedTables = req.query.table
+				? String(req.query.table).split(',').map(t => t.trim()).filter(Boolean)
+				: null;
+			
+			const nodeTables = await getTableNames(conn, 'NODE');
+			if (nodeTables.length === 0) {
+				throw new Error('No node tables found');
+			}
+			
+			let targetTables = nodeTables;
+			if (requestedTables) {
+				const unknown = requestedTables.filter(t => !nodeTables.includes(t));
+				if (unknown.length > 0) {
+					throw createApiError(`Unknown node table(s): ${unknown.join(', ')}`, 'UNKNOWN_TABLE');
 				}
+				targetTables = requestedTables;
 			}
-		} catch (error) {
-			console.error('Error during backup cleanup:', error);
-		}
-	}
-
-	async listBackups() {
-		try {
-			const backupDirs = await readdir(this.backupDir);
-			const backups = [];
-
-			for (const dir of backupDirs) {
-				const backupPath = path.join(this.backupDir, dir);
-				const metadataPath = path.join(backupPath, 'backup-metadata.json');
-
-				try {
-					const metadata = JSON.parse(await fs.promises.readFile(metadataPath, 'utf8'));
-					backups.push(metadata);
-				} catch (error) {
-					// Skip directories without valid metadata
-					continue;
+			
+			// A cursor only carries the tables that still have rows left
+			let positions = null;
+			if (req.query.cursor) {
+				positions = decodeNodeCursor(String(req.query.cursor));
+				targetTables = targetTables.filter(t => t in positions);
+			}
+			
+			let perType = parseInt(req.query.perType) ||
+				Math.max(1, Math.floor(limit / Math.max(targetTables.length, 1)));
+			
+			// perType applies to every table, so the tier limit caps it as well
+			const perTypeCap = Math.max(1, Math.floor(maxNodes / Math.max(targetTables.length, 1)));
+			if (perType > perTypeCap) {
+				tierLimit = tierLimit || tierLimits.upgrade(req, 'maxNodes', perType * targetTables.length);
+				perType = perTypeCap;
+			}
+			
+			const nodes = [];
+			const totals = {};
+			const returned = {};
+			const nextPositions = {};
+			
+			for (const table of targetTables) {
+				const after = positions ? positions[table] : -1;
+				
+				const countQuery = await conn.query(`MATCH (n:${table}) RETURN count(n) AS total`);
+				const [countRow] = await countQuery.getAll();
+				totals[table] = Number(countRow?.total || 0);
+				
+				const queryResult = await conn.query(
+					`MATCH (n:${table}) WHERE offset(id(n)) > ${after} ` +
+					`RETURN n ORDER BY offset(id(n)) LIMIT ${perType + 1}`
+				);
+				const rows = await queryResult.getAll();
+				const page = rows.slice(0, perType);
+				
+				page.forEach(row => nodes.push(formatNode(row.n)));
+				returned[table] = page.length;
+				
+				// Fetching one extra row tells us whether this table has more pages
+				if (rows.length > perType) {
+					nextPositions[table] = page[page.length - 1].n._id.offset;
 				}
 			}
-
-			// Sort by timestamp (newest first)
-			return backups.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-		} catch (error) {
-			console.error('Error listing backups:', error);
-			return [];
-		}
+			
+			const nextCursor = encodeNodeCursor(nextPositions);
+			
+			return {
+				success: true,
+				tableName: targetTables.length === 1 ? targetTables[0] : 'All',
+				nodes,
+				pagination: {
+					perType,
+					tables: targetTables,
+					totals,
+					returned,
+					hasMore: nextCursor !== null,
+					nextCursor
+				},
+				// Only reported when the cut actually left nodes behind
+				...(tierLimit && nextCursor !== null ? { tierLimit } : {})
+			};
+		}, 'Fetch nodes page');
+		
+		usageMeter.recordQuietly(req, 'nodesRendered', result.nodes.length);
+		res.json(result);
+	} catch (error) {
+		failWith(res, error.code).json({ success: false, message: error.message });
 	}
+});
 
-	getBackupStatus() {
-		return {
-			isRunning: this.isBackupRunning,
-			lastBackupTime: this.lastBackupTime,
-			backupCount: this.backupHistory.length,
-			maxBackups: this.maxBackups,
-			backupInterval: this.backupInterval,
-			backupDir: this.backupDir,
-			automatedBackupsEnabled: process.env.NODE_ENV === 'production'
-		};
+// Strip Kùzu internals from a relationship's properties
+const extractRelProperties = (rel) => Object.keys(rel).reduce((props, key) => {
+	if (!key.startsWith('_')) {
+		props[key] = rel[key];
 	}
-}
+	return props;
+}, {});
 
-const backupManager = new BackupManager();
+// Parse a client node ID ("Label_offset") back into its table and internal offset
+const parseNodeId = (nodeId) => {
+	const match = /^([A-Za-z_][A-Za-z0-9_]*)_(\d+)$/.exec(nodeId || '');
+	return match ? { table: match[1], offset: parseInt(match[2]) } : null;
+};
 
-let cypherService = null;
-let nlService = null;
+// Relationship patterns for each expansion direction
+const NEIGHBOR_PATTERNS = {
+	out: (table, relPattern) => `(a:${table})-[r${relPattern}]->(b)`,
+	in: (table, relPattern) => `(a:${table})<-[r${relPattern}]-(b)`
+};
 
-// Initialize Natural Language Service
-if (process.env.OPENAI_API_KEY) {
-	nlService = new NaturalLanguageService(process.env.OPENAI_API_KEY);
-	console.log('✅ Natural Language Service initialized');
-} else {
-	console.warn('⚠️  No OpenAI API key found, natural language features disabled');
-}
+// Undirected matches report _src in match order rather than the stored direction,
+// so "both" reads outgoing and incoming relationships separately to orient edges
+const NEIGHBOR_DIRECTIONS = {
+	out: ['out'],
+	in: ['in'],
+	both: ['out', 'in']
+};
 
-// Endpoint to connect to database
-app.post('/api/connect', async (req, res) => {
-	const { dbPath } = req.body;
-	
-	console.log('Connect request received for:', dbPath);
-	
-	// Require real database path
-	if (!dbPath) {
-		return res.json({ 
-			success: false, 
-			message: 'Database path required - please provide a valid Kùzu database path' 
-		});
+// Endpoint to expand the k-hop neighborhood around a node
+// Expands one hop at a time so the fan-out cap applies to every visited node
+app.get('/api/nodes/:id/neighbors', async (req, res) => {
+	const dbManager = req.dbSession?.dbManager;
+	if (!dbManager?.isConnected()) {
+		return failWith(res, 'NOT_CONNECTED').json({ success: false, message: 'Not connected to database' });
 	}
 	
 	try {
-		const result = await dbManager.connect(dbPath);
+		const center = parseNodeId(req.params.id);
+		if (!center) {
+			throw createApiError(`Invalid node ID: ${req.params.id}`, 'INVALID_REQUEST');
+		}
 		
-		if (result.success) {
-			// Initialize CypherQueryService with managed connection
-			cypherService = new CypherQueryService(dbManager.getConnection());
-			console.log('✅ CypherQueryService initialized');
+		const depth = Math.min(Math.max(parseInt(req.query.depth) || 1, 1), 3);
+		const fanOut = Math.min(Math.max(parseInt(req.query.limit) || 25, 1), 500);
+		const { value: maxNodes, tierLimit } = tierLimits.clamp(req, 'maxNodes', Math.min(Math.max(parseInt(req.query.maxNodes) || 500, 1), 5000));
+		const direction = req.query.direction || 'both';
+		const relTypes = req.query.types
+			? String(req.query.types).split(',').map(t => t.trim()).filter(Boolean)
+			: [];
+		
+		if (!NEIGHBOR_DIRECTIONS[direction]) {
+			throw createApiError(`Invalid direction: ${direction} (expected out, in or both)`, 'INVALID_REQUEST');
 		}
 		
-		res.json(result);
-	} catch (error) {
-		console.error('Connection error:', error);
-		res.json({ 
-			success: false, 
-			message: `Failed to connect to database: ${error.message}` 
-		});
-	}
-});
-
-// Endpoint to get nodes
-app.get('/api/nodes', async (req, res) => {
-	if (!dbManager.isConnected()) {
-		return res.json({ success: false, message: 'Not connected to database' });
-	}
-	
-	try {
 		const result = await dbManager.executeQuery(async (conn) => {
-			const tableName = req.query.table;
-			const limit = parseInt(req.query.limit) || 500;
+			const nodeTables = await getTableNames(conn, 'NODE');
+			if (!nodeTables.includes(center.table)) {
+				throw createApiError(`Unknown node table: ${center.table}`, 'UNKNOWN_TABLE');
+			}
+			
+			if (relTypes.length > 0) {
+				const relTables = await getTableNames(conn, 'REL');
+				const unknown = relTypes.filter(t => !relTables.includes(t));
+				if (unknown.length > 0) {
+					throw createApiError(`Unknown relationship type(s): ${unknown.join(', ')}`, 'UNKNOWN_TABLE');
+				}
+			}
 			
-			let targetTable = tableName;
+			const relPattern = relTypes.length > 0 ? `:${relTypes.join('|')}` : '';
 			
-			// If no table specified, get the first node table
-			if (!targetTable) {
-				const tables = await conn.query('CALL show_tables() RETURN *;');
-				const result = await tables.getAll();
+			const centerStatement = await conn.prepare(`MATCH (a:${center.table}) WHERE offset(id(a)) = $offset RETURN a`);
+			const centerQuery = await conn.execute(centerStatement, { offset: center.offset });
+			const [centerRow] = await centerQuery.getAll();
+			if (!centerRow) {
+				throw createApiError(`Node not found: ${req.params.id}`, 'NODE_NOT_FOUND');
+			}
+			
+			const nodes = new Map([[req.params.id, { ...formatNode(centerRow.a), hop: 0 }]]);
+			const edges = new Map();
+			let frontier = [center];
+			let truncated = false;
+			
+			// Only the table and direction change the query text, so each pair is prepared once
+			const hopStatements = new Map();
+			const hopStatement = async (table, hopDirection) => {
+				const key = `${table}:${hopDirection}`;
+				if (!hopStatements.has(key)) {
+					// The label in the pattern keeps each hop to one table's rows instead of every node
+					hopStatements.set(key, await conn.prepare(
+						`MATCH ${NEIGHBOR_PATTERNS[hopDirection](table, relPattern)} WHERE offset(id(a)) = $offset RETURN a, r, b LIMIT $limit`
+					));
+				}
+				return hopStatements.get(key);
+			};
+			
+			for (let hop = 1; hop <= depth && frontier.length > 0 && !truncated; hop++) {
+				const nextFrontier = [];
 				
-				// Find first node table
-				const nodeTable = result.find(row => row.type === 'NODE');
-				if (!nodeTable) {
-					throw new Error('No node tables found');
+				for (const { table, offset } of frontier) {
+					// The fan-out cap covers both directions together
+					const rows = [];
+					for (const hopDirection of NEIGHBOR_DIRECTIONS[direction]) {
+						if (rows.length >= fanOut) break;
+						const hopQuery = await conn.execute(await hopStatement(table, hopDirection), { offset, limit: fanOut - rows.length });
+						(await hopQuery.getAll()).forEach(row => rows.push({ ...row, outgoing: hopDirection === 'out' }));
+					}
+					
+					for (const row of rows) {
+						const neighborId = formatNodeId(row.b);
+						const from = row.outgoing ? formatNodeId(row.a) : neighborId;
+						const to = row.outgoing ? neighborId : formatNodeId(row.a);
+						const edgeKey = `${from}-${row.r._label}-${to}-${row.r._id?.offset ?? ''}`;
+						
+						if (!nodes.has(neighborId)) {
+							if (nodes.size >= maxNodes) {
+								truncated = true;
+								break;
+							}
+							nodes.set(neighborId, { ...formatNode(row.b), hop });
+							nextFrontier.push({ table: row.b._label, offset: row.b._id.offset });
+						}
+						
+						if (!edges.has(edgeKey)) {
+							edges.set(edgeKey, {
+								from,
+								to,
+								type: row.r._label,
+								properties: extractRelProperties(row.r)
+							});
+						}
+					}
+					
+					if (truncated) break;
 				}
-				targetTable = nodeTable.name;
+				
+				frontier = nextFrontier;
 			}
 			
-			// Get nodes from the table
-			const query = `MATCH (n:${targetTable}) RETURN n LIMIT ${limit};`;
-			const queryResult = await conn.query(query);
-			const nodes = await queryResult.getAll();
-			
 			return {
 				success: true,
-				tableName: targetTable,
-				nodes: nodes.map((row) => {
-					const node = row.n;
-					// Create consistent ID that matches edge format
-					const nodeId = `${node._label}_${node._id.offset}`;
-					
-					return {
-						id: nodeId,
-						data: node,
-						type: node._label, // Extract the node type for color coding
-						label: node.name || node.id || node.title || `${node._label} ${node._id.offset}`
-					};
-				})
+				center: req.params.id,
+				depth,
+				direction,
+				nodes: Array.from(nodes.values()),
+				edges: Array.from(edges.values()),
+				truncated,
+				...(tierLimit && truncated ? { tierLimit } : {})
 			};
-		});
+		}, 'Expand node neighborhood');
 		
+		usageMeter.recordQuietly(req, 'nodesRendered', result.nodes.length);
 		res.json(result);
 	} catch (error) {
-		res.json({ success: false, message: error.message });
+		console.error('Failed to expand neighbors:', error);
+		failWith(res, error.code).json({ success: false, message: `Failed to expand neighbors: ${error.message}` });
 	}
 });
 
+// Relationship property predicates look like "since>=2018" or "role=lead"
+const EDGE_PREDICATE_PATTERN = /^([A-Za-z_][A-Za-z0-9_]*)\s*(>=|<=|!=|=|>|<)\s*(.*)$/;
+
+// Accept list filters as repeated params, comma-separated strings or JSON arrays
+const toList = (value) => {
+	if (value === undefined || value === null || value === '') return [];
+	const values = Array.isArray(value) ? value : String(value).split(',');
+	return values.map(v => String(v).trim()).filter(Boolean);
+};
+
+// Coerce predicate values so numeric and boolean properties compare correctly
+const parsePredicateValue = (raw) => {
+	if (typeof raw !== 'string') return raw;
+	if (/^-?\d+(\.\d+)?$/.test(raw)) return Number(raw);
+	if (raw === 'true' || raw === 'false') return raw === 'true';
+	return raw.replace(/^(['"])(.*)\1$/, '$2');
+};
+
+const parseEdgePredicates = (where) => {
+	const entries = Array.isArray(where) ? where : (where ? [where] : []);
+	return entries.map(entry => {
+		if (entry && typeof entry === 'object') {
+			const { property, op = '=', value } = entry;
+			if (!isValidIdentifier(property) || !['=', '!=', '>', '>=', '<', '<='].includes(op)) {
+				throw createApiError(`Invalid edge predicate: ${JSON.stringify(entry)}`, 'INVALID_REQUEST');
+			}
+			return { property, op, value };
+		}
+		const match = EDGE_PREDICATE_PATTERN.exec(String(entry).trim());
+		if (!match) {
+			throw createApiError(`Invalid edge predicate: ${entry}`, 'INVALID_REQUEST');
+		}
+		return { property: match[1], op: match[2], value: parsePredicateValue(match[3]) };
+	});
+};
+
 // Endpoint to get edges
-app.get('/api/edges', async (req, res) => {
-	if (!dbManager.isConnected()) {
-		return res.json({ success: false, message: 'Not connected to database' });
+// Optional filters (query string on GET, JSON body on POST for long node lists):
+//   types   - relationship tables to read
+//   nodeIds - only edges whose endpoints are both in this set
+//   where   - property predicates on the relationship, e.g. since>=2018
+//   limit   - maximum edges per relationship type
+const getEdges = async (req, res) => {
+	const dbManager = req.dbSession?.dbManager;
+	if (!dbManager?.isConnected()) {
+		return failWith(res, 'NOT_CONNECTED').json({ success: false, message: 'Not connected to database' });
 	}
 	
 	try {
+		const filters = req.method === 'POST' ? { ...req.query, ...req.body } : req.query;
+		const requestedTypes = toList(filters.types);
+		const nodeIds = toList(filters.nodeIds);
+		const predicates = parseEdgePredicates(filters.where);
+		const { value: limit, tierLimit } = tierLimits.clamp(req, 'maxNodes', Math.min(Math.max(parseInt(filters.limit) || 1000, 1), 10000));
+		
 		const result = await dbManager.executeQuery(async (conn) => {
 			// First get all relationship tables
-			const tablesQuery = await conn.query('CALL show_tables() RETURN *');
-			const tables = await tablesQuery.getAll();
-			const relTables = tables.filter(t => t.type === 'REL').map(t => t.name);
+			const relTables = await getTableNames(conn, 'REL');
+			
+			const unknown = requestedTypes.filter(t => !relTables.includes(t));
+			if (unknown.length > 0) {
+				throw createApiError(`Unknown relationship type(s): ${unknown.join(', ')}`, 'UNKNOWN_TABLE');
+			}
 			
-			if (relTables.length === 0) {
+			const targetTables = requestedTypes.length > 0 ? requestedTypes : relTables;
+			if (targetTables.length === 0) {
 				return { success: true, edges: [] };
 			}
 			
+			// Values are bound as parameters; only validated identifiers reach the query text
+			const conditions = [];
+			const params = {};
+			if (nodeIds.length > 0) {
+				params.nodeIds = nodeIds;
+				conditions.push(`list_contains($nodeIds, label(a) + '_' + to_string(offset(id(a))))`);
+				conditions.push(`list_contains($nodeIds, label(b) + '_' + to_string(offset(id(b))))`);
+			}
+			predicates.forEach(({ property, op, value }, index) => {
+				params[`p${index}`] = value;
+				conditions.push(`r.${property} ${op === '!=' ? '<>' : op} $p${index}`);
+			});
+			const whereClause = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+			
 			// Query all relationships from all tables
 			const allEdges = [];
+			const counts = {};
 			
-			for (const relTable of relTables) {
+			for (const relTable of targetTables) {
 				try {
+					// A table without a filtered property can never satisfy the predicate
+					if (predicates.length > 0) {
+						const infoQuery = await conn.query(`CALL table_info('${relTable}') RETURN name`);
+						const propertyNames = (await infoQuery.getAll()).map(p => p.name);
+						if (!predicates.every(p => propertyNames.includes(p.property))) {
+							counts[relTable] = 0;
+							continue;
+						}
+					}
+					
 					// Query pattern: MATCH (a)-[r:RelType]->(b) RETURN a, r, b
-					const query = `MATCH (a)-[r:${relTable}]->(b) RETURN a, r, b LIMIT 1000`;
-					const result = await conn.query(query);
+					const query = `MATCH (a)-[r:${relTable}]->(b)${whereClause} RETURN a, r, b LIMIT ${limit}`;
+					let result;
+					if (Object.keys(params).length > 0) {
+						const statement = await conn.prepare(query);
+						result = await conn.execute(statement, params);
+					} else {
+						result = await conn.query(query);
+					}
 					const edges = await result.getAll();
+					counts[relTable] = edges.length;
 					
 					// Transform to our edge format
 					edges.forEach(edge => {
-						// Extract node IDs from the internal _id structure
-						const fromId = `${edge.a._label}_${edge.a._id.offset}`;
-						const toId = `${edge.b._label}_${edge.b._id.offset}`;
-						
 						allEdges.push({
-							from: fromId,
-							to: toId,
+							from: formatNodeId(edge.a),
+							to: formatNodeId(edge.b),
 							type: relTable,
-							properties: Object.keys(edge.r).reduce((props, key) => {
-								if (!key.startsWith('_')) {
-									props[key] = edge.r[key];
-								}
-								return props;
-							}, {})
+							properties: extractRelProperties(edge.r)
 						});
 					});
 				} catch (err) {
@@ -912,44 +1155,90 @@ app.get('/api/edges', async (req, res) => {
 			
 			return {
 				success: true,
-				edges: allEdges
+				edges: allEdges,
+				filters: {
+					types: targetTables,
+					nodeIdCount: nodeIds.length,
+					where: predicates,
+					limit
+				},
+				counts,
+				// Only reported when a relationship type filled the cut-down limit
+				...(tierLimit && Object.values(counts).some(count => count >= limit) ? { tierLimit } : {})
 			};
-		});
+		}, 'Fetch edges');
 		
 		res.json(result);
 		
 	} catch (error) {
 		console.error('Failed to fetch edges:', error);
-		res.json({ 
+		failWith(res, error.code).json({ 
 			success: false, 
 			message: `Failed to fetch edges: ${error.message}` 
 		});
 	}
-});
+};
+
+app.get('/api/edges', getEdges);
+app.post('/api/edges', getEdges);
 
 // Cypher query endpoints
 
 // Execute Cypher query
 app.post('/api/cypher/execute', async (req, res) => {
+	const cypherService = req.dbSession?.cypherService;
 	if (!cypherService) {
-		return res.json({
+		return failWith(res, 'NOT_CONNECTED').json({
 			success: false,
 			error: { message: 'Not connected to database' }
 		});
 	}
 	
 	try {
-		const { query, parameters = {}, options = {} } = req.body;
+		const { query, parameters = {}, parameterTypes, options = {} } = req.body;
 		
-		if (!query) {
-			return res.status(400).json({
-				success: false,
-				error: { message: 'Query is required' }
-			});
-		}
+		// Callers may pick their own ID so they can cancel before the response arrives
+		const queryId = req.body.queryId || options.queryId || req.get('X-Query-Id') || randomUUID();
+		res.set('X-Query-Id', queryId);
 		
-		const result = await cypherService.executeQuery(query, parameters, options);
-		res.json(result);
+		// Stop the query if the client disconnects or the request times out first;
+		// a query that already finished is no longer registered, so this is a no-op
+		const service = cypherService;
+		res.on('close', () => service.cancelQuery(queryId, 'Request closed before the query completed'));
+		
+		// Rows past the caller's maxNodes are not read
+		const { value: limit, tierLimit: limitCut } = tierLimits.clamp(req, 'maxNodes', parseInt(options.limit) || 1000);
+		
+		// Parameters are always bound through a prepared statement, never interpolated
+		let result = await service.executeQuery(query, parameters, {
+			...options,
+			queryId,
+			limit,
+			timeout: Math.min(parseInt(options.timeout) || 30000, req.timeoutMs ?? Infinity),
+			parameterTypes: parameterTypes || options.parameterTypes || {}
+		});
+		
+		// Cut down to the caller's maxNodes; results are cached across callers, so copy rather than mutate
+		if (result.success) {
+			const capped = tierLimits.capGraph(req, result.data);
+			const { data } = capped;
+			const tierLimit = capped.tierLimit || (limitCut && result.metadata.truncated ? limitCut : null);
+			if (tierLimit) {
+				result = {
+					...result,
+					data,
+					metadata: {
+						...result.metadata,
+						...(data.nodes ? { nodeCount: data.nodes.length, edgeCount: data.edges.length } : {}),
+						truncated: true,
+						tierLimit
+					}
+				};
+			}
+			usageMeter.recordQuietly(req, 'cypherQueries', 1);
+			usageMeter.recordQuietly(req, 'nodesRendered', result.data?.nodes?.length || 0);
+		}
+		res.status({ READ_ONLY: 403, SNAPSHOT_FAILED: 503 }[result.error?.code] || 200).json(result);
 	} catch (error) {
 		console.error('Query execution error:', error);
 		res.status(500).json({
@@ -959,10 +1248,173 @@ app.post('/api/cypher/execute', async (req, res) => {
 	}
 });
 
+// Stream Cypher query results as NDJSON (default) or Server-Sent Events
+// POST takes the same body as /api/cypher/execute; GET exists for EventSource clients
+// and reads query, parameters (JSON) and chunkSize from the query string.
+const streamCypherQuery = async (req, res) => {
+	let source;
+	try {
+		source = req.method === 'GET'
+			? {
+				query: req.query.query,
+				parameters: req.query.parameters ? JSON.parse(req.query.parameters) : {},
+				options: { chunkSize: req.query.chunkSize, limit: req.query.limit },
+				queryId: req.query.queryId
+			}
+			: req.body;
+	} catch (error) {
+		return res.status(400).json({
+			success: false,
+			error: { message: `Invalid parameters: ${error.message}` }
+		});
+	}
+	const { query, parameters = {}, parameterTypes, options = {} } = source;
+	
+	const cypherService = req.dbSession?.cypherService;
+	if (!cypherService) {
+		return failWith(res, 'NOT_CONNECTED').status(503).json({
+			success: false,
+			error: { message: 'Not connected to database' }
+		});
+	}
+	
+	// Refuse before the stream starts so the client gets a proper status code
+	try {
+		cypherService.assertWritable(query);
+	} catch (error) {
+		return res.status(403).json({
+			success: false,
+			error: cypherService.formatError(error)
+		});
+	}
+	
+	const useSSE = req.query.format === 'sse' || (req.headers.accept || '').includes('text/event-stream');
+	const queryId = source.queryId || options.queryId || req.get('X-Query-Id') || randomUUID();
+	
+	res.status(200).set({
+		'Content-Type': useSSE ? 'text/event-stream' : 'application/x-ndjson',
+		'Cache-Control': 'no-cache, no-transform',
+		'Connection': 'keep-alive',
+		'X-Accel-Buffering': 'no',
+		'X-Query-Id': queryId
+	});
+	res.flushHeaders();
+	
+	// Stop the query once the client goes away
+	const service = cypherService;
+	const abortController = new AbortController();
+	res.on('close', () => {
+		abortController.abort();
+		service.cancelQuery(queryId, 'Stream closed by client');
+	});
+	
+	// Rows carry several nodes each, so also cut chunks at the caller's maxNodes as capGraph does
+	const maxNodes = tierLimits.max(req, 'maxNodes');
+	const streamedIds = new Set();
+	let streamedNodes = 0;
+	let streamedEdges = 0;
+	let tierLimit = null;
+	const writeRecord = (record) => {
+		if (res.writableEnded || abortController.signal.aborted) return;
+		if (record.type === 'chunk' && (tierLimit || streamedNodes + record.nodes.length > maxNodes)) {
+			tierLimit = tierLimit || tierLimits.upgrade(req, 'maxNodes', streamedNodes + record.nodes.length);
+			const nodes = record.nodes.slice(0, Math.max(maxNodes - streamedNodes, 0));
+			nodes.forEach(node => streamedIds.add(node.id));
+			record = {
+				...record,
+				nodes,
+				edges: record.edges.filter(edge => streamedIds.has(edge.source) && streamedIds.has(edge.target))
+			};
+		} else if (record.type === 'chunk') {
+			record.nodes.forEach(node => streamedIds.add(node.id));
+		} else if (record.type === 'metadata' && tierLimit) {
+			record = { ...record, nodeCount: streamedNodes, edgeCount: streamedEdges, truncated: true, tierLimit };
+		}
+		if (record.type === 'chunk') {
+			streamedNodes += record.nodes.length;
+			streamedEdges += record.edges.length;
+		}
+		if (useSSE) {
+			res.write(`event: ${record.type}\ndata: ${JSON.stringify(record)}\n\n`);
+		} else {
+			res.write(`${JSON.stringify(record)}\n`);
+		}
+		// Push each record through the compression middleware immediately
+		res.flush?.();
+	};
+	
+	const final = await service.streamQuery(query, parameters, {
+		...options,
+		queryId,
+		// Streams get the route's deadline rather than the 30 s default of executeQuery
+		timeout: Math.min(parseInt(options.timeout) || req.timeoutMs || 30000, req.timeoutMs ?? Infinity),
+		// Rows past the caller's maxNodes are not read; the metadata record reports truncated
+		limit: Math.min(parseInt(options.limit) || 1000, maxNodes),
+		chunkSize: Math.min(Math.max(parseInt(options.chunkSize) || 100, 1), 5000),
+		parameterTypes: parameterTypes || options.parameterTypes || {},
+		signal: abortController.signal
+	}, writeRecord);
+	
+	if (final?.success) {
+		usageMeter.recordQuietly(req, 'cypherQueries', 1);
+	}
+	usageMeter.recordQuietly(req, 'nodesRendered', streamedNodes);
+	res.end();
+};
+
+app.post('/api/cypher/stream', streamCypherQuery);
+app.get('/api/cypher/stream', streamCypherQuery);
+
+// List queries that are currently executing
+app.get('/api/cypher/queries', (req, res) => {
+	const cypherService = req.dbSession?.cypherService;
+	if (!cypherService) {
+		return failWith(res, 'NOT_CONNECTED').json({
+			success: false,
+			message: 'Not connected to database'
+		});
+	}
+	
+	res.json({
+		success: true,
+		queries: cypherService.getRunningQueries()
+	});
+});
+
+// Cancel a running query by the ID returned in X-Query-Id / metadata.queryId
+app.delete('/api/cypher/queries/:id', (req, res) => {
+	const cypherService = req.dbSession?.cypherService;
+	if (!cypherService) {
+		return failWith(res, 'NOT_CONNECTED').json({
+			success: false,
+			message: 'Not connected to database'
+		});
+	}
+	
+	const { found, runsUntil } = cypherService.cancelQuery(req.params.id);
+	if (!found) {
+		return res.status(404).json({
+			success: false,
+			error: { message: `No running query with ID ${req.params.id}`, code: 'QUERY_NOT_FOUND' }
+		});
+	}
+	
+	// Kùzu cannot interrupt a running statement; it holds its connection until the timeout
+	res.json({
+		success: true,
+		message: runsUntil
+			? `Query cancelled; the statement keeps running in the database until its timeout at ${runsUntil}`
+			: 'Query cancelled',
+		queryId: req.params.id,
+		runsUntil
+	});
+});
+
 // Validate Cypher query
 app.post('/api/cypher/validate', async (req, res) => {
+	const cypherService = req.dbSession?.cypherService;
 	if (!cypherService) {
-		return res.json({
+		return failWith(res, 'NOT_CONNECTED').json({
 			valid: false,
 			errors: [{ message: 'Not connected to database' }]
 		});
@@ -970,14 +1422,6 @@ app.post('/api/cypher/validate', async (req, res) => {
 	
 	try {
 		const { query } = req.body;
-		
-		if (!query) {
-			return res.status(400).json({
-				valid: false,
-				errors: [{ message: 'Query is required' }]
-			});
-		}
-		
 		const result = await cypherService.validateQuery(query);
 		res.json(result);
 	} catch (error) {
@@ -991,6 +1435,7 @@ app.post('/api/cypher/validate', async (req, res) => {
 
 // Get query templates
 app.get('/api/cypher/templates', (req, res) => {
+	const cypherService = req.dbSession?.cypherService;
 	if (!cypherService) {
 		// Return templates without creating a service with null connection
 		res.json({
@@ -1010,10 +1455,44 @@ app.get('/api/cypher/templates', (req, res) => {
 	});
 });
 
+// Get query result cache statistics
+app.get('/api/cypher/cache', (req, res) => {
+	const cypherService = req.dbSession?.cypherService;
+	if (!cypherService) {
+		return failWith(res, 'NOT_CONNECTED').json({
+			success: false,
+			message: 'Not connected to database'
+		});
+	}
+	
+	res.json({
+		success: true,
+		cache: cypherService.getCacheStats()
+	});
+});
+
+// Clear the query result cache
+app.delete('/api/cypher/cache', (req, res) => {
+	const cypherService = req.dbSession?.cypherService;
+	if (!cypherService) {
+		return failWith(res, 'NOT_CONNECTED').json({
+			success: false,
+			message: 'Not connected to database'
+		});
+	}
+	
+	cypherService.clearCache();
+	res.json({
+		success: true,
+		message: 'Query cache cleared'
+	});
+});
+
 // Get query history
 app.get('/api/cypher/history', (req, res) => {
+	const cypherService = req.dbSession?.cypherService;
 	if (!cypherService) {
-		return res.json({
+		return failWith(res, 'NOT_CONNECTED').json({
 			success: false,
 			history: [],
 			message: 'Not connected to database'
@@ -1069,7 +1548,7 @@ app.get('/api/voice/debug', (req, res) => {
 app.get('/api/voice/test', async (req, res) => {
 	try {
 		if (!openai) {
-			return res.status(500).json({
+			return failWith(res, 'SERVICE_UNAVAILABLE').status(500).json({
 				success: false,
 				error: 'OpenAI client not initialized'
 			});
@@ -1094,7 +1573,7 @@ app.get('/api/voice/test', async (req, res) => {
 
 	} catch (error) {
 		console.error('❌ OpenAI API test failed:', error.message);
-		res.status(500).json({
+		failWith(res, 'UPSTREAM_ERROR').status(500).json({
 			success: false,
 			error: error.message,
 			type: error.constructor.name
@@ -1128,7 +1607,7 @@ app.post('/api/voice/transcribe', upload.single('audio'), async (req, res) => {
 		
 		if (!hasApiKey) {
 			console.log('❌ OpenAI API key not found in environment variables');
-			return res.status(500).json({
+			return failWith(res, 'SERVICE_UNAVAILABLE').status(500).json({
 				success: false,
 				error: { message: 'OpenAI API key not configured' }
 			});
@@ -1137,7 +1616,7 @@ app.post('/api/voice/transcribe', upload.single('audio'), async (req, res) => {
 		// Check if openai client exists
 		if (!openai) {
 			console.log('❌ OpenAI client not initialized');
-			return res.status(500).json({
+			return failWith(res, 'SERVICE_UNAVAILABLE').status(500).json({
 				success: false,
 				error: { message: 'OpenAI client not initialized' }
 			});
@@ -1162,12 +1641,15 @@ app.post('/api/voice/transcribe', upload.single('audio'), async (req, res) => {
 				filePath: tempFilePath
 			});
 			
+			// verbose_json reports the audio duration, which is metered
 			const transcription = await openai.audio.transcriptions.create({
 				file: fs.createReadStream(tempFilePath),
 				model: 'whisper-1',
-				language: 'en'
+				language: 'en',
+				response_format: 'verbose_json'
 			});
 			console.log('✅ OpenAI API response received');
+			usageMeter.recordQuietly(req, 'audioSeconds', Math.ceil(transcription.duration || 0));
 			
 			// Clean up temporary file
 			try {
@@ -1205,7 +1687,7 @@ app.post('/api/voice/transcribe', upload.single('audio'), async (req, res) => {
 		}
 		console.error('=================================\n');
 		
-		res.status(500).json({
+		failWith(res, 'UPSTREAM_ERROR').status(500).json({
 			success: false,
 			error: {
 				message: 'Failed to transcribe audio',
@@ -1216,50 +1698,28 @@ app.post('/api/voice/transcribe', upload.single('audio'), async (req, res) => {
 	}
 });
 
-// Get database schema
+// Get the full typed database schema
 app.get('/api/schema', async (req, res) => {
-	if (!dbManager.isConnected()) {
-		return res.json({ success: false, message: 'Not connected to database' });
+	const dbManager = req.dbSession?.dbManager;
+	if (!dbManager?.isConnected()) {
+		return failWith(res, 'NOT_CONNECTED').json({ success: false, message: 'Not connected to database' });
 	}
 	
 	try {
-		const result = await dbManager.executeQuery(async (conn) => {
-			// Get all tables and their types
-			const tablesQuery = await conn.query('CALL show_tables() RETURN *');
-			const tables = await tablesQuery.getAll();
-			
-			const nodeTypes = tables.filter(t => t.type === 'NODE').map(t => t.name);
-			const relationshipTypes = tables.filter(t => t.type === 'REL').map(t => t.name);
-			
-			// Get sample data to understand common properties
-			const sampleData = {};
-			for (const nodeType of nodeTypes.slice(0, 5)) { // Limit to first 5 for performance
-				try {
-					const sampleQuery = await conn.query(`MATCH (n:${nodeType}) RETURN n LIMIT 3`);
-					const samples = await sampleQuery.getAll();
-					if (samples.length > 0) {
-						const properties = Object.keys(samples[0].n).filter(key => !key.startsWith('_'));
-						sampleData[nodeType] = properties;
-					}
-				} catch (err) {
-					console.warn(`Failed to get sample for ${nodeType}:`, err.message);
-				}
-			}
-			
-			return {
-				success: true,
-				schema: {
-					nodeTypes,
-					relationshipTypes,
-					sampleProperties: sampleData
-				}
-			};
-		});
+		const schema = await dbManager.executeQuery(conn => getDatabaseSchema(conn));
 		
-		res.json(result);
+		// Property names per node table, as returned before typed properties existed
+		const sampleProperties = Object.fromEntries(
+			schema.nodeTables.map(table => [table.name, table.properties.map(p => p.name)])
+		);
+		
+		res.json({
+			success: true,
+			schema: { ...schema, sampleProperties }
+		});
 	} catch (error) {
 		console.error('Failed to get schema:', error);
-		res.json({ 
+		failWith(res, error.code).json({ 
 			success: false, 
 			message: `Failed to get schema: ${error.message}` 
 		});
@@ -1275,13 +1735,13 @@ let dbHealthStatus = {
 	errorCount: 0
 };
 
-// Health check function
-const checkDatabaseHealth = async () => {
+// Health check function (the periodic check covers the default session)
+const checkDatabaseHealth = async (dbManager = sessionRegistry.getDefault()?.dbManager) => {
 	dbHealthStatus.checkCount++;
 	dbHealthStatus.lastCheck = new Date().toISOString();
 
 	try {
-		if (!dbManager.isConnected()) {
+		if (!dbManager?.isConnected()) {
 			throw new Error('No database connection');
 		}
 
@@ -1305,11 +1765,11 @@ const checkDatabaseHealth = async () => {
 };
 
 // Periodic health check (every 5 minutes)
-setInterval(checkDatabaseHealth, 5 * 60 * 1000);
+setInterval(() => checkDatabaseHealth(), 5 * 60 * 1000);
 
 // Health endpoint for monitoring systems
 app.get('/api/health', async (req, res) => {
-	const isHealthy = await checkDatabaseHealth();
+	const isHealthy = await checkDatabaseHealth(req.dbSession?.dbManager);
 	
 	const response = {
 		status: isHealthy ? 'healthy' : 'unhealthy',
@@ -1328,15 +1788,18 @@ app.get('/api/health', async (req, res) => {
 
 // Detailed health endpoint for debugging
 app.get('/api/health/detailed', async (req, res) => {
-	const isHealthy = await checkDatabaseHealth();
+	const dbManager = req.dbSession?.dbManager;
+	const isHealthy = await checkDatabaseHealth(dbManager);
 	
 	const response = {
 		status: isHealthy ? 'healthy' : 'unhealthy',
 		timestamp: new Date().toISOString(),
 		database: {
 			...dbHealthStatus,
-			connectionExists: dbManager.isConnected(),
-			databaseExists: !!dbManager.getDatabase()
+			connectionExists: !!dbManager?.isConnected(),
+			databaseExists: !!dbManager?.getDatabase(),
+			sessionId: req.dbSession?.id || null,
+			openSessions: sessionRegistry.sessions.size
 		},
 		server: {
 			uptime: process.uptime(),
@@ -1349,16 +1812,147 @@ app.get('/api/health/detailed', async (req, res) => {
 		services: {
 			openai: !!openai,
 			nlService: !!nlService,
-			cypherService: !!cypherService
+			cypherService: !!req.dbSession?.cypherService
 		}
 	};
 
 	res.status(isHealthy ? 200 : 503).json(response);
 });
 
+// OpenAPI 3 description of every route, generated from the same definitions as validation
+app.get('/api/openapi.json', (req, res) => {
+	res.json(req.apiVersion === 'v2'
+		? apiContract.toOpenApi({ basePath: '/api/v2', version: 'v2', errorCodes: ERROR_CODES })
+		: apiContract.toOpenApi());
+});
+
+// The caller as the server sees them: verified user, tier and its features
+app.get('/api/me', (req, res) => {
+	const subscription = req.subscription || null;
+	res.json({
+		success: true,
+		authenticationEnabled: authenticator.enabled,
+		authenticated: Boolean(req.user),
+		user: req.user ? { id: req.user.id, email: req.user.email, username: req.user.username } : null,
+		tier: req.user?.tier || null,
+		subscription: subscription && { id: subscription.id, name: subscription.name, features: subscription.features },
+		// null means unlimited
+		limits: {
+			maxNodes: Number.isFinite(tierLimits.max(req, 'maxNodes')) ? tierLimits.max(req, 'maxNodes') : null,
+			maxGraphs: Number.isFinite(tierLimits.max(req, 'maxGraphs')) ? tierLimits.max(req, 'maxGraphs') : null,
+			openGraphs: sessionRegistry.graphsOf(tierLimits.ownerOf(req)).size
+		}
+	});
+});
+
+// The caller's usage in the current billing period against their tier's quotas
+app.get('/api/usage', async (req, res) => {
+	try {
+		const usage = await usageMeter.usage(req);
+		const maxGraphs = tierLimits.max(req, 'maxGraphs');
+		res.json({
+			success: true,
+			enforced: usage.tier !== null,
+			...usage,
+			graphs: {
+				open: sessionRegistry.graphsOf(tierLimits.ownerOf(req)).size,
+				limit: Number.isFinite(maxGraphs) ? maxGraphs : null
+			}
+		});
+	} catch (error) {
+		console.error('Failed to read usage:', error);
+		res.status(500).json({
+			success: false,
+			error: { message: `Failed to read usage: ${error.message}` }
+		});
+	}
+});
+
+// Billing: the Stripe Lambda handlers in lambda/stripe, run through an adapter.
+// STRIPE_API_BASE points them at stripe-mock for local development.
+const stripeClient = process.env.STRIPE_SECRET_KEY ? createStripeClient(process.env) : null;
+if (stripeClient) {
+	console.log(`💳 Stripe billing via ${process.env.STRIPE_API_BASE || 'api.stripe.com'}, subscriptions in ${subscriptionStore.filePath || subscriptionStore.tableName}`);
+}
+
+const billingRoute = (name, createHandler) => {
+	if (!stripeClient) {
+		return (req, res) => failWith(res, 'SERVICE_UNAVAILABLE').status(503).json({
+			success: false,
+			error: { message: 'Billing is not configured (STRIPE_SECRET_KEY is not set)', code: 'SERVICE_UNAVAILABLE' }
+		});
+	}
+	return lambdaRoute(createHandler({ stripe: stripeClient, store: subscriptionStore }), {
+		name,
+		claims: (req) => req.user?.claims ?? null
+	});
+};
+
+app.post('/api/create-checkout-session', billingRoute('stripeCheckout', createCheckoutHandler));
+app.post('/api/stripe-webhook', billingRoute('stripeWebhook', createWebhookHandler));
+
+// The caller's subscription as the store has it; tier is the one the server enforces
+const getSubscription = async (req, res) => {
+	if (!req.user) {
+		res.set('WWW-Authenticate', 'Bearer');
+		return failWith(res, 'UNAUTHORIZED').status(401).json({
+			success: false,
+			error: { message: 'Sign in to see your subscription', code: 'UNAUTHORIZED' }
+		});
+	}
+	
+	try {
+		const record = await subscriptionStore.get(req.user.id);
+		res.json({
+			success: true,
+			tier: req.user.tier,
+			status: record?.status || 'inactive',
+			subscriptionId: record?.subscriptionId || null,
+			currentPeriodStart: record?.currentPeriodStart || null,
+			currentPeriodEnd: record?.currentPeriodEnd || null,
+			canceledAt: record?.canceledAt || null,
+			updatedAt: record?.updatedAt || null
+		});
+	} catch (error) {
+		console.error('Failed to read subscription:', error);
+		failWith(res, 'STORAGE_ERROR').status(502).json({
+			success: false,
+			error: { message: `Failed to read subscription: ${error.message}`, code: 'STORAGE_ERROR' }
+		});
+	}
+};
+
+app.get('/api/subscription', getSubscription);
+app.get('/api/subscription-status', getSubscription);
+
+// Rate-limit policies and the caller's remaining tokens (checking does not use any)
+app.get('/api/rate-limits', async (req, res) => {
+	try {
+		res.json({
+			success: true,
+			enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+			client: rateLimiter.identify(req),
+			policies: await rateLimiter.describe(rateLimiter.identify(req)),
+			routes: apiContract.routes
+				.filter(route => route.rateLimit)
+				.map(route => ({ method: route.method.toUpperCase(), path: route.path, policy: route.rateLimit }))
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			error: { message: error.message }
+		});
+	}
+});
+
 // Performance metrics endpoints
 app.get('/api/metrics', (req, res) => {
 	const metrics = performanceMetrics.getMetrics();
+	metrics.database = {
+		...metrics.database,
+		sessions: sessionRegistry.sessions.size,
+		pool: req.dbSession?.dbManager.getPoolStats() || null
+	};
 	res.json({
 		success: true,
 		metrics,
@@ -1369,6 +1963,7 @@ app.get('/api/metrics', (req, res) => {
 // Performance metrics summary (for monitoring dashboards)
 app.get('/api/metrics/summary', (req, res) => {
 	const metrics = performanceMetrics.getMetrics();
+	const pool = req.dbSession?.dbManager.getPoolStats() || {};
 	
 	const summary = {
 		requests: {
@@ -1385,7 +1980,10 @@ app.get('/api/metrics/summary', (req, res) => {
 			queryCount: metrics.database.queryCount,
 			averageQueryTime: Math.round(metrics.database.averageQueryTime) + 'ms',
 			connectionErrors: metrics.database.connectionErrors,
-			slowQueriesCount: metrics.database.slowQueries.length
+			slowQueriesCount: metrics.database.slowQueries.length,
+			connectionsInUse: pool.connections ? `${pool.connections.inUse}/${pool.connections.size}` : 'N/A',
+			connectionWaits: pool.connections?.waited ?? 0,
+			workersBusy: pool.workers ? `${pool.workers.busy}/${pool.workers.size}` : 'disabled'
 		},
 		system: {
 			uptime: Math.round(metrics.system.uptime / 1000) + 's',
@@ -1402,9 +2000,36 @@ app.get('/api/metrics/summary', (req, res) => {
 	});
 });
 
-// Reset metrics (for testing/debugging)
+// Query shapes ranked by cost, with the slow-query log settings
+app.get('/api/metrics/queries', async (req, res) => {
+	await queryLog.ready;
+	res.json({
+		success: true,
+		queries: queryLog.getQueries({
+			sort: req.query.sort || 'totalTime',
+			limit: Math.max(1, parseInt(req.query.limit ?? '50') || 50),
+			slowOnly: req.query.slow === 'true'
+		}),
+		log: queryLog.getStatus(),
+		timestamp: new Date().toISOString()
+	});
+});
+
+// Prometheus scrape endpoint (text exposition format)
+app.get('/metrics', (req, res) => {
+	const pools = Array.from(sessionRegistry.managers, ([database, { manager }]) => ({ database, ...manager.getPoolStats() }));
+	res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+	res.send(performanceMetrics.toPrometheus({
+		pools,
+		sessions: sessionRegistry.sessions.size,
+		backup: backupManager.getBackupStatus()
+	}));
+});
+
+// Reset metrics (for testing/debugging); the slow-query log file is kept
 app.post('/api/metrics/reset', (req, res) => {
 	performanceMetrics.resetMetrics();
+	queryLog.reset();
 	res.json({
 		success: true,
 		message: 'Performance metrics reset',
@@ -1421,7 +2046,10 @@ app.get('/api/info', (req, res) => {
 			version: req.apiVersion,
 			supportedVersions: apiVersionManager.supportedVersions,
 			defaultVersion: apiVersionManager.defaultVersion,
-			deprecatedVersions: apiVersionManager.deprecatedVersions
+			latestVersion: apiVersionManager.latestVersion,
+			deprecatedVersions: apiVersionManager.deprecatedVersions,
+			sunset: apiVersionManager.sunsets[req.apiVersion] || null,
+			specification: req.apiVersion === 'v2' ? '/api/v2/openapi.json' : '/api/openapi.json'
 		},
 		server: {
 			nodeVersion: process.version,
@@ -1436,6 +2064,11 @@ app.get('/api/info', (req, res) => {
 			apiVersioning: true,
 			gracefulShutdown: true,
 			requestTimeouts: true,
+			requestValidation: true,
+			rateLimiting: process.env.RATE_LIMIT_ENABLED !== 'false',
+			authentication: authenticator.enabled,
+			billing: Boolean(stripeClient),
+			responseEnvelope: req.apiVersion === 'v2',
 			databaseConnectionManagement: true,
 			automatedBackups: true
 		},
@@ -1443,7 +2076,7 @@ app.get('/api/info', (req, res) => {
 	});
 });
 
-// Backup system endpoints
+// Backup system endpoints (error statuses come from the documented codes in src/api/envelope.js)
 app.get('/api/backup/status', (req, res) => {
 	const status = backupManager.getBackupStatus();
 	res.json({
@@ -1460,6 +2093,7 @@ app.get('/api/backup/list', async (req, res) => {
 			success: true,
 			backups,
 			count: backups.length,
+			targets: backupManager.getTargets(),
 			timestamp: new Date().toISOString()
 		});
 	} catch (error) {
@@ -1473,15 +2107,167 @@ app.get('/api/backup/list', async (req, res) => {
 
 app.post('/api/backup/create', async (req, res) => {
 	try {
-		const { description = '' } = req.body;
+		const { description = '', format = 'files' } = req.body;
 		
-		const backup = await backupManager.createBackup('manual', description);
+		const backup = await backupManager.createBackup('manual', description, req.dbSession?.dbManager, { format });
 		res.json({
 			success: true,
 			backup,
 			message: 'Manual backup created successfully',
 			timestamp: new Date().toISOString()
 		});
+	} catch (error) {
+		res.status(errorStatus(error.code)).json({
+			success: false,
+			error: error.message,
+			code: error.code,
+			timestamp: new Date().toISOString()
+		});
+	}
+});
+
+app.get('/api/backup/:name/verify', async (req, res) => {
+	try {
+		const verification = await backupManager.verifyBackup(req.params.name);
+		res.json({
+			success: true,
+			verification,
+			timestamp: new Date().toISOString()
+		});
+	} catch (error) {
+		res.status(errorStatus(error.code)).json({
+			success: false,
+			error: error.message,
+			code: error.code,
+			timestamp: new Date().toISOString()
+		});
+	}
+});
+
+// Restore into the session's database; only an administrator may restore without a session,
+// in which case the backup goes back to its original path
+app.post('/api/backup/:name/restore', async (req, res) => {
+	const { force = false, keepPrevious = false, allowOtherDatabase = false } = req.body || {};
+
+	if (!req.dbSession && !authenticator.isAdmin(req.user)) {
+		return res.status(errorStatus('NOT_CONNECTED')).json({
+			success: false,
+			error: 'Not connected to database; connect to the database to restore into',
+			code: 'NOT_CONNECTED',
+			timestamp: new Date().toISOString()
+		});
+	}
+
+	if (sessionRegistry.readOnly || (req.dbSession && sessionRegistry.isReadOnly(req.dbSession))) {
+		return res.status(403).json({
+			success: false,
+			error: sessionRegistry.readOnly
+				? 'Server is read-only; backups cannot be restored'
+				: 'Session is read-only; unlock editing before restoring a backup',
+			code: 'READ_ONLY',
+			timestamp: new Date().toISOString()
+		});
+	}
+
+	try {
+		const restore = await backupManager.restoreBackup(req.params.name, {
+			dbPath: req.dbSession?.dbPath,
+			force: force === true,
+			keepPrevious: keepPrevious === true,
+			allowOtherDatabase: allowOtherDatabase === true
+		});
+		res.json({
+			success: true,
+			restore,
+			message: `Backup ${req.params.name} restored`,
+			timestamp: new Date().toISOString()
+		});
+	} catch (error) {
+		res.status(errorStatus(error.code)).json({
+			success: false,
+			error: error.message,
+			code: error.code,
+			verification: error.verification,
+			timestamp: new Date().toISOString()
+		});
+	}
+});
+
+// Schedules, GFS retention and pre-mutation snapshot settings, with what retention would keep now
+app.get('/api/backup/policy', async (req, res) => {
+	try {
+		const retention = backupManager.planRetention(await backupManager.listBackups());
+		res.json({
+			success: true,
+			policy: backupManager.policy,
+			schedules: backupManager.getSchedules(),
+			retention,
+			timestamp: new Date().toISOString()
+		});
+	} catch (error) {
+		res.status(500).json({
+			success: false,
+			error: error.message,
+			timestamp: new Date().toISOString()
+		});
+	}
+});
+
+// Partial update: schedules replaces the list, retention and preMutation merge field by field
+app.put('/api/backup/policy', async (req, res) => {
+	if (sessionRegistry.readOnly || (req.dbSession && sessionRegistry.isReadOnly(req.dbSession))) {
+		return res.status(403).json({
+			success: false,
+			error: sessionRegistry.readOnly
+				? 'Server is read-only; the backup policy cannot be changed'
+				: 'Session is read-only; unlock editing before changing the backup policy',
+			code: 'READ_ONLY',
+			timestamp: new Date().toISOString()
+		});
+	}
+
+	try {
+		const policy = await backupManager.updatePolicy(req.body);
+		res.json({
+			success: true,
+			policy,
+			schedules: backupManager.getSchedules(),
+			message: 'Backup policy updated',
+			timestamp: new Date().toISOString()
+		});
+	} catch (error) {
+		res.status(errorStatus(error.code)).json({
+			success: false,
+			error: error.message,
+			code: error.code,
+			details: error.details,
+			timestamp: new Date().toISOString()
+		});
+	}
+});
+
+// Apply retention now instead of waiting for the next backup
+app.post('/api/backup/prune', async (req, res) => {
+	if (sessionRegistry.readOnly || (req.dbSession && sessionRegistry.isReadOnly(req.dbSession))) {
+		return res.status(403).json({
+			success: false,
+			error: sessionRegistry.readOnly
+				? 'Server is read-only; backups cannot be pruned'
+				: 'Session is read-only; unlock editing before pruning backups',
+			code: 'READ_ONLY',
+			timestamp: new Date().toISOString()
+		});
+	}
+
+	try {
+		const { kept, pruned } = await backupManager.applyRetention();
+		res.json({
+			success: true,
+			kept,
+			pruned,
+			message: `Pruned ${pruned.length} backup(s)`,
+			timestamp: new Date().toISOString()
+		});
 	} catch (error) {
 		res.status(500).json({
 			success: false,
@@ -1491,18 +2277,56 @@ app.post('/api/backup/create', async (req, res) => {
 	}
 });
 
+// Rebuild a logical backup into a new database directory, leaving open databases alone.
+// The new directory must be next to the session's database or under the backup directory.
+app.post('/api/backup/:name/import', async (req, res) => {
+	const { dbPath } = req.body;
+
+	if (!req.dbSession) {
+		return res.status(errorStatus('NOT_CONNECTED')).json({
+			success: false,
+			error: 'Not connected to database',
+			code: 'NOT_CONNECTED',
+			timestamp: new Date().toISOString()
+		});
+	}
+
+	if (sessionRegistry.readOnly || sessionRegistry.isReadOnly(req.dbSession)) {
+		return res.status(403).json({
+			success: false,
+			error: sessionRegistry.readOnly
+				? 'Server is read-only; backups cannot be imported'
+				: 'Session is read-only; unlock editing before importing a backup',
+			code: 'READ_ONLY',
+			timestamp: new Date().toISOString()
+		});
+	}
+
+	try {
+		const result = await backupManager.importLogicalBackup(req.params.name, dbPath, {
+			roots: [path.dirname(path.resolve(req.dbSession.dbPath)), backupManager.backupDir]
+		});
+		res.json({
+			success: true,
+			import: result,
+			message: `Backup ${req.params.name} imported into ${result.databasePath}`,
+			timestamp: new Date().toISOString()
+		});
+	} catch (error) {
+		res.status(errorStatus(error.code)).json({
+			success: false,
+			error: error.message,
+			code: error.code,
+			timestamp: new Date().toISOString()
+		});
+	}
+});
+
 // Convert natural language to Cypher (for future use)
 app.post('/api/cypher/fromText', async (req, res) => {
 	try {
 		const { text, context = {} } = req.body;
 
-		if (!text) {
-			return res.status(400).json({
-				success: false,
-				error: { message: 'Text is required' }
-			});
-		}
-
 		if (!nlService) {
 			return res.status(503).json({
 				success: false,
@@ -1510,8 +2334,16 @@ app.post('/api/cypher/fromText', async (req, res) => {
 			});
 		}
 
+		// Layout phrases and conversions are metered separately
+		const isLayoutCommand = nlService.isLayoutCommand(text);
+		const exhausted = await usageMeter.check(req, [isLayoutCommand ? 'aiLayouts' : 'nlConversions']);
+		if (exhausted) {
+			return failWith(res, 'QUOTA_EXCEEDED').status(403).json(UsageMeter.quotaExceeded(exhausted));
+		}
+		
 		// Check if this is a layout command
-		if (nlService.isLayoutCommand(text)) {
+		if (isLayoutCommand) {
+			usageMeter.recordQuietly(req, 'aiLayouts', 1);
 			return res.json({
 				success: true,
 				isLayoutCommand: true,
@@ -1522,19 +2354,10 @@ app.post('/api/cypher/fromText', async (req, res) => {
 
 		// Get current database schema
 		let schema = null;
-		if (dbManager.isConnected()) {
+		const dbManager = req.dbSession?.dbManager;
+		if (dbManager?.isConnected()) {
 			try {
-				const schemaResult = await dbManager.executeQuery(async (conn) => {
-					const tablesQuery = await conn.query('CALL show_tables() RETURN *');
-					const tables = await tablesQuery.getAll();
-					
-					const nodeTypes = tables.filter(t => t.type === 'NODE').map(t => t.name);
-					const relationshipTypes = tables.filter(t => t.type === 'REL').map(t => t.name);
-					
-					return { nodeTypes, relationshipTypes };
-				});
-				
-				schema = schemaResult;
+				schema = await dbManager.executeQuery(conn => getDatabaseSchema(conn));
 				
 				console.log('🔍 Database Schema for NL conversion:');
 				console.log('Node Types:', schema.nodeTypes);
@@ -1547,6 +2370,7 @@ app.post('/api/cypher/fromText', async (req, res) => {
 
 		try {
 			const cypherQuery = await nlService.convertToCypher(text, schema);
+			usageMeter.recordQuietly(req, 'nlConversions', 1);
 			res.json({
 				success: true,
 				cypher: cypherQuery,
@@ -1559,7 +2383,7 @@ app.post('/api/cypher/fromText', async (req, res) => {
 
 	} catch (error) {
 		console.error('Cypher generation error:', error);
-		res.status(500).json({
+		failWith(res, 'UPSTREAM_ERROR').status(500).json({
 			success: false,
 			error: {
 				message: 'Failed to generate Cypher',
@@ -1569,6 +2393,45 @@ app.post('/api/cypher/fromText', async (req, res) => {
 	}
 });
 
+// v2 answers unknown routes with the error envelope; v1 keeps Express's default 404
+app.use('/api', (req, res, next) => {
+	if (req.apiVersion !== 'v2') {
+		return next();
+	}
+	failWith(res, 'NOT_FOUND').status(404).json({
+		success: false,
+		error: { message: `No route for ${req.method} ${req.originalUrl.split('?')[0]}` }
+	});
+});
+
+// Errors passed to next(), e.g. a malformed JSON body, get the v2 envelope too
+app.use((err, req, res, next) => {
+	if (res.headersSent) {
+		return next(err);
+	}
+
+	// The JSON parser fails before the versioning and envelope middleware have run
+	if (!req.apiVersion && req.path.startsWith('/api/')) {
+		apiVersioning(req, res, () => apiEnvelope(req, res, () => {}));
+	}
+	if (req.apiVersion !== 'v2') {
+		return next(err);
+	}
+
+	const invalidJson = err.type === 'entity.parse.failed';
+	console.error(invalidJson ? '❌ Malformed JSON body:' : '❌ Unhandled API error:', err.message);
+	failWith(res, invalidJson ? 'INVALID_JSON' : 'INTERNAL_ERROR').status(err.status || 500).json({
+		success: false,
+		error: { message: invalidJson ? `Invalid JSON body: ${err.message}` : err.message }
+	});
+});
+
+// Every /api route needs a contract entry, or it escapes validation and the OpenAPI document
+const undocumentedRoutes = apiContract.findUndocumented(app);
+if (undocumentedRoutes.length > 0) {
+	console.warn(`⚠️ Routes missing from src/api/routes.js: ${undocumentedRoutes.join(', ')}`);
+}
+
 const PORT = process.env.PORT || 3000;
 
 // Check if port is already in use before starting
@@ -1615,8 +2478,11 @@ const gracefulShutdown = (signal) => {
 		// Close database connections
 		const closeDatabase = async () => {
 			try {
+				backupManager.stopSchedules();
+				await rateLimitStore.close();
+				await usageStore.close();
 				console.log('🔌 Closing database connections...');
-				await dbManager.disconnect();
+				await sessionRegistry.closeAll();
 				console.log('✅ Database connections closed');
 			} catch (error) {
 				console.error('❌ Error closing database:', error);
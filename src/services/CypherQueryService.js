@@ -1,47 +1,89 @@
+import { CypherClassifier } from '../utils/CypherClassifier.js';
 import { Logger } from '../utils/Logger.js';
+import { randomUUID } from 'crypto';
+
+// Statements that reach outside the database (EXPORT writes files on the server, IMPORT
+// reads them): refused while read-only and never answered from the result cache
+const EXTERNAL_STATEMENTS = ['EXPORT', 'IMPORT'];
 
 export default class CypherQueryService {
-  constructor(connection) {
-    this.conn = connection; // Direct connection object
+  /**
+   * @param {Object} connection - Kùzu connection, or a connection source exposing
+   *   acquire()/release(conn) and an optional `workers` pool for read queries (DatabaseManager)
+   * @param {Object} options - Cache options (cacheMaxSize, cacheTtlMs; a TTL of 0 disables expiry)
+   *   and onWrite(classification), called after each write so services sharing the database can invalidate;
+   *   isReadOnly() is checked before every query and rejects writes and DDL while it returns true;
+   *   beforeWrite(classification) is awaited before each write runs, and a rejection stops the write;
+   *   onQueryComplete({ query, queryClass, queryTime, rowCount, success, errorCode }) is called for
+   *   every query that reached the database (cache hits and refused queries are not reported)
+   */
+  constructor(connection, options = {}) {
+    const isPool = typeof connection?.acquire === 'function';
+    this.pool = isPool ? connection : null;
+    this.conn = isPool ? null : connection; // Direct connection object
     this.logger = new Logger('CypherQueryService');
-    this.queryCache = new Map();
-    this.cacheMaxSize = 100;
+    this.queryCache = new Map(); // cacheKey -> { response, labels, touchesAll, cachedAt }
+    this.cacheMaxSize = options.cacheMaxSize ?? 100;
+    this.cacheTtlMs = options.cacheTtlMs ?? 5 * 60 * 1000;
+    this.cacheStats = { hits: 0, misses: 0, invalidations: 0 };
     this.queryHistory = [];
     this.historyMaxSize = 50;
+    this.statementCache = new Map(); // connection -> prepared statements keyed by query text
+    this.statementCacheMaxSize = 100;
+    this.runningQueries = new Map(); // queryId -> running query entry
+    this.onWrite = options.onWrite || null;
+    this.isReadOnly = options.isReadOnly || (() => false);
+    this.beforeWrite = options.beforeWrite || null;
+    this.onQueryComplete = options.onQueryComplete || null;
   }
 
   /**
    * Execute a Cypher query and return formatted results
    * @param {string} cypher - The Cypher query to execute
-   * @param {Object} params - Query parameters
-   * @param {Object} options - Execution options (limit, timeout, format)
+   * @param {Object} params - Query parameters, bound through a prepared statement
+   * @param {Object} options - Execution options (limit, timeout, format, parameterTypes, queryId)
    * @returns {Object} Formatted query results
    */
   async executeQuery(cypher, params = {}, options = {}) {
     const startTime = Date.now();
-    const { limit = 1000, timeout = 30000, format = 'vr' } = options;
+    const { limit = 1000, timeout = 30000, format = 'vr', parameterTypes = {} } = options;
+    const queryId = options.queryId || randomUUID();
+    let entry = null;
+    let execution = null;
     
     try {
-      // Check cache first
-      const cacheKey = this.getCacheKey(cypher, params);
-      if (this.queryCache.has(cacheKey)) {
-        this.logger.info('Returning cached result for query');
-        return this.queryCache.get(cacheKey);
+      const boundParams = this.bindParameters(params, parameterTypes);
+      const classification = CypherClassifier.classify(cypher);
+      this.assertWritable(cypher, classification);
+      if (classification.kind !== 'read') {
+        await this.runBeforeWrite(classification);
+      }
+      const cacheable = classification.kind === 'read' && !EXTERNAL_STATEMENTS.includes(classification.statement) && this.cacheMaxSize > 0;
+
+      // Check cache first (reads only)
+      const cacheKey = this.getCacheKey(cypher, params, { limit, format });
+      if (cacheable) {
+        const cached = this.getFromCache(cacheKey);
+        if (cached) {
+          this.logger.info('Returning cached result for query');
+          return { ...cached, metadata: { ...cached.metadata, queryId } };
+        }
+        this.cacheStats.misses++;
       }
 
       // Apply limit if not present in query
       const limitedQuery = this.applyLimit(cypher, limit);
       
       // Execute query with timeout
-      // Note: Kùzu query method signature: query(sql, progressCallback, params)
-      const progressCallback = () => {}; // Empty progress callback
-      const result = await this.executeWithTimeout(
-        this.conn.query(limitedQuery, progressCallback),
-        timeout
-      );
+      entry = this.registerQuery(queryId, cypher);
+      execution = { startedAt: Date.now(), queryClass: classification.kind, rowCount: 0 };
+      const result = await this.executeWithTimeout(limitedQuery, boundParams, timeout, entry);
       
-      // Get all results
-      const rawResults = await result.getAll();
+      // applyLimit leaves a query's own LIMIT alone, so read no more than limit rows
+      const rawResults = await this.whileRunning(this.readRows(result, limit), entry);
+      execution.rowCount = rawResults.length;
+      this.reportQuery(cypher, execution);
+      execution = null;
       
       // Format results based on requested format
       const formattedResults = format === 'vr' 
@@ -53,16 +95,25 @@ export default class CypherQueryService {
         success: true,
         data: formattedResults,
         metadata: {
+          queryId,
           queryTime: Date.now() - startTime,
           nodeCount: formattedResults.nodes?.length || 0,
           edgeCount: formattedResults.edges?.length || 0,
-          truncated: rawResults.length >= limit
+          truncated: rawResults.length >= limit,
+          queryClass: classification.kind,
+          cached: false
         },
         error: null
       };
       
-      // Cache the result
-      this.addToCache(cacheKey, response);
+      if (cacheable) {
+        // Cache the result
+        this.addToCache(cacheKey, response, classification);
+      } else if (classification.kind !== 'read') {
+        // A successful write makes cached reads of the tables it touched stale
+        response.metadata.cacheInvalidated = this.invalidateCache(classification);
+        this.onWrite?.(classification);
+      }
       
       // Save to history
       await this.saveQueryToHistory(cypher, response);
@@ -71,15 +122,141 @@ export default class CypherQueryService {
       
     } catch (error) {
       this.logger.error('Query execution failed:', error);
+      this.reportQuery(cypher, execution, error);
       return {
         success: false,
         data: null,
-        error: {
-          message: error.message,
-          code: error.code || 'QUERY_ERROR',
-          details: this.getErrorDetails(error)
+        metadata: { queryId },
+        error: this.formatError(error)
+      };
+    } finally {
+      this.unregisterQuery(entry);
+    }
+  }
+
+  /**
+   * Execute a Cypher query and emit VR-formatted nodes and edges in chunks as rows are read,
+   * followed by a final metadata record. Streamed results are never cached.
+   * @param {string} cypher - The Cypher query to execute
+   * @param {Object} params - Query parameters
+   * @param {Object} options - Execution options (limit, timeout, chunkSize, parameterTypes, signal, queryId)
+   * @param {Function} onRecord - Called with { type: 'chunk' | 'metadata' | 'error', ... } records
+   * @returns {Object} The final metadata record
+   */
+  async streamQuery(cypher, params = {}, options = {}, onRecord = () => {}) {
+    const startTime = Date.now();
+    const { limit = 1000, timeout = 30000, chunkSize = 100, parameterTypes = {}, signal = null } = options;
+    const queryId = options.queryId || randomUUID();
+    const entry = this.registerQuery(queryId, cypher);
+    const emittedNodes = new Set();
+    let rowCount = 0;
+    let nodeCount = 0;
+    let edgeCount = 0;
+    let chunkCount = 0;
+    let execution = null;
+    
+    try {
+      const boundParams = this.bindParameters(params, parameterTypes);
+      const classification = CypherClassifier.classify(cypher);
+      this.assertWritable(cypher, classification);
+      if (classification.kind !== 'read') {
+        await this.runBeforeWrite(classification);
+      }
+      const limitedQuery = this.applyLimit(cypher, limit);
+      
+      execution = { startedAt: Date.now(), queryClass: classification.kind, rowCount: 0 };
+      const result = await this.executeWithTimeout(limitedQuery, boundParams, timeout, entry);
+      
+      let chunkNodes = new Map();
+      let chunkEdges = [];
+      
+      const flush = async () => {
+        this.resolveEdgeIds(chunkEdges, chunkNodes);
+        
+        // Nodes can repeat across rows, so only send each one the first time it is seen
+        const nodes = Array.from(chunkNodes.values()).filter(node => !emittedNodes.has(node.id));
+        nodes.forEach(node => emittedNodes.add(node.id));
+        const edges = chunkEdges.map(edge => ({ ...edge, id: `edge_${++edgeCount}` }));
+        
+        nodeCount += nodes.length;
+        chunkCount++;
+        await onRecord({ type: 'chunk', index: chunkCount - 1, nodes, edges });
+        
+        chunkNodes = new Map();
+        chunkEdges = [];
+      };
+      
+      result.resetIterator();
+      // applyLimit leaves a query's own LIMIT alone, so stop reading at the requested limit here
+      while (rowCount < limit && result.hasNext()) {
+        if (signal?.aborted) {
+          this.cancelQuery(queryId, 'Stream closed by client');
         }
+        // A cancel that lands while a chunk is written stops the stream before the next row
+        if (entry.cancelled) {
+          await entry.cancelledPromise;
+        }
+        
+        const row = await this.whileRunning(result.getNext(), entry);
+        this.extractNodesAndEdges(row, chunkNodes, chunkEdges);
+        rowCount++;
+        
+        if (rowCount % chunkSize === 0) {
+          await flush();
+        }
+      }
+      
+      if (chunkNodes.size > 0 || chunkEdges.length > 0 || chunkCount === 0) {
+        await flush();
+      }
+      execution.rowCount = rowCount;
+      this.reportQuery(cypher, execution);
+      execution = null;
+      
+      const metadata = {
+        type: 'metadata',
+        success: true,
+        queryId,
+        queryTime: Date.now() - startTime,
+        rowCount,
+        nodeCount,
+        edgeCount,
+        chunkCount,
+        truncated: rowCount >= limit,
+        timeout,
+        queryType: this.detectQueryType(cypher),
+        queryClass: classification.kind,
+        cached: false
       };
+      
+      if (classification.kind !== 'read') {
+        metadata.cacheInvalidated = this.invalidateCache(classification);
+        this.onWrite?.(classification);
+      }
+      
+      await this.saveQueryToHistory(cypher, { success: true, metadata });
+      
+      await onRecord(metadata);
+      return metadata;
+      
+    } catch (error) {
+      this.logger.error('Query stream failed:', error);
+      if (execution) {
+        execution.rowCount = rowCount;
+      }
+      this.reportQuery(cypher, execution, error);
+      const errorRecord = {
+        type: 'error',
+        success: false,
+        queryId,
+        error: this.formatError(error),
+        rowCount,
+        chunkCount
+      };
+      await onRecord(errorRecord);
+      return errorRecord;
+    } finally {
+      this.unregisterQuery(entry);
     }
   }
 
@@ -90,14 +267,6 @@ export default class CypherQueryService {
    */
   async validateQuery(cypher) {
     try {
-      // Kuzu doesn't have a separate validation API, so we'll do basic checks
-      // and attempt a dry run with LIMIT 0
-      let validationQuery = cypher.trim();
-      // Only add LIMIT 0 if query doesn't already have a LIMIT clause
-      if (!validationQuery.toLowerCase().includes('limit')) {
-        validationQuery = `${validationQuery} LIMIT 0`;
-      }
-      
       // Basic syntax checks
       const syntaxErrors = this.basicSyntaxCheck(cypher);
       if (syntaxErrors.length > 0) {
@@ -108,9 +277,9 @@ export default class CypherQueryService {
         };
       }
       
-      // Try to execute with limit 0
-      const progressCallback = () => {}; // Empty progress callback
-      await this.conn.query(validationQuery, progressCallback);
+      // Preparing parses and binds the query without executing it,
+      // so parameterised queries and writes can be validated safely
+      await this.withConnection(conn => this.getPreparedStatement(cypher.trim(), conn));
       
       return {
         valid: true,
@@ -130,6 +299,244 @@ export default class CypherQueryService {
     }
   }
 
+  /**
+   * Run a query through a cached prepared statement. Reads go to the query worker
+   * pool when one is running; everything else runs on a pooled connection.
+   * @param {string} query - Final query text
+   * @param {Object} params - Bound parameter values
+   * @param {number} timeout - Engine-side timeout in ms
+   * @param {Object} entry - Running query entry, if the query can be cancelled
+   * @returns {Promise<Object>} Kùzu query result (or an equivalent row cursor)
+   */
+  async runStatement(query, params = {}, timeout = 0, entry = null) {
+    const kind = CypherClassifier.classify(query).kind;
+    const workers = this.pool?.workers;
+
+    if (entry) entry.executing = true;
+    try {
+      if (kind === 'read' && workers?.isAvailable()) {
+        const rows = await workers.execute(query, params, { timeout });
+        return this.createRowCursor(rows);
+      }
+
+      // Kùzu cannot interrupt a running statement, so the engine timeout is what stops
+      // it; the connection stays borrowed until then and is never handed out while busy
+      const result = await this.withConnection(async (conn) => {
+        if (timeout > 0 && typeof conn.setQueryTimeout === 'function') {
+          conn.setQueryTimeout(timeout);
+        }
+
+        let statement;
+        try {
+          statement = await this.getPreparedStatement(query, conn);
+        } catch (error) {
+          // Kùzu cannot prepare multi-statement scripts; those only run without parameters
+          if (/multiple statements/i.test(error.message) && Object.keys(params).length === 0) {
+            const progressCallback = () => {}; // Empty progress callback
+            // A script returns one result per statement, chained so that closing an earlier
+            // one frees the rest; read the last statement's rows before closing them all
+            const results = [].concat(await conn.query(query, progressCallback));
+            const rows = await results[results.length - 1].getAll();
+            results.forEach(each => each.close());
+            return this.createRowCursor(rows);
+          }
+          throw error;
+        }
+
+        return conn.execute(statement, params);
+      });
+
+      // Schema changes invalidate statements bound against the old catalog
+      if (kind === 'schema') {
+        this.clearStatementCache();
+      }
+      // Workers read from a snapshot opened before this write
+      if (kind !== 'read') {
+        workers?.invalidate();
+      }
+
+      return result;
+    } finally {
+      if (entry) entry.executing = false;
+    }
+  }
+
+  /**
+   * Run fn with a connection, borrowed from the pool when there is one
+   */
+  async withConnection(fn) {
+    if (!this.pool) {
+      return fn(this.conn);
+    }
+
+    const conn = await this.pool.acquire();
+    try {
+      return await fn(conn);
+    } finally {
+      this.pool.release(conn);
+    }
+  }
+
+  /**
+   * Wrap rows returned by a query worker in the QueryResult methods the formatters use
+   */
+  createRowCursor(rows) {
+    let index = 0;
+    return {
+      getAll: async () => rows,
+      resetIterator: () => { index = 0; },
+      hasNext: () => index < rows.length,
+      getNext: async () => rows[index++] ?? null
+    };
+  }
+
+  /**
+   * Read up to limit rows from a query result
+   */
+  async readRows(result, limit) {
+    const rows = [];
+    result.resetIterator();
+    while (rows.length < limit && result.hasNext()) {
+      rows.push(await result.getNext());
+    }
+    return rows;
+  }
+
+  /**
+   * Get a prepared statement for the query text, preparing it on first use.
+   * Statements belong to the connection that prepared them, so each has its own cache.
+   * @param {string} query - Query text
+   * @param {Object} conn - Connection to prepare on
+   * @returns {Promise<Object>} Kùzu prepared statement
+   */
+  async getPreparedStatement(query, conn) {
+    let statements = this.statementCache.get(conn);
+    if (!statements) {
+      statements = new Map();
+      this.statementCache.set(conn, statements);
+    }
+
+    if (statements.has(query)) {
+      // Refresh LRU position
+      const cached = statements.get(query);
+      statements.delete(query);
+      statements.set(query, cached);
+      return cached;
+    }
+
+    const statement = await conn.prepare(query);
+    if (!statement.isSuccess()) {
+      throw new Error(statement.getErrorMessage());
+    }
+
+    if (statements.size >= this.statementCacheMaxSize) {
+      const oldestKey = statements.keys().next().value;
+      statements.delete(oldestKey);
+    }
+    statements.set(query, statement);
+
+    return statement;
+  }
+
+  clearStatementCache() {
+    this.statementCache.clear();
+  }
+
+  getPreparedStatementCount() {
+    let count = 0;
+    for (const statements of this.statementCache.values()) {
+      count += statements.size;
+    }
+    return count;
+  }
+
+  /**
+   * Convert parameter values to the JS types Kùzu binds to the declared column types.
+   * Parameters without a declared type are passed through as-is.
+   * @param {Object} params - Raw parameter values (typically from JSON)
+   * @param {Object} parameterTypes - Map of parameter name to Kùzu type, e.g. { since: 'DATE' }
+   * @returns {Object} Plain object of bound values
+   */
+  bindParameters(params = {}, parameterTypes = {}) {
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+      throw new Error('Parameters must be an object');
+    }
+
+    const bound = {};
+    Object.entries(params).forEach(([name, value]) => {
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+        throw new Error(`Invalid parameter name: ${name}`);
+      }
+      const type = parameterTypes[name];
+      bound[name] = type ? this.coerceParameter(name, value, type) : (value === undefined ? null : value);
+    });
+    return bound;
+  }
+
+  coerceParameter(name, value, type) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+
+    const upperType = String(type).toUpperCase().trim();
+
+    // List types such as INT64[] or STRING[]
+    if (upperType.endsWith('[]')) {
+      if (!Array.isArray(value)) {
+        throw new Error(`Parameter ${name} must be a list for type ${type}`);
+      }
+      const elementType = upperType.slice(0, -2);
+      return value.map((item, index) => this.coerceParameter(`${name}[${index}]`, item, elementType));
+    }
+
+    switch (upperType) {
+      case 'INT8':
+      case 'INT16':
+      case 'INT32':
+      case 'INT64':
+      case 'INT128':
+      case 'UINT8':
+      case 'UINT16':
+      case 'UINT32':
+      case 'UINT64':
+      case 'SERIAL': {
+        if (typeof value === 'bigint') return value;
+        const text = String(value).trim();
+        if (!/^-?\d+$/.test(text)) {
+          throw new Error(`Parameter ${name} must be an integer for type ${type}`);
+        }
+        const number = Number(text);
+        return Number.isSafeInteger(number) ? number : BigInt(text);
+      }
+      case 'FLOAT':
+      case 'DOUBLE': {
+        const number = Number(value);
+        if (Number.isNaN(number)) {
+          throw new Error(`Parameter ${name} must be a number for type ${type}`);
+        }
+        return number;
+      }
+      case 'BOOL':
+      case 'BOOLEAN':
+        if (typeof value === 'boolean') return value;
+        if (value === 'true' || value === 'false') return value === 'true';
+        throw new Error(`Parameter ${name} must be a boolean for type ${type}`);
+      case 'STRING':
+      case 'UUID':
+        return String(value);
+      case 'DATE':
+      case 'TIMESTAMP': {
+        const date = value instanceof Date ? value : new Date(value);
+        if (Number.isNaN(date.getTime())) {
+          throw new Error(`Parameter ${name} must be a valid ${type}`);
+        }
+        return date;
+      }
+      default:
+        throw new Error(`Unsupported parameter type for ${name}: ${type}`);
+    }
+  }
+
   /**
    * Format raw query results for VR visualization
    * @param {Array} rawResults - Raw query results from Kuzu
@@ -279,7 +686,7 @@ export default class CypherQueryService {
       query,
       timestamp: new Date().toISOString(),
       success: results.success,
-      resultCount: results.data?.nodes?.length || 0,
+      resultCount: results.data?.nodes?.length ?? results.metadata?.nodeCount ?? 0,
       executionTime: results.metadata?.queryTime
     };
     
@@ -301,7 +708,7 @@ export default class CypherQueryService {
   // Helper methods
   
   formatNodeId(label, idObj) {
-    const offset = idObj?.offset || idObj;
+    const offset = idObj?.offset ?? idObj;
     return `${label}_${offset}`;
   }
   
@@ -359,35 +766,259 @@ export default class CypherQueryService {
     return props;
   }
   
-  getCacheKey(query, params) {
-    return `${query}::${JSON.stringify(params)}`;
+  getCacheKey(query, params, options = {}) {
+    return `${query}::${JSON.stringify(params)}::${JSON.stringify(options)}`;
+  }
+  
+  getFromCache(key) {
+    const entry = this.queryCache.get(key);
+    if (!entry) return null;
+    
+    const age = Date.now() - entry.cachedAt;
+    if (this.cacheTtlMs > 0 && age > this.cacheTtlMs) {
+      this.queryCache.delete(key);
+      return null;
+    }
+    
+    // Refresh LRU position
+    this.queryCache.delete(key);
+    this.queryCache.set(key, entry);
+    this.cacheStats.hits++;
+    
+    return {
+      ...entry.response,
+      metadata: {
+        ...entry.response.metadata,
+        cached: true,
+        cacheAge: age
+      }
+    };
   }
   
-  addToCache(key, value) {
+  addToCache(key, value, classification) {
     // Simple LRU cache implementation
     if (this.queryCache.size >= this.cacheMaxSize) {
       const firstKey = this.queryCache.keys().next().value;
       this.queryCache.delete(firstKey);
     }
-    this.queryCache.set(key, value);
+    this.queryCache.set(key, {
+      response: value,
+      labels: classification.labels,
+      touchesAll: classification.touchesAll,
+      cachedAt: Date.now()
+    });
+  }
+  
+  /**
+   * Drop cached reads that a write may have made stale
+   * @param {Object} classification - CypherClassifier result for the write
+   * @returns {number} Number of cache entries removed
+   */
+  invalidateCache(classification) {
+    let removed = 0;
+    
+    if (classification.touchesAll || classification.labels.length === 0) {
+      removed = this.queryCache.size;
+      this.queryCache.clear();
+    } else {
+      const written = new Set(classification.labels);
+      for (const [key, entry] of this.queryCache) {
+        if (entry.touchesAll || entry.labels.some(label => written.has(label))) {
+          this.queryCache.delete(key);
+          removed++;
+        }
+      }
+    }
+    
+    if (removed > 0) {
+      this.cacheStats.invalidations += removed;
+      this.logger.info(`Invalidated ${removed} cached queries after ${classification.kind}`);
+    }
+    return removed;
+  }
+  
+  clearCache() {
+    this.queryCache.clear();
+  }
+  
+  getCacheStats() {
+    return {
+      ...this.cacheStats,
+      size: this.queryCache.size,
+      maxSize: this.cacheMaxSize,
+      ttlMs: this.cacheTtlMs,
+      preparedStatements: this.getPreparedStatementCount()
+    };
   }
   
   applyLimit(query, limit) {
-    // Only add LIMIT if the query doesn't already have one
+    // Only add LIMIT if the query returns rows and doesn't already have one;
+    // DDL such as ALTER TABLE does not parse with a LIMIT
     const upperQuery = query.toUpperCase();
-    if (!upperQuery.includes('LIMIT')) {
+    if (/\bRETURN\b/.test(upperQuery) && !upperQuery.includes('LIMIT')) {
       return `${query} LIMIT ${limit}`;
     }
     return query;
   }
   
-  executeWithTimeout(promise, timeout) {
-    return Promise.race([
-      promise,
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Query timeout')), timeout)
-      )
-    ]);
+  /**
+   * Run a statement with the timeout enforced inside Kùzu, so a timed-out query
+   * stops in the database instead of running on after the caller gives up
+   */
+  async executeWithTimeout(query, params, timeout, entry = null) {
+    if (entry) entry.deadline = Date.now() + timeout;
+    let timer;
+    const timeoutPromise = new Promise((_, reject) => {
+      // Backstop for drivers that do not honour the engine timeout
+      timer = setTimeout(() => {
+        reject(this.createQueryError(`Query timeout after ${timeout}ms`, 'QUERY_TIMEOUT'));
+      }, timeout);
+    });
+
+    try {
+      return await Promise.race([
+        this.whileRunning(this.runStatement(query, params, timeout, entry), entry),
+        timeoutPromise
+      ]);
+    } catch (error) {
+      // Kùzu reports engine-side timeouts and interrupts as "Interrupted."
+      if (/interrupted/i.test(error.message) && !error.code) {
+        throw entry?.cancelled
+          ? this.createQueryError('Query cancelled', 'QUERY_CANCELLED')
+          : this.createQueryError(`Query timeout after ${timeout}ms`, 'QUERY_TIMEOUT');
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Reject queries that would modify a read-only database
+   * @throws {Error} code READ_ONLY, with queryClass and statement describing what was refused
+   */
+  assertWritable(cypher, classification = CypherClassifier.classify(cypher)) {
+    const modifies = classification.kind !== 'read' || EXTERNAL_STATEMENTS.includes(classification.statement);
+    if (!modifies || !this.isReadOnly()) {
+      return;
+    }
+
+    const refused = {
+      schema: 'schema changes are',
+      write: 'writes are'
+    }[classification.kind] || `${classification.statement} statements are`;
+    const error = this.createQueryError(`Database is read-only: ${refused} not allowed`, 'READ_ONLY');
+    error.queryClass = classification.kind;
+    error.statement = classification.statement;
+    throw error;
+  }
+
+  /**
+   * Pass a finished (or failed) database query to onQueryComplete; no-op for queries
+   * that never started executing. A throwing listener never fails the query.
+   */
+  reportQuery(cypher, execution, error = null) {
+    if (!execution || !this.onQueryComplete) {
+      return;
+    }
+    try {
+      this.onQueryComplete({
+        query: cypher,
+        queryClass: execution.queryClass,
+        queryTime: Date.now() - execution.startedAt,
+        rowCount: execution.rowCount,
+        success: !error,
+        errorCode: error ? error.code || 'QUERY_ERROR' : null
+      });
+    } catch (listenerError) {
+      this.logger.warn('onQueryComplete listener failed:', listenerError);
+    }
+  }
+
+  /**
+   * Run the beforeWrite hook (e.g. a pre-mutation snapshot) ahead of a write or schema change
+   * @throws {Error} code SNAPSHOT_FAILED when the hook fails, so the write never runs
+   */
+  async runBeforeWrite(classification) {
+    if (!this.beforeWrite) {
+      return;
+    }
+    try {
+      await this.beforeWrite(classification);
+    } catch (error) {
+      throw this.createQueryError(`Pre-write snapshot failed: ${error.message}`, 'SNAPSHOT_FAILED');
+    }
+  }
+
+  /**
+   * Race a pending operation against cancellation of its query
+   */
+  whileRunning(promise, entry) {
+    if (!entry) return promise;
+    return Promise.race([promise, entry.cancelledPromise]);
+  }
+
+  registerQuery(queryId, cypher) {
+    if (this.runningQueries.has(queryId)) {
+      throw this.createQueryError(`Query ID already in use: ${queryId}`, 'DUPLICATE_QUERY_ID');
+    }
+
+    const entry = {
+      id: queryId,
+      query: cypher.length > 200 ? `${cypher.substring(0, 200)}...` : cypher,
+      startedAt: Date.now(),
+      cancelled: false
+    };
+    entry.cancelledPromise = new Promise((_, reject) => {
+      entry.rejectCancelled = reject;
+    });
+    // Nobody may be waiting when a cancel lands between operations
+    entry.cancelledPromise.catch(() => {});
+
+    this.runningQueries.set(queryId, entry);
+    return entry;
+  }
+
+  unregisterQuery(entry) {
+    if (entry) {
+      this.runningQueries.delete(entry.id);
+    }
+  }
+
+  /**
+   * Cancel a running query by ID. The caller is released at once and no further rows
+   * are read, but Kùzu cannot interrupt a statement that is already executing.
+   * @returns {Object} { found, runsUntil } - runsUntil is the time (ISO) at which the query
+   *   timeout stops a statement still executing in the database, null when none is
+   */
+  cancelQuery(queryId, reason = 'Query cancelled') {
+    const entry = this.runningQueries.get(queryId);
+    if (!entry) {
+      return { found: false, runsUntil: null };
+    }
+
+    entry.cancelled = true;
+    entry.rejectCancelled(this.createQueryError(reason, 'QUERY_CANCELLED'));
+    this.runningQueries.delete(queryId);
+
+    const runsUntil = entry.executing && entry.deadline ? new Date(entry.deadline).toISOString() : null;
+    this.logger.info(`Cancelled query ${queryId}${runsUntil ? ` (statement runs until its timeout at ${runsUntil})` : ''}`);
+    return { found: true, runsUntil };
+  }
+
+  getRunningQueries() {
+    return Array.from(this.runningQueries.values()).map(({ id, query, startedAt }) => ({
+      id,
+      query,
+      startedAt: new Date(startedAt).toISOString(),
+      runningFor: Date.now() - startedAt
+    }));
+  }
+
+  createQueryError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
   }
   
   basicSyntaxCheck(cypher) {
@@ -501,9 +1132,33 @@ export default class CypherQueryService {
     return levels;
   }
   
+  /**
+   * Structured error for API responses
+   */
+  formatError(error) {
+    const formatted = {
+      message: error.message,
+      code: error.code || 'QUERY_ERROR',
+      details: this.getErrorDetails(error)
+    };
+    if (error.code === 'READ_ONLY') {
+      formatted.queryClass = error.queryClass;
+      formatted.statement = error.statement;
+    }
+    return formatted;
+  }
+
   getErrorDetails(error) {
     // Extract useful details from Kuzu errors
-    if (error.message.includes('Binder exception')) {
+    if (error.code === 'READ_ONLY') {
+      return 'Writes and schema changes are disabled for this session - unlock editing to run this query';
+    } else if (error.code === 'QUERY_TIMEOUT') {
+      return 'Query ran past its timeout and was stopped - add a LIMIT or narrow the pattern';
+    } else if (error.code === 'QUERY_CANCELLED') {
+      return 'Query was cancelled before it completed';
+    } else if (error.code === 'SNAPSHOT_FAILED') {
+      return 'The backup policy requires a snapshot before this write and it could not be taken - the write did not run';
+    } else if (error.message.includes('Binder exception')) {
       return 'Query references non-existent nodes, relationships, or properties';
     } else if (error.message.includes('Parser exception')) {
       return 'Invalid Cypher syntax';
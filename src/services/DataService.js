@@ -1,16 +1,19 @@
-import { SERVER_CONFIG } from '../constants/index.js';
+import { SAMPLE_QUERIES, getSampleData } from '../data/sampleDatabase.js';
 import { AuthUtils } from '../utils/AuthUtils.js';
-import { SecurityUtils } from '../utils/SecurityUtils.js';
-import { LoadingManager } from '../utils/LoadingManager.js';
 import { ErrorHandler } from '../utils/ErrorHandler.js';
-import { getSampleData, SAMPLE_QUERIES } from '../data/sampleDatabase.js';
+import { LoadingManager } from '../utils/LoadingManager.js';
+import { SERVER_CONFIG } from '../constants/index.js';
+import { SecurityUtils } from '../utils/SecurityUtils.js';
 
 export class DataService {
 	constructor() {
-		this.apiUrl = SERVER_CONFIG.apiUrl;
+		this.baseApiUrl = SERVER_CONFIG.apiUrl;
+		this.apiUrl = SERVER_CONFIG.apiUrl; // Session-scoped once connected
+		this.sessionId = null;
 		this.connected = false;
 		this.usingSampleData = false;
 		this.sampleData = getSampleData();
+		this.activeQueryId = null; // ID of the query executeCypherQuery or streamCypherQuery is waiting on
 	}
 	
 	async connect(dbPath) {
@@ -39,20 +42,31 @@ export class DataService {
 				
 				updateProgress(50, 'Connecting to database...');
 				
-				const response = await AuthUtils.secureRequest(`${this.apiUrl}/connect`, {
+				// Reconnecting keeps our session; other viewers' sessions are unaffected
+				const response = await AuthUtils.secureRequest(`${this.baseApiUrl}/connect`, {
 					method: 'POST',
+					headers: this.sessionId ? { 'X-Session-Id': this.sessionId } : {},
 					body: JSON.stringify({ dbPath: validation.sanitized }),
 					signal: AbortSignal.timeout(SERVER_CONFIG.timeout)
 				});
 				
 				updateProgress(80, 'Processing response...');
 				
+				// Opening another graph would pass the tier's maxGraphs
+				if (response.status === 403) {
+					const result = this.notifyTierLimit(await response.json());
+					return { ...result, message: result.error.message };
+				}
+				
 				if (!response.ok) {
 					throw new Error(`HTTP error! status: ${response.status}`);
 				}
 				
 				const result = await response.json();
 				this.connected = result.success;
+				if (result.success && result.sessionId) {
+					this.setSession(result.sessionId);
+				}
 				
 				updateProgress(100, 'Connection complete');
 				
@@ -71,6 +85,91 @@ export class DataService {
 		});
 	}
 	
+	/**
+	 * Announce a tier limit the server applied (a refused request, a used-up quota or a
+	 * cut-down result) so the subscription panel can offer the plan that lifts it
+	 */
+	notifyTierLimit(result) {
+		const details = ['UPGRADE_REQUIRED', 'QUOTA_EXCEEDED'].includes(result?.error?.code)
+			? result.error.details
+			: result?.tierLimit || result?.metadata?.tierLimit;
+		if (details) {
+			window.dispatchEvent(new CustomEvent('upgradeRequired', { detail: details }));
+		}
+		return result;
+	}
+	
+	/**
+	 * Route all further API calls through a database session
+	 */
+	setSession(sessionId) {
+		this.sessionId = sessionId;
+		this.apiUrl = `${this.baseApiUrl}/sessions/${encodeURIComponent(sessionId)}`;
+	}
+	
+	async closeSession() {
+		if (!this.sessionId) {
+			return { success: true, message: 'No open session' };
+		}
+		
+		try {
+			const response = await fetch(`${this.baseApiUrl}/sessions/${encodeURIComponent(this.sessionId)}`, {
+				method: 'DELETE',
+				signal: AbortSignal.timeout(SERVER_CONFIG.timeout)
+			});
+			const result = await response.json();
+			
+			this.sessionId = null;
+			this.apiUrl = this.baseApiUrl;
+			this.connected = false;
+			return result;
+		} catch (error) {
+			console.error('Failed to close session:', error);
+			return {
+				success: false,
+				error: { message: `Failed to close session: ${error.message}` }
+			};
+		}
+	}
+	
+	async getEditMode() {
+		try {
+			const response = await fetch(`${this.apiUrl}/edit-mode`, {
+				signal: AbortSignal.timeout(SERVER_CONFIG.timeout)
+			});
+			return await response.json();
+		} catch (error) {
+			console.error('Failed to fetch edit mode:', error);
+			return {
+				success: false,
+				error: { message: `Failed to fetch edit mode: ${error.message}` }
+			};
+		}
+	}
+	
+	/**
+	 * Unlock (with the server's edit token, if it requires one) or relock writes for our session
+	 */
+	async setEditMode(enabled, token = null) {
+		try {
+			const response = await fetch(`${this.apiUrl}/edit-mode`, {
+				method: enabled ? 'POST' : 'DELETE',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: enabled ? JSON.stringify({ token }) : undefined,
+				signal: AbortSignal.timeout(SERVER_CONFIG.timeout)
+			});
+			return await response.json();
+		} catch (error) {
+			console.error('Failed to change edit mode:', error);
+			return {
+				success: false,
+				error: { message: `Failed to change edit mode: ${error.message}` }
+			};
+		}
+	}
+	
 	/**
 	 * Load built-in sample database (no external setup required)
 	 */
@@ -110,7 +209,13 @@ export class DataService {
 		});
 	}
 	
-	async getNodes(tableName = null, limit = 500) {
+	/**
+	 * Fetch a page of nodes. Without a table name every node table is sampled.
+	 * @param {string|null} tableName - Node table (or comma-separated tables) to read
+	 * @param {number} limit - Total page size, split evenly across tables unless perType is set
+	 * @param {Object} options - Pagination options ({ perType, cursor })
+	 */
+	async getNodes(tableName = null, limit = 500, options = {}) {
 		if (!this.connected) {
 			return {
 				success: false,
@@ -124,8 +229,9 @@ export class DataService {
 			
 			// Filter by table name (node type) if specified
 			if (tableName) {
+				const types = tableName.toLowerCase().split(',').map(t => t.trim());
 				nodes = nodes.filter(node => 
-					node.type.toLowerCase() === tableName.toLowerCase()
+					types.includes(node.type.toLowerCase())
 				);
 			}
 			
@@ -167,8 +273,8 @@ export class DataService {
 		try {
 			const params = new URLSearchParams();
 			if (tableName) {
-				// Sanitize table name - only allow alphanumeric and underscore
-				const sanitizedTable = tableName.replace(/[^a-zA-Z0-9_]/g, '');
+				// Sanitize table name - only allow alphanumeric, underscore and list separators
+				const sanitizedTable = tableName.replace(/[^a-zA-Z0-9_,]/g, '');
 				if (sanitizedTable !== tableName) {
 					return {
 						success: false,
@@ -179,6 +285,21 @@ export class DataService {
 			}
 			params.append('limit', numLimit.toString());
 			
+			if (options.perType) {
+				const perType = parseInt(options.perType, 10);
+				if (isNaN(perType) || perType < 1 || perType > 10000) {
+					return {
+						success: false,
+						message: 'perType must be a number between 1 and 10000'
+					};
+				}
+				params.append('perType', perType.toString());
+			}
+			
+			if (options.cursor) {
+				params.append('cursor', options.cursor);
+			}
+			
 			const response = await fetch(`${this.apiUrl}/nodes?${params}`, {
 				signal: AbortSignal.timeout(SERVER_CONFIG.timeout)
 			});
@@ -187,8 +308,7 @@ export class DataService {
 				throw new Error(`HTTP error! status: ${response.status}`);
 			}
 			
-			const result = await response.json();
-			return result;
+			return this.notifyTierLimit(await response.json());
 		} catch (error) {
 			console.error('Failed to fetch nodes:', error);
 			return {
@@ -198,7 +318,11 @@ export class DataService {
 		}
 	}
 	
-	async getEdges() {
+	/**
+	 * Fetch edges, optionally scoped to loaded nodes
+	 * @param {Object} options - Filters ({ types, nodeIds, where, limit })
+	 */
+	async getEdges(options = {}) {
 		if (!this.connected) {
 			return {
 				success: false,
@@ -206,22 +330,96 @@ export class DataService {
 			};
 		}
 		
+		const { types = [], nodeIds = [], where = [], limit } = options;
+		
 		// Return sample edges if using built-in database
 		if (this.usingSampleData) {
+			const nodeIdSet = nodeIds.length > 0 ? new Set(nodeIds) : null;
+			const edges = this.sampleData.edges.filter(edge =>
+				(types.length === 0 || types.includes(edge.type)) &&
+				(!nodeIdSet || (nodeIdSet.has(edge.from) && nodeIdSet.has(edge.to)))
+			);
 			return {
 				success: true,
-				edges: this.sampleData.edges.map(edge => ({
+				edges: edges.map(edge => ({
 					src: edge.from,
 					dst: edge.to,
 					type: edge.type,
 					properties: edge.properties
 				})),
-				message: `Loaded ${this.sampleData.edges.length} edges from sample database`
+				message: `Loaded ${edges.length} edges from sample database`
+			};
+		}
+		
+		try {
+			const filters = { types, where };
+			if (limit) filters.limit = limit;
+			
+			// Node ID lists can be long, so scoped requests go in a POST body
+			const response = nodeIds.length > 0
+				? await fetch(`${this.apiUrl}/edges`, {
+					method: 'POST',
+					headers: {
+						'Content-Type': 'application/json',
+					},
+					body: JSON.stringify({ ...filters, nodeIds }),
+					signal: AbortSignal.timeout(SERVER_CONFIG.timeout)
+				})
+				: await fetch(`${this.apiUrl}/edges?${this.buildEdgeParams(filters)}`, {
+					signal: AbortSignal.timeout(SERVER_CONFIG.timeout)
+				});
+			
+			if (!response.ok) {
+				throw new Error(`HTTP error! status: ${response.status}`);
+			}
+			
+			return this.notifyTierLimit(await response.json());
+		} catch (error) {
+			console.error('Failed to fetch edges:', error);
+			return {
+				success: false,
+				message: `Failed to fetch edges: ${error.message}`
 			};
 		}
+	}
+	
+	buildEdgeParams({ types = [], where = [], limit }) {
+		const params = new URLSearchParams();
+		if (types.length > 0) params.append('types', types.join(','));
+		where.forEach(predicate => params.append('where', predicate));
+		if (limit) params.append('limit', String(limit));
+		return params;
+	}
+	
+	/**
+	 * Expand the neighborhood around a node
+	 * @param {string} nodeId - Node ID in "Label_offset" form
+	 * @param {Object} options - Expansion options ({ depth, types, direction, limit, maxNodes })
+	 */
+	async getNeighbors(nodeId, options = {}) {
+		if (!this.connected) {
+			return {
+				success: false,
+				message: 'Not connected to database'
+			};
+		}
+		
+		// Expand over the in-memory edges when using the built-in database
+		if (this.usingSampleData) {
+			return this.getSampleNeighbors(nodeId, options);
+		}
 		
 		try {
-			const response = await fetch(`${this.apiUrl}/edges`, {
+			const params = new URLSearchParams();
+			if (options.depth) params.append('depth', String(options.depth));
+			if (options.direction) params.append('direction', options.direction);
+			if (options.limit) params.append('limit', String(options.limit));
+			if (options.maxNodes) params.append('maxNodes', String(options.maxNodes));
+			if (options.types && options.types.length > 0) {
+				params.append('types', [].concat(options.types).join(','));
+			}
+			
+			const response = await fetch(`${this.apiUrl}/nodes/${encodeURIComponent(nodeId)}/neighbors?${params}`, {
 				signal: AbortSignal.timeout(SERVER_CONFIG.timeout)
 			});
 			
@@ -232,24 +430,69 @@ export class DataService {
 			const result = await response.json();
 			return result;
 		} catch (error) {
-			console.error('Failed to fetch edges:', error);
+			console.error('Failed to fetch neighbors:', error);
 			return {
 				success: false,
-				message: `Failed to fetch edges: ${error.message}`
+				message: `Failed to fetch neighbors: ${error.message}`
 			};
 		}
 	}
 	
+	getSampleNeighbors(nodeId, { depth = 1, types = [], direction = 'both', limit = 25 } = {}) {
+		const nodeById = new Map(this.sampleData.nodes.map(node => [node.id, node]));
+		if (!nodeById.has(nodeId)) {
+			return {
+				success: false,
+				message: `Node not found: ${nodeId}`
+			};
+		}
+		
+		const typeFilter = [].concat(types);
+		const nodes = new Map([[nodeId, { ...nodeById.get(nodeId), hop: 0 }]]);
+		const edges = [];
+		let frontier = [nodeId];
+		
+		for (let hop = 1; hop <= depth && frontier.length > 0; hop++) {
+			const nextFrontier = [];
+			frontier.forEach(currentId => {
+				const matches = this.sampleData.edges.filter(edge =>
+					(typeFilter.length === 0 || typeFilter.includes(edge.type)) &&
+					((direction !== 'in' && edge.from === currentId) ||
+					(direction !== 'out' && edge.to === currentId))
+				).slice(0, limit);
+				
+				matches.forEach(edge => {
+					const neighborId = edge.from === currentId ? edge.to : edge.from;
+					if (!nodes.has(neighborId) && nodeById.has(neighborId)) {
+						nodes.set(neighborId, { ...nodeById.get(neighborId), hop });
+						nextFrontier.push(neighborId);
+					}
+					if (!edges.includes(edge)) {
+						edges.push(edge);
+					}
+				});
+			});
+			frontier = nextFrontier;
+		}
+		
+		return {
+			success: true,
+			center: nodeId,
+			depth,
+			direction,
+			nodes: Array.from(nodes.values()),
+			edges,
+			truncated: false
+		};
+	}
+	
 	// Get database schema
 	async getSchema() {
 		// Return sample schema if using built-in database
 		if (this.usingSampleData) {
 			return {
 				success: true,
-				schema: {
-					nodeTypes: this.sampleData.nodeTypes,
-					relationshipTypes: this.sampleData.relationshipTypes
-				},
+				schema: this.getSampleSchema(),
 				message: 'Sample database schema loaded'
 			};
 		}
@@ -267,6 +510,68 @@ export class DataService {
 		}
 	}
 	
+	// Derive a schema in the /api/schema shape from the built-in sample data
+	getSampleSchema() {
+		if (this.sampleSchema) {
+			return this.sampleSchema;
+		}
+		
+		const typeOf = (value) => {
+			if (typeof value === 'boolean') return 'BOOL';
+			if (typeof value === 'number') return Number.isInteger(value) ? 'INT64' : 'DOUBLE';
+			return 'STRING';
+		};
+		const collectProperties = (items, properties = new Map()) => {
+			items.forEach(item => {
+				Object.entries(item.properties || {}).forEach(([name, value]) => {
+					if (!properties.has(name)) {
+						properties.set(name, { name, type: typeOf(value), primaryKey: false, defaultValue: null });
+					}
+				});
+			});
+			return Array.from(properties.values());
+		};
+		
+		const nodeTypeById = new Map(this.sampleData.nodes.map(node => [node.id, node.type]));
+		
+		const nodeTables = this.sampleData.nodeTypes.map(({ name }) => {
+			const nodes = this.sampleData.nodes.filter(node => node.type === name);
+			const idProperty = { name: 'id', type: 'STRING', primaryKey: true, defaultValue: null };
+			return {
+				name,
+				comment: '',
+				properties: collectProperties(nodes, new Map([['id', idProperty]])),
+				primaryKey: 'id',
+				rowCount: nodes.length
+			};
+		});
+		
+		const relTables = this.sampleData.relationshipTypes.map(({ name }) => {
+			const edges = this.sampleData.edges.filter(edge => edge.type === name);
+			const connections = new Map();
+			edges.forEach(edge => {
+				const from = nodeTypeById.get(edge.from);
+				const to = nodeTypeById.get(edge.to);
+				connections.set(`${from}->${to}`, { from, to });
+			});
+			return {
+				name,
+				comment: '',
+				properties: collectProperties(edges),
+				connections: Array.from(connections.values()),
+				rowCount: edges.length
+			};
+		});
+		
+		this.sampleSchema = {
+			nodeTables,
+			relTables,
+			nodeTypes: nodeTables.map(t => t.name),
+			relationshipTypes: relTables.map(t => t.name)
+		};
+		return this.sampleSchema;
+	}
+	
 	// Cypher query methods
 	
 	async executeCypherQuery(query, parameters = {}, options = {}) {
@@ -331,7 +636,10 @@ export class DataService {
 		
 		try {
 			const requestUrl = `${this.apiUrl}/cypher/execute`;
-			const requestBody = { query, parameters, options };
+			// Track the ID so the query can be cancelled while it is still running
+			const queryId = options.queryId || crypto.randomUUID();
+			this.activeQueryId = queryId;
+			const requestBody = { query, parameters, options, queryId };
 			
 			console.log('🔍 Step 4: Making fetch request to:', requestUrl);
 			console.log('🔍 Step 4: Request body:', JSON.stringify(requestBody, null, 2));
@@ -354,9 +662,12 @@ export class DataService {
 			}
 			
 			const result = await response.json();
+			if (this.activeQueryId === queryId) {
+				this.activeQueryId = null;
+			}
 			console.log('🔍 Step 6: Response JSON parsed');
 			console.log('🔍 Step 6: Result:', JSON.stringify(result, null, 2));
-			return result;
+			return this.notifyTierLimit(result);
 		} catch (error) {
 			console.error('Cypher query execution error:', error);
 			return {
@@ -369,6 +680,125 @@ export class DataService {
 		}
 	}
 	
+	/**
+	 * Execute a Cypher query and receive results incrementally
+	 * @param {string} query - Cypher query
+	 * @param {Object} parameters - Query parameters
+	 * @param {Object} options - Execution options (limit, chunkSize, timeout)
+	 * @param {Function} onChunk - Called with each { nodes, edges } chunk as it arrives
+	 * @returns {Object} The final metadata (or error) record
+	 */
+	async streamCypherQuery(query, parameters = {}, options = {}, onChunk = () => {}) {
+		if (!query || typeof query !== 'string') {
+			return {
+				success: false,
+				error: { message: 'Query is required and must be a string' }
+			};
+		}
+		
+		if (!this.connected) {
+			return {
+				success: false,
+				error: { message: 'Not connected to database' }
+			};
+		}
+		
+		// Track the ID so the stream can be cancelled while it is still running
+		const queryId = options.queryId || crypto.randomUUID();
+		this.activeQueryId = queryId;
+		
+		try {
+			const response = await fetch(`${this.apiUrl}/cypher/stream`, {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+					'Accept': 'application/x-ndjson'
+				},
+				body: JSON.stringify({ query, parameters, options, queryId }),
+				signal: AbortSignal.timeout(options.timeout || 300000)
+			});
+			
+			if (!response.ok) {
+				throw new Error(`HTTP error! status: ${response.status}`);
+			}
+			
+			const reader = response.body.getReader();
+			const decoder = new TextDecoder();
+			let buffer = '';
+			let finalRecord = null;
+			
+			const handleLine = async (line) => {
+				if (!line.trim()) return;
+				const record = JSON.parse(line);
+				if (record.type === 'chunk') {
+					await onChunk(record);
+				} else {
+					finalRecord = record;
+				}
+			};
+			
+			for (;;) {
+				const { value, done } = await reader.read();
+				if (done) break;
+				
+				buffer += decoder.decode(value, { stream: true });
+				const lines = buffer.split('\n');
+				buffer = lines.pop();
+				for (const line of lines) {
+					await handleLine(line);
+				}
+			}
+			await handleLine(buffer);
+			
+			return finalRecord || {
+				success: false,
+				error: { message: 'Stream ended without metadata' }
+			};
+		} catch (error) {
+			console.error('Cypher query stream error:', error);
+			return {
+				success: false,
+				error: {
+					message: `Query stream failed: ${error.message}`,
+					code: 'QUERY_ERROR'
+				}
+			};
+		} finally {
+			if (this.activeQueryId === queryId) {
+				this.activeQueryId = null;
+			}
+		}
+	}
+	
+	/**
+	 * Cancel a running query; defaults to the last query started by executeCypherQuery
+	 * or streamCypherQuery
+	 */
+	async cancelCypherQuery(queryId = this.activeQueryId) {
+		if (!queryId) {
+			return { success: false, message: 'No query is running' };
+		}
+		
+		try {
+			const response = await fetch(`${this.apiUrl}/cypher/queries/${encodeURIComponent(queryId)}`, {
+				method: 'DELETE',
+				signal: AbortSignal.timeout(SERVER_CONFIG.timeout)
+			});
+			
+			const result = await response.json();
+			if (result.success && this.activeQueryId === queryId) {
+				this.activeQueryId = null;
+			}
+			return result;
+		} catch (error) {
+			console.error('Failed to cancel Cypher query:', error);
+			return {
+				success: false,
+				error: { message: `Failed to cancel query: ${error.message}` }
+			};
+		}
+	}
+	
 	async validateCypherQuery(query) {
 		try {
 			const response = await fetch(`${this.apiUrl}/cypher/validate`, {
@@ -36,8 +36,94 @@ export class NaturalLanguageService {
         return hasLayoutKeyword && !hasQueryKeyword;
     }
 
+    /**
+     * Render a schema from /api/schema as prompt text, e.g.
+     *   (:Person {id: INT64 PRIMARY KEY, name: STRING}) - 120 rows
+     *   (:Person)-[:WorksAt {since: INT64}]->(:Company) - 80 rows
+     * Accepts the older name-only shape too.
+     */
+    describeSchema(schema) {
+        if (!schema) {
+            return '';
+        }
+
+        const formatProperties = (properties = []) => {
+            if (properties.length === 0) {
+                return '';
+            }
+            const list = properties.map(p => `${p.name}: ${p.type}${p.primaryKey ? ' PRIMARY KEY' : ''}`);
+            return ` {${list.join(', ')}}`;
+        };
+        const formatCount = (table) => Number.isFinite(table.rowCount) ? ` - ${table.rowCount} rows` : '';
+
+        const nodeTables = schema.nodeTables || (schema.nodeTypes || []).map(name => ({ name }));
+        const relTables = schema.relTables || (schema.relationshipTypes || []).map(name => ({ name }));
+
+        const lines = ['Node tables:'];
+        nodeTables.forEach(table => {
+            lines.push(`  (:${table.name}${formatProperties(table.properties)})${formatCount(table)}`);
+        });
+
+        lines.push('Relationship tables:');
+        relTables.forEach(table => {
+            const connections = table.connections?.length ? table.connections : [{ from: null, to: null }];
+            connections.forEach(({ from, to }) => {
+                const source = from ? `(:${from})` : '()';
+                const target = to ? `(:${to})` : '()';
+                lines.push(`  ${source}-[:${table.name}${formatProperties(table.properties)}]->${target}${formatCount(table)}`);
+            });
+        });
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Ask the model directly (server side, where the API key lives)
+     */
+    async requestCypher(naturalLanguage, schema) {
+        const response = await fetch(this.apiUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.apiKey}`
+            },
+            body: JSON.stringify({
+                model: this.model,
+                temperature: 0,
+                messages: [
+                    {
+                        role: 'system',
+                        content: [
+                            'You translate questions about a Kùzu graph database into a single Cypher query.',
+                            'Use only the tables, properties and directions listed in the schema below.',
+                            'Return nodes and relationships (not just properties) so they can be visualized.',
+                            'Reply with the Cypher query only, without explanation or code fences.',
+                            '',
+                            this.describeSchema(schema) || 'Schema unavailable.'
+                        ].join('\n')
+                    },
+                    { role: 'user', content: naturalLanguage }
+                ]
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`OpenAI API error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        const content = data.choices?.[0]?.message?.content || '';
+        return content.replace(/^```(?:cypher)?\s*|\s*```$/gi, '').trim();
+    }
+
     async convertToCypher(naturalLanguage, schema = null) {
         try {
+            if (this.apiKey) {
+                const cypher = await this.requestCypher(naturalLanguage, schema);
+                logger.info(`Converted "${naturalLanguage}" to Cypher: ${cypher}`);
+                return cypher;
+            }
+
             // Use the backend API for natural language to Cypher conversion
             const response = await fetch('/api/voice/query', {
                 method: 'POST',
@@ -9,13 +9,16 @@ export class NodeCreationService {
     constructor(dataService) {
         this.dataService = dataService;
         this.isEditMode = false; // Start in read-only mode for safety
+        this.editModeError = null; // Why the server last refused to change edit mode
         this.schema = null;
     }
 
     /**
      * Set edit mode (with confirmation)
+     * The server enforces read-only sessions, so enabling edit mode unlocks the
+     * session there too; unlockToken is needed when the server requires one.
      */
-    async setEditMode(enabled, confirmCallback = null) {
+    async setEditMode(enabled, confirmCallback = null, unlockToken = null) {
         if (enabled && !this.isEditMode) {
             // Switching to edit mode requires confirmation
             if (confirmCallback) {
@@ -27,6 +30,16 @@ export class NodeCreationService {
             }
         }
         
+        if (!this.dataService.usingSampleData) {
+            const result = await this.dataService.setEditMode(enabled, unlockToken);
+            if (!result.success) {
+                logger.warn('Server refused edit mode change:', result.error?.message || result.message);
+                this.editModeError = result.error?.message || result.message;
+                return false;
+            }
+        }
+        
+        this.editModeError = null;
         this.isEditMode = enabled;
         logger.info(`Edit mode ${enabled ? 'enabled' : 'disabled'}`);
         return true;
@@ -44,12 +57,13 @@ export class NodeCreationService {
      */
     async fetchSchema() {
         try {
-            const response = await fetch('/api/schema');
-            if (response.ok) {
-                this.schema = await response.json();
+            const result = await this.dataService.getSchema();
+            if (result.success) {
+                this.schema = result.schema;
                 logger.info('Schema loaded:', this.schema);
                 return this.schema;
             }
+            logger.warn('Schema unavailable:', result.message);
         } catch (error) {
             logger.error('Failed to fetch schema:', error);
         }
@@ -67,6 +81,51 @@ export class NodeCreationService {
         return this.schema.nodeTypes || [];
     }
 
+    /**
+     * Typed table definitions from the schema, or null when unknown
+     */
+    getNodeTable(type) {
+        return this.schema?.nodeTables?.find(table => table.name === type) || null;
+    }
+
+    getRelTable(type) {
+        return this.schema?.relTables?.find(table => table.name === type) || null;
+    }
+
+    /**
+     * Reject properties the table does not define
+     */
+    validatePropertiesAgainstTable(table, properties) {
+        if (!table) return;
+        const known = new Set(table.properties.map(p => p.name));
+        const unknown = Object.keys(properties).filter(key => !known.has(key));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown ${table.name} properties: ${unknown.join(', ')}. Valid properties: ${Array.from(known).join(', ')}`);
+        }
+    }
+
+    /**
+     * Split a client node ID ("Label_offset") into its table and internal offset
+     */
+    parseNodeId(nodeId) {
+        const match = /^([A-Za-z_][A-Za-z0-9_]*)_(\d+)$/.exec(String(nodeId));
+        if (!match) {
+            throw new Error(`Invalid node ID: ${nodeId}`);
+        }
+        return { table: match[1], offset: parseInt(match[2], 10) };
+    }
+
+    /**
+     * Property names go into the query text, so only plain identifiers are allowed
+     */
+    validatePropertyNames(properties) {
+        Object.keys(properties).forEach(key => {
+            if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+                throw new Error(`Invalid property name: ${key}`);
+            }
+        });
+    }
+
     /**
      * Create a new node with voice input support
      * @param {string} type - Node type (e.g., 'Person', 'Company')
@@ -83,8 +142,16 @@ export class NodeCreationService {
         if (validTypes.length > 0 && !validTypes.includes(type)) {
             throw new Error(`Invalid node type: ${type}. Valid types: ${validTypes.join(', ')}`);
         }
+        this.validatePropertyNames(properties);
 
-        // Build CREATE query
+        const table = this.getNodeTable(type);
+        this.validatePropertiesAgainstTable(table, properties);
+        const primaryKey = table?.properties.find(p => p.primaryKey);
+        if (primaryKey && primaryKey.type !== 'SERIAL' && properties[primaryKey.name] === undefined) {
+            throw new Error(`${type} requires a value for its primary key "${primaryKey.name}"`);
+        }
+
+        // Build CREATE query - values are bound server-side as parameters
         const propsList = [];
         const params = {};
         
@@ -141,23 +208,32 @@ export class NodeCreationService {
             throw new Error('Cannot update nodes in read-only mode');
         }
 
-        const setPairs = [];
-        const params = { nodeId };
-        
-        Object.entries(properties).forEach(([key, value], index) => {
-            const paramName = `prop${index}`;
-            setPairs.push(`n.${key} = $${paramName}`);
-            params[paramName] = value;
-        });
+        try {
+            this.validatePropertyNames(properties);
+            const { table, offset } = this.parseNodeId(nodeId);
 
-        const query = `
-            MATCH (n)
-            WHERE id(n) = $nodeId
-            SET ${setPairs.join(', ')}
-            RETURN n
-        `;
+            const nodeTable = this.getNodeTable(table);
+            this.validatePropertiesAgainstTable(nodeTable, properties);
+            if (nodeTable?.primaryKey && properties[nodeTable.primaryKey] !== undefined) {
+                throw new Error(`The primary key "${nodeTable.primaryKey}" of ${table} cannot be changed`);
+            }
+
+            const setPairs = [];
+            const params = { nodeOffset: offset };
+            
+            Object.entries(properties).forEach(([key, value], index) => {
+                const paramName = `prop${index}`;
+                setPairs.push(`n.${key} = $${paramName}`);
+                params[paramName] = value;
+            });
+
+            const query = `
+                MATCH (n:${table})
+                WHERE offset(id(n)) = $nodeOffset
+                SET ${setPairs.join(', ')}
+                RETURN n
+            `;
 
-        try {
             const result = await this.dataService.executeCypherQuery(query, params);
             if (result.success) {
                 logger.info('Node updated successfully');
@@ -185,15 +261,16 @@ export class NodeCreationService {
             if (!confirmed) return { success: false, cancelled: true };
         }
 
-        const query = `
-            MATCH (n)
-            WHERE id(n) = $nodeId
-            DETACH DELETE n
-            RETURN count(n) as deleted
-        `;
-
         try {
-            const result = await this.dataService.executeCypherQuery(query, { nodeId });
+            const { table, offset } = this.parseNodeId(nodeId);
+            const query = `
+                MATCH (n:${table})
+                WHERE offset(id(n)) = $nodeOffset
+                DETACH DELETE n
+                RETURN count(*) as deleted
+            `;
+
+            const result = await this.dataService.executeCypherQuery(query, { nodeOffset: offset });
             if (result.success) {
                 logger.info('Node deleted successfully');
                 return { success: true };
@@ -212,24 +289,38 @@ export class NodeCreationService {
             throw new Error('Cannot create relationships in read-only mode');
         }
 
-        const propsList = [];
-        const params = { sourceId, targetId };
-        
-        Object.entries(properties).forEach(([key, value], index) => {
-            const paramName = `prop${index}`;
-            propsList.push(`${key}: $${paramName}`);
-            params[paramName] = value;
-        });
+        try {
+            this.validatePropertyNames(properties);
+            const source = this.parseNodeId(sourceId);
+            const target = this.parseNodeId(targetId);
 
-        const propsString = propsList.length > 0 ? `{${propsList.join(', ')}}` : '';
-        const query = `
-            MATCH (source), (target)
-            WHERE id(source) = $sourceId AND id(target) = $targetId
-            CREATE (source)-[r:${relationshipType} ${propsString}]->(target)
-            RETURN r
-        `;
+            const relTable = this.getRelTable(relationshipType);
+            if (this.schema?.relTables && !relTable) {
+                throw new Error(`Invalid relationship type: ${relationshipType}. Valid types: ${this.schema.relationshipTypes.join(', ')}`);
+            }
+            this.validatePropertiesAgainstTable(relTable, properties);
+            if (relTable && !relTable.connections.some(c => c.from === source.table && c.to === target.table)) {
+                const allowed = relTable.connections.map(c => `${c.from}->${c.to}`).join(', ');
+                throw new Error(`${relationshipType} cannot connect ${source.table} to ${target.table}. Allowed: ${allowed}`);
+            }
+
+            const propsList = [];
+            const params = { sourceOffset: source.offset, targetOffset: target.offset };
+            
+            Object.entries(properties).forEach(([key, value], index) => {
+                const paramName = `prop${index}`;
+                propsList.push(`${key}: $${paramName}`);
+                params[paramName] = value;
+            });
+
+            const propsString = propsList.length > 0 ? `{${propsList.join(', ')}}` : '';
+            const query = `
+                MATCH (source:${source.table}), (target:${target.table})
+                WHERE offset(id(source)) = $sourceOffset AND offset(id(target)) = $targetOffset
+                CREATE (source)-[r:${relationshipType} ${propsString}]->(target)
+                RETURN r
+            `;
 
-        try {
             const result = await this.dataService.executeCypherQuery(query, params);
             if (result.success) {
                 logger.info('Relationship created successfully');
@@ -277,6 +368,15 @@ export class NodeCreationService {
      */
     normalizeNodeType(input) {
         const lowered = input.toLowerCase();
+
+        // Prefer the database's own table names, singular or plural
+        const schemaType = (this.schema?.nodeTypes || []).find(name => {
+            const nameLower = name.toLowerCase();
+            return lowered === nameLower || lowered === `${nameLower}s` || lowered === `${nameLower}es`;
+        });
+        if (schemaType) {
+            return schemaType;
+        }
         
         // Map common variations to schema types
         const typeMap = {
@@ -1,6 +1,6 @@
-import { loadStripe } from '@stripe/stripe-js';
-import { STRIPE_CONFIG, SUBSCRIPTION_TIERS, FEATURE_FLAGS } from '../config/aws-config.js';
+import { FEATURE_FLAGS, STRIPE_CONFIG, SUBSCRIPTION_TIERS } from '../config/aws-config.js';
 import AuthService from './AuthService.js';
+import { loadStripe } from '@stripe/stripe-js';
 
 class PaymentService {
   constructor() {
@@ -151,14 +151,15 @@ class PaymentService {
     }
   }
 
+  // Usage this billing period against the tier's quotas (see /api/usage), or null
   async getUsageStats() {
     if (!AuthService.isAuthenticated()) {
-      return { nodes: 0, graphs: 0, voiceQueries: 0 };
+      return null;
     }
 
     try {
       const token = await AuthService.getAuthToken();
-      const response = await fetch('/api/usage-stats', {
+      const response = await fetch('/api/usage', {
         headers: {
           Authorization: `Bearer ${token}`,
         },
@@ -171,8 +172,32 @@ class PaymentService {
       return await response.json();
     } catch (error) {
       console.error('Get usage stats error:', error);
-      return { nodes: 0, graphs: 0, voiceQueries: 0 };
+      return null;
+    }
+  }
+
+  // One line per quota in the plan, e.g. "Cypher queries: 950 of 1,000 left"
+  formatUsage(usage) {
+    const labels = {
+      nodesRendered: 'Nodes rendered',
+      cypherQueries: 'Cypher queries',
+      audioSeconds: 'Voice minutes',
+      nlConversions: 'AI queries',
+      aiLayouts: 'AI layouts',
+    };
+    // Audio is metered in seconds but shown in minutes
+    const scale = (metric, value) => (metric === 'audioSeconds' ? Math.floor(value / 60) : value);
+
+    const lines = Object.entries(usage.metrics)
+      .filter(([metric, { limit }]) => labels[metric] && limit !== 0)
+      .map(([metric, { used, limit, remaining }]) => (limit === null
+        ? `${labels[metric]}: ${scale(metric, used).toLocaleString()} used`
+        : `${labels[metric]}: ${scale(metric, remaining).toLocaleString()} of ${scale(metric, limit).toLocaleString()} left`));
+
+    if (usage.period?.end) {
+      lines.push(`Resets ${new Date(usage.period.end).toLocaleDateString()}`);
     }
+    return lines;
   }
 
   // Check if user can perform an action based on their subscription
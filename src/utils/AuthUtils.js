@@ -109,6 +109,11 @@ export class AuthUtils {
 			}
 			
 			if (response.status === 403) {
+				// Tier limits come with a body the caller turns into an upgrade prompt
+				const body = await response.clone().json().catch(() => null);
+				if (['UPGRADE_REQUIRED', 'QUOTA_EXCEEDED'].includes(body?.error?.code)) {
+					return response;
+				}
 				throw new Error('Access denied');
 			}
 			
@@ -0,0 +1,172 @@
+/**
+ * Lightweight Cypher statement classification
+ * Used to decide what can be cached, what a write invalidates and what a
+ * read-only session may run. It works on the query text, so it errs on the
+ * side of treating ambiguous statements as writes touching every table.
+ */
+
+// Statements that change the catalog (tables, sequences, extensions, attached databases)
+const SCHEMA_PATTERNS = [
+	/\b(CREATE|DROP|ALTER)\s+(NODE\s+|REL\s+)?(TABLE|SEQUENCE|MACRO|TYPE)\b/,
+	/\bCREATE\s+REL\s+TABLE\s+GROUP\b/,
+	/\b(IMPORT)\s+DATABASE\b/,
+	/\b(INSTALL|LOAD\s+EXTENSION|ATTACH|DETACH\s+DATABASE)\b/
+];
+
+// Procedures that only read the catalog or query existing indexes. Any other CALL
+// (create_fts_index, drop_fts_index, create_vector_index, settings) counts as a schema change.
+const READ_PROCEDURES = new Set([
+	'current_setting',
+	'db_version',
+	'query_fts_index',
+	'query_vector_index',
+	'show_attached_databases',
+	'show_connection',
+	'show_functions',
+	'show_indexes',
+	'show_loaded_extensions',
+	'show_macros',
+	'show_official_extensions',
+	'show_projected_graphs',
+	'show_sequences',
+	'show_tables',
+	'show_warnings',
+	'stats_info',
+	'storage_info',
+	'table_info'
+]);
+
+// Clauses that modify data
+const WRITE_PATTERN = /\b(CREATE|MERGE|SET|DELETE|REMOVE|COPY)\b/;
+
+// Keywords upper-cased in fingerprints, so "match" and "MATCH" give the same shape
+const FINGERPRINT_KEYWORDS = /\b(MATCH|OPTIONAL|WHERE|RETURN|WITH|CREATE|MERGE|ON|SET|DELETE|DETACH|REMOVE|UNWIND|ORDER|BY|ASC|DESC|SKIP|LIMIT|AS|AND|OR|XOR|NOT|IN|IS|NULL|DISTINCT|CALL|YIELD|COPY|FROM|TO|CASE|WHEN|THEN|ELSE|END|EXISTS|STARTS|ENDS|CONTAINS|UNION|ALL|COUNT)\b/gi;
+
+// Procedures that take a table name as their first argument
+const TABLE_PROCEDURE_PATTERN = /\b(?:table_info|show_connection)\s*\(\s*['"]([A-Za-z_]\w*)['"]/gi;
+
+export class CypherClassifier {
+	/**
+	 * Classify a Cypher query
+	 * @param {string} cypher - Query text
+	 * @returns {{ kind: 'read'|'write'|'schema', labels: string[], touchesAll: boolean, statement: string }}
+	 *   labels are the node/rel tables the query names; touchesAll is set when the
+	 *   query may reach tables it does not name (unlabelled patterns, DETACH DELETE, schema changes)
+	 */
+	static classify(cypher) {
+		const text = CypherClassifier.stripLiterals(String(cypher || ''));
+		const upper = text.toUpperCase();
+
+		let kind = 'read';
+		if (SCHEMA_PATTERNS.some(pattern => pattern.test(upper)) || CypherClassifier.callsWriteProcedure(text)) {
+			kind = 'schema';
+		} else if (WRITE_PATTERN.test(upper)) {
+			kind = 'write';
+		}
+
+		const labels = CypherClassifier.extractLabels(String(cypher || ''), text);
+
+		const touchesAll = kind === 'schema' ||
+			/\bDETACH\s+DELETE\b/.test(upper) ||
+			CypherClassifier.hasUnlabelledPattern(text) ||
+			(labels.length === 0 && /\bMATCH\b/.test(upper));
+
+		return {
+			kind,
+			labels,
+			touchesAll,
+			statement: CypherClassifier.detectStatement(upper)
+		};
+	}
+
+	static isWrite(cypher) {
+		return CypherClassifier.classify(cypher).kind !== 'read';
+	}
+
+	/**
+	 * Replace string literals and comments with blanks so keywords inside them are ignored
+	 */
+	static stripLiterals(cypher) {
+		return cypher
+			.replace(/\/\*[\s\S]*?\*\//g, ' ')
+			.replace(/\/\/[^\n]*/g, ' ')
+			.replace(/'(?:[^'\\]|\\.)*'/g, "''")
+			.replace(/"(?:[^"\\]|\\.)*"/g, '""')
+			.replace(/`(?:[^`])*`/g, '``');
+	}
+
+	/**
+	 * Normalise a query into its shape: literals become ?, lists of literals collapse
+	 * to [?], keywords are upper-cased and whitespace is canonical. Parameters ($name),
+	 * labels and property names are kept, so queries differing only in values match.
+	 * @param {string} cypher - Query text
+	 * @returns {string}
+	 */
+	static fingerprint(cypher) {
+		return String(cypher || '')
+			.replace(/\/\*[\s\S]*?\*\//g, ' ')
+			.replace(/\/\/[^\n]*/g, ' ')
+			.replace(/`[^`]*`|'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|(?<![\w$])(?:\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false)\b/gi,
+				token => (token.startsWith('`') ? token : '?'))
+			.replace(/\s+/g, ' ')
+			.replace(/([([{])\s+|\s+([)\]}])/g, '$1$2')
+			.replace(/\s*([:,])\s*/g, '$1')
+			.replace(/([)\]])\s*(<?-+>?)\s*(?=[([])/g, '$1$2')
+			.replace(/,/g, ', ')
+			.replace(/\[\?(?:, \?)+\]/g, '[?]')
+			.replace(FINGERPRINT_KEYWORDS, keyword => keyword.toUpperCase())
+			.replace(/;\s*$/, '')
+			.trim();
+	}
+
+	/**
+	 * Whether the query calls a procedure or setting outside READ_PROCEDURES
+	 */
+	static callsWriteProcedure(stripped) {
+		const calls = stripped.matchAll(/\bCALL\s+([A-Za-z_]\w*)/gi);
+		return Array.from(calls).some(([, name]) => !READ_PROCEDURES.has(name.toLowerCase()));
+	}
+
+	/**
+	 * Collect node and relationship table names, e.g. (n:Person), [r:WorksAt|Knows]
+	 */
+	static extractLabels(original, stripped) {
+		const labels = new Set();
+		const patternLabel = /[([]\s*[A-Za-z_]?\w*\s*:\s*([A-Za-z_]\w*(?:\s*[|:]\s*:?\s*[A-Za-z_]\w*)*)/g;
+		let match;
+		while ((match = patternLabel.exec(stripped)) !== null) {
+			match[1].split(/[|:]/).map(l => l.trim()).filter(Boolean).forEach(l => labels.add(l));
+		}
+
+		// Table names passed to procedures live in string literals
+		while ((match = TABLE_PROCEDURE_PATTERN.exec(original)) !== null) {
+			labels.add(match[1]);
+		}
+		TABLE_PROCEDURE_PATTERN.lastIndex = 0;
+
+		// DDL and COPY name their table outright
+		const ddl = /\b(?:TABLE|COPY|ALTER\s+TABLE|DROP\s+TABLE)\s+(?:IF\s+(?:NOT\s+)?EXISTS\s+)?([A-Za-z_]\w*)/gi;
+		while ((match = ddl.exec(stripped)) !== null) {
+			if (!/^(IF|GROUP)$/i.test(match[1])) {
+				labels.add(match[1]);
+			}
+		}
+
+		return Array.from(labels);
+	}
+
+	/**
+	 * Unlabelled nodes "(b)", "()" or relationships "[r]", "-->" may match any table
+	 */
+	static hasUnlabelledPattern(stripped) {
+		// Node patterns are not preceded by a word character, unlike calls such as count(n)
+		const unlabelledNode = /(?<!\w)\(\s*[A-Za-z_]?\w*\s*(\{[^}]*\})?\s*\)/;
+		const unlabelledRel = /-\s*\[\s*[A-Za-z_]?\w*\s*(\*[\d.]*)?\s*(\{[^}]*\})?\s*\]/;
+		return unlabelledNode.test(stripped) || unlabelledRel.test(stripped) || /--/.test(stripped);
+	}
+
+	static detectStatement(upper) {
+		const match = upper.trim().match(/^(MATCH|OPTIONAL\s+MATCH|CREATE|MERGE|UNWIND|WITH|RETURN|CALL|COPY|LOAD|DROP|ALTER|EXPORT|IMPORT|INSTALL|ATTACH|DETACH|BEGIN|COMMIT|ROLLBACK|CHECKPOINT|EXPLAIN|PROFILE)\b/);
+		return match ? match[1].replace(/\s+/g, ' ') : 'UNKNOWN';
+	}
+}
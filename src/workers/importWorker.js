@@ -0,0 +1,44 @@
+import { parentPort, workerData } from 'worker_threads';
+import fs from 'fs';
+import kuzu from 'kuzu';
+import path from 'path';
+
+/**
+ * Import worker for BackupManager.importLogicalBackup (src/backup/BackupManager.js)
+ * Rebuilds a database from an EXPORT DATABASE directory into a new directory.
+ * It runs on its own thread so the fresh database handle is released when the
+ * worker exits, before the directory is swapped in and opened by the server.
+ *
+ * IMPORT DATABASE hangs under the Node binding (kuzu 0.10), so the exported
+ * scripts are replayed instead: schema, then data, then indexes. copy.cypher
+ * names its files relative to the export directory, which COPY FROM resolves
+ * against the working directory, so they are made absolute first.
+ */
+
+const { exportPath, targetPath, bufferPoolSize, maxDbSize } = workerData;
+const scripts = ['schema.cypher', 'copy.cypher', 'index.cypher'];
+
+try {
+	const db = new kuzu.Database(targetPath, bufferPoolSize, true, false, maxDbSize);
+	const conn = new kuzu.Connection(db);
+	let statements = 0;
+
+	for (const script of scripts) {
+		const scriptPath = path.join(exportPath, script);
+		if (!fs.existsSync(scriptPath)) {
+			continue;
+		}
+		const text = fs.readFileSync(scriptPath, 'utf8')
+			.replace(/FROM "([^"]+)"/g, (match, file) => `FROM "${path.resolve(exportPath, file)}"`);
+		if (!text.trim()) {
+			continue;
+		}
+		const result = await conn.query(text);
+		statements += Array.isArray(result) ? result.length : 1;
+	}
+
+	await conn.query('CHECKPOINT');
+	parentPort.postMessage({ type: 'done', statements });
+} catch (error) {
+	parentPort.postMessage({ type: 'error', error: { message: error.message } });
+}
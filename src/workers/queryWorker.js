@@ -0,0 +1,54 @@
+import { parentPort, workerData } from 'worker_threads';
+import kuzu from 'kuzu';
+
+/**
+ * Query worker for QueryWorkerPool (src/db/QueryWorkerPool.js)
+ * Runs read queries on its own read-only handle to the database so execution and
+ * result conversion happen off the main event loop. The handle sees the database
+ * as it was when opened, so the pool replaces workers after every write.
+ */
+
+const { dbPath, bufferPoolSize } = workerData;
+const statements = new Map();
+let conn;
+
+try {
+	const db = new kuzu.Database(dbPath, bufferPoolSize, true, true);
+	conn = new kuzu.Connection(db);
+	await conn.query('RETURN 1');
+	parentPort.postMessage({ type: 'ready' });
+} catch (error) {
+	parentPort.postMessage({ type: 'fatal', error: { message: error.message } });
+}
+
+async function runQuery(query, params) {
+	if (Object.keys(params).length === 0) {
+		const result = await conn.query(query);
+		// Multi-statement scripts return one result per statement
+		return Array.isArray(result) ? result[result.length - 1] : result;
+	}
+
+	let statement = statements.get(query);
+	if (!statement) {
+		statement = await conn.prepare(query);
+		if (!statement.isSuccess()) {
+			throw new Error(statement.getErrorMessage());
+		}
+		statements.set(query, statement);
+	}
+	return conn.execute(statement, params);
+}
+
+parentPort.on('message', async ({ id, query, params = {}, timeout }) => {
+	try {
+		if (timeout > 0) {
+			conn.setQueryTimeout(timeout);
+		}
+		const result = await runQuery(query, params);
+		const rows = await result.getAll();
+		result.close();
+		parentPort.postMessage({ type: 'result', id, rows });
+	} catch (error) {
+		parentPort.postMessage({ type: 'result', id, error: { message: error.message } });
+	}
+});
@@ -0,0 +1,217 @@
+import { ApiContract, validateSchema, coerceValue } from '../src/api/ApiContract.js';
+import { createApiRoutes } from '../src/api/routes.js';
+import { ERROR_CODES, toEnvelope } from '../src/api/envelope.js';
+
+// Simple test runner
+class TestRunner {
+    constructor(name) {
+        this.name = name;
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(description, fn) {
+        this.tests.push({ description, fn });
+    }
+
+    async run() {
+        console.log(`\n🧪 Running ${this.name}\n`);
+
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                this.passed++;
+                console.log(`  ✅ ${test.description}`);
+            } catch (error) {
+                this.failed++;
+                console.log(`  ❌ ${test.description}`);
+                console.log(`     Error: ${error.message}`);
+            }
+        }
+
+        console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || 'Assertion failed');
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    if (actual !== expected) {
+        throw new Error(message || `Expected ${expected}, got ${actual}`);
+    }
+}
+
+const routes = createApiRoutes({ backupFormats: ['files', 'csv', 'parquet'], querySortKeys: ['totalTime', 'count'] });
+const contract = new ApiContract(routes, { title: 'Test API', version: 'v1' });
+
+// Minimal Express request/response doubles for the middleware
+function runMiddleware({ method = 'GET', path, query = {}, body = {}, contentType = 'application/json' }) {
+    const req = { method, path, query, body, get: (name) => (name.toLowerCase() === 'content-type' ? contentType : undefined) };
+    const res = {
+        statusCode: 200,
+        payload: null,
+        status(code) { this.statusCode = code; return this; },
+        json(payload) { this.payload = payload; return this; }
+    };
+    let nextCalled = false;
+    contract.middleware()(req, res, () => { nextCalled = true; });
+    return { res, nextCalled };
+}
+
+// Test Suite
+const suite = new TestRunner('ApiContract Tests');
+
+suite.test('should validate types, required fields and nested objects', () => {
+    const schema = {
+        type: 'object',
+        required: ['query'],
+        properties: {
+            query: { type: 'string', minLength: 1 },
+            options: { type: 'object', properties: { limit: { type: 'integer', minimum: 1 } } }
+        }
+    };
+
+    assertEquals(validateSchema(schema, { query: 'MATCH (n) RETURN n', options: { limit: 5 } }).length, 0);
+    const errors = validateSchema(schema, { options: { limit: 0 } });
+    assertEquals(errors.map(e => `${e.path} ${e.message}`).join('; '), 'query is required; options.limit must be >= 1');
+    assertEquals(validateSchema(schema, { query: '' })[0].message, 'must not be empty');
+    assertEquals(validateSchema(schema, [])[0].message, 'must be an object');
+});
+
+suite.test('should accept any alternative of anyOf and reject the rest', () => {
+    const list = { anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }] };
+    assertEquals(validateSchema(list, 'a,b').length, 0);
+    assertEquals(validateSchema(list, ['a', 'b']).length, 0);
+    assertEquals(validateSchema(list, ['a', 2]).length, 1);
+    assertEquals(validateSchema(list, 3).length, 1);
+});
+
+suite.test('should coerce query string values to their schema type', () => {
+    assertEquals(coerceValue({ type: 'integer' }, '25'), 25);
+    assertEquals(coerceValue({ type: 'integer' }, '2.5'), '2.5', 'Non-integers are left to fail validation');
+    assertEquals(coerceValue({ type: 'boolean' }, 'true'), true);
+    assertEquals(coerceValue({ type: 'array', items: { type: 'integer' } }, '1, 2').join(','), '1,2');
+    assertEquals(coerceValue({ type: 'string' }, '25'), '25');
+});
+
+suite.test('should prefer literal path segments over parameters when matching', () => {
+    assertEquals(contract.match('GET', '/api/backup/policy').route.path, '/api/backup/policy');
+    const verify = contract.match('get', '/api/backup/kuzu-backup-1/verify');
+    assertEquals(verify.route.path, '/api/backup/:name/verify');
+    assertEquals(verify.params.name, 'kuzu-backup-1');
+    assertEquals(contract.match('PATCH', '/api/backup/policy'), null);
+});
+
+suite.test('should reject malformed requests with a uniform 400 envelope', () => {
+    const { res, nextCalled } = runMiddleware({ method: 'POST', path: '/api/cypher/execute', body: { parameters: [] } });
+
+    assert(!nextCalled);
+    assertEquals(res.statusCode, 400);
+    assertEquals(res.payload.success, false);
+    assertEquals(res.payload.error.code, 'VALIDATION_ERROR');
+    assertEquals(res.payload.error.details.map(d => `${d.location}.${d.path}`).join(','), 'body.query,body.parameters');
+});
+
+suite.test('should validate coerced query strings and pass valid requests through', () => {
+    assert(runMiddleware({ path: '/api/nodes', query: { limit: '100', table: 'Person,Company' } }).nextCalled);
+    assert(runMiddleware({ path: '/api/unknown', query: { limit: 'x' } }).nextCalled, 'Routes outside the contract pass through');
+
+    const { res } = runMiddleware({ path: '/api/nodes/Person_0/neighbors', query: { depth: 'two', direction: 'up' } });
+    assertEquals(res.statusCode, 400);
+    assertEquals(res.payload.error.details.map(d => d.path).join(','), 'depth,direction');
+});
+
+suite.test('should leave multipart bodies to their handlers', () => {
+    assert(runMiddleware({ method: 'POST', path: '/api/voice/transcribe', body: undefined, contentType: 'multipart/form-data; boundary=x' }).nextCalled);
+});
+
+suite.test('should describe every route in the OpenAPI document', () => {
+    const doc = contract.toOpenApi();
+    assertEquals(doc.openapi, '3.0.3');
+
+    const operations = Object.values(doc.paths).flatMap(path => Object.values(path));
+    assertEquals(operations.length, routes.length);
+    assertEquals(new Set(operations.map(op => op.operationId)).size, routes.length, 'operationIds are unique');
+
+    const restore = doc.paths['/api/backup/{name}/restore'].post;
+    assertEquals(restore.parameters[0].in, 'path');
+    assert(restore.parameters[0].required);
+    assert(restore.requestBody.content['application/json'].schema.properties.force);
+    assert(restore.responses['400'], 'Validated routes document the validation error');
+    assert(restore.responses['401'] && restore.security, 'Admin routes document the bearer token');
+
+    const reset = doc.paths['/api/metrics/reset'].post;
+    assert(reset.responses['403'].description.includes('administrator'));
+
+    const nodes = doc.paths['/api/nodes'].get;
+    assert(nodes.parameters.some(p => p.name === 'cursor' && p.in === 'query' && !p.required));
+    assert(nodes.parameters.some(p => p.$ref === '#/components/parameters/SessionId'));
+});
+
+suite.test('should list registered routes missing from the contract', () => {
+    const route = (path, method) => ({ route: { path, methods: { [method]: true } } });
+    const app = { _router: { stack: [route('/api/nodes', 'get'), route('/api/secret', 'post'), route('/', 'get')] } };
+    assertEquals(contract.findUndocumented(app).join(','), 'POST /api/secret');
+});
+
+suite.test('should describe the v2 paths with the envelope and error codes', () => {
+    const doc = contract.toOpenApi({ basePath: '/api/v2', version: 'v2', errorCodes: ERROR_CODES });
+    assertEquals(doc.info.version, 'v2');
+    assert(doc.paths['/api/v2/nodes'].get, 'Paths carry the version prefix');
+    assert(doc.paths['/metrics'].get, 'Routes outside /api keep their path');
+    assert(doc.components.schemas.ErrorCode.enum.includes('NOT_CONNECTED'));
+    assert(doc.components.schemas.Error.properties.error.properties.code.$ref.endsWith('/ErrorCode'));
+    assert(doc.paths['/api/v2/nodes'].get.responses.default, 'Enveloped operations document the error envelope');
+    assert(!doc.paths['/api/v2/openapi.json'].get.responses.default, 'Raw routes are sent as is');
+});
+
+suite.test('should envelope successful v1 bodies', () => {
+    const { status, envelope } = toEnvelope(200, { success: true, message: 'Connected', sessionId: 's1', timestamp: '2024-01-01T00:00:00.000Z' });
+    assertEquals(status, 200);
+    assertEquals(envelope.error, null);
+    assertEquals(envelope.data.sessionId, 's1');
+    assertEquals(envelope.data.success, undefined, 'success moves out of data');
+    assertEquals(envelope.meta.message, 'Connected');
+    assertEquals(envelope.meta.timestamp, '2024-01-01T00:00:00.000Z');
+
+    const wrapped = toEnvelope(200, { success: true, data: [1, 2], metadata: { queryTime: 4 } });
+    assertEquals(wrapped.envelope.data.length, 2, 'An existing data field is not wrapped twice');
+    assertEquals(wrapped.envelope.meta.queryTime, 4);
+});
+
+suite.test('should map v1 failures to error codes and statuses', () => {
+    // v1 answers "not connected" with 200 and success false; the recorded code decides the status
+    const notConnected = toEnvelope(200, { success: false, message: 'Not connected to database' }, 'NOT_CONNECTED');
+    assertEquals(notConnected.status, 503);
+    assertEquals(notConnected.envelope.data, null);
+    assertEquals(notConnected.envelope.error.code, 'NOT_CONNECTED');
+    assertEquals(notConnected.envelope.error.message, 'Not connected to database');
+
+    const queryError = toEnvelope(200, { success: false, error: { message: 'Parser exception', code: 'QUERY_ERROR' } });
+    assertEquals(queryError.status, 400);
+
+    const backup = toEnvelope(404, { success: false, error: 'Backup not found', code: 'BACKUP_NOT_FOUND' });
+    assertEquals(backup.status, 404);
+    assertEquals(backup.envelope.error.code, 'BACKUP_NOT_FOUND');
+    assertEquals(backup.envelope.error.message, 'Backup not found');
+
+    const uncoded = toEnvelope(409, { success: false, error: { message: 'Busy' } });
+    assertEquals(uncoded.envelope.error.code, 'CONFLICT', 'Failures without a code fall back to their status');
+    assertEquals(toEnvelope(200, { success: false, message: 'Boom' }).status, 500);
+
+    for (const [code, { status, description }] of Object.entries(ERROR_CODES)) {
+        assert(status >= 400 && status < 600 && description, `${code} is documented`);
+    }
+});
+
+// Run tests
+suite.run().then(success => {
+    process.exit(success ? 0 : 1);
+});
@@ -0,0 +1,207 @@
+import { generateKeyPairSync, sign } from 'crypto';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { Authenticator, JwksKeyStore, verifyJwt, hasFeature } from '../src/api/Authenticator.js';
+import { SUBSCRIPTION_TIERS } from '../src/config/aws-config.js';
+// Simple test runner
+class TestRunner {
+    constructor(name) {
+        this.name = name;
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(description, fn) {
+        this.tests.push({ description, fn });
+    }
+
+    async run() {
+        console.log(`\n🧪 Running ${this.name}\n`);
+
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                this.passed++;
+                console.log(`  ✅ ${test.description}`);
+            } catch (error) {
+                this.failed++;
+                console.log(`  ❌ ${test.description}`);
+                console.log(`     Error: ${error.message}`);
+            }
+        }
+
+        console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || 'Assertion failed');
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    if (actual !== expected) {
+        throw new Error(message || `Expected ${expected}, got ${actual}`);
+    }
+}
+
+
+
+const rsa = generateKeyPairSync('rsa', { modulusLength: 2048 });
+const ec = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+function signToken(claims, { alg = 'RS256', kid = 'rsa-1', key = rsa.privateKey } = {}) {
+    const header = Buffer.from(JSON.stringify({ alg, kid, typ: 'JWT' })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify({ exp: Math.floor(Date.now() / 1000) + 3600, iss: 'https://issuer.test', ...claims })).toString('base64url');
+    const signature = sign('sha256', Buffer.from(`${header}.${payload}`), alg === 'ES256' ? { key, dsaEncoding: 'ieee-p1363' } : key);
+    return `${header}.${payload}.${signature.toString('base64url')}`;
+}
+
+async function expectRejection(promise, text) {
+    try {
+        await promise;
+    } catch (error) {
+        assert(error.message.includes(text), `Expected "${text}", got "${error.message}"`);
+        return error;
+    }
+    throw new Error(`Expected rejection with "${text}"`);
+}
+
+// Minimal Express request/response doubles for the middleware
+function runMiddleware(authenticator, { authorization, feature = null, admin = false }) {
+    const req = { get: (name) => (name === 'Authorization' ? authorization : undefined) };
+    const res = {
+        statusCode: 200,
+        headers: {},
+        payload: null,
+        set(name, value) { this.headers[name] = value; return this; },
+        status(code) { this.statusCode = code; return this; },
+        json(payload) { this.payload = payload; return this; }
+    };
+    return new Promise(resolve => {
+        authenticator.middleware(() => feature, () => admin)(req, res, () => resolve({ req, res, nextCalled: true }))
+            .then(() => resolve({ req, res, nextCalled: false }));
+    });
+}
+
+const dir = await mkdtemp(path.join(tmpdir(), 'jwks-'));
+const jwksPath = path.join(dir, 'jwks.json');
+await writeFile(jwksPath, JSON.stringify({
+    keys: [
+        { ...rsa.publicKey.export({ format: 'jwk' }), kid: 'rsa-1', alg: 'RS256', use: 'sig' },
+        { ...ec.publicKey.export({ format: 'jwk' }), kid: 'ec-1', alg: 'ES256', use: 'sig' }
+    ]
+}));
+
+const keyStore = new JwksKeyStore({ source: jwksPath });
+const verifyOptions = { issuer: 'https://issuer.test', audience: ['client-a'] };
+const authenticator = new Authenticator({ keyStore, tiers: SUBSCRIPTION_TIERS, verifyOptions });
+
+// Test Suite
+const suite = new TestRunner('Authenticator Tests');
+
+suite.test('should verify RS256 and ES256 tokens from a JWKS file', async () => {
+    const claims = await verifyJwt(signToken({ sub: 'user-1', aud: 'client-a' }), keyStore, verifyOptions);
+    assertEquals(claims.sub, 'user-1');
+
+    // Cognito access tokens name the app client in client_id
+    const access = signToken({ sub: 'user-2', client_id: 'client-a' }, { alg: 'ES256', kid: 'ec-1', key: ec.privateKey });
+    assertEquals((await verifyJwt(access, keyStore, verifyOptions)).sub, 'user-2');
+});
+
+suite.test('should reject tampered, expired and misaddressed tokens', async () => {
+    const token = signToken({ sub: 'user-1', aud: 'client-a' });
+    const [header, , signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'admin', aud: 'client-a', exp: 9999999999, iss: 'https://issuer.test' })).toString('base64url');
+    await expectRejection(verifyJwt(`${header}.${forged}.${signature}`, keyStore, verifyOptions), 'Invalid token signature');
+
+    await expectRejection(verifyJwt(signToken({ sub: 'u', aud: 'client-a', exp: 1000 }), keyStore, verifyOptions), 'expired');
+    await expectRejection(verifyJwt(signToken({ sub: 'u', aud: 'client-b' }), keyStore, verifyOptions), 'audience');
+    await expectRejection(verifyJwt(signToken({ sub: 'u', aud: 'client-a', iss: 'https://evil.test' }), keyStore, verifyOptions), 'issuer');
+    await expectRejection(verifyJwt(signToken({ sub: 'u' }, { kid: 'missing' }), keyStore, {}), 'Unknown signing key');
+
+    const unsigned = `${Buffer.from(JSON.stringify({ alg: 'none', kid: 'rsa-1' })).toString('base64url')}.${token.split('.')[1]}.`;
+    await expectRejection(verifyJwt(unsigned, keyStore, verifyOptions), 'Unsupported token algorithm');
+
+    // An RSA key must not verify a token that claims another algorithm family
+    const confused = signToken({ sub: 'u', aud: 'client-a' }, { alg: 'ES256', kid: 'rsa-1', key: ec.privateKey });
+    await expectRejection(verifyJwt(confused, keyStore, verifyOptions), 'does not match');
+});
+
+suite.test('should read the tier from the tier claim or Cognito groups', async () => {
+    const pro = await authenticator.authenticate(signToken({ sub: 'p', aud: 'client-a', 'custom:tier': 'pro', email: 'p@example.com' }));
+    assertEquals(pro.tier, 'pro');
+    assertEquals(pro.email, 'p@example.com');
+
+    const grouped = await authenticator.authenticate(signToken({ sub: 'g', aud: 'client-a', 'cognito:groups': ['pro', 'enterprise'] }));
+    assertEquals(grouped.tier, 'enterprise', 'The highest tier group wins');
+
+    const unknown = await authenticator.authenticate(signToken({ sub: 'f', aud: 'client-a', 'custom:tier': 'platinum' }));
+    assertEquals(unknown.tier, 'free');
+
+    assert(hasFeature(SUBSCRIPTION_TIERS.enterprise, 'maxNodes'), '-1 means unlimited');
+    assert(!hasFeature(SUBSCRIPTION_TIERS.free, 'voiceCommands'));
+});
+
+suite.test('should gate features by tier and attach the user', async () => {
+    const anonymous = await runMiddleware(authenticator, { feature: 'voiceCommands' });
+    assertEquals(anonymous.res.statusCode, 401);
+    assertEquals(anonymous.res.headers['WWW-Authenticate'], 'Bearer');
+
+    const free = await runMiddleware(authenticator, { authorization: `Bearer ${signToken({ sub: 'f', aud: 'client-a' })}`, feature: 'voiceCommands' });
+    assertEquals(free.res.statusCode, 403);
+    assertEquals(free.res.payload.error.code, 'UPGRADE_REQUIRED');
+    assertEquals(free.res.payload.error.details.upgradeTo, 'pro');
+
+    const pro = await runMiddleware(authenticator, { authorization: `Bearer ${signToken({ sub: 'p', aud: 'client-a', 'custom:tier': 'pro' })}`, feature: 'voiceCommands' });
+    assert(pro.nextCalled);
+    assertEquals(pro.req.user.id, 'p');
+    assertEquals(pro.req.subscription.id, 'pro');
+
+    const ungated = await runMiddleware(authenticator, {});
+    assert(ungated.nextCalled && !ungated.req.user, 'Anonymous requests reach routes without a feature');
+
+    const invalid = await runMiddleware(authenticator, { authorization: 'Bearer nope' });
+    assertEquals(invalid.res.statusCode, 401, 'A bad token is rejected even on open routes');
+    assert(invalid.res.headers['WWW-Authenticate'].includes('invalid_token'));
+});
+
+suite.test('should limit admin routes to admin groups and tiers', async () => {
+    const admins = new Authenticator({ keyStore, tiers: SUBSCRIPTION_TIERS, verifyOptions, adminTiers: ['enterprise'] });
+    const bearer = (claims) => `Bearer ${signToken({ aud: 'client-a', ...claims })}`;
+
+    const anonymous = await runMiddleware(admins, { admin: true });
+    assertEquals(anonymous.res.statusCode, 401);
+    assertEquals(anonymous.res.headers['WWW-Authenticate'], 'Bearer');
+
+    const pro = await runMiddleware(admins, { authorization: bearer({ sub: 'p', 'custom:tier': 'pro' }), admin: true });
+    assertEquals(pro.res.statusCode, 403);
+    assertEquals(pro.res.payload.error.code, 'FORBIDDEN');
+
+    const grouped = await runMiddleware(admins, { authorization: bearer({ sub: 'a', 'cognito:groups': ['admin'] }), admin: true });
+    assert(grouped.nextCalled, 'Members of the admin group pass');
+    assertEquals(grouped.req.user.tier, 'free', 'The admin group is not a tier');
+
+    const enterprise = await runMiddleware(admins, { authorization: bearer({ sub: 'e', 'custom:tier': 'enterprise' }), admin: true });
+    assert(enterprise.nextCalled, 'Users on an admin tier pass');
+
+    const gated = await runMiddleware(admins, { authorization: bearer({ sub: 'a', 'cognito:groups': ['admin'] }), admin: true, feature: 'voiceCommands' });
+    assertEquals(gated.res.payload.error.code, 'UPGRADE_REQUIRED', 'Admins still need the features a route names');
+});
+
+suite.test('should pass everything through when no JWKS is configured', async () => {
+    const disabled = new Authenticator({ keyStore: null, tiers: SUBSCRIPTION_TIERS });
+    assert((await runMiddleware(disabled, { authorization: 'Bearer nope', feature: 'voiceCommands' })).nextCalled);
+    assert((await runMiddleware(disabled, { admin: true })).nextCalled);
+});
+
+// Run tests
+suite.run().then(async success => {
+    await rm(dir, { recursive: true, force: true });
+    process.exit(success ? 0 : 1);
+});
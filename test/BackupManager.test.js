@@ -0,0 +1,302 @@
+import { mkdtemp, mkdir, rm, readFile, writeFile, readdir, symlink } from 'fs/promises';
+import { existsSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createDatabase } from './helpers/database.js';
+import { SessionRegistry } from '../src/db/SessionRegistry.js';
+import { BackupManager, defaultBackupPolicy } from '../src/backup/BackupManager.js';
+// Simple test runner
+class TestRunner {
+    constructor(name) {
+        this.name = name;
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(description, fn) {
+        this.tests.push({ description, fn });
+    }
+
+    async run() {
+        console.log(`\n🧪 Running ${this.name}\n`);
+
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                this.passed++;
+                console.log(`  ✅ ${test.description}`);
+            } catch (error) {
+                this.failed++;
+                console.log(`  ❌ ${test.description}`);
+                console.log(`     Error: ${error.message}`);
+            }
+        }
+
+        console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || 'Assertion failed');
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    if (actual !== expected) {
+        throw new Error(message || `Expected ${expected}, got ${actual}`);
+    }
+}
+
+function assertThrowsCode(fn, code) {
+    try {
+        fn();
+    } catch (error) {
+        assertEquals(error.code, code, error.message);
+        return;
+    }
+    throw new Error(`Expected a ${code} error`);
+}
+
+const dir = await mkdtemp(path.join(tmpdir(), 'backup-manager-test-'));
+let count = 0;
+
+// An open session on a fresh database and a backup manager with its own backup directory
+async function createFixture(policy = {}) {
+    const registry = new SessionRegistry({ databaseOptions: { poolOptions: { size: 1 } } });
+    const session = await registry.open(await createDatabase(dir, [1, 2, 3]));
+    const defaults = defaultBackupPolicy({});
+    const manager = new BackupManager({
+        registry,
+        backupDir: path.join(dir, `backups-${++count}`),
+        defaultPolicy: { ...defaults, retention: { ...defaults.retention, ...policy.retention } }
+    });
+    await manager.ready;
+    return { registry, session, manager };
+}
+
+async function close({ registry, manager }) {
+    manager.stopSchedules();
+    await registry.closeAll();
+}
+
+async function run(session, query) {
+    return session.dbManager.executeQuery(async conn => {
+        const result = await conn.query(query);
+        try {
+            return await result.getAll();
+        } finally {
+            result.close();
+        }
+    });
+}
+
+async function itemCount(session) {
+    const [row] = await run(session, 'MATCH (i:Item) RETURN count(i) AS n');
+    return Number(row.n);
+}
+
+async function expectError(promise, code) {
+    try {
+        await promise;
+    } catch (error) {
+        assertEquals(error.code, code, error.message);
+        return error;
+    }
+    throw new Error(`Expected a ${code} error`);
+}
+
+const suite = new TestRunner('Backup Manager');
+
+// Manifests and verification
+
+suite.test('should write a SHA-256 manifest that verifies', async () => {
+    const fixture = await createFixture();
+    const backup = await fixture.manager.createBackup('manual', 'test', fixture.session.dbManager);
+
+    assertEquals(backup.manifest.algorithm, 'sha256');
+    assert(backup.manifest.files.length > 0, 'the database files are listed');
+    assert(backup.manifest.files.every(entry => /^[0-9a-f]{64}$/.test(entry.sha256) && entry.size >= 0));
+    assertEquals(backup.databasePath, fixture.session.dbPath);
+    assertEquals(backup.locations[0].target, 'local');
+
+    const verification = await fixture.manager.verifyBackup(backup.backupName);
+    assertEquals(verification.valid, true);
+    assertEquals(verification.checkedFiles, backup.manifest.files.length);
+    await close(fixture);
+});
+
+suite.test('should find changed, missing and unexpected files and refuse to restore them', async () => {
+    const fixture = await createFixture();
+    const { backupName, manifest } = await fixture.manager.createBackup('manual', '', fixture.session.dbManager);
+    const backupPath = fixture.manager.getBackupPath(backupName);
+    const [changed, removed] = manifest.files.filter(entry => entry.size > 0).map(entry => entry.path);
+
+    // Same size, different content: only the hash tells
+    const bytes = await readFile(path.join(backupPath, changed));
+    bytes[0] ^= 0xff;
+    await writeFile(path.join(backupPath, changed), bytes);
+    if (removed) {
+        await rm(path.join(backupPath, removed));
+    }
+    await writeFile(path.join(backupPath, 'stray.bin'), 'x');
+
+    const verification = await fixture.manager.verifyBackup(backupName);
+    assertEquals(verification.valid, false);
+    assertEquals(verification.mismatched.map(entry => entry.path).join(), changed);
+    assertEquals(verification.missing.join(), removed || '');
+    assertEquals(verification.unexpected.join(), 'stray.bin');
+
+    const error = await expectError(fixture.manager.restoreBackup(backupName), 'BACKUP_CORRUPT');
+    assertEquals(error.verification.valid, false);
+    assertEquals(await itemCount(fixture.session), 3, 'the database is left alone');
+    await close(fixture);
+});
+
+suite.test('should only restore backups without a manifest when forced', async () => {
+    const fixture = await createFixture();
+    const { backupName } = await fixture.manager.createBackup('manual', '', fixture.session.dbManager);
+    const metadataPath = path.join(fixture.manager.getBackupPath(backupName), 'backup-metadata.json');
+    const { manifest, ...metadata } = JSON.parse(await readFile(metadataPath, 'utf8'));
+    await writeFile(metadataPath, JSON.stringify(metadata));
+
+    const verification = await fixture.manager.verifyBackup(backupName);
+    assertEquals(verification.hasManifest, false);
+    await expectError(fixture.manager.restoreBackup(backupName), 'BACKUP_UNVERIFIED');
+
+    const restore = await fixture.manager.restoreBackup(backupName, { force: true });
+    assertEquals(restore.verified, false);
+    assertEquals(restore.restoredFiles, manifest.files.length);
+    await close(fixture);
+});
+
+suite.test('should refuse backup names outside the backup directory', async () => {
+    const fixture = await createFixture();
+    for (const name of ['..', '../db-1', 'a/b', '']) {
+        assertThrowsCode(() => fixture.manager.getBackupPath(name), 'INVALID_BACKUP_NAME');
+    }
+    await expectError(fixture.manager.verifyBackup('kuzu-backup-missing'), 'BACKUP_NOT_FOUND');
+    await close(fixture);
+});
+
+// Restores
+
+suite.test('should restore by swapping the database directory while its sessions are offline', async () => {
+    const fixture = await createFixture();
+    const { session, manager } = fixture;
+    const { backupName } = await manager.createBackup('manual', '', session.dbManager);
+    await run(session, 'UNWIND [4, 5] AS id CREATE (:Item {id: id})');
+    assertEquals(await itemCount(session), 5);
+    const cypherService = session.cypherService;
+
+    const restore = await manager.restoreBackup(backupName);
+    assertEquals(restore.databasePath, path.resolve(session.dbPath));
+    assertEquals(restore.verified, true);
+    assertEquals(restore.previousPath, null);
+    assertEquals(await itemCount(session), 3, 'the session sees the restored database');
+    assert(session.cypherService !== cypherService, 'cached results from before the restore are dropped');
+
+    const leftovers = (await readdir(dir)).filter(name => name.startsWith(`${path.basename(session.dbPath)}.`));
+    assertEquals(leftovers.join(), '', 'staging and previous directories are removed');
+    await close(fixture);
+});
+
+suite.test('should keep the previous database when asked', async () => {
+    const fixture = await createFixture();
+    const { session, manager } = fixture;
+    const { backupName } = await manager.createBackup('manual', '', session.dbManager);
+    await run(session, 'CREATE (:Item {id: 4})');
+
+    const restore = await manager.restoreBackup(backupName, { keepPrevious: true });
+    assert(restore.previousPath.startsWith(`${path.resolve(session.dbPath)}.pre-restore-`));
+    assert(existsSync(restore.previousPath));
+    assertEquals(await itemCount(session), 3);
+    await close(fixture);
+});
+
+suite.test('should refuse to restore a backup over another database unless allowed', async () => {
+    const fixture = await createFixture();
+    const { registry, session, manager } = fixture;
+    const { backupName } = await manager.createBackup('manual', '', session.dbManager);
+    const other = await registry.open(await createDatabase(dir, [1, 2, 3]));
+    await run(other, 'CREATE (:Item {id: 4})');
+
+    await expectError(manager.restoreBackup(backupName, { dbPath: other.dbPath }), 'BACKUP_OTHER_DATABASE');
+    assertEquals(await itemCount(other), 4, 'the other database is left alone');
+
+    const restore = await manager.restoreBackup(backupName, { dbPath: other.dbPath, allowOtherDatabase: true });
+    assertEquals(restore.databasePath, path.resolve(other.dbPath));
+    assertEquals(await itemCount(other), 3);
+    await close(fixture);
+});
+
+suite.test('should rebuild a logical backup into a new directory', async () => {
+    const fixture = await createFixture();
+    const backup = await fixture.manager.createBackup('manual', '', fixture.session.dbManager, { format: 'csv' });
+    assertEquals(backup.format, 'csv');
+    assert(backup.files.some(file => file.endsWith('schema.cypher')), 'the export scripts are part of the backup');
+
+    const target = path.join(dir, `imported-${++count}`);
+    const result = await fixture.manager.importLogicalBackup(backup.backupName, target, { roots: [dir] });
+    assertEquals(result.databasePath, target);
+    await expectError(fixture.manager.importLogicalBackup(backup.backupName, target), 'TARGET_EXISTS');
+
+    const imported = await fixture.registry.open(target);
+    assertEquals(await itemCount(imported), 3);
+    await close(fixture);
+});
+
+suite.test('should refuse import targets outside the given roots', async () => {
+    const fixture = await createFixture();
+    const { backupName } = await fixture.manager.createBackup('manual', '', fixture.session.dbManager, { format: 'csv' });
+    const roots = [path.join(dir, 'allowed')];
+    await mkdir(roots[0]);
+    await symlink(tmpdir(), path.join(roots[0], 'link'));
+
+    for (const target of [dir, roots[0], path.join(roots[0], '..', 'sibling'), path.join(roots[0], 'link', 'escaped'), '']) {
+        await expectError(fixture.manager.importLogicalBackup(backupName, target, { roots }), 'TARGET_NOT_ALLOWED');
+    }
+    assert(!existsSync(path.join(tmpdir(), 'escaped')), 'nothing is written through the symlink');
+
+    const result = await fixture.manager.importLogicalBackup(backupName, path.join(roots[0], 'graph'), { roots });
+    assertEquals(result.databasePath, path.join(roots[0], 'graph'));
+    await close(fixture);
+});
+
+// Policy and retention
+
+suite.test('should prune backups on disk beyond the retention policy', async () => {
+    const fixture = await createFixture({ retention: { keepLast: 1, daily: 0, weekly: 0, monthly: 0 } });
+    await fixture.manager.createBackup('manual', 'first', fixture.session.dbManager);
+    const second = await fixture.manager.createBackup('manual', 'second', fixture.session.dbManager);
+
+    const backups = await fixture.manager.listBackups();
+    assertEquals(backups.map(backup => backup.backupName).join(), second.backupName);
+    assertEquals(fixture.manager.getBackupStatus().backupCount, 1);
+    await close(fixture);
+});
+
+suite.test('should save valid policy changes and reject invalid ones', async () => {
+    const fixture = await createFixture();
+    const error = await expectError(fixture.manager.updatePolicy({ schedules: [{ cron: '61 * * * *' }], retention: { keepLast: 0 } }), 'INVALID_BACKUP_POLICY');
+    assert(error.details.some(detail => detail.startsWith('schedules[0].cron')), error.details.join('; '));
+    assert(error.details.includes('retention.keepLast must keep at least one backup'));
+
+    await fixture.manager.updatePolicy({ retention: { keepLast: 3 }, schedules: [{ id: 'nightly', cron: '@daily', enabled: false }] });
+    const reloaded = new BackupManager({ registry: fixture.registry, backupDir: fixture.manager.backupDir });
+    await reloaded.ready;
+    assertEquals(reloaded.policy.retention.keepLast, 3);
+    assertEquals(reloaded.policy.retention.daily, 7, 'unchanged fields keep their values');
+    assertEquals(reloaded.policy.schedules.map(schedule => schedule.id).join(), 'nightly');
+    reloaded.stopSchedules();
+    await close(fixture);
+});
+
+// Run tests
+suite.run().then(async success => {
+    await rm(dir, { recursive: true, force: true });
+    process.exit(success ? 0 : 1);
+});
@@ -0,0 +1,208 @@
+import { mkdtemp, rm, readFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import Stripe from 'stripe';
+import { FileSubscriptionStore, entitledTier } from '../lambda/stripe/subscriptionStore.js';
+import { createHandler as createWebhookHandler } from '../lambda/stripe/webhookHandler.js';
+import { createHandler as createCheckoutHandler } from '../lambda/stripe/createCheckoutSession.js';
+import { toLambdaEvent, sendLambdaResult } from '../src/api/LambdaAdapter.js';
+// Simple test runner
+class TestRunner {
+    constructor(name) {
+        this.name = name;
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(description, fn) {
+        this.tests.push({ description, fn });
+    }
+
+    async run() {
+        console.log(`\n🧪 Running ${this.name}\n`);
+
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                this.passed++;
+                console.log(`  ✅ ${test.description}`);
+            } catch (error) {
+                this.failed++;
+                console.log(`  ❌ ${test.description}`);
+                console.log(`     Error: ${error.message}`);
+            }
+        }
+
+        console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || 'Assertion failed');
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    if (actual !== expected) {
+        throw new Error(message || `Expected ${expected}, got ${actual}`);
+    }
+}
+
+const dir = await mkdtemp(path.join(tmpdir(), 'billing-test-'));
+const stripe = Stripe('sk_test_unused');
+const webhookSecret = 'whsec_test';
+
+// Webhook event as Stripe would deliver it through API Gateway
+function webhookEvent(id, type, object) {
+    const body = JSON.stringify({ id, object: 'event', type, data: { object } });
+    return { headers: { 'stripe-signature': stripe.webhooks.generateTestHeaderString({ payload: body, secret: webhookSecret }) }, body };
+}
+
+const subscriptionObject = (status, priceId) => ({
+    id: 'sub_1',
+    customer: 'cus_1',
+    status,
+    metadata: { userId: 'user-1' },
+    current_period_start: 1760000000,
+    current_period_end: 1762592000,
+    items: { data: [{ price: { id: priceId } }] }
+});
+
+const suite = new TestRunner('Billing');
+
+suite.test('should merge updates and find records by customer in the file store', async () => {
+    const filePath = path.join(dir, 'merge.json');
+    const store = new FileSubscriptionStore({ filePath });
+    await store.update('user-1', { customerId: 'cus_1' });
+    const record = await store.update('user-1', { tier: 'pro', status: 'active', subscriptionId: undefined });
+
+    assertEquals(record.customerId, 'cus_1', 'Earlier fields are kept');
+    assert(!('subscriptionId' in record), 'Undefined fields are not written');
+    assertEquals((await store.findByCustomer('cus_1')).userId, 'user-1');
+    assertEquals(await store.findByCustomer('cus_2'), null);
+
+    const reloaded = new FileSubscriptionStore({ filePath });
+    assertEquals((await reloaded.get('user-1')).tier, 'pro', 'Records survive a restart');
+    assertEquals(entitledTier(record), 'pro');
+    assertEquals(entitledTier({ tier: 'pro', status: 'canceled' }), null);
+});
+
+suite.test('should claim each event once and release it for retries', async () => {
+    const store = new FileSubscriptionStore({ filePath: path.join(dir, 'events.json') });
+    assert(await store.claimEvent('evt_1'));
+    assert(!(await store.claimEvent('evt_1')), 'A claimed event is not claimed again');
+    await store.releaseEvent('evt_1');
+    assert(await store.claimEvent('evt_1'), 'A released event can be claimed again');
+});
+
+suite.test('should apply subscription events once and skip redeliveries', async () => {
+    const filePath = path.join(dir, 'webhook.json');
+    const store = new FileSubscriptionStore({ filePath });
+    const handler = createWebhookHandler({ stripe, store, webhookSecret, priceTier: (priceId) => (priceId === 'price_pro' ? 'pro' : 'free') });
+
+    const bad = await handler({ headers: { 'stripe-signature': 't=1,v1=bad' }, body: '{}' });
+    assertEquals(bad.statusCode, 400);
+
+    const updated = await handler(webhookEvent('evt_1', 'customer.subscription.updated', subscriptionObject('active', 'price_pro')));
+    assertEquals(updated.statusCode, 200);
+    const record = await store.get('user-1');
+    assertEquals(record.tier, 'pro');
+    assertEquals(record.currentPeriodEnd, new Date(1762592000 * 1000).toISOString());
+
+    // The same event ID again, even with different contents, changes nothing
+    const redelivered = await handler(webhookEvent('evt_1', 'customer.subscription.updated', subscriptionObject('past_due', 'price_other')));
+    assertEquals(JSON.parse(redelivered.body).duplicate, true);
+    assertEquals((await store.get('user-1')).status, 'active');
+
+    await handler(webhookEvent('evt_2', 'customer.subscription.deleted', subscriptionObject('canceled', 'price_pro')));
+    const canceled = JSON.parse(await readFile(filePath, 'utf8')).subscriptions['user-1'];
+    assertEquals(canceled.tier, 'free');
+    assertEquals(canceled.status, 'canceled');
+});
+
+suite.test('should let Stripe retry events whose processing failed', async () => {
+    const store = new FileSubscriptionStore({ filePath: path.join(dir, 'retry.json') });
+    const failing = Object.assign(Object.create(store), {
+        update: async () => { throw new Error('store down'); }
+    });
+    const handler = createWebhookHandler({ stripe, store: failing, webhookSecret });
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        const failed = await handler(webhookEvent('evt_9', 'checkout.session.completed', { metadata: { userId: 'user-2', tier: 'pro' }, customer: 'cus_2', subscription: 'sub_2' }));
+        assertEquals(failed.statusCode, 500);
+    } finally {
+        console.error = originalError;
+    }
+    assert(await store.claimEvent('evt_9'), 'The failed event was released');
+});
+
+suite.test('should create checkout sessions for verified users only, reusing their customer', async () => {
+    const store = new FileSubscriptionStore({ filePath: path.join(dir, 'checkout.json') });
+    await store.update('user-3', { customerId: 'cus_3' });
+    const calls = [];
+    const fakeStripe = {
+        customers: { create: async () => { throw new Error('Customer should be reused'); } },
+        checkout: { sessions: { create: async (params) => { calls.push(params); return { id: 'cs_1', url: 'https://checkout.test/cs_1' }; } } }
+    };
+    const handler = createCheckoutHandler({
+        stripe: fakeStripe,
+        store,
+        tiers: { pro: { priceId: 'price_pro', tier: 'pro' } },
+        frontendUrl: 'https://app.test'
+    });
+    const body = JSON.stringify({ priceId: 'price_pro', tier: 'pro' });
+
+    assertEquals((await handler({ httpMethod: 'POST', headers: {}, body })).statusCode, 401);
+
+    const authorized = { httpMethod: 'POST', headers: {}, body, requestContext: { authorizer: { claims: { sub: 'user-3' } } } };
+    assertEquals((await handler({ ...authorized, body: JSON.stringify({ priceId: 'price_x', tier: 'pro' }) })).statusCode, 400);
+
+    const created = await handler(authorized);
+    assertEquals(created.statusCode, 200);
+    assertEquals(JSON.parse(created.body).sessionId, 'cs_1');
+    assertEquals(calls[0].customer, 'cus_3');
+    assertEquals(calls[0].subscription_data.metadata.userId, 'user-3');
+});
+
+suite.test('should translate between Express and API Gateway proxy events', () => {
+    const req = {
+        method: 'POST',
+        originalUrl: '/api/stripe-webhook?x=1',
+        headers: { 'stripe-signature': 'sig' },
+        query: { x: '1' },
+        rawBody: Buffer.from('{"a": 1}'),
+        body: { a: 1 },
+        ip: '127.0.0.1'
+    };
+    const event = toLambdaEvent(req, { claims: { sub: 'user-4' } });
+    assertEquals(event.path, '/api/stripe-webhook');
+    assertEquals(event.body, '{"a": 1}', 'The raw body is passed on byte for byte');
+    assertEquals(event.requestContext.authorizer.claims.sub, 'user-4');
+    assertEquals(toLambdaEvent({ ...req, rawBody: undefined, body: {} }).body, null);
+
+    const headers = {};
+    const sent = {};
+    const res = {
+        set: (name, value) => { headers[name.toLowerCase()] = value; },
+        get: (name) => headers[name.toLowerCase()],
+        status: (code) => { sent.status = code; return res; },
+        json: (body) => { sent.json = body; return res; },
+        send: (body) => { sent.text = body; return res; }
+    };
+    sendLambdaResult(res, { statusCode: 400, headers: { 'Access-Control-Allow-Origin': '*', 'Content-Type': 'application/json' }, body: '{"error":"Invalid signature"}' });
+    assertEquals(sent.status, 400);
+    assertEquals(sent.json.error, 'Invalid signature');
+    assert(!headers['access-control-allow-origin'], 'CORS headers are left to the server');
+});
+
+// Run tests
+suite.run().then(async success => {
+    await rm(dir, { recursive: true, force: true });
+    process.exit(success ? 0 : 1);
+});
@@ -0,0 +1,575 @@
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import kuzu from 'kuzu';
+import CypherQueryService from '../src/services/CypherQueryService.js';
+import { CypherClassifier } from '../src/utils/CypherClassifier.js';
+import { Logger } from '../src/utils/Logger.js';
+
+// Simple test runner
+class TestRunner {
+    constructor(name) {
+        this.name = name;
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(description, fn) {
+        this.tests.push({ description, fn });
+    }
+
+    async run() {
+        console.log(`\n🧪 Running ${this.name}\n`);
+
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                this.passed++;
+                console.log(`  ✅ ${test.description}`);
+            } catch (error) {
+                this.failed++;
+                console.log(`  ❌ ${test.description}`);
+                console.log(`     Error: ${error.message}`);
+            }
+        }
+
+        console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || 'Assertion failed');
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    if (actual !== expected) {
+        throw new Error(message || `Expected ${expected}, got ${actual}`);
+    }
+}
+
+// Mock Kùzu connection that records executed statements
+class MockConnection {
+    constructor(rows = []) {
+        this.rows = rows;
+        this.prepared = [];
+        this.executed = [];
+    }
+
+    async prepare(query) {
+        this.prepared.push(query);
+        return {
+            query,
+            isSuccess: () => true,
+            getErrorMessage: () => ''
+        };
+    }
+
+    async execute(statement, params) {
+        this.executed.push({ query: statement.query, params });
+        if (this.delay) {
+            await new Promise(resolve => setTimeout(resolve, this.delay));
+        }
+        return createMockResult(this.rows);
+    }
+
+    setQueryTimeout(ms) {
+        this.queryTimeout = ms;
+    }
+
+}
+
+// Mock QueryResult with the iterator methods streamQuery reads
+function createMockResult(rows) {
+    let index = 0;
+    return {
+        getAll: async () => rows,
+        resetIterator: () => { index = 0; },
+        hasNext: () => index < rows.length,
+        getNext: async () => rows[index++] ?? null
+    };
+}
+
+// Mock connection source with the acquire()/release() interface of DatabaseManager
+class MockPool {
+    constructor(size, rows = []) {
+        this.connections = Array.from({ length: size }, () => new MockConnection(rows));
+        this.idle = [...this.connections];
+        this.workers = null;
+    }
+
+    async acquire() {
+        return this.idle.shift();
+    }
+
+    release(conn) {
+        this.idle.push(conn);
+    }
+}
+
+// Mock worker pool that records which queries were routed to it
+class MockWorkers {
+    constructor(rows = []) {
+        this.rows = rows;
+        this.executed = [];
+        this.invalidations = 0;
+    }
+
+    isAvailable() {
+        return true;
+    }
+
+    async execute(query, params) {
+        this.executed.push({ query, params });
+        return this.rows;
+    }
+
+    invalidate() {
+        this.invalidations++;
+    }
+}
+
+const personRow = { n: { name: 'Alice', _label: 'Person', _id: { offset: 0, table: 0 } } };
+
+function createService(rows = [personRow], options = {}) {
+    const service = new CypherQueryService(new MockConnection(rows), options);
+    service.logger = new Logger('CypherQueryService', -1); // Silence expected error logs
+    return service;
+}
+
+// Test Suite
+const suite = new TestRunner('CypherQueryService Tests');
+
+// Test: Classification
+suite.test('should classify reads, writes and schema changes', () => {
+    assertEquals(CypherClassifier.classify('MATCH (n:Person) RETURN n').kind, 'read');
+    assertEquals(CypherClassifier.classify('CREATE (n:Person {name: $name}) RETURN n').kind, 'write');
+    assertEquals(CypherClassifier.classify('MATCH (n:Person) SET n.age = 3').kind, 'write');
+    assertEquals(CypherClassifier.classify('COPY Person FROM "people.csv"').kind, 'write');
+    assertEquals(CypherClassifier.classify('CREATE NODE TABLE Foo(id INT64, PRIMARY KEY(id))').kind, 'schema');
+    assertEquals(CypherClassifier.classify('DROP TABLE Foo').kind, 'schema');
+});
+
+suite.test('should treat index procedures and settings as schema changes but catalog procedures as reads', () => {
+    for (const query of [
+        "CALL create_fts_index('Person', 'person_name', ['name'])",
+        "CALL drop_fts_index('Person', 'person_name')",
+        "CALL CREATE_VECTOR_INDEX('Person', 'person_vec', 'embedding')",
+        "CALL drop_vector_index('Person', 'person_vec')",
+        'CALL threads=4'
+    ]) {
+        const result = CypherClassifier.classify(query);
+        assertEquals(result.kind, 'schema', query);
+        assert(result.touchesAll, `${query} should invalidate every cached read`);
+    }
+    assertEquals(CypherClassifier.classify("CALL table_info('Person') RETURN *").kind, 'read');
+    assertEquals(CypherClassifier.classify('CALL show_tables() RETURN *').kind, 'read');
+    assertEquals(CypherClassifier.classify("CALL QUERY_FTS_INDEX('Person', 'person_name', 'ann') RETURN node").kind, 'read');
+});
+
+suite.test('should refuse index procedures while read-only', async () => {
+    const service = createService([], { isReadOnly: () => true });
+    const created = await service.executeQuery("CALL create_fts_index('Person', 'person_name', ['name'])");
+
+    assertEquals(created.error.code, 'READ_ONLY');
+    assertEquals(service.conn.executed.length, 0);
+});
+
+suite.test('should ignore keywords inside string literals and comments', () => {
+    assertEquals(CypherClassifier.classify("MATCH (n:Person) WHERE n.name = 'DELETE me' RETURN n").kind, 'read');
+    assertEquals(CypherClassifier.classify('MATCH (n:Person) // CREATE something\nRETURN n').kind, 'read');
+});
+
+suite.test('should extract table labels from patterns', () => {
+    const result = CypherClassifier.classify('MATCH (a:Person)-[r:WorksAt|Knows]->(b:Company) RETURN a, r, b');
+    assert(result.labels.includes('Person'));
+    assert(result.labels.includes('WorksAt'));
+    assert(result.labels.includes('Knows'));
+    assert(result.labels.includes('Company'));
+    assert(!result.touchesAll, 'Fully labelled pattern should not touch every table');
+});
+
+suite.test('should flag unlabelled patterns and detach deletes as touching every table', () => {
+    assert(CypherClassifier.classify('MATCH (n) RETURN n').touchesAll);
+    assert(CypherClassifier.classify('MATCH (a:Person)-[r]->(b) RETURN count(*)').touchesAll);
+    assert(CypherClassifier.classify('MATCH (n:Person) DETACH DELETE n').touchesAll);
+    assert(!CypherClassifier.classify('MATCH (n:Person) RETURN count(n)').touchesAll);
+});
+
+suite.test('should fingerprint queries that differ only in literals, case and spacing alike', () => {
+    const a = CypherClassifier.fingerprint("match (p:Person {name: 'Alice'})-[:Knows*1..3]->(f) where f.age > 30 return f limit 10;");
+    const b = CypherClassifier.fingerprint('MATCH (p : Person { name : "Bob" }) -[:Knows*2..5]-> (f) WHERE f.age > 41.5 RETURN f LIMIT 25');
+    assertEquals(a, b);
+    assertEquals(a, 'MATCH (p:Person {name:?})-[:Knows*?..?]->(f) WHERE f.age > ? RETURN f LIMIT ?');
+    assertEquals(
+        CypherClassifier.fingerprint('MATCH (n:Person) WHERE n.id IN [1, 2, 3] AND n.flag = true RETURN n // voice'),
+        'MATCH (n:Person) WHERE n.id IN [?] AND n.flag = ? RETURN n'
+    );
+    assertEquals(
+        CypherClassifier.fingerprint('MATCH (n:Person2) WHERE n.name = $name RETURN `col 1`'),
+        'MATCH (n:Person2) WHERE n.name = $name RETURN `col 1`'
+    );
+});
+
+// Test: Parameter binding
+suite.test('should bind parameters through a cached prepared statement', async () => {
+    const service = createService();
+    await service.executeQuery('MATCH (n:Person) WHERE n.name = $name RETURN n', { name: 'Alice' });
+    await service.executeQuery('MATCH (n:Person) WHERE n.name = $name RETURN n', { name: 'Bob' });
+
+    assertEquals(service.conn.prepared.length, 1, 'Statement should be prepared once');
+    assertEquals(service.conn.executed.length, 2);
+    assertEquals(service.conn.executed[1].params.name, 'Bob');
+});
+
+suite.test('should coerce typed parameters', () => {
+    const service = createService();
+    const bound = service.bindParameters(
+        { age: '42', since: '2020-01-01', active: 'true', ids: ['1', '2'] },
+        { age: 'INT64', since: 'DATE', active: 'BOOLEAN', ids: 'INT64[]' }
+    );
+
+    assertEquals(bound.age, 42);
+    assert(bound.since instanceof Date);
+    assertEquals(bound.active, true);
+    assertEquals(bound.ids[1], 2);
+});
+
+suite.test('should reject invalid parameter names and values', async () => {
+    const service = createService();
+    const badName = await service.executeQuery('RETURN 1', { 'a-b': 1 });
+    const badValue = await service.executeQuery('RETURN $n', { n: 'abc' }, { parameterTypes: { n: 'INT64' } });
+
+    assert(!badName.success);
+    assert(!badValue.success);
+});
+
+// Test: Result cache
+suite.test('should serve repeated reads from cache and report hits', async () => {
+    const service = createService();
+    const first = await service.executeQuery('MATCH (n:Person) RETURN n');
+    const second = await service.executeQuery('MATCH (n:Person) RETURN n');
+
+    assertEquals(first.metadata.cached, false);
+    assertEquals(second.metadata.cached, true);
+    assertEquals(service.conn.executed.length, 1);
+});
+
+suite.test('should never cache writes', async () => {
+    const service = createService();
+    await service.executeQuery('CREATE (n:Person {name: $name}) RETURN n', { name: 'Alice' });
+    await service.executeQuery('CREATE (n:Person {name: $name}) RETURN n', { name: 'Alice' });
+
+    assertEquals(service.conn.executed.length, 2);
+    assertEquals(service.queryCache.size, 0);
+});
+
+suite.test('should run every EXPORT DATABASE instead of answering from cache', async () => {
+    const service = createService();
+    const first = await service.executeQuery("EXPORT DATABASE '/tmp/export' (format=\"csv\")");
+    const second = await service.executeQuery("EXPORT DATABASE '/tmp/export' (format=\"csv\")");
+
+    assertEquals(first.metadata.cached, false);
+    assertEquals(second.metadata.cached, false);
+    assertEquals(service.conn.executed.length, 2);
+    assertEquals(service.queryCache.size, 0);
+});
+
+suite.test('should invalidate cached reads of written tables only', async () => {
+    const service = createService();
+    await service.executeQuery('MATCH (n:Person) RETURN n');
+    await service.executeQuery('MATCH (c:Company) RETURN c');
+
+    const write = await service.executeQuery('MATCH (n:Person) SET n.age = 30 RETURN n');
+    assertEquals(write.metadata.cacheInvalidated, 1);
+
+    const person = await service.executeQuery('MATCH (n:Person) RETURN n');
+    const company = await service.executeQuery('MATCH (c:Company) RETURN c');
+    assertEquals(person.metadata.cached, false, 'Person read should be re-executed');
+    assertEquals(company.metadata.cached, true, 'Company read should still be cached');
+});
+
+suite.test('should expire entries after the configured TTL', async () => {
+    const service = createService([personRow], { cacheTtlMs: 10 });
+    await service.executeQuery('MATCH (n:Person) RETURN n');
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const result = await service.executeQuery('MATCH (n:Person) RETURN n');
+
+    assertEquals(result.metadata.cached, false);
+});
+
+suite.test('should respect the configured cache size', async () => {
+    const service = createService([personRow], { cacheMaxSize: 1 });
+    await service.executeQuery('MATCH (n:Person) RETURN n');
+    await service.executeQuery('MATCH (c:Company) RETURN c');
+
+    assertEquals(service.queryCache.size, 1);
+});
+
+suite.test('should notify onWrite after writes but not reads', async () => {
+    const writes = [];
+    const service = createService([personRow], { onWrite: classification => writes.push(classification) });
+    await service.executeQuery('MATCH (n:Person) RETURN n');
+    await service.executeQuery('MATCH (n:Person) SET n.age = 30 RETURN n');
+
+    assertEquals(writes.length, 1);
+    assert(writes[0].labels.includes('Person'));
+});
+
+suite.test('should await beforeWrite for writes and skip the write when it fails', async () => {
+    const hooked = [];
+    let fail = false;
+    const service = createService([personRow], {
+        beforeWrite: async classification => {
+            hooked.push(classification.kind);
+            if (fail) throw new Error('disk full');
+        }
+    });
+
+    await service.executeQuery('MATCH (n:Person) RETURN n');
+    const write = await service.executeQuery('MATCH (n:Person) SET n.age = 30 RETURN n');
+    fail = true;
+    const refused = await service.executeQuery('DROP TABLE Person');
+
+    assertEquals(hooked.join(), 'write,schema');
+    assert(write.success);
+    assertEquals(refused.error.code, 'SNAPSHOT_FAILED');
+    assertEquals(service.conn.executed.length, 2, 'A write whose snapshot failed should never reach the database');
+});
+
+suite.test('should report executed queries to onQueryComplete but not cache hits or refusals', async () => {
+    const reports = [];
+    const service = createService([personRow], {
+        onQueryComplete: info => reports.push(info),
+        isReadOnly: () => true
+    });
+
+    await service.executeQuery('MATCH (n:Person) RETURN n');
+    await service.executeQuery('MATCH (n:Person) RETURN n');
+    await service.executeQuery('MATCH (n:Person) DELETE n');
+
+    assertEquals(reports.length, 1);
+    assertEquals(reports[0].queryClass, 'read');
+    assertEquals(reports[0].rowCount, 1);
+    assert(reports[0].success && reports[0].queryTime >= 0);
+});
+
+// Test: Read-only mode
+suite.test('should reject writes and DDL while read-only but allow reads', async () => {
+    let readOnly = true;
+    const service = createService([personRow], { isReadOnly: () => readOnly });
+
+    const write = await service.executeQuery('MATCH (n:Person) DELETE n');
+    const ddl = await service.executeQuery('DROP TABLE Person');
+    const read = await service.executeQuery('MATCH (n:Person) RETURN n');
+
+    assertEquals(write.error.code, 'READ_ONLY');
+    assertEquals(ddl.error.queryClass, 'schema');
+    assert(read.success);
+    assertEquals(service.conn.executed.length, 1, 'Refused queries should never reach the database');
+
+    readOnly = false;
+    const unlocked = await service.executeQuery('MATCH (n:Person) DELETE n');
+    assert(unlocked.success, 'Writes should run once unlocked');
+});
+
+// Test: Cancellation and timeouts
+suite.test('should report the query ID in metadata', async () => {
+    const service = createService();
+    const result = await service.executeQuery('MATCH (n:Person) RETURN n', {}, { queryId: 'q-1' });
+
+    assertEquals(result.metadata.queryId, 'q-1');
+    assertEquals(service.getRunningQueries().length, 0, 'Finished queries should be unregistered');
+});
+
+suite.test('should cancel a running query by ID', async () => {
+    const service = createService();
+    service.conn.delay = 200;
+    const pending = service.executeQuery('MATCH (n:Person) RETURN n', {}, { queryId: 'slow' });
+
+    assertEquals(service.getRunningQueries()[0].id, 'slow');
+    const cancel = service.cancelQuery('slow');
+    const result = await pending;
+
+    assert(cancel.found);
+    assert(!result.success);
+    assertEquals(result.error.code, 'QUERY_CANCELLED');
+    assert(!service.cancelQuery('slow').found, 'Cancelled query should be unregistered');
+});
+
+suite.test('should enforce the timeout in the database and report QUERY_TIMEOUT', async () => {
+    const service = createService();
+    service.conn.delay = 200;
+    const result = await service.executeQuery('MATCH (n:Person) RETURN n', {}, { timeout: 20 });
+
+    assertEquals(service.conn.queryTimeout, 20, 'Timeout should be passed to the connection');
+    assertEquals(result.error.code, 'QUERY_TIMEOUT');
+});
+
+// Test: Connection pool and query workers
+suite.test('should borrow pooled connections and prepare statements per connection', async () => {
+    const pool = new MockPool(2, [personRow]);
+    const service = new CypherQueryService(pool);
+    service.logger = new Logger('CypherQueryService', -1);
+
+    await Promise.all([
+        service.executeQuery('MATCH (n:Person) WHERE n.age > $age RETURN n', { age: 1 }),
+        service.executeQuery('MATCH (n:Person) WHERE n.age > $age RETURN n', { age: 2 })
+    ]);
+
+    assertEquals(pool.idle.length, 2, 'Connections should be returned to the pool');
+    assert(pool.connections.every(conn => conn.executed.length === 1), 'Queries should run on separate connections');
+    assertEquals(service.getCacheStats().preparedStatements, 2);
+});
+
+suite.test('should route reads to query workers and invalidate them on writes', async () => {
+    const pool = new MockPool(1, [personRow]);
+    pool.workers = new MockWorkers([personRow]);
+    const service = new CypherQueryService(pool);
+    service.logger = new Logger('CypherQueryService', -1);
+
+    const read = await service.executeQuery('MATCH (n:Person) RETURN n');
+    await service.executeQuery('MATCH (n:Person) SET n.age = 1 RETURN n');
+
+    assertEquals(read.data.nodes.length, 1);
+    assertEquals(pool.workers.executed.length, 1, 'Only the read should run in a worker');
+    assertEquals(pool.connections[0].executed.length, 1, 'The write should run on a pooled connection');
+    assertEquals(pool.workers.invalidations, 1);
+});
+
+suite.test('should stream reads that run in query workers', async () => {
+    const rows = Array.from({ length: 3 }, (_, offset) => ({ n: { name: `P${offset}`, _label: 'Person', _id: { offset, table: 0 } } }));
+    const pool = new MockPool(1, []);
+    pool.workers = new MockWorkers(rows);
+    const service = new CypherQueryService(pool);
+    service.logger = new Logger('CypherQueryService', -1);
+
+    const records = [];
+    const final = await service.streamQuery('MATCH (n:Person) RETURN n', {}, { chunkSize: 2 }, (record) => records.push(record));
+
+    assert(final.success, final.error?.message);
+    assertEquals(final.rowCount, 3);
+    assertEquals(records.filter(r => r.type === 'chunk').length, 2);
+    assertEquals(pool.workers.executed.length, 1, 'The read should run in a worker');
+    assertEquals(pool.connections[0].executed.length, 0);
+});
+
+suite.test('should stop reading rows when a stream is cancelled after its statement finished', async () => {
+    const rows = Array.from({ length: 4 }, (_, offset) => ({ n: { name: `P${offset}`, _label: 'Person', _id: { offset, table: 0 } } }));
+    const pool = new MockPool(1, rows);
+    const service = new CypherQueryService(pool);
+    service.logger = new Logger('CypherQueryService', -1);
+
+    let cancel = null;
+    let chunks = 0;
+    const final = await service.streamQuery('MATCH (n:Person) RETURN n', {}, { queryId: 'stream', chunkSize: 1 }, async (record) => {
+        if (record.type === 'chunk') {
+            chunks++;
+            // Rows are read after the statement finished and the connection went back to the pool
+            cancel = cancel || service.cancelQuery('stream');
+        }
+    });
+
+    assert(cancel.found);
+    assertEquals(cancel.runsUntil, null, 'No statement is executing any more');
+    assertEquals(chunks, 1, 'No rows are read after the cancel');
+    assertEquals(final.error.code, 'QUERY_CANCELLED');
+    assertEquals(pool.idle.length, 1);
+});
+
+// Test: Multi-statement scripts against a real database
+suite.test('should run a multi-statement script and return the last statement\'s rows', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'cypher-script-test-'));
+    const db = new kuzu.Database(path.join(dir, 'db'));
+    const conn = new kuzu.Connection(db);
+    const service = new CypherQueryService(conn);
+    service.logger = new Logger('CypherQueryService', -1);
+
+    try {
+        const script = await service.executeQuery(
+            'CREATE NODE TABLE T(id INT64, PRIMARY KEY(id)); CREATE (:T {id: 1}); MATCH (t:T) RETURN t.id AS id',
+            {},
+            { format: 'raw' }
+        );
+        assert(script.success, script.error?.message);
+        assertEquals(script.data.raw.length, 1);
+        assertEquals(script.data.raw[0].id, 1);
+        assertEquals(script.metadata.queryClass, 'schema');
+    } finally {
+        // Every result of the script is closed, so the database can close under it
+        await conn.close();
+        await db.close();
+        await rm(dir, { recursive: true, force: true });
+    }
+});
+
+// Real Kùzu binding: a running statement cannot be interrupted, only its query timeout stops it
+const HEAVY_QUERY = 'UNWIND range(1, 50000) AS a UNWIND range(1, 50000) AS b WITH a, b WHERE (a * b + a) % 7 = 3 RETURN count(*) AS total';
+
+// One real connection handed out to one borrower at a time
+class SingleConnectionPool {
+    constructor(conn) {
+        this.conn = conn;
+        this.busy = false;
+        this.waiters = [];
+        this.workers = null;
+    }
+
+    async acquire() {
+        if (this.busy) {
+            await new Promise(resolve => this.waiters.push(resolve));
+        }
+        this.busy = true;
+        return this.conn;
+    }
+
+    release() {
+        const next = this.waiters.shift();
+        if (next) {
+            next();
+        } else {
+            this.busy = false;
+        }
+    }
+}
+
+suite.test('should release a cancelled caller while Kùzu runs the statement to its timeout', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'cypher-cancel-test-'));
+    const db = new kuzu.Database(path.join(dir, 'db'));
+    const pool = new SingleConnectionPool(new kuzu.Connection(db));
+    const service = new CypherQueryService(pool);
+    service.logger = new Logger('CypherQueryService', -1);
+
+    try {
+        const startedAt = Date.now();
+        const pending = service.executeQuery(HEAVY_QUERY, {}, { queryId: 'heavy', timeout: 1000, format: 'raw' });
+        await new Promise(resolve => setTimeout(resolve, 200));
+
+        const cancel = service.cancelQuery('heavy');
+        const result = await pending;
+        const releasedAfter = Date.now() - startedAt;
+        assert(cancel.found);
+        assert(cancel.runsUntil, 'The statement is still executing in the database');
+        assertEquals(result.error.code, 'QUERY_CANCELLED');
+        assert(releasedAfter < 800, `The caller should be released at once (${releasedAfter} ms)`);
+
+        // The connection stays borrowed until the engine timeout stops the statement
+        const next = await service.executeQuery('RETURN 1 AS one', {}, { format: 'raw' });
+        const freedAfter = Date.now() - startedAt;
+        assert(next.success, next.error?.message);
+        assert(freedAfter >= 900, `The connection must not be reused while the statement runs (${freedAfter} ms)`);
+        assert(freedAfter < 5000, `The query timeout should stop the statement (${freedAfter} ms)`);
+    } finally {
+        // The process exits after the suite; closing the database under live results is unsafe
+        await rm(dir, { recursive: true, force: true });
+    }
+});
+
+// Run tests
+suite.run().then(success => {
+    process.exit(success ? 0 : 1);
+});
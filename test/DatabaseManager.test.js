@@ -0,0 +1,275 @@
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import kuzu from 'kuzu';
+import { createDatabase } from './helpers/database.js';
+import { ConnectionPool } from '../src/db/ConnectionPool.js';
+import { DatabaseManager } from '../src/db/DatabaseManager.js';
+// Simple test runner
+class TestRunner {
+    constructor(name) {
+        this.name = name;
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(description, fn) {
+        this.tests.push({ description, fn });
+    }
+
+    async run() {
+        console.log(`\n🧪 Running ${this.name}\n`);
+
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                this.passed++;
+                console.log(`  ✅ ${test.description}`);
+            } catch (error) {
+                this.failed++;
+                console.log(`  ❌ ${test.description}`);
+                console.log(`     Error: ${error.message}`);
+            }
+        }
+
+        console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || 'Assertion failed');
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    if (actual !== expected) {
+        throw new Error(message || `Expected ${expected}, got ${actual}`);
+    }
+}
+
+
+const dir = await mkdtemp(path.join(tmpdir(), 'database-test-'));
+
+// Run a query and read every row, closing the result before the connection goes back
+async function queryAll(conn, query) {
+    const result = await conn.query(query);
+    try {
+        return await result.getAll();
+    } finally {
+        result.close();
+    }
+}
+
+async function waitFor(condition, timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+const suite = new TestRunner('Database');
+
+// Connection pool
+
+suite.test('should hand a released connection to the longest waiting caller', async () => {
+    const db = new kuzu.Database(await createDatabase(dir));
+    const pool = new ConnectionPool(db, { size: 2 });
+
+    const first = await pool.acquire();
+    const second = await pool.acquire();
+    assert(first !== second, 'each caller gets its own connection');
+    assertEquals(pool.getStats().idle, 0);
+
+    const order = [];
+    const waiting = [pool.acquire().then(conn => { order.push('a'); return conn; }), pool.acquire().then(conn => { order.push('b'); return conn; })];
+    assertEquals(pool.getStats().waiting, 2);
+
+    pool.release(first);
+    const handedOver = await waiting[0];
+    assertEquals(handedOver, first);
+    pool.release(second);
+    await waiting[1];
+    assertEquals(order.join(','), 'a,b');
+
+    const stats = pool.getStats();
+    assertEquals(stats.acquired, 4);
+    assertEquals(stats.waited, 2);
+    assertEquals(stats.inUse, 2);
+    pool.release(first);
+    pool.release(second);
+    await pool.close();
+    await db.close();
+});
+
+suite.test('should fail with POOL_EXHAUSTED when no connection frees up in time', async () => {
+    const db = new kuzu.Database(await createDatabase(dir));
+    const pool = new ConnectionPool(db, { size: 1, acquireTimeoutMs: 50 });
+    await pool.acquire();
+
+    try {
+        await pool.acquire();
+        throw new Error('acquire should have timed out');
+    } catch (error) {
+        assertEquals(error.code, 'POOL_EXHAUSTED');
+    }
+    assertEquals(pool.getStats().timeouts, 1);
+    assertEquals(pool.getStats().waiting, 0, 'the timed-out caller leaves the queue');
+    pool.release(pool.inUse.values().next().value);
+    await pool.close();
+    await db.close();
+});
+
+suite.test('should reject waiting and new callers once closed', async () => {
+    const db = new kuzu.Database(await createDatabase(dir));
+    const pool = new ConnectionPool(db, { size: 1 });
+    const conn = await pool.acquire();
+    const waiting = pool.acquire();
+
+    const closing = pool.close();
+    await waiting.then(() => { throw new Error('waiter should be rejected'); }, error => assert(/closed/.test(error.message)));
+    await pool.acquire().then(() => { throw new Error('acquire should be rejected'); }, error => assert(/closed/.test(error.message)));
+    pool.release(conn);
+    await closing;
+    assertEquals(pool.getStats().idle, 0);
+    await db.close();
+});
+
+suite.test('should close only once borrowed connections are back, along with their results', async () => {
+    const db = new kuzu.Database(await createDatabase(dir));
+    const pool = new ConnectionPool(db, { size: 2 });
+    const conn = await pool.acquire();
+    const result = await conn.query('MATCH (i:Item) RETURN i.id AS id');
+
+    let closed = false;
+    const closing = pool.close().then(() => { closed = true; });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assertEquals(closed, false, 'a borrowed connection holds the pool open');
+
+    pool.release(conn);
+    await closing;
+    await result.getAll().then(() => { throw new Error('result should be closed'); }, error => assert(/closed/i.test(error.message), error.message));
+    await conn.query('RETURN 1').then(() => { throw new Error('connection should be closed'); }, error => assert(/closed/i.test(error.message), error.message));
+    await db.close();
+});
+
+suite.test('should run use() callbacks on a connection and return it afterwards', async () => {
+    const db = new kuzu.Database(await createDatabase(dir));
+    const pool = new ConnectionPool(db, { size: 1 });
+
+    const rows = await pool.use(conn => queryAll(conn, 'MATCH (i:Item) RETURN i.id AS id'));
+    assertEquals(rows[0].id, 1);
+    await pool.use(() => Promise.reject(new Error('boom'))).catch(() => {});
+    assertEquals(pool.getStats().idle, 1, 'the connection comes back after a failure too');
+    await pool.close();
+    await db.close();
+});
+
+// Database manager
+
+suite.test('should report each executeQuery call to onQuery', async () => {
+    const calls = [];
+    const manager = new DatabaseManager({
+        poolOptions: { size: 1 },
+        onQuery: (queryTime, description, isError) => calls.push({ queryTime, description, isError })
+    });
+    assertEquals((await manager.connect(await createDatabase(dir))).success, true);
+    assertEquals(manager.isConnected(), true);
+
+    const rows = await manager.executeQuery(conn => queryAll(conn, 'MATCH (i:Item) RETURN count(i) AS n'), 'Count items');
+    assertEquals(Number(rows[0].n), 1);
+    await manager.executeQuery(conn => queryAll(conn, 'MATCH (i:Missing) RETURN i'), 'Bad table').catch(() => {});
+
+    assertEquals(calls.map(call => `${call.description}:${call.isError}`).join(','), 'Count items:false,Bad table:true');
+    assert(calls.every(call => call.queryTime >= 0));
+    await manager.disconnect();
+});
+
+suite.test('should refuse queries while suspended and reconnect on resume', async () => {
+    const manager = new DatabaseManager({ poolOptions: { size: 1 } });
+    await manager.connect(await createDatabase(dir));
+
+    await manager.suspend('restore in progress');
+    for (const attempt of [
+        () => manager.executeQuery(conn => queryAll(conn, 'RETURN 1')),
+        () => manager.acquire()
+    ]) {
+        try {
+            await attempt();
+            throw new Error('query should be refused');
+        } catch (error) {
+            assertEquals(error.code, 'DATABASE_OFFLINE');
+            assert(error.message.includes('restore in progress'));
+            assertEquals(manager.isConnectionError(error), false, 'going offline is not a broken connection');
+        }
+    }
+
+    assertEquals((await manager.resume()).success, true);
+    const rows = await manager.executeQuery(conn => queryAll(conn, 'MATCH (i:Item) RETURN i.id AS id'));
+    assertEquals(rows[0].id, 1);
+    await manager.disconnect();
+});
+
+suite.test('should not treat query timeouts as lost connections', async () => {
+    const manager = new DatabaseManager();
+    const timedOut = Object.assign(new Error('Query timeout after 50ms'), { code: 'QUERY_TIMEOUT' });
+
+    assertEquals(manager.isConnectionError(new Error('Interrupted.')), false, 'Kùzu reports setQueryTimeout as an interrupt');
+    assertEquals(manager.isConnectionError(timedOut), false);
+    assertEquals(manager.isConnectionError(new Error('Connection timeout while reading')), true);
+});
+
+suite.test('should close the database handle once in-flight work has drained', async () => {
+    const manager = new DatabaseManager({ poolOptions: { size: 1 } });
+    const dbPath = await createDatabase(dir);
+    await manager.connect(dbPath);
+    const { db } = manager;
+
+    const conn = await manager.acquire();
+    let suspended = false;
+    const suspending = manager.suspend('restore').then(() => { suspended = true; });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assertEquals(suspended, false, 'a running statement keeps the handle open');
+    await manager.acquire().catch(error => assertEquals(error.code, 'DATABASE_OFFLINE'));
+
+    manager.release(conn);
+    await suspending;
+    assert(db._isClosed, 'the handle is closed, not left for the garbage collector');
+
+    // Nothing holds the old directory: it can be replaced and opened again
+    await rm(dbPath, { recursive: true, force: true });
+    assertEquals((await manager.resume()).success, true);
+    await manager.executeQuery(conn => queryAll(conn, 'CREATE NODE TABLE Fresh(id INT64, PRIMARY KEY(id))'));
+    await manager.disconnect();
+});
+
+suite.test('should run reads on query workers and see writes after invalidate', async () => {
+    const manager = new DatabaseManager({ poolOptions: { size: 1 }, workerOptions: { size: 1, bufferPoolMb: 64 } });
+    await manager.connect(await createDatabase(dir));
+    await waitFor(() => manager.workers.getStats().idle === 1);
+
+    const count = async () => Number((await manager.workers.execute('MATCH (i:Item) RETURN count(i) AS n'))[0].n);
+    assertEquals(await count(), 1);
+
+    await manager.executeQuery(conn => queryAll(conn, 'CREATE (:Item {id: 2})'));
+    manager.workers.invalidate();
+    await waitFor(() => manager.workers.getStats().idle === 1);
+    assertEquals(await count(), 2, 'a replaced worker opens a handle that sees the write');
+    assertEquals(manager.workers.getStats().recycled, 1);
+
+    const workers = manager.workers;
+    await manager.disconnect();
+    await waitFor(() => workers.workers.size === 0);
+});
+
+// Run tests
+suite.run().then(async success => {
+    await rm(dir, { recursive: true, force: true });
+    process.exit(success ? 0 : 1);
+});
@@ -0,0 +1,506 @@
+import { mkdir, mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { createServer } from 'net';
+import { spawn } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import kuzu from 'kuzu';
+// Simple test runner
+class TestRunner {
+    constructor(name) {
+        this.name = name;
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(description, fn) {
+        this.tests.push({ description, fn });
+    }
+
+    async run() {
+        console.log(`\n🧪 Running ${this.name}\n`);
+
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                this.passed++;
+                console.log(`  ✅ ${test.description}`);
+            } catch (error) {
+                this.failed++;
+                console.log(`  ❌ ${test.description}`);
+                console.log(`     Error: ${error.message}`);
+            }
+        }
+
+        console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || 'Assertion failed');
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    if (actual !== expected) {
+        throw new Error(message || `Expected ${expected}, got ${actual}`);
+    }
+}
+
+const root = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+// A small social graph: 5 Person, 3 City and 2 Company nodes
+const FIXTURE = [
+    'CREATE NODE TABLE Person(id INT64, name STRING, PRIMARY KEY(id))',
+    'CREATE NODE TABLE City(name STRING, PRIMARY KEY(name))',
+    'CREATE NODE TABLE Company(name STRING, PRIMARY KEY(name))',
+    'CREATE REL TABLE KNOWS(FROM Person TO Person, since INT64)',
+    'CREATE REL TABLE LIVES_IN(FROM Person TO City)',
+    'CREATE REL TABLE WORKS_AT(FROM Person TO Company, role STRING)',
+    ...['Ann', 'Bob', 'Cat', 'Dan', 'Eve'].map((name, i) => `CREATE (:Person {id: ${i}, name: '${name}'})`),
+    ...['Oslo', 'Rome', 'Lima'].map(name => `CREATE (:City {name: '${name}'})`),
+    ...['Acme', 'Globex'].map(name => `CREATE (:Company {name: '${name}'})`),
+    ...[[0, 1, 2015], [0, 2, 2019], [1, 3, 2020], [3, 4, 2021], [2, 0, 2022]].map(([a, b, since]) =>
+        `MATCH (a:Person {id: ${a}}), (b:Person {id: ${b}}) CREATE (a)-[:KNOWS {since: ${since}}]->(b)`),
+    ...[[0, 'Oslo'], [1, 'Oslo'], [2, 'Rome'], [3, 'Lima']].map(([a, city]) =>
+        `MATCH (a:Person {id: ${a}}), (c:City {name: '${city}'}) CREATE (a)-[:LIVES_IN]->(c)`),
+    ...[[0, 'Acme', 'lead'], [4, 'Acme', 'dev'], [1, 'Globex', 'dev']].map(([a, company, role]) =>
+        `MATCH (a:Person {id: ${a}}), (c:Company {name: '${company}'}) CREATE (a)-[:WORKS_AT {role: '${role}'}]->(c)`)
+];
+
+async function createFixture(dbPath) {
+    const db = new kuzu.Database(dbPath);
+    const conn = new kuzu.Connection(db);
+    for (const statement of FIXTURE) {
+        const result = await conn.query(statement);
+        result.close();
+    }
+    // The server opens the database next, so release it completely
+    await conn.close();
+    await db.close();
+}
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = createServer();
+        probe.once('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// Start src/server.js on a free port with everything written below dir
+async function startServer(dir, env = {}) {
+    const port = await freePort();
+    const child = spawn('node', ['src/server.js'], {
+        cwd: root,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            BACKUP_DIR: path.join(dir, 'backups'),
+            SLOW_QUERY_LOG_DIR: path.join(dir, 'logs'),
+            USAGE_STORE: 'memory',
+            RATE_LIMIT_ENABLED: 'false',
+            AUTH_JWKS_URI: '',
+            OPENAI_API_KEY: '',
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let log = '';
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Server did not start:\n${log}`)), 20000);
+        child.stdout.on('data', (data) => {
+            log += data;
+            if (log.includes('server running')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.stderr.on('data', (data) => { log += data; });
+        child.once('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with ${code}:\n${log}`));
+        });
+    });
+
+    return {
+        url: `http://127.0.0.1:${port}`,
+        stop: () => new Promise((resolve) => {
+            if (child.exitCode !== null) return resolve();
+            const timer = setTimeout(() => child.kill('SIGKILL'), 10000);
+            child.once('exit', () => {
+                clearTimeout(timer);
+                resolve();
+            });
+            child.kill('SIGTERM');
+        })
+    };
+}
+
+const dir = await mkdtemp(path.join(tmpdir(), 'graph-routes-test-'));
+const dbPath = path.join(dir, 'graph');
+await createFixture(dbPath);
+const server = await startServer(dir);
+let sessionId = null;
+
+async function request(method, route, body, { url = server.url, session = sessionId } = {}) {
+    const response = await fetch(`${url}${route}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(session ? { 'X-Session-Id': session } : {})
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+const get = (route) => request('GET', route);
+
+const connected = await request('POST', '/api/connect', { dbPath });
+sessionId = connected.body.sessionId;
+
+const suite = new TestRunner('Graph Routes');
+
+suite.test('should connect to the fixture database', async () => {
+    assert(connected.body.success, connected.body.message);
+    assert(sessionId, 'connect returns a session ID');
+});
+
+// /api/nodes
+
+suite.test('should sample every node table with an even per-type quota', async () => {
+    const { body } = await get('/api/nodes?limit=6');
+    assert(body.success, body.message);
+    assertEquals(body.tableName, 'All');
+    assertEquals(body.pagination.perType, 2);
+    assertEquals(body.pagination.totals.Person, 5);
+    assertEquals(body.pagination.totals.City, 3);
+    assertEquals(body.pagination.totals.Company, 2);
+    assertEquals(body.pagination.returned.Person, 2);
+    assertEquals(body.pagination.returned.City, 2);
+    assertEquals(body.pagination.returned.Company, 2);
+    assertEquals(body.nodes.length, 6);
+    assert(body.pagination.hasMore, 'Person and City have rows left');
+});
+
+suite.test('should page through every node exactly once by following the cursor', async () => {
+    const seen = [];
+    let cursor = null;
+    let pages = 0;
+    do {
+        const { body } = await get(`/api/nodes?limit=6${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`);
+        assert(body.success, body.message);
+        body.nodes.forEach(node => seen.push(node.id));
+        cursor = body.pagination.nextCursor;
+        assertEquals(body.pagination.hasMore, cursor !== null);
+        pages++;
+    } while (cursor && pages < 10);
+
+    assertEquals(pages, 2, 'the second page splits the quota between Person and City');
+    assertEquals(seen.length, 10);
+    assertEquals(new Set(seen).size, 10, 'no node is returned twice');
+});
+
+suite.test('should only carry unfinished tables in the cursor', async () => {
+    const first = await get('/api/nodes?limit=6');
+    const second = await get(`/api/nodes?limit=6&cursor=${encodeURIComponent(first.body.pagination.nextCursor)}`);
+    assertEquals([...second.body.pagination.tables].sort().join(','), 'City,Person');
+    assertEquals(second.body.pagination.perType, 3);
+    assertEquals(second.body.nodes.map(n => n.id).sort().join(','), 'City_2,Person_2,Person_3,Person_4');
+    assertEquals(second.body.pagination.hasMore, false);
+});
+
+suite.test('should honour an explicit perType and table list', async () => {
+    const { body } = await get('/api/nodes?table=Person,Company&perType=1');
+    assert(body.success, body.message);
+    assertEquals(body.pagination.tables.join(','), 'Person,Company');
+    assertEquals(body.nodes.map(n => n.id).join(','), 'Person_0,Company_0');
+
+    const single = await get('/api/nodes?table=City');
+    assertEquals(single.body.tableName, 'City');
+    assertEquals(single.body.nodes.length, 3);
+    assertEquals(single.body.pagination.hasMore, false);
+    assertEquals(single.body.pagination.nextCursor, null);
+});
+
+suite.test('should reject unknown tables and malformed cursors', async () => {
+    const unknown = await get('/api/v2/nodes?table=Nope');
+    assertEquals(unknown.status, 404);
+    assertEquals(unknown.body.error.code, 'UNKNOWN_TABLE');
+
+    const badCursor = await get('/api/v2/nodes?cursor=not-a-cursor');
+    assertEquals(badCursor.status, 400);
+    assertEquals(badCursor.body.error.code, 'INVALID_REQUEST');
+});
+
+// /api/nodes/:id/neighbors
+
+const ids = (nodes) => nodes.map(n => n.id).sort().join(',');
+const edgeKeys = (edges) => edges.map(e => `${e.from}-${e.type}->${e.to}`).sort().join(',');
+
+suite.test('should expand one hop in both directions by default', async () => {
+    const { body } = await get('/api/nodes/Person_0/neighbors');
+    assert(body.success, body.message);
+    assertEquals(body.center, 'Person_0');
+    assertEquals(body.depth, 1);
+    assertEquals(body.direction, 'both');
+    assertEquals(ids(body.nodes), 'City_0,Company_0,Person_0,Person_1,Person_2');
+    assertEquals(body.nodes.find(n => n.id === 'Person_0').hop, 0);
+    assertEquals(body.nodes.find(n => n.id === 'Person_2').hop, 1);
+    assertEquals(body.truncated, false);
+});
+
+suite.test('should orient edges by their stored direction', async () => {
+    const { body } = await get('/api/nodes/Person_0/neighbors?types=KNOWS');
+    assertEquals(edgeKeys(body.edges), 'Person_0-KNOWS->Person_1,Person_0-KNOWS->Person_2,Person_2-KNOWS->Person_0');
+    assertEquals(body.edges.find(e => e.to === 'Person_1').properties.since, 2015);
+});
+
+suite.test('should follow only the requested direction and relationship types', async () => {
+    const out = await get('/api/nodes/Person_0/neighbors?direction=out&types=KNOWS');
+    assertEquals(ids(out.body.nodes), 'Person_0,Person_1,Person_2');
+    assertEquals(edgeKeys(out.body.edges), 'Person_0-KNOWS->Person_1,Person_0-KNOWS->Person_2');
+
+    const incoming = await get('/api/nodes/Person_0/neighbors?direction=in');
+    assertEquals(ids(incoming.body.nodes), 'Person_0,Person_2');
+    assertEquals(edgeKeys(incoming.body.edges), 'Person_2-KNOWS->Person_0');
+
+    const mixed = await get('/api/nodes/Person_0/neighbors?direction=out&types=LIVES_IN,WORKS_AT');
+    assertEquals(ids(mixed.body.nodes), 'City_0,Company_0,Person_0');
+});
+
+suite.test('should expand several hops and record the hop of each node', async () => {
+    const { body } = await get('/api/nodes/Person_0/neighbors?depth=2&direction=out&types=KNOWS');
+    assertEquals(body.depth, 2);
+    assertEquals(ids(body.nodes), 'Person_0,Person_1,Person_2,Person_3');
+    assertEquals(body.nodes.find(n => n.id === 'Person_3').hop, 2);
+    assert(body.edges.some(e => e.from === 'Person_1' && e.to === 'Person_3'), 'second-hop edge is included');
+
+    const capped = await get('/api/nodes/Person_0/neighbors?depth=9&direction=out&types=KNOWS');
+    assertEquals(capped.body.depth, 3, 'depth is capped at 3');
+    assertEquals(ids(capped.body.nodes), 'Person_0,Person_1,Person_2,Person_3,Person_4');
+});
+
+suite.test('should truncate at maxNodes and cap the fan-out per node', async () => {
+    const truncated = await get('/api/nodes/Person_0/neighbors?maxNodes=3');
+    assertEquals(truncated.body.nodes.length, 3);
+    assertEquals(truncated.body.truncated, true);
+
+    const fanOut = await get('/api/nodes/Person_0/neighbors?limit=1&direction=out&types=KNOWS');
+    assertEquals(fanOut.body.nodes.length, 2, 'one neighbor besides the center');
+    assertEquals(fanOut.body.truncated, false);
+    assert(!truncated.body.tierLimit, 'tier limits are not enforced without authentication');
+});
+
+suite.test('should record the expanded nodes as rendered', async () => {
+    const before = (await get('/api/usage')).body.metrics.nodesRendered.used;
+    const { body } = await get('/api/nodes/Person_0/neighbors?depth=2');
+    assert(body.success, body.message);
+    const after = (await get('/api/usage')).body.metrics.nodesRendered.used;
+    assertEquals(after - before, body.nodes.length);
+});
+
+suite.test('should reject bad node IDs, directions and relationship types', async () => {
+    const badId = await get('/api/v2/nodes/not-an-id/neighbors');
+    assertEquals(badId.body.error.code, 'INVALID_REQUEST');
+
+    const missing = await get('/api/v2/nodes/Person_99/neighbors');
+    assertEquals(missing.status, 404);
+    assertEquals(missing.body.error.code, 'NODE_NOT_FOUND');
+
+    const unknownTable = await get('/api/v2/nodes/Planet_0/neighbors');
+    assertEquals(unknownTable.body.error.code, 'UNKNOWN_TABLE');
+
+    const badDirection = await get('/api/v2/nodes/Person_0/neighbors?direction=up');
+    assertEquals(badDirection.status, 400);
+
+    const unknownType = await get('/api/v2/nodes/Person_0/neighbors?types=LIKES');
+    assertEquals(unknownType.body.error.code, 'UNKNOWN_TABLE');
+});
+
+// /api/edges
+
+suite.test('should return every relationship type without filters', async () => {
+    const { body } = await get('/api/edges');
+    assert(body.success, body.message);
+    assertEquals(body.counts.KNOWS, 5);
+    assertEquals(body.counts.LIVES_IN, 4);
+    assertEquals(body.counts.WORKS_AT, 3);
+    assertEquals(body.edges.length, 12);
+});
+
+suite.test('should filter edges by relationship type', async () => {
+    const { body } = await get('/api/edges?types=KNOWS,WORKS_AT');
+    assertEquals(body.filters.types.join(','), 'KNOWS,WORKS_AT');
+    assertEquals(body.edges.length, 8);
+    assert(body.edges.every(e => e.type !== 'LIVES_IN'), 'LIVES_IN is not read');
+});
+
+suite.test('should keep only edges with both endpoints in nodeIds', async () => {
+    const { body } = await get('/api/edges?nodeIds=Person_0,Person_1,Person_2');
+    assertEquals(body.filters.nodeIdCount, 3);
+    assertEquals(edgeKeys(body.edges), 'Person_0-KNOWS->Person_1,Person_0-KNOWS->Person_2,Person_2-KNOWS->Person_0');
+});
+
+suite.test('should apply property predicates and skip types without the property', async () => {
+    const recent = await get('/api/edges?where=since>=2020');
+    assertEquals(edgeKeys(recent.body.edges), 'Person_1-KNOWS->Person_3,Person_2-KNOWS->Person_0,Person_3-KNOWS->Person_4');
+    assertEquals(recent.body.counts.LIVES_IN, 0);
+
+    const lead = await get('/api/edges?where=role=lead');
+    assertEquals(edgeKeys(lead.body.edges), 'Person_0-WORKS_AT->Company_0');
+
+    const notDev = await get(`/api/edges?types=WORKS_AT&where=${encodeURIComponent("role!='dev'")}`);
+    assertEquals(notDev.body.edges.length, 1);
+});
+
+suite.test('should accept filters as a JSON body on POST', async () => {
+    const { body } = await request('POST', '/api/edges', {
+        types: ['KNOWS'],
+        nodeIds: ['Person_0', 'Person_1', 'Person_2', 'Person_3'],
+        where: [{ property: 'since', op: '<', value: 2020 }]
+    });
+    assert(body.success, body.message);
+    assertEquals(edgeKeys(body.edges), 'Person_0-KNOWS->Person_1,Person_0-KNOWS->Person_2');
+});
+
+suite.test('should cap the edges read per relationship type', async () => {
+    const { body } = await get('/api/edges?limit=2');
+    assertEquals(body.filters.limit, 2);
+    assertEquals(body.counts.KNOWS, 2);
+    assertEquals(body.counts.LIVES_IN, 2);
+    assertEquals(body.edges.length, 6);
+});
+
+suite.test('should reject unknown relationship types and malformed predicates', async () => {
+    const unknown = await get('/api/v2/edges?types=LIKES');
+    assertEquals(unknown.status, 404);
+    assertEquals(unknown.body.error.code, 'UNKNOWN_TABLE');
+
+    const badPredicate = await get(`/api/v2/edges?where=${encodeURIComponent('since~2020')}`);
+    assertEquals(badPredicate.status, 400);
+});
+
+// /api/cypher/execute
+
+suite.test('should read no more rows than the limit when the query carries its own LIMIT', async () => {
+    const { body } = await request('POST', '/api/cypher/execute', {
+        query: 'MATCH (p:Person) RETURN p LIMIT 1000000',
+        options: { limit: 2 }
+    });
+    assert(body.success, body.error?.message);
+    assertEquals(body.data.nodes.length, 2);
+    assertEquals(body.metadata.truncated, true);
+});
+
+// /api/cypher/stream
+
+suite.test('should stream query results as NDJSON chunks followed by metadata', async () => {
+    const response = await fetch(`${server.url}/api/cypher/stream`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Session-Id': sessionId },
+        body: JSON.stringify({ query: 'MATCH (p:Person) RETURN p', options: { chunkSize: 2, timeout: 600000 } })
+    });
+    const records = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+    const metadata = records.pop();
+    assertEquals(records.length, 3, 'five rows in chunks of two');
+    assertEquals(records.reduce((sum, chunk) => sum + chunk.nodes.length, 0), 5);
+    assertEquals(metadata.type, 'metadata');
+    assertEquals(metadata.rowCount, 5);
+});
+
+suite.test('should stop streaming at the requested limit when the query carries its own LIMIT', async () => {
+    const response = await fetch(`${server.url}/api/cypher/stream`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Session-Id': sessionId },
+        body: JSON.stringify({ query: 'MATCH (p:Person) RETURN p LIMIT 1000000', options: { limit: 2 } })
+    });
+    const records = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+    const metadata = records.pop();
+    assertEquals(records.reduce((sum, chunk) => sum + chunk.nodes.length, 0), 2);
+    assertEquals(metadata.rowCount, 2);
+    assertEquals(metadata.truncated, true);
+});
+
+suite.test('should give streams the stream route deadline rather than the general 20 s API timeout', async () => {
+    const response = await fetch(`${server.url}/api/cypher/stream`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Session-Id': sessionId },
+        body: JSON.stringify({ query: 'MATCH (p:Person) RETURN p' })
+    });
+    const metadata = (await response.text()).trim().split('\n').map(line => JSON.parse(line)).pop();
+    assertEquals(metadata.type, 'metadata');
+    assert(metadata.timeout > 20000, `stream deadline was ${metadata.timeout} ms`);
+    assertEquals(metadata.timeout, 300000);
+});
+
+// /api/backup/:name/import
+
+suite.test('should import a logical backup only next to the session database or under the backup directory', async () => {
+    const created = await request('POST', '/api/backup/create', { format: 'csv' });
+    assert(created.body.success, created.body.error);
+    const route = `/api/backup/${created.body.backup.backupName}/import`;
+
+    const outside = await request('POST', route, { dbPath: path.join(tmpdir(), `graph-routes-outside-${Date.now()}`) });
+    assertEquals(outside.status, 403);
+    assertEquals(outside.body.code, 'TARGET_NOT_ALLOWED');
+
+    const escaped = await request('POST', route, { dbPath: path.join(dir, 'backups', '..', '..', 'escaped') });
+    assertEquals(escaped.body.code, 'TARGET_NOT_ALLOWED');
+
+    const imported = await request('POST', route, { dbPath: path.join(dir, 'imported') });
+    assert(imported.body.success, imported.body.error);
+    assertEquals(imported.body.import.databasePath, path.join(dir, 'imported'));
+});
+
+// /api/backup/:name/restore
+
+suite.test('should refuse restores without a session, and backup changes on a read-only server even without a session or after unlocking', async () => {
+    const readOnlyDir = path.join(dir, 'read-only');
+    await mkdir(readOnlyDir);
+    await createFixture(path.join(readOnlyDir, 'graph'));
+    const readOnly = await startServer(readOnlyDir, { READ_ONLY: 'true', EDIT_UNLOCK_TOKEN: 'unlock-me' });
+    try {
+        const options = { url: readOnly.url, session: null };
+        // Nobody has connected yet, so there is no default session to fall back to
+        const sessionless = await request('POST', '/api/backup/anything/restore', {}, options);
+        assertEquals(sessionless.status, 503);
+        assertEquals(sessionless.body.code, 'NOT_CONNECTED');
+
+        const policy = await request('PUT', '/api/backup/policy', { retention: { keepLast: 1 } }, options);
+        assertEquals(policy.status, 403);
+        assertEquals(policy.body.code, 'READ_ONLY');
+        const pruned = await request('POST', '/api/backup/prune', {}, options);
+        assertEquals(pruned.status, 403);
+        assertEquals(pruned.body.code, 'READ_ONLY');
+
+        const opened = await request('POST', '/api/connect', { dbPath: path.join(readOnlyDir, 'graph') }, options);
+        assert(opened.body.success, opened.body.message);
+        options.session = opened.body.sessionId;
+        const unlocked = await request('POST', '/api/edit-mode', { token: 'unlock-me' }, options);
+        assert(unlocked.body.success, unlocked.body.error?.message);
+
+        const restored = await request('POST', '/api/backup/anything/restore', {}, options);
+        assertEquals(restored.status, 403);
+        assertEquals(restored.body.code, 'READ_ONLY');
+    } finally {
+        await readOnly.stop();
+    }
+});
+
+try {
+    const success = await suite.run();
+    process.exitCode = success ? 0 : 1;
+} finally {
+    await server.stop();
+    await rm(dir, { recursive: true, force: true });
+}
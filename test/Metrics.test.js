@@ -0,0 +1,266 @@
+import { mkdtemp, rm, readdir, readFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { Histogram, Counter, renderGauge, formatLabels, PerformanceMetrics } from '../src/metrics/Metrics.js';
+import { QueryLog } from '../src/metrics/QueryLog.js';
+// Simple test runner
+class TestRunner {
+    constructor(name) {
+        this.name = name;
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(description, fn) {
+        this.tests.push({ description, fn });
+    }
+
+    async run() {
+        console.log(`\n🧪 Running ${this.name}\n`);
+
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                this.passed++;
+                console.log(`  ✅ ${test.description}`);
+            } catch (error) {
+                this.failed++;
+                console.log(`  ❌ ${test.description}`);
+                console.log(`     Error: ${error.message}`);
+            }
+        }
+
+        console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || 'Assertion failed');
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    if (actual !== expected) {
+        throw new Error(message || `Expected ${expected}, got ${actual}`);
+    }
+}
+
+
+const dir = await mkdtemp(path.join(tmpdir(), 'metrics-test-'));
+let logCount = 0;
+
+// A query log in its own directory, ready once the (empty) history is loaded
+async function createQueryLog(options = {}) {
+    const log = new QueryLog({ logDir: path.join(dir, `log-${++logCount}`), thresholdMs: 100, ...options });
+    await log.ready;
+    return log;
+}
+
+const suite = new TestRunner('Metrics');
+
+// Histogram and Counter
+
+suite.test('should count each observation in the first bucket it fits', () => {
+    const histogram = new Histogram('test_seconds', 'Test latency', [0.1, 1, 10]);
+    [0.05, 0.1, 0.5, 2, 20].forEach(value => histogram.observe({ route: '/a' }, value));
+
+    const series = histogram.get({ route: '/a' });
+    assertEquals(series.counts.join(','), '2,1,1', 'bounds are inclusive; 20 is above every bucket');
+    assertEquals(series.count, 5);
+    assertEquals(series.max, 20);
+    assertEquals(Math.round(series.sum * 100) / 100, 22.65);
+});
+
+suite.test('should render cumulative buckets with +Inf, sum and count', () => {
+    const histogram = new Histogram('test_seconds', 'Test latency', [0.1, 1]);
+    histogram.observe({ route: '/a' }, 0.05);
+    histogram.observe({ route: '/a' }, 0.5);
+    histogram.observe({ route: '/a' }, 5);
+
+    const lines = histogram.render().split('\n');
+    assertEquals(lines[0], '# HELP test_seconds Test latency');
+    assertEquals(lines[1], '# TYPE test_seconds histogram');
+    assert(lines.includes('test_seconds_bucket{route="/a",le="0.1"} 1'));
+    assert(lines.includes('test_seconds_bucket{route="/a",le="1"} 2'));
+    assert(lines.includes('test_seconds_bucket{route="/a",le="+Inf"} 3'));
+    assert(lines.includes('test_seconds_sum{route="/a"} 5.55'));
+    assert(lines.includes('test_seconds_count{route="/a"} 3'));
+});
+
+suite.test('should interpolate quantiles within buckets and cap them at the maximum', () => {
+    const histogram = new Histogram('test_seconds', 'Test latency', [1, 2, 4]);
+    for (let i = 0; i < 10; i++) {
+        histogram.observe({}, i < 5 ? 0.5 : 1.5);
+    }
+
+    const summary = histogram.summarize();
+    assertEquals(summary.count, 10);
+    assertEquals(summary.average, 1);
+    assertEquals(summary.p50, 1, 'the median rank ends the first bucket');
+    assertEquals(summary.p95, 1.5, 'interpolation is capped at the largest observation');
+    assertEquals(new Histogram('empty', 'Empty').summarize().p99, 0);
+});
+
+suite.test('should summarize several series together and drop removed ones', () => {
+    const histogram = new Histogram('test_seconds', 'Test latency', [1, 10]);
+    histogram.observe({ route: '/a' }, 0.5);
+    histogram.observe({ route: '/b' }, 5);
+    assertEquals(histogram.summarize().count, 2);
+
+    histogram.remove({ route: '/a' });
+    assertEquals(histogram.summarize().count, 1);
+    assertEquals(histogram.get({ route: '/a' }), undefined);
+});
+
+suite.test('should total counters by label filter and escape label values', () => {
+    const counter = new Counter('test_total', 'Test events');
+    counter.inc({ status: 200 });
+    counter.inc({ status: 200 }, 2);
+    counter.inc({ status: 500 });
+
+    assertEquals(counter.total(), 4);
+    assertEquals(counter.total(labels => labels.status >= 400), 1);
+    assert(counter.render().includes('test_total{status="200"} 3'));
+    assertEquals(formatLabels({ query: 'say "hi"\\n' }), '{query="say \\"hi\\"\\\\n"}');
+    assertEquals(renderGauge('g', 'Gauge', [{ value: 7 }]), '# HELP g Gauge\n# TYPE g gauge\ng 7');
+});
+
+// PerformanceMetrics
+
+suite.test('should label requests by route pattern and report per-endpoint timing', () => {
+    const metrics = new PerformanceMetrics(null);
+    const req = { method: 'GET', baseUrl: '', route: { path: '/api/backup/:name/verify' } };
+    metrics.recordRequest(req, { statusCode: 200 }, 40);
+    metrics.recordRequest(req, { statusCode: 404 }, 60);
+    metrics.recordRequest({ method: 'GET' }, { statusCode: 404 }, 1);
+
+    const report = metrics.getMetrics();
+    assertEquals(report.requests.total, 3);
+    assertEquals(report.requests.errors, 2);
+    assertEquals(report.requests.byEndpoint['GET /api/backup/:name/verify'].count, 2);
+    assertEquals(report.requests.byEndpoint['GET unmatched'].count, 1);
+});
+
+suite.test('should count slow queries reported by the query log', () => {
+    const recorded = [];
+    const metrics = new PerformanceMetrics({ record: (entry) => { recorded.push(entry); return entry.queryTime > 100; }, recent: [] });
+    metrics.recordDatabaseQuery(500, 'MATCH (n) RETURN n', false, 'read');
+    metrics.recordDatabaseQuery(5, 'MATCH (n) RETURN n', true, 'read');
+
+    assertEquals(recorded.length, 2);
+    assertEquals(metrics.slowQueries.total(), 1);
+    assertEquals(metrics.queryErrors.total(), 1);
+    assertEquals(metrics.queryDuration.get({ class: 'read' }).count, 2);
+});
+
+suite.test('should time internal queries without logging them', () => {
+    const recorded = [];
+    const metrics = new PerformanceMetrics({ record: (entry) => { recorded.push(entry); return true; }, recent: [] });
+    metrics.recordDatabaseQuery(500, 'Backup checkpoint');
+    metrics.recordDatabaseQuery(500, 'Schema query', true, 'internal');
+
+    assertEquals(recorded.length, 0);
+    assertEquals(metrics.slowQueries.total(), 0);
+    assertEquals(metrics.queryErrors.total(), 1);
+    assertEquals(metrics.queryDuration.get({ class: 'internal' }).count, 2);
+});
+
+suite.test('should leave backup age out of the exposition until there is a backup', () => {
+    const metrics = new PerformanceMetrics(null);
+    const pools = [{ database: '/db', connections: { inUse: 1, idle: 3, waiting: 0 }, workers: null }];
+
+    const never = metrics.toPrometheus({ pools, sessions: 1, backup: { backupCount: 0, lastBackupTime: null } });
+    assert(never.includes('kuzu_db_pool_connections{database="/db",state="idle"} 3'));
+    assert(never.includes('kuzu_backup_count 0'));
+    assert(!never.includes('kuzu_backup_age_seconds'));
+
+    const backedUp = metrics.toPrometheus({ backup: { backupCount: 1, lastBackupTime: new Date(Date.now() - 60000).toISOString() } });
+    assert(backedUp.includes('kuzu_backup_age_seconds 60'));
+    assert(backedUp.endsWith('\n'));
+});
+
+// QueryLog
+
+suite.test('should aggregate queries that differ only in literals under one fingerprint', async () => {
+    const log = await createQueryLog();
+    log.record({ query: "MATCH (p:Person) WHERE p.name = 'Ann' RETURN p", queryClass: 'read', queryTime: 10 });
+    log.record({ query: "MATCH (p:Person) WHERE p.name = 'Bob' RETURN p", queryClass: 'read', queryTime: 30 });
+    log.record({ query: 'MATCH (c:City) RETURN c', queryClass: 'read', queryTime: 5, success: false });
+
+    const [top, other] = log.getQueries();
+    assertEquals(log.getQueries().length, 2);
+    assertEquals(top.count, 2);
+    assertEquals(top.totalTime, 40);
+    assertEquals(top.sample, "MATCH (p:Person) WHERE p.name = 'Bob' RETURN p", 'the sample is the latest execution');
+    assertEquals(other.errors, 1);
+    assertEquals(log.getQueries({ sort: 'errors' })[0].id, other.id);
+});
+
+suite.test('should only log executions over the threshold', async () => {
+    const log = await createQueryLog();
+    assertEquals(log.record({ query: 'MATCH (n) RETURN n', queryTime: 50 }), false);
+    assertEquals(log.record({ query: 'MATCH (n) RETURN n', queryTime: 150 }), true);
+    await log.writes;
+
+    const lines = (await readFile(log.logFile, 'utf8')).trim().split('\n');
+    assertEquals(lines.length, 1);
+    assertEquals(JSON.parse(lines[0]).queryTime, 150);
+    assertEquals(log.getQueries({ slowOnly: true })[0].slowCount, 1);
+    assertEquals(log.recent.length, 1);
+});
+
+suite.test('should rotate the slow-query log by size and keep maxFiles rotated files', async () => {
+    const log = await createQueryLog({ maxBytes: 600, maxFiles: 2 });
+    for (let i = 0; i < 12; i++) {
+        log.record({ query: `MATCH (n:T${i}) RETURN n`, queryTime: 200 + i });
+    }
+    await log.writes;
+
+    const files = (await readdir(log.logDir)).sort();
+    assertEquals(files.join(','), 'slow-queries.log,slow-queries.log.1,slow-queries.log.2');
+    for (const file of files) {
+        const size = (await readFile(path.join(log.logDir, file))).length;
+        assert(size <= 600, `${file} is ${size} bytes`);
+    }
+    const newest = (await readFile(log.logFile, 'utf8')).trim().split('\n').pop();
+    assertEquals(JSON.parse(newest).queryTime, 211);
+});
+
+suite.test('should rebuild slow-query aggregates from the files on disk', async () => {
+    const log = await createQueryLog();
+    log.record({ query: "MATCH (p:Person {name: 'Ann'}) RETURN p", queryClass: 'read', queryTime: 400 });
+    log.record({ query: "MATCH (p:Person {name: 'Eve'}) RETURN p", queryClass: 'read', queryTime: 600 });
+    log.record({ query: 'RETURN 1', queryTime: 1 });
+    await log.writes;
+
+    const reloaded = new QueryLog({ logDir: log.logDir, thresholdMs: 100 });
+    await reloaded.ready;
+    const [stats] = reloaded.getQueries();
+    assertEquals(reloaded.getQueries().length, 1, 'fast queries are not on disk');
+    assertEquals(stats.count, 2);
+    assertEquals(stats.slowCount, 2);
+    assertEquals(stats.max, 600);
+    assertEquals(reloaded.recent.length, 2);
+});
+
+suite.test('should drop the least recently seen fingerprint beyond maxFingerprints', async () => {
+    const log = await createQueryLog({ maxFingerprints: 2 });
+    log.record({ query: 'MATCH (a:A) RETURN a', queryTime: 1 });
+    log.record({ query: 'MATCH (b:B) RETURN b', queryTime: 1 });
+    log.record({ query: 'MATCH (a:A) RETURN a', queryTime: 1 });
+    log.record({ query: 'MATCH (c:C) RETURN c', queryTime: 1 });
+
+    const samples = log.getQueries().map(q => q.sample).sort();
+    assertEquals(samples.join(' | '), 'MATCH (a:A) RETURN a | MATCH (c:C) RETURN c');
+    assertEquals(log.latency.series.size, 2);
+});
+
+// Run tests
+suite.run().then(async success => {
+    await rm(dir, { recursive: true, force: true });
+    process.exit(success ? 0 : 1);
+});
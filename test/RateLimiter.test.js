@@ -0,0 +1,190 @@
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { RateLimiter, MemoryRateLimitStore, FileRateLimitStore, DEFAULT_RATE_LIMIT_POLICIES, mergePolicies } from '../src/api/RateLimiter.js';
+
+// Simple test runner
+class TestRunner {
+    constructor(name) {
+        this.name = name;
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(description, fn) {
+        this.tests.push({ description, fn });
+    }
+
+    async run() {
+        console.log(`\n🧪 Running ${this.name}\n`);
+
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                this.passed++;
+                console.log(`  ✅ ${test.description}`);
+            } catch (error) {
+                this.failed++;
+                console.log(`  ❌ ${test.description}`);
+                console.log(`     Error: ${error.message}`);
+            }
+        }
+
+        console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || 'Assertion failed');
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    if (actual !== expected) {
+        throw new Error(message || `Expected ${expected}, got ${actual}`);
+    }
+}
+
+
+const policies = {
+    test: {
+        ip: { capacity: 2, refillPerMinute: 60 },
+        user: { capacity: 5, refillPerMinute: 60 }
+    }
+};
+
+// Minimal Express request/response doubles for the middleware
+function runMiddleware(limiter, req) {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        payload: null,
+        set(name, value) {
+            if (typeof name === 'object') Object.assign(this.headers, name);
+            else this.headers[name] = value;
+            return this;
+        },
+        status(code) { this.statusCode = code; return this; },
+        json(payload) { this.payload = payload; return this; }
+    };
+    return new Promise(resolve => {
+        const done = limiter.middleware(() => 'test')(req, res, () => resolve({ res, nextCalled: true }));
+        Promise.resolve(done).then(() => resolve({ res, nextCalled: false }));
+    });
+}
+
+// Test Suite
+const suite = new TestRunner('RateLimiter Tests');
+
+suite.test('should refill buckets over time and report when a token is due', async () => {
+    const store = new MemoryRateLimitStore();
+    const limit = { capacity: 2, refillPerMinute: 6 }; // one token every 10 seconds
+    const draw = [{ key: 'k', limit }];
+
+    assert((await store.take(draw, 1, 0))[0].allowed);
+    assert((await store.take(draw, 1, 0))[0].allowed);
+    const refused = (await store.take(draw, 1, 1000))[0];
+    assert(!refused.allowed, 'Burst capacity is used up');
+    assertEquals(refused.retryAfterMs, 9000);
+
+    assert((await store.take(draw, 1, 10000))[0].allowed, 'A token is back after 10 seconds');
+    assertEquals(await store.peek('k', limit, 10000), 0);
+    assertEquals(await store.peek('k', limit, 600000), 2, 'Buckets never exceed their capacity');
+});
+
+suite.test('should take from every bucket or from none', async () => {
+    const store = new MemoryRateLimitStore();
+    const ip = { key: 'ip', limit: { capacity: 5, refillPerMinute: 1 } };
+    const user = { key: 'user', limit: { capacity: 1, refillPerMinute: 1 } };
+
+    assert((await store.take([ip, user], 1, 0)).every(r => r.allowed));
+    const results = await store.take([ip, user], 1, 0);
+    assert(!results[1].allowed);
+    assertEquals(await store.peek('ip', ip.limit, 0), 4, 'The IP bucket keeps the token the user bucket refused');
+});
+
+suite.test('should drop the least recently used buckets beyond maxBuckets', async () => {
+    const store = new MemoryRateLimitStore({ maxBuckets: 2 });
+    const limit = { capacity: 1, refillPerMinute: 1 };
+    await store.take([{ key: 'a', limit }], 1, 0);
+    await store.take([{ key: 'b', limit }], 1, 0);
+    await store.take([{ key: 'a', limit }], 1, 0);
+    await store.take([{ key: 'c', limit }], 1, 0);
+    assertEquals([...store.buckets.keys()].join(','), 'a,c');
+});
+
+suite.test('should merge policy overrides and reject invalid limits', () => {
+    const merged = mergePolicies(DEFAULT_RATE_LIMIT_POLICIES, { openai: { ip: { capacity: 3 }, user: null }, export: { ip: { capacity: 1, refillPerMinute: 1 } } });
+    assertEquals(merged.openai.ip.capacity, 3);
+    assertEquals(merged.openai.ip.refillPerMinute, DEFAULT_RATE_LIMIT_POLICIES.openai.ip.refillPerMinute);
+    assertEquals(merged.openai.user, undefined, 'null switches a scope off');
+    assert(merged.export.ip && !merged.export.user);
+
+    let error = null;
+    try {
+        mergePolicies({}, { broken: { ip: { capacity: 0, refillPerMinute: 1 } } });
+    } catch (e) {
+        error = e;
+    }
+    assert(error && error.message.includes('broken.ip'));
+});
+
+suite.test('should keep buckets across restarts with the file store', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'rate-limits-'));
+    try {
+        const filePath = path.join(dir, 'nested', 'state.json');
+        const limit = { capacity: 1, refillPerMinute: 1 };
+
+        const first = new FileRateLimitStore({ filePath });
+        assert((await first.take([{ key: 'ip:1', limit }]))[0].allowed);
+        await first.close();
+
+        const second = new FileRateLimitStore({ filePath });
+        assert(!(await second.take([{ key: 'ip:1', limit }]))[0].allowed, 'The spent token is still spent');
+        await second.close();
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
+
+suite.test('should answer 429 with Retry-After and report decisions', async () => {
+    const decisions = [];
+    const limiter = new RateLimiter({ store: new MemoryRateLimitStore(), policies, onDecision: d => decisions.push(d) });
+    const req = { ip: '10.0.0.1' };
+
+    assert((await runMiddleware(limiter, req)).nextCalled);
+    const { res, nextCalled } = await runMiddleware(limiter, req);
+    assert(nextCalled);
+    assertEquals(res.headers['RateLimit-Limit'], '2');
+    assertEquals(res.headers['RateLimit-Remaining'], '0');
+
+    const { res: refused, nextCalled: refusedNext } = await runMiddleware(limiter, req);
+    assert(!refusedNext);
+    assertEquals(refused.statusCode, 429);
+    assertEquals(refused.headers['Retry-After'], '1');
+    assertEquals(refused.payload.error.code, 'RATE_LIMITED');
+    assertEquals(refused.payload.error.details.scope, 'ip');
+    assertEquals(decisions.length, 3);
+    assert(decisions[2].limited && decisions[2].scope === 'ip');
+});
+
+suite.test('should give authenticated users their own bucket', async () => {
+    const limiter = new RateLimiter({ store: new MemoryRateLimitStore(), policies });
+    const anonymous = limiter.draws('test', { ip: '10.0.0.2', user: null });
+    assertEquals(anonymous.map(d => d.scope).join(','), 'ip');
+
+    const signedIn = limiter.draws('test', { ip: '10.0.0.2', user: 'u1' });
+    assertEquals(signedIn.map(d => d.key).join(','), 'test:ip:10.0.0.2,test:user:u1');
+
+    const described = await limiter.describe({ ip: '10.0.0.2', user: 'u1' });
+    assertEquals(described.test.user.remaining, 5);
+});
+
+// Run tests
+suite.run().then(success => {
+    process.exit(success ? 0 : 1);
+});
@@ -150,6 +150,24 @@ suite.test('should extract grouping intent from commands', () => {
     assertEquals(intent2.targetType, 'Company');
 });
 
+// Test: Typed schema with relationship connections
+suite.test('should infer the relationship from typed schema connections', () => {
+    const processor = new RelationshipLayoutProcessor();
+    processor.setSchema({
+        nodeTypes: ['Person', 'Company', 'Project'],
+        relationshipTypes: ['WorksAt', 'WorksOn'],
+        relTables: [
+            { name: 'WorksAt', connections: [{ from: 'Person', to: 'Company' }] },
+            { name: 'WorksOn', connections: [{ from: 'Person', to: 'Project' }] }
+        ]
+    });
+
+    const intent = processor.extractGroupingIntent('group people around companies');
+    assertEquals(intent.relationship, 'WorksAt');
+    assertEquals(processor.findRelationshipsBetween('Project', 'Person')[0], 'WorksOn');
+    assertEquals(processor.findRelationshipsBetween('Company', 'Project').length, 0);
+});
+
 // Test: Node type finding
 suite.test('should find nodes by type', () => {
     const processor = new RelationshipLayoutProcessor();
@@ -0,0 +1,101 @@
+import { SchemaGraphLayout } from '../src/layouts/SchemaGraphLayout.js';
+
+// Simple test runner
+class TestRunner {
+    constructor(name) {
+        this.name = name;
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(description, fn) {
+        this.tests.push({ description, fn });
+    }
+
+    async run() {
+        console.log(`\n🧪 Running ${this.name}\n`);
+
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                this.passed++;
+                console.log(`  ✅ ${test.description}`);
+            } catch (error) {
+                this.failed++;
+                console.log(`  ❌ ${test.description}`);
+                console.log(`     Error: ${error.message}`);
+            }
+        }
+
+        console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || 'Assertion failed');
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    if (actual !== expected) {
+        throw new Error(message || `Expected ${expected}, got ${actual}`);
+    }
+}
+
+// Typed schema as returned by /api/schema
+const schema = {
+    nodeTables: [
+        { name: 'Company', primaryKey: 'id', rowCount: 10, properties: [{ name: 'id', type: 'INT64', primaryKey: true }] },
+        { name: 'Person', primaryKey: 'id', rowCount: 100000, properties: [{ name: 'id', type: 'INT64', primaryKey: true }, { name: 'name', type: 'STRING', primaryKey: false }] },
+        { name: 'Empty', primaryKey: 'id', rowCount: 0, properties: [] }
+    ],
+    relTables: [
+        { name: 'WorksAt', rowCount: 50, properties: [{ name: 'since', type: 'INT64', primaryKey: false }], connections: [{ from: 'Person', to: 'Company' }] },
+        { name: 'Founded', rowCount: 5, properties: [], connections: [{ from: 'Person', to: 'Company' }] },
+        { name: 'Knows', rowCount: 7, properties: [], connections: [{ from: 'Person', to: 'Person' }, { from: 'Person', to: 'Ghost' }] }
+    ]
+};
+
+// Test Suite
+const suite = new TestRunner('SchemaGraphLayout Tests');
+
+suite.test('should turn node tables into nodes sized by row count', () => {
+    const { nodes } = new SchemaGraphLayout().build(schema);
+
+    assertEquals(nodes.length, 3);
+    assertEquals(nodes[0].id, 'schema:Person', 'Largest table comes first');
+    assertEquals(nodes[0].type, 'Person');
+    assert(nodes[0].data.isSchemaTable);
+    assertEquals(nodes[0].data.properties.length, 2);
+    assertEquals(nodes[0].scale, 3, 'Largest table gets the maximum scale');
+    assertEquals(nodes[2].scale, 1, 'Empty table gets the minimum scale');
+    assert(nodes[1].scale > 1 && nodes[1].scale < 3);
+    assert(nodes.every(node => node.position && Number.isFinite(node.position.x)));
+});
+
+suite.test('should turn rel table connections into labelled edges', () => {
+    const { edges, relationshipTypes } = new SchemaGraphLayout().build(schema);
+
+    assertEquals(edges.length, 3, 'Connections to unknown tables are skipped');
+    const worksAt = edges.find(edge => edge.type === 'WorksAt');
+    assertEquals(worksAt.from, 'schema:Person');
+    assertEquals(worksAt.to, 'schema:Company');
+    assertEquals(worksAt.detail, 'since: INT64');
+    assertEquals(worksAt.labelIndex, 0);
+    assertEquals(edges.find(edge => edge.type === 'Founded').labelIndex, 1, 'Parallel edges stack their labels');
+    assertEquals(relationshipTypes.join(','), 'WorksAt,Founded,Knows');
+});
+
+suite.test('should map schema node IDs back to table names', () => {
+    assertEquals(SchemaGraphLayout.tableName(SchemaGraphLayout.nodeId('Person')), 'Person');
+    assertEquals(SchemaGraphLayout.tableName('Person_0'), null);
+});
+
+// Run tests
+suite.run().then(success => {
+    process.exit(success ? 0 : 1);
+});
@@ -0,0 +1,299 @@
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { createDatabase } from './helpers/database.js';
+import { SessionRegistry } from '../src/db/SessionRegistry.js';
+// Simple test runner
+class TestRunner {
+    constructor(name) {
+        this.name = name;
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(description, fn) {
+        this.tests.push({ description, fn });
+    }
+
+    async run() {
+        console.log(`\n🧪 Running ${this.name}\n`);
+
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                this.passed++;
+                console.log(`  ✅ ${test.description}`);
+            } catch (error) {
+                this.failed++;
+                console.log(`  ❌ ${test.description}`);
+                console.log(`     Error: ${error.message}`);
+            }
+        }
+
+        console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || 'Assertion failed');
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    if (actual !== expected) {
+        throw new Error(message || `Expected ${expected}, got ${actual}`);
+    }
+}
+
+
+const dir = await mkdtemp(path.join(tmpdir(), 'session-test-'));
+
+// A registry with single-connection databases, closed again by the test
+function createRegistry(options = {}) {
+    return new SessionRegistry({ databaseOptions: { poolOptions: { size: 1 } }, ...options });
+}
+
+async function expectError(promise, code) {
+    try {
+        await promise;
+    } catch (error) {
+        assertEquals(error.code, code);
+        return;
+    }
+    throw new Error(`Expected a ${code} error`);
+}
+
+const suite = new TestRunner('Session Registry');
+
+suite.test('should share one database manager between sessions on the same path', async () => {
+    const registry = createRegistry();
+    const dbPath = await createDatabase(dir);
+    const first = await registry.open(dbPath);
+    const second = await registry.open(path.join(dbPath, '..', path.basename(dbPath)), { name: 'viewer' });
+
+    assertEquals(first.dbManager, second.dbManager);
+    assert(first.cypherService !== second.cypherService, 'each session has its own query service');
+    assertEquals(first.name, path.basename(dbPath));
+    assertEquals(second.name, 'viewer');
+    assertEquals(registry.describe(first).sharedWith.join(), second.id);
+
+    const { dbManager } = first;
+    await registry.close(first.id);
+    assertEquals(dbManager.isConnected(), true, 'the database stays open for the other session');
+    await registry.close(second.id);
+    assertEquals(dbManager.isConnected(), false, 'the last session closes the database');
+});
+
+suite.test('should fall back to the oldest open session when no ID is given', async () => {
+    const registry = createRegistry();
+    const dbPath = await createDatabase(dir);
+    const first = await registry.open(dbPath);
+    const second = await registry.open(dbPath);
+    const third = await registry.open(dbPath);
+
+    assertEquals(registry.resolve(undefined), first);
+    assertEquals(registry.resolve(third.id), third);
+    assertEquals(registry.resolve('missing'), null);
+    assert(registry.describe(first).isDefault);
+
+    await registry.close(first.id);
+    assertEquals(registry.getDefault(), second);
+    assertEquals(await registry.close(first.id), false, 'closing twice reports the session as gone');
+    await registry.closeAll();
+    assertEquals(registry.resolve(undefined), null);
+});
+
+suite.test('should only show owners their own sessions', async () => {
+    const registry = createRegistry();
+    const dbPath = await createDatabase(dir);
+    const other = await registry.open(dbPath, { owner: 'ip:10.0.0.2' });
+    const first = await registry.open(dbPath, { owner: 'user:a' });
+    const second = await registry.open(dbPath, { owner: 'user:a' });
+
+    assertEquals(registry.resolve(undefined, 'user:a'), first, 'the owner\'s oldest session is their default');
+    assertEquals(registry.resolve(other.id, 'user:a'), null, 'another owner\'s session is unknown');
+    assertEquals(registry.resolve(undefined, 'user:b'), null, 'an owner without sessions has no default');
+    assertEquals(registry.resolve(undefined), other, 'unscoped lookups see the oldest session overall');
+
+    assertEquals(registry.list('user:a').map(session => session.id).join(), `${first.id},${second.id}`);
+    const described = registry.list('user:a')[0];
+    assertEquals(described.isDefault, true);
+    assertEquals(described.sharedWith.join(), second.id, 'sessions of other owners on the same database are not shown');
+    assertEquals(registry.get(other.id, 'user:a'), null);
+
+    assertEquals(await registry.close(other.id, 'user:a'), false, 'owners cannot close each other\'s sessions');
+    assertEquals(registry.sessions.size, 3);
+    await registry.close(first.id, 'user:a');
+    assertEquals(registry.getDefault('user:a'), second);
+    await registry.closeAll();
+});
+
+suite.test('should refuse sessions beyond maxSessions', async () => {
+    const registry = createRegistry({ maxSessions: 1 });
+    const dbPath = await createDatabase(dir);
+    await registry.open(dbPath);
+    await expectError(registry.open(dbPath), 'SESSION_LIMIT');
+    await registry.closeAll();
+});
+
+suite.test('should list the databases an owner has open', async () => {
+    const registry = createRegistry();
+    const [one, two] = [await createDatabase(dir), await createDatabase(dir)];
+    const a = await registry.open(one, { owner: 'user:a' });
+    await registry.open(`${one}/`, { owner: 'user:a' });
+    await registry.open(two, { owner: 'user:b' });
+
+    assertEquals(Array.from(registry.graphsOf('user:a')).join(), path.resolve(one));
+    assertEquals(registry.graphsOf('user:a', a).size, 1, 'the other session still has the database open');
+    assertEquals(registry.graphsOf('user:c').size, 0);
+    await registry.closeAll();
+});
+
+suite.test('should move a session to another database and release the old one', async () => {
+    const registry = createRegistry();
+    const [one, two] = [await createDatabase(dir), await createDatabase(dir)];
+    const session = await registry.open(one);
+    const { dbManager, cypherService } = session;
+
+    await registry.reconnect(session, two);
+    assertEquals(session.dbPath, two);
+    assertEquals(dbManager.isConnected(), false);
+    assert(session.cypherService !== cypherService, 'a reconnected session starts a fresh query service');
+    assertEquals(registry.managers.size, 1);
+    await registry.closeAll();
+});
+
+suite.test('should unlock read-only sessions with the token and relock after the TTL', async () => {
+    const registry = createRegistry({ readOnly: true, unlockToken: 'secret', editUnlockTtlMs: 50 });
+    const session = await registry.open(await createDatabase(dir));
+
+    assertEquals(registry.isReadOnly(session), true);
+    assertEquals(registry.unlock(session, 'wrong').reason, 'Invalid edit unlock token');
+    assertEquals(registry.unlock(session, 'secret').unlocked, true);
+    assert(registry.getEditMode(session).relockAt, 'the unlock expires');
+
+    await new Promise(resolve => setTimeout(resolve, 80));
+    assertEquals(registry.isReadOnly(session), true, 'the unlock expired');
+
+    registry.unlock(session, 'secret');
+    registry.lock(session);
+    assertEquals(registry.isReadOnly(session), true);
+    await registry.closeAll();
+});
+
+suite.test('should not unlock a read-only server without a token', async () => {
+    const registry = createRegistry({ readOnly: true });
+    const session = await registry.open(await createDatabase(dir));
+
+    assertEquals(registry.unlock(session, 'anything').reason, 'Server is in read-only mode');
+    assertEquals(registry.getEditMode(session).unlockable, false);
+
+    const response = await session.cypherService.executeQuery('CREATE (:Item {id: 2})');
+    assertEquals(response.success, false, 'writes are refused');
+    await registry.closeAll();
+});
+
+suite.test('should only unlock a session opened read-only for its owner or with the token', async () => {
+    const registry = createRegistry();
+    const dbPath = await createDatabase(dir);
+    const session = await registry.open(dbPath, { readOnly: true, owner: 'user:a' });
+
+    assertEquals(registry.unlock(session, undefined, 'user:b').reason, 'Only the session owner can unlock this session');
+    assertEquals(registry.isReadOnly(session), true);
+    assertEquals(registry.unlock(session, undefined, 'user:a').unlocked, true);
+    await registry.closeAll();
+
+    const withToken = createRegistry({ unlockToken: 'secret' });
+    const locked = await withToken.open(dbPath, { readOnly: true, owner: 'user:a' });
+    assertEquals(withToken.unlock(locked, undefined, 'user:a').reason, 'Invalid edit unlock token', 'a configured token is always needed');
+    assertEquals(withToken.unlock(locked, 'secret', 'user:b').unlocked, true, 'the token unlocks for anyone');
+    await withToken.closeAll();
+});
+
+suite.test('should run the write and query hooks with the session', async () => {
+    const calls = [];
+    const registry = createRegistry({
+        beforeWrite: (session, classification) => calls.push(`before:${session.name}:${classification.kind}`),
+        onQueryComplete: (session, { queryClass, success }) => calls.push(`done:${session.name}:${queryClass}:${success}`)
+    });
+    const dbPath = await createDatabase(dir);
+    const writer = await registry.open(dbPath, { name: 'writer' });
+    const reader = await registry.open(dbPath, { name: 'reader' });
+
+    await reader.cypherService.executeQuery('MATCH (i:Item) RETURN i');
+    assertEquals(reader.cypherService.getCacheStats().size, 1);
+    await writer.cypherService.executeQuery('CREATE (i:Item {id: 2}) RETURN i.id');
+
+    assertEquals(calls.join(','), 'done:reader:read:true,before:writer:write,done:writer:write:true');
+    assertEquals(reader.cypherService.getCacheStats().size, 0, 'a write in one session invalidates its siblings');
+    await registry.closeAll();
+});
+
+suite.test('should drop the prepared statements of sibling sessions after a schema change', async () => {
+    const registry = createRegistry();
+    const dbPath = await createDatabase(dir);
+    const writer = await registry.open(dbPath, { name: 'writer' });
+    const reader = await registry.open(dbPath, { name: 'reader' });
+
+    await reader.cypherService.executeQuery('MATCH (i:Item) RETURN i.id');
+    assert(reader.cypherService.getPreparedStatementCount() > 0, 'the reader prepared its query');
+    await writer.cypherService.executeQuery('CREATE (i:Item {id: 2}) RETURN i.id');
+    assert(reader.cypherService.getPreparedStatementCount() > 0, 'data writes keep prepared statements');
+
+    const altered = await writer.cypherService.executeQuery('ALTER TABLE Item ADD label STRING');
+    assert(altered.success, altered.error?.message);
+    assertEquals(reader.cypherService.getPreparedStatementCount(), 0);
+    assertEquals((await reader.cypherService.executeQuery('MATCH (i:Item) RETURN i.label')).success, true);
+    await registry.closeAll();
+});
+
+suite.test('should cancel queries and reopen the database around offline work', async () => {
+    const registry = createRegistry();
+    const dbPath = await createDatabase(dir);
+    const session = await registry.open(dbPath);
+    const { cypherService } = session;
+
+    const outcome = await registry.withDatabaseOffline(dbPath, 'restore', async () => {
+        await expectError(session.dbManager.acquire(), 'DATABASE_OFFLINE');
+        return 'restored';
+    });
+    assertEquals(outcome, 'restored');
+    assert(session.cypherService !== cypherService, 'sessions get fresh query services');
+    assertEquals((await session.cypherService.executeQuery('MATCH (i:Item) RETURN i.id')).success, true);
+    await registry.closeAll();
+});
+
+suite.test('should keep the offline work error and attach a failed reopen as its cause', async () => {
+    const registry = createRegistry();
+    const dbPath = await createDatabase(dir);
+    const session = await registry.open(dbPath);
+    const { dbManager } = session;
+    const resume = dbManager.resume.bind(dbManager);
+    dbManager.resume = async () => ({ success: false, message: 'disk gone' });
+
+    try {
+        await registry.withDatabaseOffline(dbPath, 'restore', async () => {
+            throw Object.assign(new Error('Backup failed verification'), { code: 'VERIFICATION_FAILED' });
+        });
+        throw new Error('Expected the restore error');
+    } catch (error) {
+        assertEquals(error.code, 'VERIFICATION_FAILED');
+        assertEquals(error.cause?.code, 'REOPEN_FAILED');
+    }
+
+    await expectError(registry.withDatabaseOffline(dbPath, 'restore', async () => 'restored'), 'REOPEN_FAILED');
+
+    dbManager.resume = resume;
+    await dbManager.resume();
+    await registry.closeAll();
+});
+
+// Run tests
+suite.run().then(async success => {
+    await rm(dir, { recursive: true, force: true });
+    process.exit(success ? 0 : 1);
+});
@@ -0,0 +1,120 @@
+import { TierLimits } from '../src/api/TierLimits.js';
+import { SUBSCRIPTION_TIERS } from '../src/config/aws-config.js';
+// Simple test runner
+class TestRunner {
+    constructor(name) {
+        this.name = name;
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(description, fn) {
+        this.tests.push({ description, fn });
+    }
+
+    async run() {
+        console.log(`\n🧪 Running ${this.name}\n`);
+
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                this.passed++;
+                console.log(`  ✅ ${test.description}`);
+            } catch (error) {
+                this.failed++;
+                console.log(`  ❌ ${test.description}`);
+                console.log(`     Error: ${error.message}`);
+            }
+        }
+
+        console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || 'Assertion failed');
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    if (actual !== expected) {
+        throw new Error(message || `Expected ${expected}, got ${actual}`);
+    }
+}
+
+const limits = new TierLimits({ tiers: SUBSCRIPTION_TIERS, isEnforced: () => true });
+const anonymous = { ip: '10.0.0.1' };
+const pro = { ip: '10.0.0.2', user: { id: 'p', tier: 'pro' } };
+const enterprise = { ip: '10.0.0.3', user: { id: 'e', tier: 'enterprise' } };
+
+function graph(nodeCount) {
+    const nodes = Array.from({ length: nodeCount }, (_, i) => ({ id: `Person_${i}` }));
+    const edges = nodes.slice(1).map((node, i) => ({ source: nodes[i].id, target: node.id }));
+    return { nodes, edges };
+}
+
+const suite = new TestRunner('TierLimits');
+
+suite.test('should resolve limits from the caller\'s tier', () => {
+    assertEquals(limits.tierOf(anonymous), 'free', 'Anonymous callers get the lowest tier');
+    assertEquals(limits.max(anonymous, 'maxNodes'), 100);
+    assertEquals(limits.max(pro, 'maxGraphs'), 50);
+    assertEquals(limits.max(enterprise, 'maxNodes'), Infinity, '-1 is unlimited');
+    assertEquals(limits.ownerOf(pro), 'user:p');
+    assertEquals(limits.ownerOf(anonymous), 'ip:10.0.0.1');
+});
+
+suite.test('should clamp requests and describe the upgrade', () => {
+    assertEquals(limits.clamp(pro, 'maxNodes', 500).tierLimit, null);
+
+    const { value, tierLimit } = limits.clamp(anonymous, 'maxNodes', 500);
+    assertEquals(value, 100);
+    assertEquals(tierLimit.limit, 'maxNodes');
+    assertEquals(tierLimit.requested, 500);
+    assertEquals(tierLimit.currentTier, 'free');
+    assertEquals(tierLimit.upgradeTo, 'pro');
+    assertEquals(tierLimit.requiredTiers.join(','), 'pro,enterprise');
+    assert(tierLimit.message.includes('Explorer plan allows 100'), tierLimit.message);
+
+    const beyondPro = limits.upgrade(pro, 'maxGraphs', 51);
+    assertEquals(beyondPro.upgradeTo, 'enterprise');
+    assert(beyondPro.message.includes('no limit'), beyondPro.message);
+    assertEquals(limits.upgrade(enterprise, 'maxGraphs', 1000).upgradeTo, null);
+});
+
+suite.test('should cap graphs to their first nodes and the edges between them', () => {
+    const data = graph(150);
+    const { data: capped, tierLimit } = limits.capGraph(anonymous, data);
+    assertEquals(capped.nodes.length, 100);
+    assertEquals(capped.edges.length, 99, 'Edges to dropped nodes are dropped too');
+    assertEquals(tierLimit.requested, 150);
+    assertEquals(data.nodes.length, 150, 'The input (possibly cached) is not mutated');
+
+    const raw = limits.capGraph(anonymous, { raw: Array.from({ length: 120 }, (_, i) => ({ i })) });
+    assertEquals(raw.data.raw.length, 100);
+
+    const small = graph(10);
+    assertEquals(limits.capGraph(anonymous, small).data, small);
+});
+
+suite.test('should not limit anything when authentication is off', () => {
+    const open = new TierLimits({ tiers: SUBSCRIPTION_TIERS, isEnforced: () => false });
+    assertEquals(open.tierOf(anonymous), null);
+    assertEquals(open.max(anonymous, 'maxGraphs'), Infinity);
+    assertEquals(open.capGraph(anonymous, graph(500)).tierLimit, null);
+});
+
+suite.test('should build the v1 upgrade-required body', () => {
+    const body = TierLimits.upgradeRequired(limits.upgrade(anonymous, 'maxGraphs', 4));
+    assertEquals(body.success, false);
+    assertEquals(body.error.code, 'UPGRADE_REQUIRED');
+    assertEquals(body.error.details.max, 3);
+    assertEquals(body.error.message, body.error.details.message);
+});
+
+// Run tests
+suite.run().then(success => process.exit(success ? 0 : 1));
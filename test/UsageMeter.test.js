@@ -0,0 +1,142 @@
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { UsageMeter, MemoryUsageStore, FileUsageStore, calendarMonth, billingPeriod } from '../src/api/UsageMeter.js';
+import { TierLimits } from '../src/api/TierLimits.js';
+import { SUBSCRIPTION_TIERS } from '../src/config/aws-config.js';
+// Simple test runner
+class TestRunner {
+    constructor(name) {
+        this.name = name;
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(description, fn) {
+        this.tests.push({ description, fn });
+    }
+
+    async run() {
+        console.log(`\n🧪 Running ${this.name}\n`);
+
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                this.passed++;
+                console.log(`  ✅ ${test.description}`);
+            } catch (error) {
+                this.failed++;
+                console.log(`  ❌ ${test.description}`);
+                console.log(`     Error: ${error.message}`);
+            }
+        }
+
+        console.log(`\n📊 Results: ${this.passed} passed, ${this.failed} failed`);
+        return this.failed === 0;
+    }
+}
+
+// Test utilities
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message || 'Assertion failed');
+    }
+}
+
+function assertEquals(actual, expected, message) {
+    if (actual !== expected) {
+        throw new Error(message || `Expected ${expected}, got ${actual}`);
+    }
+}
+
+const dir = await mkdtemp(path.join(tmpdir(), 'usage-test-'));
+const tierLimits = new TierLimits({ tiers: SUBSCRIPTION_TIERS, isEnforced: () => true });
+const free = { ip: '10.0.0.1', user: { id: 'f', tier: 'free' } };
+const enterprise = { ip: '10.0.0.2', user: { id: 'e', tier: 'enterprise' } };
+const period = { start: '2026-10-01T00:00:00.000Z', end: '2026-11-01T00:00:00.000Z' };
+
+const suite = new TestRunner('UsageMeter');
+
+suite.test('should use the subscription period while it is current, else the calendar month', () => {
+    const now = Date.parse('2026-10-19T12:00:00Z');
+    assertEquals(calendarMonth(now).start, '2026-10-01T00:00:00.000Z');
+    assertEquals(calendarMonth(Date.parse('2026-12-31T23:00:00Z')).end, '2027-01-01T00:00:00.000Z');
+
+    const record = { currentPeriodStart: '2026-10-05T08:00:00.000Z', currentPeriodEnd: '2026-11-05T08:00:00.000Z' };
+    assertEquals(billingPeriod(record, now).start, record.currentPeriodStart);
+    assertEquals(billingPeriod(record, Date.parse('2026-11-06T00:00:00Z')).start, '2026-11-01T00:00:00.000Z', 'An unrenewed period falls back');
+    assertEquals(billingPeriod(null, now).end, '2026-11-01T00:00:00.000Z');
+});
+
+suite.test('should report usage against the tier quotas', async () => {
+    const meter = new UsageMeter({ store: new MemoryUsageStore(), tierLimits, periodOf: async () => period });
+    await meter.record(free, 'cypherQueries', 1);
+    await meter.record(free, 'cypherQueries', 1);
+    await meter.record(free, 'nodesRendered', 250);
+    await meter.record(free, 'nodesRendered', 0);
+
+    const usage = await meter.usage(free);
+    assertEquals(usage.tier, 'free');
+    assertEquals(usage.period.end, period.end);
+    assertEquals(usage.metrics.cypherQueries.used, 2);
+    assertEquals(usage.metrics.cypherQueries.remaining, SUBSCRIPTION_TIERS.free.quotas.cypherQueries - 2);
+    assertEquals(usage.metrics.nodesRendered.used, 250);
+
+    const unlimited = await meter.usage(enterprise);
+    assertEquals(unlimited.metrics.cypherQueries.used, 0, 'Usage is kept per user');
+    assertEquals(unlimited.metrics.cypherQueries.limit, null);
+});
+
+suite.test('should refuse routes whose quota is used up', async () => {
+    const meter = new UsageMeter({ store: new MemoryUsageStore(), tierLimits, periodOf: async () => period });
+    await meter.record(free, 'nodesRendered', SUBSCRIPTION_TIERS.free.quotas.nodesRendered);
+
+    assertEquals(await meter.check(free, ['cypherQueries']), null);
+    const exhausted = await meter.check(free, ['cypherQueries', 'nodesRendered']);
+    assertEquals(exhausted.limit, 'nodesRendered');
+    assertEquals(exhausted.upgradeTo, 'pro');
+    assertEquals(exhausted.resetsAt, period.end);
+    assert(exhausted.message.includes('nodes rendered per billing period'), exhausted.message);
+
+    // audioSeconds is 0 on the free tier, so voice is refused before any use
+    assertEquals((await meter.check(free, ['audioSeconds'])).limit, 'audioSeconds');
+    assertEquals(await meter.check(enterprise, ['nodesRendered', 'audioSeconds']), null);
+
+    const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.payload = body; return this; }
+    };
+    let nextCalled = false;
+    await meter.middleware(() => ['nodesRendered'])(free, res, () => { nextCalled = true; });
+    assert(!nextCalled);
+    assertEquals(res.statusCode, 403);
+    assertEquals(res.payload.error.code, 'QUOTA_EXCEEDED');
+});
+
+suite.test('should not refuse anything when limits are not enforced', async () => {
+    const open = new TierLimits({ tiers: SUBSCRIPTION_TIERS, isEnforced: () => false });
+    const meter = new UsageMeter({ store: new MemoryUsageStore(), tierLimits: open, periodOf: async () => period });
+    await meter.record(free, 'audioSeconds', 120);
+    assertEquals(await meter.check(free, ['audioSeconds']), null);
+    assertEquals((await meter.usage(free)).metrics.audioSeconds.used, 120, 'Usage is still recorded');
+});
+
+suite.test('should keep usage across restarts in the file store', async () => {
+    const filePath = path.join(dir, 'usage.json');
+    const store = new FileUsageStore({ filePath, flushIntervalMs: 60000 });
+    await store.add('user:f', period, 'aiLayouts', 3);
+    await store.close();
+
+    const reloaded = new FileUsageStore({ filePath, flushIntervalMs: 60000 });
+    assertEquals((await reloaded.get('user:f', period)).aiLayouts, 3);
+    assertEquals((await reloaded.get('user:f', { start: '2026-11-01T00:00:00.000Z' })).aiLayouts, undefined, 'Each period starts empty');
+    await reloaded.close();
+});
+
+// Run tests
+suite.run().then(async success => {
+    await rm(dir, { recursive: true, force: true });
+    process.exit(success ? 0 : 1);
+});
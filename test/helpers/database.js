@@ -0,0 +1,17 @@
+import kuzu from 'kuzu';
+import path from 'path';
+
+let count = 0;
+
+// A fresh database under dir with one Item table holding the given ids
+export async function createDatabase(dir, ids = [1]) {
+    const dbPath = path.join(dir, `db-${++count}`);
+    const db = new kuzu.Database(dbPath);
+    const conn = new kuzu.Connection(db);
+    for (const statement of ['CREATE NODE TABLE Item(id INT64, PRIMARY KEY(id))', `UNWIND [${ids.join(', ')}] AS id CREATE (:Item {id: id})`]) {
+        (await conn.query(statement)).close();
+    }
+    await conn.close();
+    await db.close();
+    return dbPath;
+}
@@ -6,7 +6,7 @@ import { dirname, join } from 'path';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
-console.log('🧪 Running All RelationshipLayoutProcessor Tests\n');
+console.log('🧪 Running All Tests\n');
 console.log('=' .repeat(70));
 
 const testSuites = [
@@ -24,6 +24,76 @@ const testSuites = [
         name: 'Integration Tests',
         file: 'RelationshipLayoutProcessor.integration.test.js',
         description: 'Real-world scenarios and full system testing'
+    },
+    {
+        name: 'Cypher Query Service Tests',
+        file: 'CypherQueryService.test.js',
+        description: 'Query classification, parameter binding, result caching, read-only mode, cancellation and pooling'
+    },
+    {
+        name: 'Schema Graph Tests',
+        file: 'SchemaGraphLayout.test.js',
+        description: 'Schema tables and relationships as graph nodes and edges'
+    },
+    {
+        name: 'API Contract Tests',
+        file: 'ApiContract.test.js',
+        description: 'Route definitions, request validation, the OpenAPI document and the v2 envelope'
+    },
+    {
+        name: 'Rate Limiter Tests',
+        file: 'RateLimiter.test.js',
+        description: 'Token buckets, memory and file stores and the 429 middleware'
+    },
+    {
+        name: 'Authenticator Tests',
+        file: 'Authenticator.test.js',
+        description: 'JWT verification against a JWKS, tier resolution and feature gating'
+    },
+    {
+        name: 'Tier Limit Tests',
+        file: 'TierLimits.test.js',
+        description: 'Tier maxNodes and maxGraphs, result capping and upgrade details'
+    },
+    {
+        name: 'Billing Tests',
+        file: 'Billing.test.js',
+        description: 'Subscription stores, idempotent Stripe webhooks, checkout and the Lambda adapter'
+    },
+    {
+        name: 'Usage Meter Tests',
+        file: 'UsageMeter.test.js',
+        description: 'Billing periods, usage per user, quota checks and the file store'
+    },
+    {
+        name: 'Metrics Tests',
+        file: 'Metrics.test.js',
+        description: 'Histogram buckets and quantiles, counters, the Prometheus exposition and the slow-query log'
+    },
+    {
+        name: 'Database Tests',
+        file: 'DatabaseManager.test.js',
+        description: 'Connection pool hand-off and timeouts, query reporting, suspend/resume and query workers'
+    },
+    {
+        name: 'Session Registry Tests',
+        file: 'SessionRegistry.test.js',
+        description: 'Shared database managers, the default session, edit unlocks and offline maintenance'
+    },
+    {
+        name: 'Backup Tests',
+        file: 'Backup.test.js',
+        description: 'Cron schedule parsing, grandfather-father-son retention planning and backup storage targets with S3 SigV4 signing'
+    },
+    {
+        name: 'Backup Manager Tests',
+        file: 'BackupManager.test.js',
+        description: 'Backup checksum manifests, verification, restore directory swaps, logical imports and on-disk retention'
+    },
+    {
+        name: 'Graph Route Tests',
+        file: 'GraphRoutes.test.js',
+        description: 'Node pagination, neighbor expansion and edge filters against a running server'
     }
 ];
 
@@ -106,7 +176,7 @@ async function runAllTests() {
     const allPassed = results.every(r => r.success);
     
     if (allPassed) {
-        console.log('\n🎉 All test suites passed! The RelationshipLayoutProcessor is working correctly.\n');
+        console.log('\n🎉 All test suites passed!\n');
     } else {
         console.log('\n💔 Some tests failed. Please review the output above.\n');
     }